@@ -1,4 +1,6 @@
 import { toBase64 } from "./utils.js";
+import { addTripItem } from "./trip-collections.js";
+import { hasPermission } from "./members.js";
 
 /**
  * Creates and injects the Gemini chat modal into the page, and sets up its event listeners.
@@ -63,18 +65,9 @@ async function handleSendMessage() {
         chatType: 'gemini'
     };
     
-    // Update local state
-    if (!window.currentData) window.currentData = { geminiChatMessages: [] };
-    if (!window.currentData.geminiChatMessages) window.currentData.geminiChatMessages = [];
-    window.currentData.geminiChatMessages.push(userMessageData);
-    
     // Save to Firebase for persistence
     try {
-        const { doc, updateDoc, arrayUnion } = await import("https://www.gstatic.com/firebasejs/10.12.2/firebase-firestore.js");
-        const publicDataRef = doc(window.db, `artifacts/${window.appId}/public/genevaGuide`);
-        await updateDoc(publicDataRef, { 
-            geminiChatMessages: arrayUnion(userMessageData)
-        });
+        if (hasPermission('edit')) await addTripItem('geminiChatMessages', userMessageData);
     } catch (error) {
         console.warn('Failed to save Gemini user message to Firebase:', error);
     }
@@ -99,16 +92,9 @@ async function handleSendMessage() {
             chatType: 'gemini'
         };
         
-        // Update local state
-        window.currentData.geminiChatMessages.push(botMessageData);
-        
         // Save to Firebase for persistence
         try {
-            const { doc, updateDoc, arrayUnion } = await import("https://www.gstatic.com/firebasejs/10.12.2/firebase-firestore.js");
-            const publicDataRef = doc(window.db, `artifacts/${window.appId}/public/genevaGuide`);
-            await updateDoc(publicDataRef, { 
-                geminiChatMessages: arrayUnion(botMessageData)
-            });
+            if (hasPermission('edit')) await addTripItem('geminiChatMessages', botMessageData);
         } catch (error) {
             console.warn('Failed to save Gemini bot message to Firebase:', error);
         }
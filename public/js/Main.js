@@ -1,13 +1,21 @@
 import { initializeApp } from "https://www.gstatic.com/firebasejs/10.12.2/firebase-app.js";
-import { getAuth, signInAnonymously, onAuthStateChanged } from "https://www.gstatic.com/firebasejs/10.12.2/firebase-auth.js";
-import { getFirestore, doc, onSnapshot, collection } from "https://www.gstatic.com/firebasejs/10.12.2/firebase-firestore.js";
-import { getStorage } from "https://www.gstatic.com/firebasejs/10.12.2/firebase-storage.js";
+import { getAuth, signInAnonymously, onAuthStateChanged, connectAuthEmulator } from "https://www.gstatic.com/firebasejs/10.12.2/firebase-auth.js";
+import { getFirestore, doc, connectFirestoreEmulator } from "https://www.gstatic.com/firebasejs/10.12.2/firebase-firestore.js";
+import { getStorage, connectStorageEmulator } from "https://www.gstatic.com/firebasejs/10.12.2/firebase-storage.js";
 
-import { renderAllComponents, initFunFacts, initCTAButton } from './ui.js';
-import { setupEventListeners } from './handlers.js';
+import { renderAllComponents, renderComponentsFor, renderSyncStatus, renderLastSynced, renderMemberBadge, initFunFacts, initCTAButton } from './ui.js';
+import { setupEventListeners, joinTripWithInvite } from './handlers.js';
 import { setupGeminiChat } from "./Gemini.js";
-import { CONFIG } from './config.js';
+import { CONFIG, ENV } from './config.js';
 import { familyLoader } from './utils.js';
+import { resolveActiveTripId, getTripDataPath } from './trips.js';
+import { subscribeTripCollections, unsubscribeTripCollections, withoutTripCollections, migrateLegacyArrays } from './trip-collections.js';
+import { initSyncQueue, flushQueue } from './sync-queue.js';
+import { registerServiceWorker, saveTripSnapshot, loadTripSnapshot } from './offline-cache.js';
+import { prepareTripData, logSchemaReport } from './schema.js';
+import { parseActivitySearch, getActivitySearchUrl } from './activity-search.js';
+import { createFirestoreStore, createLocalStore } from './data-store.js';
+import { watchMember, restoreCachedMember, useLocalMember, onMemberChange, isTripMember, completeEmailLinkSignIn, refreshEmailVerification, takePendingInvite } from './members.js';
 import { familyToast, familyAnimations } from './ui.js';
 
 // Import new modules
@@ -19,10 +27,26 @@ import { LoadingManager } from './loading.js';
 // --- Global State ---
 export let db, auth, storage, userId;
 export let currentData = { activitiesData: [] };
-export let currentCategoryFilter = 'all';
-export let currentTimeFilter = 'all';
+// Search, facets and sort of the activities list, read from and kept in the URL (activity-search.js)
+export let activitySearch = parseActivitySearch(typeof window !== 'undefined' ? window.location.search : '');
+// Filters of the "מה חדש" feed: an ACTIVITY_CATEGORIES key and an actor uid, or 'all'
+export let activityFilter = { category: 'all', actor: 'all' };
 export let newlyAddedItems = new Set();
-export const appId = "lipetztrip-guide";
+// Note or memory currently open in its inline editor
+export let editingItemId = null;
+// Whether the itinerary shows its drag-and-drop editor
+export let itineraryEditing = false;
+// Active trip id - drives every Firestore path (see trips.js)
+export const appId = resolveActiveTripId();
+CONFIG.APP_ID = appId;
+
+// Where trip data is read and written (see data-store.js). Until Firebase is up, writes are queued for it;
+// demo mode switches to the local store.
+export let dataStore = createFirestoreStore(null, null);
+
+// Path and reference of the active trip's data document
+export function getTripDocPath() { return getTripDataPath(appId); }
+export function getTripDocRef() { return doc(db, getTripDocPath()); }
 
 // Map state for Leaflet integration
 export let map = null;
@@ -36,20 +60,17 @@ export let loadingManager = null;
 // --- State Modifiers ---
 export function addNewlyAddedItem(id) { try { newlyAddedItems.add(id); } catch (e) {} }
 export function clearNewlyAddedItems() { newlyAddedItems = new Set(); }
-export function setCurrentCategoryFilter(filter) { 
-    currentCategoryFilter = filter; 
-    if (typeof window !== 'undefined') window.currentCategoryFilter = filter;
-}
-export function setCurrentTimeFilter(filter) { 
-    currentTimeFilter = filter; 
-    if (typeof window !== 'undefined') window.currentTimeFilter = filter;
+export function setEditingItemId(id) { editingItemId = id; }
+export function setItineraryEditing(editing) { itineraryEditing = editing; }
+export function setActivitySearch(search) {
+    activitySearch = { ...activitySearch, ...search };
+    if (typeof window !== 'undefined') window.history.replaceState(null, '', getActivitySearchUrl(activitySearch, window.location.href));
 }
+export function setActivityFilter(filter) { activityFilter = { ...activityFilter, ...filter }; }
 
 // --- Initialize Global UI State ---
 if (typeof window !== 'undefined') {
     window.displayedActivitiesCount = 6; // Initial number of activities to display
-    window.currentCategoryFilter = currentCategoryFilter;
-    window.currentTimeFilter = currentTimeFilter;
 }
 
 // --- INITIALIZATION ---
@@ -115,6 +136,14 @@ async function initApp() {
     // LoadingManager is already initialized in loading.js
     loadingManager = window.loadingManager;
     
+    // Precache the app shell so the guide opens without data
+    registerServiceWorker();
+    
+    // Editing rights of the last member signed in here, until auth confirms them
+    onMemberChange(renderMemberBadge);
+    onMemberChange(retryTripAccess);
+    restoreCachedMember(appId);
+    
     // Only show loader if page isn't already fully loaded and no existing loader
     const existingLoader = document.getElementById('family-loader');
     const pageLoaded = document.readyState === 'complete';
@@ -126,25 +155,42 @@ async function initApp() {
         console.log('⏭️ Skipping loader - page already loaded or loader exists');
     }
     
-    // Set a timeout to ensure the page loads even if Firebase fails
-    const fallbackTimer = setTimeout(() => {
+    // Show the last known trip right away; the first Firestore snapshot reconciles it
+    const bootSnapshot = await loadTripSnapshot(appId);
+    if (bootSnapshot) {
+        renderTripSnapshot(bootSnapshot);
+    }
+    
+    // Set a timeout to ensure the page loads even if Firebase fails (not needed once the snapshot is on screen)
+    const fallbackTimer = bootSnapshot ? null : setTimeout(() => {
         console.log('⏰ Fallback timer triggered - loading basic app');
         setupBasicApp();
     }, 5000); // 5 second timeout
     
     try {
-        const response = await fetch('/api/get-config');
-        if (!response.ok) throw new Error('Failed to get Firebase config');
-        const firebaseConfig = await response.json();
+        const firebaseConfig = ENV.USE_EMULATORS ? CONFIG.EMULATORS.FIREBASE_CONFIG : await fetchFirebaseConfig();
         
         const app = initializeApp(firebaseConfig);
         auth = getAuth(app);
         db = getFirestore(app);
         storage = getStorage(app);
+        if (ENV.USE_EMULATORS) connectEmulators();
+        dataStore = createFirestoreStore(db, storage);
         
         console.log("Firebase initialized successfully");
         familyToast.success('מתחברים לטיול שלכם... 🚀');
         
+        // Replay writes left over from offline sessions
+        initSyncQueue(db, {
+            onCountChange: renderSyncStatus,
+            onConflict: (mutation) => {
+                familyToast.warning(`${mutation.label || 'שינוי'} לא עודכן - מישהו אחר שינה את זה בינתיים`);
+            },
+            onFailed: (mutation) => {
+                familyToast.error(`${mutation.label || 'שינוי'} לא נשמר בשרת`);
+            }
+        });
+        
         // Clear the fallback timer since Firebase succeeded
         clearTimeout(fallbackTimer);
         
@@ -161,16 +207,30 @@ async function initApp() {
         console.log('🤖 Setting up Gemini chat...');
         setupGeminiChat();
         
+        // Opened from an email sign-in link: finish it before the anonymous fallback below kicks in
+        try {
+            const linkedUser = await completeEmailLinkSignIn(auth);
+            if (linkedUser) familyToast.success(`ברוכים הבאים, ${linkedUser.email}! 👋`);
+        } catch (error) {
+            console.warn("❌ Email link sign-in failed:", error);
+            familyToast.error('קישור ההתחברות לא תקף או שפג תוקפו');
+        }
+        
         onAuthStateChanged(auth, (user) => {
             if (user) {
                 userId = user.uid;
-                console.log("✅ User signed in:", userId);
-                setupFirebaseListeners();
+                console.log("✅ User signed in:", userId, user.isAnonymous ? '(anonymous)' : user.email);
+                // A passcode account may have confirmed its address since it last signed in
+                refreshEmailVerification(user).then(watchTripMember);
+                setupTripListeners();
+                // Opened from an invite link (?invite=CODE)
+                const inviteCode = takePendingInvite();
+                if (inviteCode) joinTripWithInvite(user, inviteCode);
             } else {
                 console.log("⚠️ No user signed in, attempting anonymous sign-in");
                 signInAnonymously(auth).then(result => {
                     console.log("✅ Anonymous sign-in successful");
-                    setupFirebaseListeners();
+                    setupTripListeners();
                 }).catch(error => {
                     console.warn("❌ Anonymous sign-in failed:", error);
                     familyToast.warning('עובדים במצב לא מקוון');
@@ -190,70 +250,152 @@ async function initApp() {
     }
 }
 
-function setupBasicApp() {
+async function fetchFirebaseConfig() {
+    const response = await fetch('/api/get-config');
+    if (!response.ok) throw new Error('Failed to get Firebase config');
+    return response.json();
+}
+
+// Points the SDKs at the local emulators (firebase emulators:start)
+function connectEmulators() {
+    const { AUTH_URL, FIRESTORE, STORAGE } = CONFIG.EMULATORS;
+    connectAuthEmulator(auth, AUTH_URL, { disableWarnings: true });
+    connectFirestoreEmulator(db, FIRESTORE.host, FIRESTORE.port);
+    connectStorageEmulator(storage, STORAGE.host, STORAGE.port);
+    console.log("🧪 Using Firebase emulators");
+}
+
+// Who the signed-in user is on this trip and what they may change (see members.js)
+let unsubscribeMember = null;
+function watchTripMember(user) {
+    if (unsubscribeMember) unsubscribeMember();
+    unsubscribeMember = watchMember(dataStore, appId, user);
+}
+
+// Trips are private to their members: a visitor who was turned away gets the trip once they join
+let tripAccessDenied = false;
+function retryTripAccess() {
+    if (!tripAccessDenied || !isTripMember()) return;
+    tripAccessDenied = false;
+    console.log("🔓 Joined the trip, reconnecting listeners");
+    setupTripListeners();
+}
+
+// Runs trip data through the schema layer and reports records it had to fix or drop
+function validatedTripData(rawData, source) {
+    const { data, report } = prepareTripData(rawData);
+    logSchemaReport(report, source);
+    return data;
+}
+
+// Renders a locally stored trip snapshot, labelled with the time it was last synced
+function renderTripSnapshot(snapshot) {
+    console.log("📦 Rendering trip snapshot saved at", snapshot.savedAt);
+    currentData = validatedTripData(snapshot.data, 'snapshot');
+    lastSyncedAt = snapshot.savedAt;
+    renderAllComponents();
+    renderLastSynced(lastSyncedAt);
+    familyLoader.hide();
+}
+
+// Demo trip shown when there is no Firebase connection and nothing cached
+function getDemoTripData() {
+    return {
+        activitiesData: [
+            {
+                id: "demo-1",
+                name: "גן החיות של ז'נבה",
+                category: "ילדים",
+                time: "25",
+                description: "גן חיות מושלם למשפחות עם פעוטות. כולל חיות מקומיות ופעילויות אינטראקטיביות לילדים.",
+                location: "Route de Valavran 28, 1292 Chambésy",
+                address: "Route de Valavran 28, 1292 Chambésy",
+                duration: "2-3 שעות",
+                recommendedTime: "10:00-12:00",
+                openingHours: "9:00-18:00",
+                ageRange: "כל הגילאים",
+                cost: "חינם",
+                price: "חינם",
+                transport: "אוטובוס 28",
+                lat: 46.194,
+                lon: 6.128,
+                image: "https://images.unsplash.com/photo-1549366021-9f761d77f8e0?w=400"
+            },
+            {
+                id: "demo-2", 
+                name: "פארק באסטיון",
+                category: "פארקים",
+                time: "15",
+                description: "פארק ירוק מושלם לפיקניק משפחתי. כולל משחקים לילדים ופסלי שחמט ענקיים.",
+                location: "Parc des Bastions, 1204 Genève",
+                address: "Parc des Bastions, 1204 Genève",
+                duration: "1-2 שעות",
+                recommendedTime: "14:00-16:00",
+                openingHours: "24/7",
+                ageRange: "כל הגילאים",
+                cost: "חינם",
+                price: "חינם",
+                transport: "הליכה מהעיר העתיקה",
+                lat: 46.201,
+                lon: 6.146,
+                image: "https://images.unsplash.com/photo-1441974231531-c6227db76b6e?w=400"
+            }
+        ],
+        itineraryData: [
+            {
+                day: 1,
+                activities: [
+                    { id: "demo-1", time: "10:00", name: "גן החיות של ז'נבה" },
+                    { id: "demo-2", time: "14:00", name: "פארק באסטיון" }
+                ]
+            }
+        ],
+        flightData: { bookingRef: "Demo Mode" },
+        hotelData: { name: "Demo Hotel", bookingRef: "DEMO123" },
+        familyData: [{ name: "Demo Family", passport: "DEMO" }],
+        packingListData: {},
+        bulletinBoard: [],
+        photoAlbum: [],
+        familyMemories: [],
+        interactivePacking: []
+    };
+}
+
+// Demo mode: the trip lives in the browser's local store, so every feature stays editable without Firebase
+async function startLocalTrip() {
+    if (dataStore.kind === 'local') return;
+    console.log("💾 Starting local trip store");
+    
+    dataStore = createLocalStore();
+    userId = userId || 'local-user';
+    useLocalMember();
+    if (!(await dataStore.get(getTripDocPath()))) {
+        await dataStore.set(getTripDocPath(), getDemoTripData());
+    }
+    
+    setupEventListeners();
+    setupGeminiChat();
+    setupTripListeners();
+}
+
+async function setupBasicApp() {
     console.log("🔧 Setting up basic app without Firebase");
     
     try {
-        // Load demo data for basic functionality
-        currentData = {
-            activitiesData: [
-                {
-                    id: "demo-1",
-                    name: "גן החיות של ז'נבה",
-                    category: "ילדים",
-                    time: "25",
-                    description: "גן חיות מושלם למשפחות עם פעוטות. כולל חיות מקומיות ופעילויות אינטראקטיביות לילדים.",
-                    location: "Route de Valavran 28, 1292 Chambésy",
-                    address: "Route de Valavran 28, 1292 Chambésy",
-                    duration: "2-3 שעות",
-                    recommendedTime: "10:00-12:00",
-                    openingHours: "9:00-18:00",
-                    ageRange: "כל הגילאים",
-                    cost: "חינם",
-                    price: "חינם",
-                    transport: "אוטובוס 28",
-                    lat: 46.194,
-                    lon: 6.128,
-                    image: "https://images.unsplash.com/photo-1549366021-9f761d77f8e0?w=400"
-                },
-                {
-                    id: "demo-2", 
-                    name: "פארק באסטיון",
-                    category: "פארקים",
-                    time: "15",
-                    description: "פארק ירוק מושלם לפיקניק משפחתי. כולל משחקים לילדים ופסלי שחמט ענקיים.",
-                    location: "Parc des Bastions, 1204 Genève",
-                    address: "Parc des Bastions, 1204 Genève",
-                    duration: "1-2 שעות",
-                    recommendedTime: "14:00-16:00",
-                    openingHours: "24/7",
-                    ageRange: "כל הגילאים",
-                    cost: "חינם",
-                    price: "חינם",
-                    transport: "הליכה מהעיר העתיקה",
-                    lat: 46.201,
-                    lon: 6.146,
-                    image: "https://images.unsplash.com/photo-1441974231531-c6227db76b6e?w=400"
-                }
-            ],
-            itineraryData: [
-                {
-                    day: 1,
-                    activities: [
-                        { id: "demo-1", time: "10:00", name: "גן החיות של ז'נבה" },
-                        { id: "demo-2", time: "14:00", name: "פארק באסטיון" }
-                    ]
-                }
-            ],
-            flightData: { bookingRef: "Demo Mode" },
-            hotelData: { name: "Demo Hotel", bookingRef: "DEMO123" },
-            familyData: [{ name: "Demo Family", passport: "DEMO" }],
-            packingListData: {},
-            bulletinBoard: [],
-            photoAlbum: [],
-            familyMemories: [],
-            interactivePacking: []
-        };
+        // Offline with a stored trip: show the real trip instead of demo data
+        const snapshot = await loadTripSnapshot(appId);
+        if (snapshot) {
+            currentData = validatedTripData(snapshot.data, 'snapshot');
+            lastSyncedAt = snapshot.savedAt;
+            renderLastSynced(lastSyncedAt);
+        } else if (!db) {
+            // The local store's listener renders the trip
+            await startLocalTrip();
+            return;
+        } else {
+            // Load demo data for basic functionality
+            currentData = validatedTripData(getDemoTripData(), 'demo');
+        }
         
         console.log("🎨 Calling renderAllComponents from setupBasicApp");
         renderAllComponents();
@@ -282,7 +424,12 @@ function setupBasicApp() {
     }
 }
 
-function setupFirebaseListeners() {
+// Whether the trip document has been rendered once (later snapshots render only what changed)
+let tripDocLoaded = false;
+// When the data on screen was last confirmed by the server (ISO string)
+let lastSyncedAt = null;
+
+function setupTripListeners() {
     // Prevent multiple listeners from being created
     if (window.firebaseListenerActive) {
         console.log('🔄 Firebase listener already active, skipping setup');
@@ -300,24 +447,39 @@ function setupFirebaseListeners() {
         }
     }
     
-    const publicDataRef = doc(db, `artifacts/${appId}/public/genevaGuide`);
-    
     // Mark listener as active
     window.firebaseListenerActive = true;
     
     // Enhanced Firebase listener with connection resilience and abort prevention
-    const unsubscribe = onSnapshot(publicDataRef, 
-        {
-            // Add options to prevent connection aborts
-            includeMetadataChanges: false, // Reduce unnecessary updates
-        },
+    const unsubscribeDoc = dataStore.subscribe(getTripDocPath(),
         // Success callback
-        (snapshot) => {
+        (docData, metadata) => {
             try {
-                if (snapshot.exists()) {
-                    currentData = { ...currentData, ...snapshot.data() };
-                    console.log("✅ Firebase data updated:", Object.keys(currentData));
-                    renderAllComponents();
+                if (docData) {
+                    migrateLegacyArrays(docData);
+                    
+                    // Photos, notes, memories and chat come from their own collection listeners
+                    const tripData = validatedTripData(withoutTripCollections(docData), 'server');
+                    const changedKeys = Object.keys(tripData)
+                        .filter(key => JSON.stringify(tripData[key]) !== JSON.stringify(currentData[key]));
+                    currentData = { ...currentData, ...tripData };
+                    console.log("✅ Firebase data updated:", changedKeys);
+                    // The demo trip is never cached as if it were a real one
+                    if (dataStore.kind !== 'local') saveTripSnapshot(appId, currentData);
+                    
+                    // Live data from the server replaces the stored snapshot
+                    if (!metadata.fromCache) {
+                        lastSyncedAt = new Date().toISOString();
+                        renderLastSynced(null);
+                    }
+                    
+                    // Full render on first load, afterwards only the parts that changed
+                    if (!tripDocLoaded) {
+                        tripDocLoaded = true;
+                        renderAllComponents();
+                    } else if (changedKeys.length > 0) {
+                        renderComponentsFor(changedKeys);
+                    }
                     
                     // Hide loading screen on first successful data load
                     console.log("🎯 Hiding loading screen after Firebase data load");
@@ -372,7 +534,12 @@ function setupFirebaseListeners() {
                     
                 case 'permission-denied':
                     console.error("🚫 Firebase permission denied");
-                    familyToast.error('בעיית הרשאות - נסה להתחבר מחדש');
+                    tripAccessDenied = true;
+                    if (isTripMember()) {
+                        familyToast.error('בעיית הרשאות - נסה להתחבר מחדש');
+                    } else {
+                        familyToast.info('הטיול הזה פרטי - הצטרפו עם קישור הזמנה מהמארגן/ת 🔑');
+                    }
                     window.firebaseListenerActive = false;
                     setupBasicApp();
                     break;
@@ -395,6 +562,17 @@ function setupFirebaseListeners() {
         }
     );
     
+    subscribeTripCollections((key) => {
+        renderComponentsFor([key]);
+        if (dataStore.kind !== 'local') saveTripSnapshot(appId, currentData);
+    });
+    
+    // One unsubscribe for the trip document and all collection listeners
+    const unsubscribe = () => {
+        unsubscribeDoc();
+        unsubscribeTripCollections();
+    };
+    
     // Store unsubscribe function for cleanup
     window.firebaseUnsubscribe = unsubscribe;
     
@@ -451,7 +629,7 @@ function handleFirebaseReconnection(currentUnsubscribe) {
                 }
                 
                 console.log('🔄 Attempting Firebase reconnection...');
-                setupFirebaseListeners();
+                setupTripListeners();
                 window.firebaseReconnecting = false;
                 
             } catch (retryError) {
@@ -495,7 +673,7 @@ function monitorFirebaseConnection() {
             if (window.firebaseUnsubscribe) {
                 window.firebaseUnsubscribe();
             }
-            setTimeout(() => setupFirebaseListeners(), 1000);
+            setTimeout(() => setupTripListeners(), 1000);
         }
     });
     
@@ -515,6 +693,9 @@ function monitorFirebaseConnection() {
         window.firebaseReconnecting = false;
         window.firebaseListenerActive = false;
         
+        // Send everything that was queued while offline, in order
+        flushQueue();
+        
         // Clean up existing listener before creating new one
         if (window.firebaseUnsubscribe && typeof window.firebaseUnsubscribe === 'function') {
             try {
@@ -529,7 +710,7 @@ function monitorFirebaseConnection() {
         setTimeout(() => {
             if (db && auth) {
                 console.log('🔄 Attempting fresh Firebase connection after network restoration');
-                setupFirebaseListeners();
+                setupTripListeners();
             }
         }, 2000); // Give network time to stabilize
     });
@@ -537,6 +718,7 @@ function monitorFirebaseConnection() {
     window.addEventListener('offline', () => {
         console.log('📴 Network connection lost');
         familyToast.warning('אין חיבור לאינטרנט');
+        renderLastSynced(lastSyncedAt);
         
         // Clean up Firebase connections when going offline
         if (window.firebaseUnsubscribe && typeof window.firebaseUnsubscribe === 'function') {
@@ -599,7 +781,7 @@ function setupEnhancedFirebaseMonitoring() {
             if (window.firebaseUnsubscribe) {
                 window.firebaseUnsubscribe();
             }
-            setTimeout(() => setupFirebaseListeners(), 1000);
+            setTimeout(() => setupTripListeners(), 1000);
         }
     });
     
@@ -630,7 +812,7 @@ function setupEnhancedFirebaseMonitoring() {
         
         // Reconnect with delay
         setTimeout(() => {
-            setupFirebaseListeners();
+            setupTripListeners();
         }, 1000);
     });
     
@@ -670,7 +852,7 @@ function setupEnhancedFirebaseMonitoring() {
                     if (window.firebaseUnsubscribe) {
                         window.firebaseUnsubscribe();
                     }
-                    setupFirebaseListeners();
+                    setupTripListeners();
                 }, delay);
             }
         }
@@ -1,5 +1,7 @@
 import { currentData, map, setMap } from './Main.js';
-import { calculateDistance } from './utils.js';
+import { CONFIG } from './config.js';
+import { calculateDistance, sanitizeHTML } from './utils.js';
+import { getDayRoute } from './itinerary.js';
 
 /**
  * Enhanced Map Manager with advanced features
@@ -242,6 +244,9 @@ class MapManager {
         // Add activity markers
         this.addActivityMarkers();
 
+        // Connect each day's stops in visiting order
+        this.addDayRoutes();
+
         // Add legend
         this.addMapLegend(mapContainer);
 
@@ -275,7 +280,7 @@ class MapManager {
     }
 
     addHotelMarker() {
-        const hotelLocation = { lat: 46.2183, lon: 6.0744, name: "Mercure Hotel Meyrin" };
+        const hotelLocation = CONFIG.HOTEL_LOCATION;
         
         const hotelIcon = L.icon({
             iconUrl: 'https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-2x-red.png',
@@ -324,6 +329,20 @@ class MapManager {
         this.map.addLayer(this.markerClusterGroup);
     }
 
+    addDayRoutes() {
+        if (!Array.isArray(currentData?.itineraryData)) return;
+
+        const colors = ['#ef4444', '#3b82f6', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899', '#14b8a6'];
+        currentData.itineraryData.forEach((day, index) => {
+            const route = getDayRoute(day, currentData.activitiesData || []);
+            if (route.length < 2) return;
+
+            L.polyline(route, { color: colors[index % colors.length], weight: 4, opacity: 0.7, dashArray: '8 6' })
+                .bindTooltip(day.dayName || `יום ${day.day}`, { sticky: true })
+                .addTo(this.map);
+        });
+    }
+
     createActivityMarker(activity) {
         const categoryIcons = {
             'משחקייה': 'https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-2x-blue.png',
@@ -351,12 +370,12 @@ class MapManager {
 
         marker.bindPopup(`
             <div class="map-popup">
-                <div class="map-popup-title">${activity.name}</div>
+                <div class="map-popup-title">${sanitizeHTML(activity.name)}</div>
                 <div class="map-popup-content">
-                    <strong>קטגוריה:</strong> ${activity.category}<br>
-                    <strong>זמן נסיעה:</strong> כ-${activity.time || '?'} דקות<br>
-                    <strong>עלות:</strong> ${activity.cost || 'לא ידוע'}<br>
-                    <strong>כתובת:</strong> ${activity.address}
+                    <strong>קטגוריה:</strong> ${sanitizeHTML(activity.category)}<br>
+                    <strong>זמן נסיעה:</strong> כ-${sanitizeHTML(String(activity.time || '?'))} דקות<br>
+                    <strong>עלות:</strong> ${sanitizeHTML(String(activity.cost || 'לא ידוע'))}<br>
+                    <strong>כתובת:</strong> ${sanitizeHTML(activity.address)}
                 </div>
                 <div class="map-popup-actions">
                     <button class="map-popup-btn primary" onclick="window.open('${activity.link || '#'}', '_blank')">
@@ -0,0 +1,148 @@
+/**
+ * Activity Log
+ * Who changed what in the trip. Every change made from handlers.js also appends an entry
+ * ({ action, target, count, actorUid, actorName }) to the trip's activity collection, which the
+ * "מה חדש" feed shows grouped and filterable.
+ */
+
+import { addTripItem } from './trip-collections.js';
+import { getCurrentMember } from './members.js';
+
+export const ACTIVITY_CATEGORIES = {
+    notes: '📝 פתקים',
+    memories: '💭 זיכרונות',
+    photos: '📸 תמונות',
+    packing: '🧳 אריזה',
+    plans: '🗓️ תוכניות',
+    family: '👨‍👩‍👧‍👦 משפחה',
+    expenses: '💸 הוצאות'
+};
+
+// {target} and {count} are filled in by describeActivity; `many` is used for grouped entries
+export const ACTIVITY_TYPES = {
+    'note.add': { category: 'notes', icon: '📝', one: 'הוסיף/ה פתק: "{target}"', many: 'הוסיף/ה {count} פתקים' },
+    'note.edit': { category: 'notes', icon: '✏️', one: 'ערך/ה פתק: "{target}"', many: 'ערך/ה {count} פתקים' },
+    'note.pin': { category: 'notes', icon: '📌', one: 'הצמיד/ה פתק: "{target}"', many: 'הצמיד/ה {count} פתקים' },
+    'note.delete': { category: 'notes', icon: '🗑️', one: 'מחק/ה פתק: "{target}"', many: 'מחק/ה {count} פתקים' },
+    'memory.add': { category: 'memories', icon: '💭', one: 'הוסיף/ה זיכרון: "{target}"', many: 'הוסיף/ה {count} זיכרונות' },
+    'memory.edit': { category: 'memories', icon: '✏️', one: 'ערך/ה זיכרון: "{target}"', many: 'ערך/ה {count} זיכרונות' },
+    'memory.pin': { category: 'memories', icon: '📌', one: 'הצמיד/ה זיכרון: "{target}"', many: 'הצמיד/ה {count} זיכרונות' },
+    'memory.delete': { category: 'memories', icon: '🗑️', one: 'מחק/ה זיכרון: "{target}"', many: 'מחק/ה {count} זיכרונות' },
+    'photo.add': { category: 'photos', icon: '📸', one: 'העלה/תה תמונה', many: 'העלה/תה {count} תמונות' },
+    'photo.delete': { category: 'photos', icon: '🗑️', one: 'מחק/ה תמונה', many: 'מחק/ה {count} תמונות' },
+    'packingPhoto.add': { category: 'packing', icon: '📷', one: 'העלה/תה תמונת אריזה', many: 'העלה/תה {count} תמונות אריזה' },
+    'packing.check': { category: 'packing', icon: '✅', one: 'ארז/ה את "{target}"', many: 'ארז/ה {count} פריטים' },
+    'packing.uncheck': { category: 'packing', icon: '⬜', one: 'הוציא/ה את "{target}" מהארוזים', many: 'הוציא/ה {count} פריטים מהארוזים' },
+    'packing.add': { category: 'packing', icon: '➕', one: 'הוסיף/ה את "{target}" לרשימת האריזה', many: 'הוסיף/ה {count} פריטים לרשימת האריזה' },
+    'packing.remove': { category: 'packing', icon: '➖', one: 'הסיר/ה את "{target}" מרשימת האריזה', many: 'הסיר/ה {count} פריטים מרשימת האריזה' },
+    'plan.add': { category: 'plans', icon: '🗓️', one: 'שמר/ה תוכנית מותאמת: "{target}"', many: 'שמר/ה {count} תוכניות מותאמות' },
+    'member.join': { category: 'family', icon: '👋', one: 'הצטרף/ה לטיול' },
+    'member.role': { category: 'family', icon: '🔑', one: 'שינה/תה את ההרשאה של {target}' },
+    'member.invite': { category: 'family', icon: '🔗', one: 'יצר/ה הזמנה לטיול', many: 'יצר/ה {count} הזמנות לטיול' },
+    'roster.save': { category: 'family', icon: '👨‍👩‍👧‍👦', one: 'עדכן/ה את הפרטים של {target}' },
+    'routine.save': { category: 'family', icon: '🧸', one: 'עדכן/ה את השגרה של {target}' },
+    'plan.edit': { category: 'plans', icon: '✏️', one: 'ערך/ה את התוכנית: {target}', many: 'ערך/ה את התוכנית ({count} שינויים)' },
+    'budget.save': { category: 'plans', icon: '💰', one: 'עדכן/ה את התקציב: {target}' },
+    'plan.weather': { category: 'plans', icon: '☔', one: 'בחר/ה תוכנית ליום: {target}', many: 'בחר/ה תוכניות ל-{count} ימים' },
+    'plan.swap': { category: 'plans', icon: '🔄', one: 'החליף/ה פעילות בתוכנית ל"{target}"', many: 'החליף/ה {count} פעילויות בתוכנית' },
+    'expense.add': { category: 'expenses', icon: '💸', one: 'רשם/ה הוצאה: {target}', many: 'רשם/ה {count} הוצאות' },
+    'expense.delete': { category: 'expenses', icon: '🗑️', one: 'מחק/ה הוצאה: {target}', many: 'מחק/ה {count} הוצאות' },
+    'trip.import': { category: 'plans', icon: '📦', one: 'שחזר/ה את הטיול מגיבוי' }
+};
+
+// Repeats of one action by one person within this window show as a single line
+const GROUP_WINDOW = 15 * 60 * 1000;
+const MAX_TARGET_LENGTH = 80;
+
+/**
+ * Records a change in the activity log. Never blocks or fails the change itself.
+ * @param {string} action - Key of ACTIVITY_TYPES.
+ * @param {Object} [details]
+ * @param {string} [details.target] - What was changed (a note's text, an item's name...).
+ * @param {number} [details.count] - How many things the one change touched.
+ * @param {{uid: string, name: string}} [details.actor] - Defaults to the signed-in member.
+ */
+export function logActivity(action, { target = '', count = 1, actor = getCurrentMember() } = {}) {
+    if (!ACTIVITY_TYPES[action]) {
+        console.warn('⚠️ Unknown activity type:', action);
+        return;
+    }
+
+    const text = String(target || '').replace(/\s+/g, ' ').trim();
+    addTripItem('activityLog', {
+        action,
+        target: text.length > MAX_TARGET_LENGTH ? `${text.slice(0, MAX_TARGET_LENGTH - 1)}…` : text,
+        count,
+        actorUid: actor.uid,
+        actorName: actor.name,
+        timestamp: Date.now()
+    }).catch(error => console.warn('⚠️ Could not log activity:', error));
+}
+
+/**
+ * @param {Object} entry - Activity entry.
+ * @returns {number} When it happened, in millis.
+ */
+export function getActivityTime(entry) {
+    const createdAt = entry.createdAt;
+    if (typeof createdAt?.toMillis === 'function') return createdAt.toMillis();
+    if (typeof createdAt === 'number') return createdAt;
+    return Number(entry.timestamp) || 0;
+}
+
+/**
+ * Merges runs of the same action by the same person, so five packing checks in a row read as
+ * one line. Entries are expected newest first.
+ * @param {Array} entries
+ * @param {number} [windowMs]
+ * @returns {Array<{action: string, actorUid: string, actorName: string, count: number, targets: Array<string>, time: number}>}
+ */
+export function groupActivity(entries, windowMs = GROUP_WINDOW) {
+    const groups = [];
+    entries.forEach(entry => {
+        const time = getActivityTime(entry);
+        const last = groups[groups.length - 1];
+        if (last && last.action === entry.action && last.actorUid === entry.actorUid && last.oldest - time <= windowMs) {
+            last.count += entry.count || 1;
+            if (entry.target) last.targets.push(entry.target);
+            last.oldest = time;
+            return;
+        }
+        groups.push({
+            action: entry.action,
+            actorUid: entry.actorUid,
+            actorName: entry.actorName,
+            count: entry.count || 1,
+            targets: entry.target ? [entry.target] : [],
+            time,
+            oldest: time
+        });
+    });
+    return groups.map(({ oldest, ...group }) => group);
+}
+
+/**
+ * @param {Array} entries
+ * @param {{category?: string, actor?: string}} filter - 'all' or a category key / actor uid.
+ * @returns {Array}
+ */
+export function filterActivity(entries, { category = 'all', actor = 'all' } = {}) {
+    return entries.filter(entry =>
+        (category === 'all' || ACTIVITY_TYPES[entry.action]?.category === category) &&
+        (actor === 'all' || entry.actorUid === actor));
+}
+
+/**
+ * @param {Object} group - From groupActivity (or a single entry with count and targets).
+ * @returns {string} e.g. 'עדי ארז/ה 5 פריטים'.
+ */
+export function describeActivity(group) {
+    const type = ACTIVITY_TYPES[group.action];
+    if (!type) return `${group.actorName} עדכן/ה את הטיול`;
+
+    const template = group.count > 1 && type.many ? type.many : type.one;
+    const text = template
+        .replace('{count}', String(group.count))
+        .replace('{target}', group.targets?.[0] || '');
+    return `${group.actorName || 'מישהו'} ${text}`;
+}
@@ -0,0 +1,203 @@
+/**
+ * Activity Search
+ * Free-text search, facets and sorting of the activities list. The search lives in the page URL
+ * (?q=...&cost=free&setting=outdoor&time=20), so a filtered list can be shared as a link.
+ * Options of one facet widen the search; different facets narrow it.
+ */
+
+import { CONFIG } from './config.js';
+import { calculateDistance } from './utils.js';
+import { isOutdoorActivity } from './itinerary.js';
+import { parseCost, convertAmount } from './budget.js';
+import { isOpenAt } from './opening-hours.js';
+import { getZonedClock } from './calendar.js';
+
+// state key -> URL parameter and options. Categories come from the activities themselves.
+export const SEARCH_FACETS = {
+    categories: { param: 'category', label: 'סוג פעילות' },
+    costs: {
+        param: 'cost',
+        label: 'מחיר למבוגר',
+        options: { free: '🆓 חינם', low: 'עד 20 CHF', mid: '20-50 CHF', high: 'מעל 50 CHF' }
+    },
+    ages: {
+        param: 'age',
+        label: 'גיל',
+        options: { baby: '👶 0-2', toddler: '🧒 3-5', kids: '🧑 6+' }
+    },
+    settings: {
+        param: 'setting',
+        label: 'איפה',
+        options: { indoor: '🏠 בפנים', outdoor: '🌳 בחוץ' }
+    },
+    times: {
+        param: 'time',
+        label: 'זמן נסיעה מהמלון',
+        options: { 20: '⚡ עד 20 דקות', 40: '🚌 20-40 דקות', 60: '🚆 מעל 40 דקות' }
+    }
+};
+
+export const SORT_OPTIONS = {
+    default: 'מומלץ',
+    distance: 'הכי קרוב למלון',
+    rating: 'הכי מדורג',
+    time: 'זמן נסיעה'
+};
+
+export const DEFAULT_ACTIVITY_SEARCH = {
+    query: '',
+    categories: [],
+    costs: [],
+    ages: [],
+    settings: [],
+    times: [],
+    openNow: false,
+    sort: 'default'
+};
+
+// [min, max] ages of each age option; an activity matches when its own range overlaps
+const AGE_BANDS = { baby: [0, 2], toddler: [3, 5], kids: [6, 99] };
+const ALL_AGES_PATTERN = /כל הגיל|all ages|tous/i;
+const FROM_AGE_PATTERN = /(\d+)\s*\+|(?:מגיל|from|dès|ab)\s*(\d+)/i;
+const UP_TO_AGE_PATTERN = /(?:עד|up to|under|jusqu)\D{0,6}(\d+)/i;
+const AGE_RANGE_PATTERN = /(\d+)\s*[-–]\s*(\d+)/;
+
+/**
+ * Reads the search from a URL's query string. Unknown options are dropped.
+ * @param {string} search - e.g. window.location.search.
+ * @returns {Object} Like DEFAULT_ACTIVITY_SEARCH.
+ */
+export function parseActivitySearch(search) {
+    const params = new URLSearchParams(search);
+    const state = { ...DEFAULT_ACTIVITY_SEARCH, query: (params.get('q') || '').trim() };
+
+    Object.entries(SEARCH_FACETS).forEach(([key, { param, options }]) => {
+        const values = (params.get(param) || '').split(',').map(value => value.trim()).filter(Boolean);
+        state[key] = [...new Set(options ? values.filter(value => value in options) : values)];
+    });
+    state.openNow = params.get('open') === '1';
+    state.sort = SORT_OPTIONS[params.get('sort')] ? params.get('sort') : 'default';
+    return state;
+}
+
+/**
+ * The URL with the search in its query string, in place of any earlier search. Other parameters
+ * (?trip=...) are kept and an empty search leaves none behind.
+ * @param {Object} state
+ * @param {string} href - The current URL.
+ * @returns {string}
+ */
+export function getActivitySearchUrl(state, href) {
+    const url = new URL(href);
+    ['q', 'open', 'sort', ...Object.values(SEARCH_FACETS).map(facet => facet.param)].forEach(param => url.searchParams.delete(param));
+
+    if (state.query) url.searchParams.set('q', state.query);
+    Object.entries(SEARCH_FACETS).forEach(([key, { param }]) => {
+        if (state[key]?.length) url.searchParams.set(param, state[key].join(','));
+    });
+    if (state.openNow) url.searchParams.set('open', '1');
+    if (state.sort && state.sort !== 'default') url.searchParams.set('sort', state.sort);
+    return url.toString();
+}
+
+/**
+ * @param {Object} state
+ * @returns {boolean} Whether anything narrows the list.
+ */
+export function isActivitySearchActive(state) {
+    return Boolean(state.query || state.openNow || Object.keys(SEARCH_FACETS).some(key => state[key]?.length));
+}
+
+// Lower case and without accents, so 'geneve' finds 'Genève'
+function normalizeText(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+// An activity's ages as [min, max]; without an age range it is for everyone
+function parseAgeRange(text) {
+    const value = String(text || '');
+    if (!value.trim() || ALL_AGES_PATTERN.test(value)) return [0, 99];
+    const range = AGE_RANGE_PATTERN.exec(value);
+    if (range) return [Number(range[1]), Number(range[2])];
+    const from = FROM_AGE_PATTERN.exec(value);
+    if (from) return [Number(from[1] ?? from[2]), 99];
+    const upTo = UP_TO_AGE_PATTERN.exec(value);
+    if (upTo) return [0, Number(upTo[1])];
+    return [0, 99];
+}
+
+// The adult price band, or null when the cost has no price in it
+function getCostBand(activity, rates) {
+    const parsed = parseCost(activity.cost ?? activity.price);
+    const price = parsed && (parsed.adult ?? parsed.child ?? parsed.family);
+    if (price == null) return null;
+    const chf = convertAmount(price, parsed.currency, CONFIG.BUDGET.CURRENCY, rates);
+    if (chf === 0) return 'free';
+    if (chf <= 20) return 'low';
+    return chf <= 50 ? 'mid' : 'high';
+}
+
+function getTimeBand(activity) {
+    const minutes = typeof activity.time === 'number' ? activity.time : parseInt(activity.time || activity.travelTime);
+    if (!(minutes >= 0)) return null;
+    if (minutes <= 20) return '20';
+    return minutes <= 40 ? '40' : '60';
+}
+
+function hasCoordinates(place) {
+    return typeof place?.lat === 'number' && typeof place?.lon === 'number';
+}
+
+// Ascending by a value that may be missing; missing values go last
+function compareKnown(a, b) {
+    if (a === null || b === null) return (a === null) - (b === null);
+    return a - b;
+}
+
+/**
+ * The activities that match a search, in its sort order. Activities whose cost, travel time or
+ * opening hours are unknown do not match a facet that asks about them; one without an age range
+ * is taken to suit every age.
+ * @param {Array} activities - activitiesData.
+ * @param {Object} state - From parseActivitySearch().
+ * @param {Object} options
+ * @param {Object<string, number>} options.rates - Per 1 CHF (getTripBudget().rates).
+ * @param {Date} [options.now] - For "open now", read on Geneva time.
+ * @param {{lat: number, lon: number}} [options.origin] - Where distances are measured from.
+ * @returns {Array}
+ */
+export function searchActivities(activities, state, { rates, now = new Date(), origin = CONFIG.HOTEL_LOCATION }) {
+    const terms = normalizeText(state.query).split(/\s+/).filter(Boolean);
+    const clock = getZonedClock(now);
+    const inAnyBand = (values, range) => values.some(value => AGE_BANDS[value][0] <= range[1] && range[0] <= AGE_BANDS[value][1]);
+
+    const matches = (activities || []).filter(activity => {
+        if (terms.length) {
+            const text = normalizeText([activity.name, activity.description, activity.address, activity.location, activity.category].join(' '));
+            if (!terms.every(term => text.includes(term))) return false;
+        }
+        if (state.categories.length && !state.categories.includes(activity.category)) return false;
+        if (state.costs.length && !state.costs.includes(getCostBand(activity, rates))) return false;
+        if (state.ages.length && !inAnyBand(state.ages, parseAgeRange(activity.ageRange))) return false;
+        if (state.settings.length && !state.settings.includes(isOutdoorActivity(activity) ? 'outdoor' : 'indoor')) return false;
+        if (state.times.length && !state.times.includes(getTimeBand(activity))) return false;
+        if (state.openNow && isOpenAt(activity.openingHours, clock) !== true) return false;
+        return true;
+    });
+
+    const sortValue = {
+        distance: activity => hasCoordinates(activity) && hasCoordinates(origin)
+            ? calculateDistance(origin.lat, origin.lon, activity.lat, activity.lon)
+            : null,
+        rating: activity => (Number(activity.rating) > 0 ? -Number(activity.rating) : null),
+        time: activity => {
+            const minutes = parseInt(activity.time ?? activity.travelTime);
+            return minutes >= 0 ? minutes : null;
+        }
+    }[state.sort];
+    if (!sortValue) return matches;
+    return matches
+        .map(activity => ({ activity, value: sortValue(activity) }))
+        .sort((a, b) => compareKnown(a.value, b.value))
+        .map(entry => entry.activity);
+}
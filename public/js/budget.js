@@ -0,0 +1,155 @@
+/**
+ * Trip Budget
+ * Reads the free-text costs of activities ('15 CHF', 'מבוגר 20 CHF, ילד 10 CHF', 'חינם') into
+ * amounts per adult, child or family, adds up what each itinerary day will cost the family, and
+ * converts CHF to ILS and EUR with the rates the family keeps in the trip document (`budget`).
+ */
+
+import { CONFIG } from './config.js';
+import { getDayItems } from './itinerary.js';
+import { getFamilyRoutine } from './routine.js';
+
+export const CURRENCY_SYMBOLS = { CHF: 'CHF', EUR: '€', ILS: '₪' };
+
+// In order, so a cost that names CHF is in CHF. Latin codes must stand apart from other letters -
+// 'heure', 'details' and 'Tennis' name no currency - but may touch the amount, as in '15CHF'.
+const CURRENCY_PATTERNS = [
+    ['CHF', /(?<![a-z])(?:CHF|SFr)(?![a-z])|פרנק/i],
+    ['EUR', /€|(?<![a-z])EUR(?![a-z])|יורו/i],
+    ['ILS', /₪|(?<![a-z])(?:ILS|NIS)(?![a-z])|ש"ח|שקל/i]
+];
+const FREE_PATTERN = /חינם|free|gratuit|ללא תשלום/i;
+const FAMILY_PATTERN = /משפח|family|famille/i;
+const CHILD_PATTERN = /ילד|child|kid|enfant/i;
+const ADULT_PATTERN = /מבוגר|adult|לאדם|per person/i;
+// A number right after these is an age, as in 'ילדים עד 6 חינם'
+const AGE_PATTERN = /(גיל|עד|מתחת ל-?|מעל|under|over|age)\s*$/i;
+const AMOUNT_PATTERN = /(\d+(?:\.\d+)?)(?:\s*[-–]\s*(\d+(?:\.\d+)?))?/g;
+// Ages in brackets, as in 'children (6-16) 8 CHF' or 'ילדים (גיל 3+)'
+const BRACKETED_AGES_PATTERN = /\(\s*(?:גיל(?:אי)?|ages?)?\s*\d+\s*(?:[-–]\s*\d+|\+)\s*(?:שנים|years?|ans)?\s*\)/gi;
+
+// The price in one part of a cost; ranges count their upper bound, so the budget is not short
+function segmentAmount(segment) {
+    if (FREE_PATTERN.test(segment)) return 0;
+    const amounts = [...segment.matchAll(AMOUNT_PATTERN)]
+        .filter(match => !AGE_PATTERN.test(segment.slice(0, match.index)))
+        .map(match => Number(match[2] || match[1]));
+    return amounts.length ? amounts[amounts.length - 1] : null;
+}
+
+/**
+ * Reads an activity's cost. Ages in brackets are dropped, then parts are split on commas,
+ * semicolons, slashes and brackets and each is labelled adult, child or family by its words; an
+ * unlabelled price is the adult's.
+ * @param {string|number} cost
+ * @returns {{currency: string, adult: number|null, child: number|null, family: number|null}|null}
+ *   Null when there is no price in it ('משתנה').
+ */
+export function parseCost(cost) {
+    if (typeof cost === 'number') return { currency: CONFIG.BUDGET.CURRENCY, adult: cost, child: null, family: null };
+    const text = String(cost || '').trim();
+    if (!text) return null;
+
+    const currency = CURRENCY_PATTERNS.find(([, pattern]) => pattern.test(text))?.[0] || CONFIG.BUDGET.CURRENCY;
+    const parsed = { currency, adult: null, child: null, family: null };
+    text.replace(BRACKETED_AGES_PATTERN, ' ').split(/[,;/|()\n]+/).forEach(segment => {
+        const amount = segmentAmount(segment);
+        if (amount === null) return;
+        if (FAMILY_PATTERN.test(segment)) parsed.family = amount;
+        else if (CHILD_PATTERN.test(segment)) parsed.child = amount;
+        else if (ADULT_PATTERN.test(segment) || parsed.adult === null) parsed.adult = amount;
+    });
+
+    if (parsed.adult === null && parsed.child === null && parsed.family === null) return null;
+    return parsed;
+}
+
+/**
+ * What the family pays: each adult and child, or the family price when that is cheaper. Children
+ * pay the adult price unless the cost gives theirs.
+ * @param {Object} parsed - From parseCost().
+ * @param {{adults: number, children: number}} family
+ * @returns {number} In the cost's currency.
+ */
+export function getFamilyCost(parsed, { adults, children }) {
+    const adult = parsed.adult ?? parsed.child;
+    const perPerson = adult === null ? null : adult * adults + (parsed.child ?? adult) * children;
+    if (parsed.family !== null && (perPerson === null || parsed.family < perPerson)) return parsed.family;
+    return perPerson;
+}
+
+/**
+ * The trip's budget settings with defaults: rates per 1 CHF (CONFIG.BUDGET.RATES until the family
+ * sets its own) and the optional trip and daily budgets, in CHF.
+ * @param {Object} data - Trip data (currentData).
+ * @returns {{tripBudget: number|null, dailyBudget: number|null, rates: Object<string, number>}}
+ */
+export function getTripBudget(data) {
+    const budget = data?.budget || {};
+    const amount = value => Number(value) > 0 ? Number(value) : null;
+    const rates = { ...CONFIG.BUDGET.RATES };
+    Object.entries(budget.rates || {}).forEach(([currency, rate]) => {
+        if (Number(rate) > 0) rates[currency] = Number(rate);
+    });
+    return { tripBudget: amount(budget.tripBudget), dailyBudget: amount(budget.dailyBudget), rates: { ...rates, [CONFIG.BUDGET.CURRENCY]: 1 } };
+}
+
+/**
+ * @param {number} amount
+ * @param {string} from
+ * @param {string} to
+ * @param {Object<string, number>} rates - Per 1 CHF, from getTripBudget().
+ * @returns {number}
+ */
+export function convertAmount(amount, from, to, rates) {
+    return amount / rates[from] * rates[to];
+}
+
+/**
+ * @param {number} amount
+ * @param {string} [currency]
+ * @returns {string} e.g. '45 CHF', '189 ₪'.
+ */
+export function formatMoney(amount, currency = CONFIG.BUDGET.CURRENCY) {
+    return `${Math.round(amount).toLocaleString('he-IL')} ${CURRENCY_SYMBOLS[currency] || currency}`;
+}
+
+/**
+ * What each itinerary day's plan will cost the family, in CHF. An item's own `cost` wins over its
+ * activity's; items with a cost that has no price in it are listed as unpriced, free-text items
+ * without a cost are left out.
+ * @param {Object} data - Trip data (currentData).
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.planKeys] - The plan each day follows, by day number;
+ *   the main plan by default.
+ * @returns {{days: Array<{day: number, dayName: string, total: number, items: Array<{name: string, amount: number}>, unpriced: Array<string>}>, total: number, family: {adults: number, children: number}}}
+ */
+export function computeTripCosts(data, { planKeys = {} } = {}) {
+    const { rates } = getTripBudget(data);
+    const family = { adults: CONFIG.FAMILY.PARENTS.length, children: getFamilyRoutine(data).children.length };
+
+    const days = (data?.itineraryData || []).map(day => {
+        const planKey = planKeys[day.day] || 'mainPlan';
+        const items = [];
+        const unpriced = [];
+        getDayItems(day, data.activitiesData || [])
+            .filter(entry => entry.planKey === planKey)
+            .forEach(({ item, activity }) => {
+                const name = activity?.name || item.description;
+                const cost = item.cost ?? activity?.cost;
+                if (cost == null || cost === '') {
+                    if (activity) unpriced.push(name);
+                    return;
+                }
+                const parsed = parseCost(cost);
+                if (!parsed) {
+                    unpriced.push(name);
+                    return;
+                }
+                items.push({ name, amount: convertAmount(getFamilyCost(parsed, family), parsed.currency, CONFIG.BUDGET.CURRENCY, rates) });
+            });
+        return { day: day.day, dayName: day.dayName, total: items.reduce((sum, item) => sum + item.amount, 0), items, unpriced };
+    });
+
+    return { days, total: days.reduce((sum, day) => sum + day.total, 0), family };
+}
@@ -0,0 +1,304 @@
+/**
+ * Calendar Export
+ * Builds an iCalendar (.ics) file of the trip - flights, the hotel stay and the main plan of each
+ * itinerary day - so the plan shows up in phone calendars. Geneva times are written in
+ * Europe/Zurich; flights leaving from elsewhere are converted to UTC from their airport's zone.
+ */
+
+import { getDayItems, getTripDayDate, parseDurationMinutes, formatDateKey } from './itinerary.js';
+import { getFamilyRoutine, planDay } from './routine.js';
+import { parseTimeOfDay } from './opening-hours.js';
+
+export const TRIP_TIME_ZONE = 'Europe/Zurich';
+
+// Europe/Zurich with the EU daylight saving rules (last Sunday of March and of October)
+const ZURICH_VTIMEZONE = [
+    'BEGIN:VTIMEZONE',
+    `TZID:${TRIP_TIME_ZONE}`,
+    'BEGIN:DAYLIGHT',
+    'TZOFFSETFROM:+0100',
+    'TZOFFSETTO:+0200',
+    'TZNAME:CEST',
+    'DTSTART:19810329T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+    'END:DAYLIGHT',
+    'BEGIN:STANDARD',
+    'TZOFFSETFROM:+0200',
+    'TZOFFSETTO:+0100',
+    'TZNAME:CET',
+    'DTSTART:19961027T030000',
+    'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+];
+
+// Airports the family is likely to fly through; anything else is taken to be on Geneva time
+const AIRPORT_TIME_ZONES = {
+    TLV: 'Asia/Jerusalem', GVA: 'Europe/Zurich', ZRH: 'Europe/Zurich', BSL: 'Europe/Zurich',
+    ATH: 'Europe/Athens', LCA: 'Asia/Nicosia', IST: 'Europe/Istanbul', SAW: 'Europe/Istanbul',
+    FCO: 'Europe/Rome', MXP: 'Europe/Rome', VIE: 'Europe/Vienna', MUC: 'Europe/Berlin',
+    FRA: 'Europe/Berlin', CDG: 'Europe/Paris', ORY: 'Europe/Paris', AMS: 'Europe/Amsterdam',
+    BRU: 'Europe/Brussels', LHR: 'Europe/London', MAD: 'Europe/Madrid', BCN: 'Europe/Madrid',
+    WAW: 'Europe/Warsaw', BUD: 'Europe/Budapest', PRG: 'Europe/Prague'
+};
+const ISRAEL_PATTERN = /תל.?אביב|נתב"ג|tel.?aviv|ben.?gurion/i;
+
+const PRODUCT_ID = '-//Geneva Family Guide//Trip Calendar//HE';
+const DEFAULT_EVENT_MINUTES = 60;
+const MAX_LINE_BYTES = 75;
+
+// --- Dates and times ---
+
+/**
+ * Reads the date formats found in trip data: '2025-08-24', '24/08/2025', '24.08.2025' or
+ * anything Date can parse.
+ * @param {string} text
+ * @returns {string|null} 'YYYY-MM-DD'.
+ */
+export function parseCalendarDate(text) {
+    const value = String(text || '').trim();
+    const iso = /^(\d{4})-(\d{2})-(\d{2})/.exec(value);
+    if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+    const dayFirst = /^(\d{1,2})[/.](\d{1,2})[/.](\d{4})$/.exec(value);
+    if (dayFirst) return `${dayFirst[3]}-${dayFirst[2].padStart(2, '0')}-${dayFirst[1].padStart(2, '0')}`;
+    const parsed = value ? new Date(value) : null;
+    return parsed && !Number.isNaN(parsed.getTime()) ? formatDateKey(parsed) : null;
+}
+
+function addDays(dateKey, days) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return formatDateKey(new Date(year, month - 1, day + days));
+}
+
+/**
+ * The time zone of a flight's airport, from its IATA code or name.
+ * @param {string} place - e.g. 'תל אביב (TLV)'.
+ * @returns {string}
+ */
+export function getAirportTimeZone(place) {
+    const text = String(place || '');
+    const code = (text.match(/\b[A-Z]{3}\b/g) || []).find(candidate => AIRPORT_TIME_ZONES[candidate]);
+    if (code) return AIRPORT_TIME_ZONES[code];
+    return ISRAEL_PATTERN.test(text) ? 'Asia/Jerusalem' : TRIP_TIME_ZONE;
+}
+
+// Wall-clock date and time of an instant in a time zone
+function zonedParts(timestamp, timeZone) {
+    return Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(new Date(timestamp)).map(({ type, value }) => [type, Number(value)]));
+}
+
+// Offset of a time zone from UTC at an instant, in millis
+function timeZoneOffset(timestamp, timeZone) {
+    const parts = zonedParts(timestamp, timeZone);
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - timestamp;
+}
+
+/**
+ * The date and time of day an instant falls on in a time zone - Geneva's by default.
+ * @param {Date} now
+ * @param {string} [timeZone]
+ * @returns {{dateKey: string, minutes: number}} 'YYYY-MM-DD' and minutes since midnight.
+ */
+export function getZonedClock(now, timeZone = TRIP_TIME_ZONE) {
+    const parts = zonedParts(now.getTime(), timeZone);
+    const pad = value => String(value).padStart(2, '0');
+    return { dateKey: `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`, minutes: parts.hour * 60 + parts.minute };
+}
+
+/**
+ * The instant of a wall-clock time in a time zone.
+ * @param {string} dateKey - 'YYYY-MM-DD'.
+ * @param {number} minutes - Minutes since midnight (may run past 24:00).
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+export function zonedTimeToDate(dateKey, minutes, timeZone) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+    const guess = wallClock - timeZoneOffset(wallClock, timeZone);
+    // A second pass lands on the right side of a daylight saving change
+    return new Date(wallClock - timeZoneOffset(guess, timeZone));
+}
+
+// --- Events ---
+
+// Events are { uid, date: 'YYYY-MM-DD', summary, ... } timed either by utcStart/utcEnd (flights)
+// or by start/end minutes on Geneva time
+function flightEvents(flightData) {
+    return ['outbound', 'inbound'].flatMap(direction => (flightData?.[direction] || []).map((flight, index) => {
+        const date = parseCalendarDate(flight.date);
+        const [departure, arrival] = (String(flight.time || '').match(/\d{1,2}:\d{2}/g) || []).map(parseTimeOfDay);
+        if (!date || departure == null) return null;
+
+        const fromZone = getAirportTimeZone(flight.from);
+        const start = zonedTimeToDate(date, departure, fromZone);
+        // An arrival earlier than the departure (in local times) is on the next day
+        const arrivalDate = arrival != null && arrival < departure ? addDays(date, 1) : date;
+        const end = arrival != null ? zonedTimeToDate(arrivalDate, arrival, getAirportTimeZone(flight.to)) : null;
+        return {
+            uid: `flight-${direction}-${index}`,
+            date,
+            utcStart: start,
+            utcEnd: end && end > start ? end : null,
+            summary: ['✈️', flight.airline, flight.flightNum, `${flight.from || ''} → ${flight.to || ''}`].filter(Boolean).join(' '),
+            location: flight.from,
+            description: [
+                flight.airlineRef && `קוד הזמנה: ${flight.airlineRef}`,
+                flight.checkin && `צ'ק-אין אונליין: ${flight.checkin}`
+            ].filter(Boolean).join('\n'),
+            url: flight.checkin
+        };
+    })).filter(Boolean);
+}
+
+function hotelEvent(hotelData) {
+    const date = parseCalendarDate(hotelData?.checkinDate);
+    const endDate = parseCalendarDate(hotelData?.checkoutDate);
+    if (!date || !endDate) return [];
+
+    return [{
+        uid: 'hotel-stay',
+        date,
+        start: parseTimeOfDay(hotelData.checkinTime) ?? parseTimeOfDay('15:00'),
+        endDate,
+        end: parseTimeOfDay(hotelData.checkoutTime) ?? parseTimeOfDay('12:00'),
+        summary: `🏨 ${hotelData.name || 'המלון'}`,
+        location: hotelData.address,
+        description: [hotelData.phone && `טלפון: ${hotelData.phone}`, hotelData.website].filter(Boolean).join('\n'),
+        url: hotelData.website
+    }];
+}
+
+// The main plan of each dated day. Items without a start time get the one planned around the
+// children's routine, so the calendar shows the day in its order.
+function itineraryEvents(itineraryData, { activities, startDate, routine }) {
+    return (itineraryData || []).flatMap(day => {
+        const dayDate = getTripDayDate(day, startDate);
+        if (!dayDate) return [];
+        const date = formatDateKey(dayDate);
+        const { itemTimes } = planDay(day, { activities, routine });
+
+        return getDayItems(day, activities)
+            .filter(entry => entry.planKey === 'mainPlan')
+            .map(({ itemIndex, item, activity }) => {
+                const start = parseTimeOfDay(item.time) ?? parseTimeOfDay(itemTimes[itemIndex]);
+                if (start === null) return null;
+                const hasCoordinates = Number.isFinite(activity?.lat) && Number.isFinite(activity?.lon);
+                return {
+                    uid: `day-${day.day}-${itemIndex}`,
+                    day: String(day.day),
+                    date,
+                    start,
+                    end: start + (parseDurationMinutes(item.duration ?? activity?.duration) ?? DEFAULT_EVENT_MINUTES),
+                    summary: activity?.name || item.description,
+                    location: activity?.address || activity?.name,
+                    geo: hasCoordinates ? [activity.lat, activity.lon] : null,
+                    description: [
+                        day.title,
+                        activity?.description,
+                        activity?.transport && `תחבורה: ${activity.transport}`,
+                        hasCoordinates && `https://www.google.com/maps/search/?api=1&query=${activity.lat},${activity.lon}`
+                    ].filter(Boolean).join('\n')
+                };
+            })
+            .filter(Boolean);
+    });
+}
+
+// --- Writing ---
+
+function escapeText(text) {
+    return String(text ?? '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+function formatLocal(dateKey, minutes) {
+    const date = minutes >= 24 * 60 ? addDays(dateKey, Math.floor(minutes / (24 * 60))) : dateKey;
+    const time = minutes % (24 * 60);
+    return `${date.replace(/-/g, '')}T${String(Math.floor(time / 60)).padStart(2, '0')}${String(time % 60).padStart(2, '0')}00`;
+}
+
+function formatUtc(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Lines longer than 75 bytes continue on the next line after a space (RFC 5545 3.1)
+function foldLine(line) {
+    const encoder = new TextEncoder();
+    const lines = [];
+    let current = '';
+    let bytes = 0;
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        if (bytes + size > MAX_LINE_BYTES) {
+            lines.push(current);
+            current = ' ';
+            bytes = 1;
+        }
+        current += char;
+        bytes += size;
+    }
+    lines.push(current);
+    return lines.join('\r\n');
+}
+
+function eventLines(event, { uidPrefix, stamp }) {
+    const timing = event.utcStart
+        ? [`DTSTART:${formatUtc(event.utcStart)}`, event.utcEnd && `DTEND:${formatUtc(event.utcEnd)}`]
+        : [
+            `DTSTART;TZID=${TRIP_TIME_ZONE}:${formatLocal(event.date, event.start)}`,
+            `DTEND;TZID=${TRIP_TIME_ZONE}:${formatLocal(event.endDate || event.date, event.end)}`
+        ];
+    return [
+        'BEGIN:VEVENT',
+        `UID:${uidPrefix}-${event.uid}@geneva-guide`,
+        `DTSTAMP:${stamp}`,
+        ...timing,
+        `SUMMARY:${escapeText(event.summary)}`,
+        event.location && `LOCATION:${escapeText(event.location)}`,
+        event.geo && `GEO:${event.geo[0]};${event.geo[1]}`,
+        event.description && `DESCRIPTION:${escapeText(event.description)}`,
+        event.url && `URL:${event.url}`,
+        'END:VEVENT'
+    ].filter(Boolean);
+}
+
+/**
+ * Builds the trip calendar. With a day number it holds that itinerary day only, plus the flights
+ * and hotel check-in of its date.
+ * @param {Object} data - Trip data (currentData).
+ * @param {Object} options
+ * @param {string} options.tripId - Keeps event UIDs stable, so importing again updates events.
+ * @param {string|null} options.startDate - The trip's first day (getTripStartDate()).
+ * @param {string|number|null} [options.dayNumber]
+ * @param {Date} [options.now]
+ * @returns {{ics: string, eventCount: number}}
+ */
+export function buildTripCalendar(data, { tripId, startDate, dayNumber = null, now = new Date() }) {
+    const routine = getFamilyRoutine(data);
+    const dayEvents = itineraryEvents(data.itineraryData, { activities: data.activitiesData || [], startDate, routine });
+    let events = [...flightEvents(data.flightData), ...hotelEvent(data.hotelData), ...dayEvents];
+
+    if (dayNumber !== null) {
+        const day = (data.itineraryData || []).find(candidate => String(candidate.day) === String(dayNumber));
+        const dayDate = day && getTripDayDate(day, startDate);
+        const date = dayDate ? formatDateKey(dayDate) : null;
+        events = events.filter(event => event.day ? event.day === String(dayNumber) : event.date === date);
+    }
+
+    const stamp = formatUtc(now);
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(data.tripName || 'טיול לז\'נבה')}`,
+        `X-WR-TIMEZONE:${TRIP_TIME_ZONE}`,
+        ...ZURICH_VTIMEZONE,
+        ...events.flatMap(event => eventLines(event, { uidPrefix: tripId, stamp })),
+        'END:VCALENDAR'
+    ];
+    return { ics: lines.map(foldLine).join('\r\n') + '\r\n', eventCount: events.length };
+}
@@ -36,7 +36,28 @@ export const CONFIG = {
     FAMILY: {
         PARENTS: ['דור', 'עדי'],
         KIDS: ['בר', 'רן'],
-        TRIP_DURATION: 4 // days
+        TRIP_DURATION: 4, // days
+        BEDTIME: '19:30' // default bedtime of a child in the family routine (routine.js)
+    },
+    
+    // Where the family stays - travel times and distances of activities are from here
+    HOTEL_LOCATION: { lat: 46.2183, lon: 6.0744, name: 'Mercure Hotel Meyrin' },
+
+    // Swiss emergency numbers, printed on every day sheet (print.js)
+    EMERGENCY_NUMBERS: [
+        { label: 'חירום', number: '112' },
+        { label: 'אמבולנס', number: '144' },
+        { label: 'משטרה', number: '117' },
+        { label: 'כבאות', number: '118' },
+        { label: 'מרכז הרעלות', number: '145' },
+        { label: 'חילוץ אווירי (Rega)', number: '1414' }
+    ],
+
+    // Trip budget (budget.js): costs are added up in CHF; rates are per 1 CHF and the family can
+    // update them in the budget panel, since they are not fetched
+    BUDGET: {
+        CURRENCY: 'CHF',
+        RATES: { EUR: 1.07, ILS: 4.2 }
     },
     
     // Theme Colors (matching CSS variables)
@@ -66,6 +87,21 @@ export const CONFIG = {
         PHOTOS_KEY: 'photo-cache'
     },
     
+    // Local Firebase emulators, used when the page is opened with ?emulators (see firebase.json)
+    EMULATORS: {
+        AUTH_URL: 'http://127.0.0.1:9099',
+        FIRESTORE: { host: '127.0.0.1', port: 8080 },
+        STORAGE: { host: '127.0.0.1', port: 9199 },
+        // demo-* projects never reach production services
+        FIREBASE_CONFIG: {
+            apiKey: 'demo-api-key',
+            authDomain: 'demo-geneva-guide.firebaseapp.com',
+            projectId: 'demo-geneva-guide',
+            storageBucket: 'demo-geneva-guide.appspot.com',
+            appId: 'demo-geneva-guide'
+        }
+    },
+    
     // Default Data (Demo Mode)
     DEMO_DATA: {
         HOTEL: {
@@ -99,5 +135,6 @@ export const ENV = {
     IS_PRODUCTION: window.location.hostname !== 'localhost',
     IS_MOBILE: /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent),
     IS_TOUCH: 'ontouchstart' in window,
-    IS_PWA: window.matchMedia('(display-mode: standalone)').matches
+    IS_PWA: window.matchMedia('(display-mode: standalone)').matches,
+    USE_EMULATORS: new URLSearchParams(window.location.search).has('emulators')
 };
@@ -0,0 +1,25 @@
+/**
+ * Data Store
+ * Everything that reads or writes trip data goes through a DataStore, so the app runs the same
+ * on Firestore and fully in the browser. Main.js holds the active store in `dataStore`.
+ *
+ * @typedef {Object} DataStore
+ * @property {'firestore'|'local'} kind
+ * @property {(path: string) => Promise<Object|null>} get - Reads a document.
+ * @property {(collectionPath: string, options?: {where?: [string, '=='|'array-contains', *]}) => Promise<Array>} list
+ *     Reads the documents of a collection, with ids - every one, or those matching `where`.
+ * @property {(path: string, onData: Function, onError?: Function) => Function} subscribe
+ *     Calls onData(data|null, { fromCache }) on every change of a document; returns unsubscribe.
+ * @property {(collectionPath: string, options: {limit?: number}, onItems: Function, onError?: Function) => Function} subscribeCollection
+ *     Calls onItems(items) with the newest items by createdAt; returns unsubscribe.
+ * @property {(path: string, data: Object, options?: {merge?: boolean, label?: string}) => Promise} set
+ * @property {(path: string, fields: Object, options?: {base?: Object, label?: string}) => Promise} update
+ *     Keys are dotted field paths; values may be fieldOps markers (see sync-queue.js).
+ * @property {(path: string, field: string, value: *, options?: {label?: string}) => Promise} arrayAppend
+ * @property {(path: string, options?: {label?: string}) => Promise} remove
+ * @property {(storagePath: string, file: Blob) => Promise<string>} upload - Stores a file, resolves to its URL.
+ * @property {() => Promise} flush - Waits for pending writes to be sent, where that applies.
+ */
+
+export { createFirestoreStore } from './firestore-store.js';
+export { createLocalStore } from './local-store.js';
@@ -0,0 +1,140 @@
+/**
+ * Shared Expenses
+ * What was spent on the trip and by whom (the `expenses` trip collection), split among the people
+ * who shared each expense - the family and whoever joins for part of the trip, such as
+ * grandparents. Balances and settlement are in CHF, converted with the trip's budget rates.
+ */
+
+import { CONFIG } from './config.js';
+import { convertAmount } from './budget.js';
+
+export const EXPENSE_CATEGORIES = {
+    food: '🍽️ אוכל',
+    transport: '🚆 תחבורה',
+    activities: '🎟️ פעילויות',
+    lodging: '🏨 לינה',
+    shopping: '🛍️ קניות',
+    other: '📦 אחר'
+};
+
+// Differences below this are rounding, not debts
+const SETTLED_CHF = 0.01;
+
+const roundMoney = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Everyone who can pay or share: the parents, the trip roster and anyone already named on an
+ * expense, in that order and each once.
+ * @param {Object} data - Trip data (currentData).
+ * @returns {Array<string>}
+ */
+export function getExpensePeople(data) {
+    const names = [
+        ...CONFIG.FAMILY.PARENTS,
+        ...(data?.familyData || []).map(entry => entry?.name),
+        ...(data?.expenses || []).flatMap(expense => [expense.payer, ...(expense.participants || [])])
+    ].map(name => (typeof name === 'string' ? name.trim() : '')).filter(Boolean);
+    return [...new Set(names)];
+}
+
+/**
+ * An expense's amount in CHF.
+ * @param {Object} expense
+ * @param {Object<string, number>} rates - Per 1 CHF (getTripBudget().rates).
+ * @returns {number}
+ */
+export function getExpenseAmount(expense, rates) {
+    const amount = Number(expense.amount) || 0;
+    const currency = rates[expense.currency] ? expense.currency : CONFIG.BUDGET.CURRENCY;
+    return convertAmount(amount, currency, CONFIG.BUDGET.CURRENCY, rates);
+}
+
+/**
+ * What each person paid, their share of what they took part in, and the difference. An expense
+ * without participants is the payer's own.
+ * @param {Array} expenses
+ * @param {Object<string, number>} rates
+ * @returns {Array<{name: string, paid: number, share: number, balance: number}>} In CHF; a positive
+ *   balance is owed to the person. In order of first appearance.
+ */
+export function computeBalances(expenses, rates) {
+    const balances = new Map();
+    const personOf = name => {
+        if (!balances.has(name)) balances.set(name, { name, paid: 0, share: 0, balance: 0 });
+        return balances.get(name);
+    };
+
+    (expenses || []).forEach(expense => {
+        if (!expense?.payer) return;
+        const amount = getExpenseAmount(expense, rates);
+        const participants = expense.participants?.length ? expense.participants : [expense.payer];
+        personOf(expense.payer).paid += amount;
+        participants.forEach(name => { personOf(name).share += amount / participants.length; });
+    });
+
+    return [...balances.values()].map(person => ({
+        name: person.name,
+        paid: roundMoney(person.paid),
+        share: roundMoney(person.share),
+        balance: roundMoney(person.paid - person.share)
+    }));
+}
+
+/**
+ * Who pays whom to even out the balances, in as few transfers as the greedy match gives: the one
+ * who owes most pays the one owed most, until everyone is even.
+ * @param {Array<{name: string, balance: number}>} balances - From computeBalances().
+ * @returns {Array<{from: string, to: string, amount: number}>} In CHF.
+ */
+export function settleBalances(balances) {
+    const debtors = balances.filter(person => person.balance < -SETTLED_CHF).map(person => ({ name: person.name, amount: -person.balance }));
+    const creditors = balances.filter(person => person.balance > SETTLED_CHF).map(person => ({ name: person.name, amount: person.balance }));
+    const transfers = [];
+
+    while (debtors.length && creditors.length) {
+        debtors.sort((a, b) => b.amount - a.amount);
+        creditors.sort((a, b) => b.amount - a.amount);
+        const debtor = debtors[0];
+        const creditor = creditors[0];
+        const amount = Math.min(debtor.amount, creditor.amount);
+        transfers.push({ from: debtor.name, to: creditor.name, amount: roundMoney(amount) });
+        debtor.amount -= amount;
+        creditor.amount -= amount;
+        if (debtor.amount <= SETTLED_CHF) debtors.shift();
+        if (creditor.amount <= SETTLED_CHF) creditors.shift();
+    }
+    return transfers;
+}
+
+const csvField = value => {
+    const text = value == null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * The expenses as CSV, with a byte order mark so spreadsheet apps read the Hebrew correctly.
+ * @param {Array} expenses
+ * @param {Object} options
+ * @param {Object<string, number>} options.rates
+ * @param {Array} [options.itinerary] - itineraryData, for day names.
+ * @returns {string}
+ */
+export function expensesToCsv(expenses, { rates, itinerary = [] }) {
+    const dayName = day => itinerary.find(entry => String(entry.day) === String(day))?.dayName || (day ? `יום ${day}` : '');
+    const rows = [
+        ['תאריך', 'יום', 'קטגוריה', 'תיאור', 'סכום', 'מטבע', 'סכום ב-CHF', 'שילם/ה', 'משתתפים', 'קבלה'],
+        ...(expenses || []).map(expense => [
+            expense.date || '',
+            dayName(expense.day),
+            EXPENSE_CATEGORIES[expense.category] || expense.category || '',
+            expense.description || '',
+            expense.amount,
+            expense.currency || CONFIG.BUDGET.CURRENCY,
+            getExpenseAmount(expense, rates).toFixed(2),
+            expense.payer,
+            (expense.participants || []).join(', '),
+            expense.receipt?.url || ''
+        ])
+    ];
+    return `\uFEFF${rows.map(row => row.map(csvField).join(',')).join('\r\n')}\r\n`;
+}
@@ -0,0 +1,72 @@
+/**
+ * Firestore Data Store
+ * The DataStore (see data-store.js) used when Firebase is available. Reads go straight to
+ * Firestore; every write goes through the offline sync queue, so it also works before
+ * Firebase is initialized or while offline.
+ */
+
+import { doc, collection, getDoc, getDocs, query, where, orderBy, limit, onSnapshot } from "https://www.gstatic.com/firebasejs/10.12.2/firebase-firestore.js";
+import { ref, uploadBytes, getDownloadURL } from "https://www.gstatic.com/firebasejs/10.12.2/firebase-storage.js";
+import { enqueueMutation, flushQueue, fieldOps } from './sync-queue.js';
+
+/**
+ * @param {Firestore|null} db - null until Firebase is initialized; writes are queued meanwhile.
+ * @param {FirebaseStorage|null} storage
+ * @returns {DataStore}
+ */
+export function createFirestoreStore(db, storage) {
+    return {
+        kind: 'firestore',
+
+        async get(path) {
+            const snapshot = await getDoc(doc(db, path));
+            return snapshot.exists() ? snapshot.data() : null;
+        },
+
+        async list(collectionPath, { where: filter } = {}) {
+            const itemsRef = collection(db, collectionPath);
+            const snapshot = await getDocs(filter ? query(itemsRef, where(...filter)) : itemsRef);
+            return snapshot.docs.map(itemDoc => ({ id: itemDoc.id, ...itemDoc.data() }));
+        },
+
+        subscribe(path, onData, onError) {
+            return onSnapshot(doc(db, path), { includeMetadataChanges: false },
+                (snapshot) => onData(snapshot.exists() ? snapshot.data() : null, { fromCache: snapshot.metadata.fromCache }),
+                onError);
+        },
+
+        subscribeCollection(collectionPath, { limit: maxItems = 50 } = {}, onItems, onError) {
+            const itemsQuery = query(collection(db, collectionPath), orderBy('createdAt', 'desc'), limit(maxItems));
+            return onSnapshot(itemsQuery,
+                // Pending local writes have no server time yet - estimate it so they sort correctly
+                (snapshot) => onItems(snapshot.docs.map(itemDoc => ({ id: itemDoc.id, ...itemDoc.data({ serverTimestamps: 'estimate' }) }))),
+                onError);
+        },
+
+        set(path, data, { merge = false, label = '' } = {}) {
+            return enqueueMutation({ op: 'set', path, data, merge, label });
+        },
+
+        update(path, fields, { base = null, label = '' } = {}) {
+            return enqueueMutation({ op: 'update', path, data: fields, base, label });
+        },
+
+        arrayAppend(path, field, value, options) {
+            return this.update(path, { [field]: fieldOps.arrayUnion(value) }, options);
+        },
+
+        remove(path, { label = '' } = {}) {
+            return enqueueMutation({ op: 'delete', path, label });
+        },
+
+        async upload(storagePath, file) {
+            const fileRef = ref(storage, storagePath);
+            await uploadBytes(fileRef, file);
+            return getDownloadURL(fileRef);
+        },
+
+        flush() {
+            return flushQueue();
+        }
+    };
+}
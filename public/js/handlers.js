@@ -1,10 +1,21 @@
-import { currentData, setCurrentCategoryFilter, setCurrentTimeFilter, appId, db, userId, addNewlyAddedItem, storage } from './Main.js';
-import { openModal, closeModal, goBackModal, closeAllModals, sanitizeHTML, familyLoader } from './utils.js';
+import { currentData, activitySearch, setActivitySearch, setActivityFilter, appId, auth, userId, addNewlyAddedItem, dataStore, getTripDocPath, setEditingItemId, itineraryEditing, setItineraryEditing } from './Main.js';
+import { openModal, closeModal, goBackModal, closeAllModals, sanitizeHTML, familyLoader, downloadBlob } from './utils.js';
 import { callGeminiWithParts } from './Gemini.js';
-import { populateFlightDetails, populateHotelDetails, renderPackingGuide, renderActivities, populateFamilyDetails, populateNearbyLocations, renderPhotoAlbum, renderBulletinBoard, renderFamilyMemories, renderInteractivePackingList, renderPackingPhotosGallery, familyToast } from './ui.js';
+import { populateFlightDetails, populateHotelDetails, renderPackingGuide, renderActivities, populateFamilyDetails, populateNearbyLocations, renderPhotoAlbum, renderBulletinBoard, renderFamilyMemories, renderInteractivePackingList, renderPackingPhotosGallery, renderTripSelector, renderMembersPanel, renderInviteResult, renderComponentsFor, renderActivityFeed, renderSwapActivityModal, renderRoutineEditor, renderDayRoutinePlan, renderCustomPlanPreview, renderBudgetPanel, renderExpenses, familyToast } from './ui.js';
+import { listTrips, createTrip, setTripArchived, switchTrip } from './trips.js';
+import { exportTrip, importTrip } from './trip-archive.js';
+import { logActivity } from './activity-log.js';
+import { PLAN_TITLES, findItineraryDay, getTripStartDate, getTripDayDate, formatDateKey, getDayItems, rankSwapCandidates, swapPlanItem, replacePlanItem, moveItineraryItem, addPlanItem, removePlanItem, setPlanItemTime, addItineraryDay, removeItineraryDay, renumberDayEntries, parseAiDayPlan, applyAiDayPlan } from './itinerary.js';
+import { getFamilyRoutine, planDay, describeChildren, describeRoutine } from './routine.js';
+import { buildTripCalendar, getZonedClock } from './calendar.js';
+import { renderDaySheet, renderTripBooklet } from './print.js';
+import { formatMoney, getTripBudget } from './budget.js';
+import { EXPENSE_CATEGORIES, expensesToCsv } from './expenses.js';
+import { DEFAULT_ACTIVITY_SEARCH, getActivitySearchUrl } from './activity-search.js';
+import { addTripItem, updateTripItem, moveTripItem, deleteTripItem, restoreTripItem, loadMoreTripItems, TRIP_COLLECTIONS } from './trip-collections.js';
+import { fieldOps } from './sync-queue.js';
+import { ROLES, hasPermission, getCurrentMember, getMembersPath, setMemberRole, saveRosterAccess, normalizeEmail, sendEmailSignInLink, signInWithPasscode, signOutMember, createInvite, listActiveInvites, revokeInvite, redeemInvite, getInviteLink, clearPendingInvite } from './members.js';
 import { VERSION } from './version.js';
-import { doc, updateDoc, arrayUnion, arrayRemove, serverTimestamp } from "https://www.gstatic.com/firebasejs/10.12.2/firebase-firestore.js";
-import { ref, uploadBytes, getDownloadURL } from "https://www.gstatic.com/firebasejs/10.12.2/firebase-storage.js";
 
 // Import new modules for enhanced functionality
 import { AnimationManager } from './animations.js';
@@ -186,6 +197,8 @@ export function handleFlowError(error, context) {
     flowManager.handleError(error, context);
 }
 
+const ITINERARY_DRAG_EVENTS = ['dragstart', 'dragover', 'dragleave', 'drop', 'dragend'];
+
 // This is the single entry point for activating all interactive elements on the page.
 export function setupEventListeners() {
     // A single master listener is more efficient than attaching many individual ones.
@@ -200,12 +213,16 @@ export function setupEventListeners() {
     // Remove any existing listeners first to prevent duplicates
     document.body.removeEventListener('click', handleDelegatedClicks);
     document.body.removeEventListener('change', handleDelegatedChanges);
+    document.body.removeEventListener('input', handleDelegatedInputs);
     document.body.removeEventListener('keydown', handleDelegatedKeydowns);
+    ITINERARY_DRAG_EVENTS.forEach(type => document.body.removeEventListener(type, handleItineraryDrag));
     
     // Add the listeners
     document.body.addEventListener('click', handleDelegatedClicks);
     document.body.addEventListener('change', handleDelegatedChanges);
+    document.body.addEventListener('input', handleDelegatedInputs);
     document.body.addEventListener('keydown', handleDelegatedKeydowns);
+    ITINERARY_DRAG_EVENTS.forEach(type => document.body.addEventListener(type, handleItineraryDrag));
     
     // Mark as attached to prevent duplicates
     document.body.dataset.listenersAttached = 'true';
@@ -391,11 +408,17 @@ function handleDelegatedClicks(e) {
     }
     
     // Handle delete actions
-    if (target.classList.contains('delete-note') || target.classList.contains('delete-memory') || target.classList.contains('delete-packing-item')) {
+    if (target.classList.contains('delete-note') || target.classList.contains('delete-memory') || target.classList.contains('delete-expense') || target.classList.contains('delete-packing-item')) {
         handleDeleteAction(target);
         return;
     }
     
+    // Edit, pin and move notes and memories
+    if (target.matches('.edit-trip-item, .save-trip-item-edit, .cancel-trip-item-edit, .pin-trip-item, .move-trip-item')) {
+        handleTripItemAction(target);
+        return;
+    }
+    
     // Only continue with button logic if target is actually a button
     if (!target.matches('button')) return;
 
@@ -450,6 +473,69 @@ function handleDelegatedClicks(e) {
             `;
         }
     }
+    if (target.classList.contains('nav-trips-btn')) {
+        console.log('🧳 Trips button clicked');
+        openModal('trips-modal', () => loadTripSelector());
+    }
+
+    // --- Trip Management ---
+    if (target.classList.contains('switch-trip-btn')) {
+        switchTrip(target.dataset.tripId);
+    }
+    if (target.classList.contains('archive-trip-btn')) {
+        handleArchiveTrip(target.dataset.tripId, true);
+    }
+    if (target.classList.contains('restore-trip-btn')) {
+        handleArchiveTrip(target.dataset.tripId, false);
+    }
+    if (target.id === 'toggle-archived-trips-btn') {
+        showArchivedTrips = !showArchivedTrips;
+        renderTripSelector(loadedTrips, { activeTripId: appId, showArchived: showArchivedTrips });
+    }
+    if (target.id === 'create-trip-btn') {
+        handleCreateTrip(target);
+    }
+    if (target.id === 'export-trip-btn') {
+        handleExportTrip(target);
+    }
+
+    // --- Activity feed ---
+    if (target.classList.contains('nav-activity-btn')) {
+        openModal('activity-modal', () => renderActivityFeed());
+    }
+    if (target.classList.contains('activity-filter-btn')) {
+        setActivityFilter({ category: target.dataset.category });
+        renderActivityFeed();
+    }
+
+    // --- Members ---
+    if (target.classList.contains('nav-member-btn')) {
+        openModal('members-modal', () => loadMembersPanel());
+    }
+    if (target.id === 'send-sign-in-link-btn') {
+        handleSendSignInLink(target);
+    }
+    if (target.id === 'passcode-sign-in-btn') {
+        handlePasscodeSignIn(target);
+    }
+    if (target.id === 'member-sign-out-btn') {
+        handleSignOut();
+    }
+    if (target.classList.contains('save-roster-entry-btn')) {
+        handleSaveRosterEntry(target);
+    }
+    if (target.id === 'redeem-invite-btn') {
+        handleRedeemInviteCode();
+    }
+    if (target.id === 'create-invite-btn') {
+        handleCreateInvite(target);
+    }
+    if (target.id === 'copy-invite-link-btn') {
+        handleCopyInviteLink();
+    }
+    if (target.classList.contains('revoke-invite-btn')) {
+        handleRevokeInvite(target);
+    }
 
     // --- General UI Logic ---
     // Skip close button logic if this is the mobile menu button
@@ -488,9 +574,15 @@ function handleDelegatedClicks(e) {
     if(target.id === 'generate-custom-plan-btn') {
         handleGenerateCustomPlan();
     }
+    if (target.id === 'apply-custom-plan-btn') {
+        handleApplyCustomPlan();
+    }
     if(target.id === 'load-more-btn') {
         handleLoadMoreActivities();
     }
+    if(target.classList.contains('load-more-items-btn')) {
+        loadMoreTripItems(target.dataset.collection);
+    }
     // Removed call to undefined handleActivityCardClick
     if(target.id === 'chat-send-btn') {
         handleChatSend();
@@ -540,10 +632,67 @@ function handleDelegatedClicks(e) {
             initFullscreenMap();
         }, 200);
     }
+    if (target.id === 'toggle-itinerary-editor-btn') {
+        toggleItineraryEditor();
+    }
+    if (target.id === 'open-routine-btn') {
+        openModal('routine-modal', () => renderRoutineEditor());
+    }
+    if (target.matches('#add-routine-child-btn, .remove-routine-child-btn')) {
+        handleRoutineChildChange(target);
+    }
+    if (target.id === 'save-routine-btn') {
+        handleSaveRoutine();
+    }
+    if (target.id === 'open-budget-btn') {
+        openModal('budget-modal', () => renderBudgetPanel());
+    }
+    if (target.id === 'save-budget-btn') {
+        handleSaveBudget();
+    }
+    if (target.id === 'open-expenses-btn') {
+        openModal('expenses-modal', () => renderExpenses());
+    }
+    if (target.id === 'add-expense-btn') {
+        handleAddExpense(target);
+    }
+    if (target.id === 'export-expenses-csv-btn') {
+        handleExportExpensesCsv();
+    }
+    if (target.classList.contains('plan-day-routine-btn')) {
+        handlePlanDayByRoutine(target);
+    }
+    if (target.classList.contains('apply-routine-times-btn')) {
+        handleApplyRoutineTimes(target);
+    }
+    if (target.id === 'export-calendar-btn') {
+        handleExportCalendar(null);
+    }
+    if (target.classList.contains('export-day-calendar-btn')) {
+        handleExportCalendar(target.dataset.dayIndex);
+    }
+    if (target.classList.contains('weather-plan-override-btn')) {
+        handleWeatherPlanOverride(target);
+    }
+    if (target.id === 'print-booklet-btn') {
+        handlePrint(null);
+    }
+    if (target.classList.contains('print-day-btn')) {
+        handlePrint(target.dataset.dayIndex);
+    }
+    if (target.matches('#add-itinerary-day-btn, .remove-itinerary-day-btn, .add-itinerary-item-btn, .remove-itinerary-item-btn, .move-itinerary-item-btn')) {
+        handleItineraryEditorClick(target);
+    }
     if(target.classList.contains('swap-activity-btn')) {
         console.log('🔄 Swap activity button detected in click handler');
         handleSwapActivity(target);
     }
+    if (target.matches('.swap-target-option, .swap-change-target-btn')) {
+        handleSwapTarget(target);
+    }
+    if (target.classList.contains('activity-swap-option')) {
+        confirmActivitySwap(target.dataset.activityId);
+    }
     if(target.id === 'daily-special-ai-btn') {
         handleDailySpecialAI();
     }
@@ -553,21 +702,15 @@ function handleDelegatedClicks(e) {
     if(target.id === 'chat-attach-btn') {
         document.getElementById('chat-image-input').click();
     }
-    if(target.classList.contains('btn-filter')) {
-        // Handle category filters
-        if (target.dataset.filter) {
-            document.querySelectorAll('.btn-filter[data-filter]').forEach(btn => btn.classList.remove('active'));
-            target.classList.add('active');
-            setCurrentCategoryFilter(target.dataset.filter);
-            renderActivities();
-        }
-        // Handle time filters
-        if (target.dataset.timeFilter) {
-            document.querySelectorAll('.btn-filter[data-time-filter]').forEach(btn => btn.classList.remove('active'));
-            target.classList.add('active');
-            setCurrentTimeFilter(target.dataset.timeFilter);
-            renderActivities();
-        }
+    if(target.classList.contains('btn-filter') && target.dataset.facet) {
+        handleToggleActivityFacet(target);
+    }
+    if(target.id === 'clear-activity-search-btn') {
+        setActivitySearch(DEFAULT_ACTIVITY_SEARCH);
+        renderActivities();
+    }
+    if(target.id === 'share-activity-search-btn') {
+        handleShareActivitySearch();
     }
     if(target.classList.contains('remove-item-btn')) {
         handleRemovePackingItem(target);
@@ -578,70 +721,154 @@ function handleDelegatedClicks(e) {
 function handleDelegatedChanges(e) {
     if (e.target.id === 'image-upload-input') handleImageUpload(e);
     if (e.target.id === 'photo-upload-input') handlePhotoUpload();
+    if (e.target.id === 'import-trip-input') handleImportTrip(e.target);
     if (e.target.matches('.form-checkbox')) handlePackingItemToggle(e);
+    if (e.target.matches('.member-role-select')) handleMemberRoleChange(e.target);
+    if (e.target.matches('.itinerary-time-input, .itinerary-move-select')) handleItineraryEditorChange(e.target);
+    if (e.target.id === 'custom-plan-target' && pendingCustomPlan) {
+        renderCustomPlanPreview(document.getElementById('custom-plan-result'), pendingCustomPlan.plan, e.target.value || null);
+    }
+    if (e.target.id === 'activity-sort-select') {
+        setActivitySearch({ sort: e.target.value });
+        renderActivities();
+    }
+    if (e.target.id === 'activity-actor-filter') {
+        setActivityFilter({ actor: e.target.value });
+        renderActivityFeed();
+    }
     // Packing checkboxes are now handled in setupPackingInteractiveElements in ui.js
 }
 
+// Typing in search boxes; the activity search waits for a pause before filtering
+let activitySearchTimer = null;
+function handleDelegatedInputs(e) {
+    if (e.target.id === 'activity-search-input') {
+        clearTimeout(activitySearchTimer);
+        activitySearchTimer = setTimeout(() => {
+            setActivitySearch({ query: e.target.value.trim() });
+            renderActivities();
+        }, 250);
+    }
+}
+
+// --- Activity search ---
+
+function handleToggleActivityFacet(button) {
+    const { facet, value } = button.dataset;
+    if (facet === 'openNow') {
+        setActivitySearch({ openNow: !activitySearch.openNow });
+    } else {
+        const values = activitySearch[facet] || [];
+        setActivitySearch({ [facet]: values.includes(value) ? values.filter(existing => existing !== value) : [...values, value] });
+    }
+    window.displayedActivitiesCount = 6;
+    renderActivities();
+}
+
+async function handleShareActivitySearch() {
+    const link = getActivitySearchUrl(activitySearch, window.location.href);
+    try {
+        if (navigator.share) {
+            await navigator.share({ title: 'פעילויות בז\'נבה', url: link });
+            return;
+        }
+        await navigator.clipboard.writeText(link);
+        familyToast.success('הקישור לחיפוש הועתק 📋');
+    } catch (error) {
+        if (error.name === 'AbortError') return;
+        console.warn('Could not share the search:', error);
+        familyToast.info(link);
+    }
+}
+
 // Removed duplicate handleAiRequest function - using the one below with better error handling
 
 async function handleImageUpload(event) {
     const files = Array.from(event.target.files);
-    if (!files.length || !userId) return;
-
-    const publicDataRef = doc(db, `artifacts/${appId}/public/genevaGuide`);
+    if (!files.length || !userId || !canEdit()) return;
 
     for (const file of files) {
         const timestamp = Date.now();
-        const storageRef = ref(storage, `trip-photos/${userId}/${timestamp}-${file.name}`);
-        await uploadBytes(storageRef, file);
-        const url = await getDownloadURL(storageRef);
-        await updateDoc(publicDataRef, { 
-            photoAlbum: arrayUnion({ url, uploadedAt: timestamp, owner: userId })
-        });
+        const url = await dataStore.upload(`trip-photos/${appId}/${userId}/${timestamp}-${file.name}`, file);
+        await addTripItem('photoAlbum', { url, timestamp, uploadedBy: userId });
     }
+    logActivity('photo.add', { count: files.length });
 }
 
 async function handlePostBulletinMessage() {
     const input = document.getElementById('bulletin-input');
     const text = input.value.trim();
-    if (!text) return;
+    if (!text || !canEdit()) return;
 
-    const publicDataRef = doc(db, `artifacts/${appId}/public/genevaGuide`);
-    const newMessage = { text, timestamp: serverTimestamp() };
-    
-    await updateDoc(publicDataRef, { bulletinBoard: arrayUnion(newMessage) });
-    addNewlyAddedItem(`${text}-${newMessage.timestamp}`);
+    const newMessage = await addTripItem('bulletinBoard', { content: text, timestamp: Date.now() });
+    logActivity('note.add', { target: text });
+    addNewlyAddedItem(newMessage.id);
+    renderBulletinBoard();
     input.value = '';
 }
 
 async function handlePackingItemToggle(event) {
     const { category, name } = event.target.dataset;
     const isChecked = event.target.checked;
-    const publicDataRef = doc(db, `artifacts/${appId}/public/genevaGuide`);
+    if (!canEdit()) {
+        event.target.checked = !isChecked;
+        return;
+    }
+    const fieldPath = `packingListData.${category}`;
+    const previousItems = currentData.packingListData[category];
     
-    const updatedItems = currentData.packingListData[category].map(item => 
+    const updatedItems = previousItems.map(item => 
         item.name === name ? { ...item, checked: isChecked } : item
     );
+    currentData.packingListData[category] = updatedItems;
 
-    await updateDoc(publicDataRef, {
-        [`packingListData.${category}`]: updatedItems
+    logActivity(isChecked ? 'packing.check' : 'packing.uncheck', { target: name });
+    await dataStore.update(getTripDocPath(), { [fieldPath]: updatedItems }, {
+        base: { [fieldPath]: previousItems },
+        label: `סימון "${name}" ברשימת האריזה`
     });
 }
 
 async function handleRemovePackingItem(button) {
     const { category, name } = button.dataset;
-    const publicDataRef = doc(db, `artifacts/${appId}/public/genevaGuide`);
+    if (!canEdit()) return;
 
     const itemToRemove = currentData.packingListData[category].find(item => item.name === name);
 
     if (itemToRemove) {
-        await updateDoc(publicDataRef, {
-            [`packingListData.${category}`]: arrayRemove(itemToRemove)
+        currentData.packingListData[category] = currentData.packingListData[category].filter(item => item !== itemToRemove);
+        logActivity('packing.remove', { target: name });
+        await dataStore.update(getTripDocPath(), { [`packingListData.${category}`]: fieldOps.arrayRemove(itemToRemove) }, {
+            label: `הסרת "${name}" מרשימת האריזה`
         });
     }
 }
 
 // Handle custom plan generation
+// AI day plan shown in the preview and not yet put into the itinerary ({ prompt, plan })
+let pendingCustomPlan = null;
+
+// Asks for the day as JSON, so it can be previewed, checked and saved into the itinerary
+function buildCustomPlanPrompt(request, routine, activities) {
+    const known = activities.map(activity => `- ${activity.id}: ${activity.name} (${[activity.category, activity.duration].filter(Boolean).join(', ')})`).join('\n');
+    return `צור תוכנית ליום אחד בטיול משפחתי בז'נבה עם ${describeChildren(routine)} בהתבסס על הבקשה: "${request}".
+${describeRoutine(routine)}
+
+פעילויות שכבר במדריך (מזהה: שם):
+${known}
+
+החזר JSON בלבד, במבנה הזה:
+{
+  "title": "כותרת קצרה ליום",
+  "items": [
+    { "time": "09:30", "activityId": "מזהה של פעילות מהרשימה" },
+    { "time": "12:00", "description": "ארוחת צהריים בפארק" },
+    { "time": "14:00", "newActivity": { "name": "שם", "category": "קטגוריה", "address": "כתובת", "lat": 46.2, "lon": 6.15, "duration": "שעה", "time": 20, "transport": "איך מגיעים", "cost": "מחיר", "whatToBring": ["מה לקחת"] } }
+  ]
+}
+העדיפו פעילויות מהרשימה. פעילות חדשה חייבת קואורדינטות, ו-"time" שלה הוא זמן הנסיעה מהמלון בדקות.`;
+}
+
 async function handleGenerateCustomPlan() {
     const input = document.getElementById('custom-plan-prompt');
     const resultDiv = document.getElementById('custom-plan-result');
@@ -655,39 +882,31 @@ async function handleGenerateCustomPlan() {
     resultDiv.innerHTML = '<div class="text-center"><div class="loader inline-block"></div><p class="mt-2">יוצר תוכנית מותאמת אישית...</p></div>';
     
     try {
+        const activities = currentData.activitiesData || [];
         const response = await callGeminiWithParts([
-            `צור תוכנית יומית מפורטת לטיול משפחתי בז'נבה עם ילדים בני 2 ו-3 בהתבסס על הבקשה: "${prompt}". 
-            כלול המלצות ספציפיות, זמני נסיעה, ועצות מעשיות להורים.`
+            buildCustomPlanPrompt(prompt, getFamilyRoutine(currentData), activities)
         ], 'pro'); // Use Pro model for complex planning
+        const plan = parseAiDayPlan(response, activities);
+        pendingCustomPlan = { prompt, plan };
+        renderCustomPlanPreview(resultDiv, plan);
         
-        // Save custom plan to Firebase
+        // Keep the plan with the trip (viewers still get the preview, it just is not kept)
         const customPlanData = {
             prompt: prompt,
-            response: response,
+            plan: plan,
             timestamp: Date.now()
         };
-        
-        // Update local state
         if (!currentData.customPlans) currentData.customPlans = [];
         currentData.customPlans.unshift(customPlanData);
-        
-        // Save to Firebase for persistence
         try {
-            const publicDataRef = doc(db, `artifacts/${appId}/public/genevaGuide`);
-            await updateDoc(publicDataRef, { 
-                customPlans: arrayUnion(customPlanData)
-            });
+            if (hasPermission('edit')) {
+                await dataStore.arrayAppend(getTripDocPath(), 'customPlans', customPlanData, { label: 'תוכנית מותאמת' });
+                logActivity('plan.add', { target: prompt });
+            }
         } catch (error) {
             console.warn('Failed to save custom plan to Firebase:', error);
         }
         
-        resultDiv.innerHTML = `
-            <div class="bg-white p-6 rounded-xl shadow-lg border border-accent mt-4">
-                <h3 class="text-lg font-bold mb-4 text-accent">התוכנית המותאמת שלכם 🎯</h3>
-                <div class="prose text-gray-700">${response}</div>
-            </div>
-        `;
-        
         // Clear input after successful generation
         input.value = '';
         
@@ -697,6 +916,45 @@ async function handleGenerateCustomPlan() {
     }
 }
 
+// Puts the previewed plan into the itinerary as a new day or in place of the chosen one
+async function handleApplyCustomPlan() {
+    if (!pendingCustomPlan || !canEdit()) return;
+    const { plan } = pendingCustomPlan;
+    const targetDay = document.getElementById('custom-plan-target')?.value || null;
+    const replaced = targetDay === null ? null : findItineraryDay(currentData.itineraryData, targetDay);
+    if (replaced && getDayItems(replaced).length && !confirm(`להחליף את התוכנית העיקרית של ${replaced.dayName}?`)) return;
+
+    let itineraryData;
+    try {
+        itineraryData = applyAiDayPlan(currentData.itineraryData || [], plan, targetDay);
+    } catch (error) {
+        // The day was removed on another device since the preview was shown
+        console.warn('⚠️ Custom plan no longer applies:', error);
+        familyToast.warning('התוכנית השתנתה בינתיים - נסו שוב');
+        renderCustomPlanPreview(document.getElementById('custom-plan-result'), plan);
+        return;
+    }
+    const day = targetDay === null ? itineraryData[itineraryData.length - 1] : findItineraryDay(itineraryData, targetDay);
+    const label = `תוכנית מותאמת ב${day.dayName}`;
+
+    // New activities join the guide along with the day that uses them
+    const base = { itineraryData: currentData.itineraryData };
+    const fields = { itineraryData };
+    if (plan.newActivities.length) {
+        base.activitiesData = currentData.activitiesData;
+        fields.activitiesData = [...(currentData.activitiesData || []), ...plan.newActivities];
+    }
+    Object.assign(currentData, fields);
+    pendingCustomPlan = null;
+    document.getElementById('custom-plan-result').innerHTML = '';
+    renderComponentsFor(Object.keys(fields));
+    familyToast.success(`התוכנית נוספה למסלול - ${day.dayName} 🗓️`);
+    logActivity('plan.edit', { target: label });
+
+    await dataStore.update(getTripDocPath(), fields, { base, label })
+        .catch(error => handleFlowError(error, 'שמירת התוכנית'));
+}
+
 // Handle load more activities
 export async function handleLoadMoreActivities() {
     const currentDisplayed = window.displayedActivitiesCount || 6;
@@ -744,10 +1002,8 @@ async function generateMoreActivitiesWithGemini() {
     
     try {
         // Get current filter context
-        const currentCategory = window.currentCategoryFilter && window.currentCategoryFilter !== 'all' ? 
-                              window.currentCategoryFilter : 'כל הקטגוריות';
-        const currentTime = window.currentTimeFilter && window.currentTimeFilter !== 'all' ? 
-                           window.currentTimeFilter : 'כל משכי הזמן';
+        const currentCategory = activitySearch.categories.join(', ') || 'כל הקטגוריות';
+        const currentTime = activitySearch.times.join(', ') || 'כל משכי הזמן';
         
         // Build context from existing activities for better suggestions
         const existingCategories = [...new Set(currentData.activitiesData?.map(a => a.category) || [])];
@@ -899,16 +1155,9 @@ async function handleChatSend() {
         timestamp: Date.now()
     };
     
-    // Update local state
-    if (!currentData.chatMessages) currentData.chatMessages = [];
-    currentData.chatMessages.push(userMessageData);
-    
     // Save to Firebase for persistence
     try {
-        const publicDataRef = doc(db, `artifacts/${appId}/public/genevaGuide`);
-        await updateDoc(publicDataRef, { 
-            chatMessages: arrayUnion(userMessageData)
-        });
+        if (hasPermission('edit')) await addTripItem('chatMessages', userMessageData);
     } catch (error) {
         console.warn('Failed to save user message to Firebase:', error);
     }
@@ -933,15 +1182,9 @@ async function handleChatSend() {
             timestamp: Date.now()
         };
         
-        // Update local state
-        currentData.chatMessages.push(botMessageData);
-        
         // Save to Firebase for persistence
         try {
-            const publicDataRef = doc(db, `artifacts/${appId}/public/genevaGuide`);
-            await updateDoc(publicDataRef, { 
-                chatMessages: arrayUnion(botMessageData)
-            });
+            if (hasPermission('edit')) await addTripItem('chatMessages', botMessageData);
         } catch (error) {
             console.warn('Failed to save bot message to Firebase:', error);
         }
@@ -1087,6 +1330,7 @@ async function handleAiRequest(type, event) {
     try {
         let prompt = '';
         let modalTitle = '';
+        const routine = getFamilyRoutine(currentData);
         
         switch (type) {
             case 'whatToWear':
@@ -1094,7 +1338,7 @@ async function handleAiRequest(type, event) {
                 modalTitle = 'המלצות לבוש להיום';
                 break;
             case 'plan':
-                prompt = 'תכנן לי בוקר מפורט לטיול משפחתי בז\'נבה עם ילדים בני 2 ו-3. כלול המלצות זמנים, פעילויות, וטיפים מעשיים.';
+                prompt = `תכנן לי בוקר מפורט לטיול משפחתי בז'נבה עם ${describeChildren(routine)}. כלול המלצות זמנים, פעילויות, וטיפים מעשיים.\n${describeRoutine(routine)}`;
                 modalTitle = 'תוכנית הבוקר שלכם';
                 break;
             case 'summary':
@@ -1102,7 +1346,7 @@ async function handleAiRequest(type, event) {
                 modalTitle = 'הסיכום לילדים';
                 break;
             case 'story':
-                prompt = 'כתב סיפור קצר ומתוק לילדים בני 2-3 על הרפתקאות בז\'נבה. הסיפור צריך להיות מרגיע ומתאים לפני השינה.';
+                prompt = `כתב סיפור קצר ומתוק עבור ${describeChildren(routine)} על הרפתקאות בז'נבה. הסיפור צריך להיות מרגיע ומתאים לפני השינה.`;
                 modalTitle = 'סיפור לילה טוב';
                 break;
             default:
@@ -1201,6 +1445,12 @@ function handleDelegatedKeydowns(e) {
         }
     }
     
+    // Enter key on an itinerary editor free-text input
+    if (e.target.classList?.contains('itinerary-free-text-input') && e.key === 'Enter') {
+        e.preventDefault();
+        e.target.parentElement.querySelector('.add-itinerary-item-btn')?.click();
+    }
+    
     // Enter key on bulletin note input
     if (e.target.id === 'bulletin-note-input' && e.key === 'Enter') {
         e.preventDefault();
@@ -1275,6 +1525,10 @@ async function handlePhotoUpload() {
     const files = input.files;
     
     if (files.length === 0) return;
+    if (!canEdit()) {
+        input.value = '';
+        return;
+    }
     
     // Show progress bar
     const progressContainer = document.getElementById('photo-upload-progress');
@@ -1294,7 +1548,7 @@ async function handlePhotoUpload() {
                 size: file.size,
                 type: file.type,
                 userId: userId,
-                storageAvailable: !!storage
+                store: dataStore.kind
             });
             
             // Check file size (max 10MB)
@@ -1310,12 +1564,11 @@ async function handlePhotoUpload() {
             // Upload to Firebase Storage
             const timestamp = Date.now();
             const fileName = `${timestamp}-${file.name.replace(/[^a-zA-Z0-9.-]/g, '_')}`;
-            const storageRef = ref(storage, `trip-photos/${userId}/${fileName}`);
+            const storagePath = `trip-photos/${appId}/${userId}/${fileName}`;
             
-            console.log('Uploading to storage path:', `trip-photos/${userId}/${fileName}`);
+            console.log('Uploading to storage path:', storagePath);
             
-            await uploadBytes(storageRef, file);
-            const url = await getDownloadURL(storageRef);
+            const url = await dataStore.upload(storagePath, file);
             
             console.log('Upload successful, URL:', url);
             
@@ -1326,15 +1579,9 @@ async function handlePhotoUpload() {
                 uploadedBy: userId
             };
             
-            // Update local state for immediate UI feedback
-            if (!currentData.photoAlbum) currentData.photoAlbum = [];
-            currentData.photoAlbum.push(photoData);
-            
-            // Save to Firebase for persistence
-            const publicDataRef = doc(db, `artifacts/${appId}/public/genevaGuide`);
-            await updateDoc(publicDataRef, { 
-                photoAlbum: arrayUnion(photoData)
-            });
+            // Save to the photos collection - its listener updates the album
+            await addTripItem('photoAlbum', photoData);
+            logActivity('photo.add');
             
             // Re-render photo album using correct import
             import(`./ui.js?v=${VERSION}`).then(({ renderPhotoAlbum }) => {
@@ -1372,7 +1619,7 @@ async function handlePhotoUpload() {
             };
             
             if (!currentData.photoAlbum) currentData.photoAlbum = [];
-            currentData.photoAlbum.push(photoData);
+            currentData.photoAlbum.unshift(photoData);
             
             import(`./ui.js?v=${VERSION}`).then(({ renderPhotoAlbum }) => {
                 renderPhotoAlbum();
@@ -1395,21 +1642,17 @@ function handleAddBulletinNote() {
     const input = document.getElementById('bulletin-note-input');
     const content = input.value.trim();
     
-    if (!content) return;
+    if (!content || !canEdit()) return;
     
     const noteData = {
         content: content,
         timestamp: Date.now()
     };
     
-    // Update local state
-    if (!currentData.bulletinBoard) currentData.bulletinBoard = [];
-    currentData.bulletinBoard.unshift(noteData);
-    // Attempt persistence (non-blocking)
-    try {
-        const publicDataRef = doc(db, `artifacts/${appId}/public/genevaGuide`);
-        updateDoc(publicDataRef, { bulletinBoard: arrayUnion(noteData) }).catch(() => {});
-    } catch (_) {}
+    // Persist (non-blocking) - the notes listener picks the pending write up immediately
+    addTripItem('bulletinBoard', noteData)
+        .catch(error => console.warn('Failed to save note:', error));
+    logActivity('note.add', { target: content });
     renderBulletinBoard();
     
     // Clear input
@@ -1428,6 +1671,7 @@ function handleAddMemory() {
         alert('אנא מלאו גם כותרת וגם תוכן לזיכרון');
         return;
     }
+    if (!canEdit()) return;
     
     const memoryData = {
         title: title,
@@ -1435,14 +1679,10 @@ function handleAddMemory() {
         timestamp: Date.now()
     };
     
-    // Update local state
-    if (!currentData.familyMemories) currentData.familyMemories = [];
-    currentData.familyMemories.unshift(memoryData);
-    // Attempt persistence (non-blocking)
-    try {
-        const publicDataRef = doc(db, `artifacts/${appId}/public/genevaGuide`);
-        updateDoc(publicDataRef, { familyMemories: arrayUnion(memoryData) }).catch(() => {});
-    } catch (_) {}
+    // Persist (non-blocking) - the memories listener picks the pending write up immediately
+    addTripItem('familyMemories', memoryData)
+        .catch(error => console.warn('Failed to save memory:', error));
+    logActivity('memory.add', { target: title });
     renderFamilyMemories();
     
     // Clear inputs
@@ -1455,7 +1695,7 @@ function handleAddPackingItem() {
     const input = document.getElementById('packing-item-input');
     const itemName = input.value.trim();
     
-    if (!itemName) return;
+    if (!itemName || !canEdit()) return;
     
     const packingItem = {
         name: itemName,
@@ -1466,11 +1706,11 @@ function handleAddPackingItem() {
     // Update local state
     if (!currentData.interactivePacking) currentData.interactivePacking = [];
     currentData.interactivePacking.push(packingItem);
-    // Attempt persistence (non-blocking)
-    try {
-        const publicDataRef = doc(db, `artifacts/${appId}/public/genevaGuide`);
-        updateDoc(publicDataRef, { interactivePacking: arrayUnion(packingItem) }).catch(() => {});
-    } catch (_) {}
+    // Persist through the data store (non-blocking)
+    dataStore.arrayAppend(getTripDocPath(), 'interactivePacking', packingItem, {
+        label: `הוספת "${itemName}" לרשימת האריזה`
+    }).catch(error => console.warn('Failed to save packing item:', error));
+    logActivity('packing.add', { target: itemName });
     renderInteractivePackingList();
     
     // Clear input
@@ -1478,24 +1718,96 @@ function handleAddPackingItem() {
 }
 
 
+// Activity log actions of notes, memories and expenses, e.g. 'note.edit'
+const TRIP_ITEM_ACTIVITY = { bulletinBoard: 'note', familyMemories: 'memory', expenses: 'expense' };
+
+function logTripItemActivity(key, change, item) {
+    if (!TRIP_ITEM_ACTIVITY[key]) return;
+    logActivity(`${TRIP_ITEM_ACTIVITY[key]}.${change}`, { target: item.title || item.content || item.description });
+}
+
+// Deletes a note, memory or expense and offers to bring back the exact record
+function deleteTripItemWithUndo(key, itemId, message) {
+    const item = (currentData[key] || []).find(existing => existing.id === itemId);
+    if (!item) return;
+
+    deleteTripItem(key, itemId)
+        .catch(error => console.warn(`Failed to delete ${key} item:`, error));
+    logTripItemActivity(key, 'delete', item);
+    renderComponentsFor([key]);
+
+    familyToast.undo(message, () => {
+        if ((currentData[key] || []).some(existing => existing.id === itemId)) return;
+        restoreTripItem(key, item)
+            .catch(error => console.warn(`Failed to restore ${key} item:`, error));
+        renderComponentsFor([key]);
+    });
+}
+
+// Inline editing, pinning and reordering of notes and memories (items are addressed by id)
+function handleTripItemAction(target) {
+    const key = target.dataset.collection;
+    const itemId = target.dataset.itemId;
+    const item = (currentData[key] || []).find(existing => existing.id === itemId);
+    if (!TRIP_COLLECTIONS[key] || !item || !canEdit()) return;
+
+    if (target.classList.contains('edit-trip-item')) {
+        setEditingItemId(itemId);
+    }
+
+    if (target.classList.contains('cancel-trip-item-edit')) {
+        setEditingItemId(null);
+    }
+
+    if (target.classList.contains('save-trip-item-edit')) {
+        const editor = target.closest('.trip-item-editor');
+        const titleInput = editor.querySelector('.trip-item-edit-title');
+        const fields = { content: editor.querySelector('.trip-item-edit-content').value.trim() };
+        if (titleInput) fields.title = titleInput.value.trim();
+
+        if (!fields.content || fields.title === '') {
+            familyToast.warning('אי אפשר לשמור טקסט ריק');
+            return;
+        }
+
+        setEditingItemId(null);
+        updateTripItem(key, itemId, { ...fields, editedAt: Date.now() })
+            .catch(error => console.warn(`Failed to edit ${key} item:`, error));
+        logTripItemActivity(key, 'edit', { ...item, ...fields });
+    }
+
+    if (target.classList.contains('pin-trip-item')) {
+        updateTripItem(key, itemId, { pinned: !item.pinned }, {
+            label: `${item.pinned ? 'ביטול הצמדת' : 'הצמדת'} ${TRIP_COLLECTIONS[key].label}`
+        }).catch(error => console.warn(`Failed to pin ${key} item:`, error));
+        if (!item.pinned) logTripItemActivity(key, 'pin', item);
+    }
+
+    if (target.classList.contains('move-trip-item')) {
+        moveTripItem(key, itemId, Number(target.dataset.direction))
+            .catch(error => console.warn(`Failed to move ${key} item:`, error));
+    }
+
+    renderComponentsFor([key]);
+}
+
 // Handle delete actions for dynamic content
 function handleDeleteAction(target) {
+    if (!canEdit()) return;
+    
     // Delete bulletin note
     if (target.classList.contains('delete-note')) {
-        const noteIndex = parseInt(target.dataset.noteIndex);
-        if (currentData.bulletinBoard) {
-            currentData.bulletinBoard.splice(noteIndex, 1);
-            renderBulletinBoard();
-        }
+        deleteTripItemWithUndo('bulletinBoard', target.dataset.itemId, 'הפתק נמחק');
     }
     
     // Delete memory
     if (target.classList.contains('delete-memory')) {
-        const memoryIndex = parseInt(target.dataset.memoryIndex);
-        if (currentData.familyMemories) {
-            currentData.familyMemories.splice(memoryIndex, 1);
-            renderFamilyMemories();
-        }
+        deleteTripItemWithUndo('familyMemories', target.dataset.itemId, 'הזיכרון נמחק');
+    }
+
+    // Delete expense
+    if (target.classList.contains('delete-expense')) {
+        deleteTripItemWithUndo('expenses', target.dataset.itemId, 'ההוצאה נמחקה');
     }
     
     // Delete packing item
@@ -1516,7 +1828,13 @@ function handleDeleteAction(target) {
             if (photo.objectURL) {
                 URL.revokeObjectURL(photo.objectURL);
             }
-            currentData.photoAlbum.splice(photoIndex, 1);
+            if (photo.id) {
+                deleteTripItem('photoAlbum', photo.id)
+                    .catch(error => console.warn('Failed to delete photo:', error));
+                logActivity('photo.delete');
+            } else {
+                currentData.photoAlbum.splice(photoIndex, 1);
+            }
             renderPhotoAlbum();
         }
     }
@@ -1589,7 +1907,7 @@ function initFullscreenMap() {
                 });
                 
                 L.marker([activity.lat, activity.lon], {icon: icon})
-                    .bindPopup(`<strong>${activity.name}</strong><br/>${activity.description}`)
+                    .bindPopup(`<strong>${sanitizeHTML(activity.name)}</strong><br/>${sanitizeHTML(activity.description)}`)
                     .addTo(fullscreenMap);
             }
         });
@@ -1601,113 +1919,452 @@ function initFullscreenMap() {
     }, 100);
 }
 
-export function handleSwapActivity(button) {
-    console.log('🔄 Swap activity button clicked:', button);
-    const dayIndex = parseInt(button.dataset.dayIndex || 0);
-    console.log('📅 Day index:', dayIndex);
-    console.log('📊 Current data:', currentData);
-    console.log('📋 Itinerary data:', currentData?.itineraryData);
-    
-    // Check if we have itinerary data at all
-    if (!currentData?.itineraryData || !Array.isArray(currentData.itineraryData)) {
-        console.log('❌ No itinerary data available');
-        alert('לא נמצאו נתוני תוכנית. אנא ודא שהתוכנית נטענה כראוי.');
+// --- Itinerary editor ---
+
+// Item being dragged in the itinerary editor ({ day, planKey, itemIndex })
+let draggedItineraryItem = null;
+
+const itineraryItemOf = (element) => ({
+    day: element.dataset.day,
+    planKey: element.dataset.planKey,
+    itemIndex: Number(element.dataset.itemIndex)
+});
+
+function toggleItineraryEditor() {
+    if (!itineraryEditing && !canEdit()) return;
+    setItineraryEditing(!itineraryEditing);
+    renderComponentsFor(['itineraryData']);
+}
+
+/**
+ * Applies one editor change to the itinerary and saves it.
+ * @param {Function} change - Takes the itinerary, returns the updated one (see itinerary.js).
+ * @param {string} label - What changed, for the sync queue and the activity log.
+ */
+function editItinerary(change, label) {
+    if (!canEdit()) return;
+    let updated;
+    try {
+        updated = change(currentData.itineraryData || []);
+    } catch (error) {
+        // The item or day was changed on another device while the editor was open
+        console.warn('⚠️ Itinerary edit no longer applies:', error);
+        familyToast.warning('התוכנית השתנתה בינתיים - נסו שוב');
+        renderComponentsFor(['itineraryData']);
         return;
     }
-    
-    // Check if the requested day exists
-    const dayData = currentData.itineraryData[dayIndex];
-    console.log('📅 Day data for index', dayIndex, ':', dayData);
-    
-    if (!dayData) {
-        console.log('❌ No day data found for index:', dayIndex);
-        console.log('📋 Available itinerary data length:', currentData.itineraryData.length);
-        console.log('📋 Available days:', currentData.itineraryData.map((day, idx) => `Day ${idx + 1}: ${day.dayName || 'Unnamed'}`));
-        
-        // Provide more helpful error message
-        const availableDays = currentData.itineraryData.length;
-        const requestedDay = dayIndex + 1;
-        
-        if (requestedDay > availableDays) {
-            alert(`התוכנית כוללת רק ${availableDays} ימים. לא ניתן להחליף פעילות ביום ${requestedDay}.`);
-        } else {
-            alert(`לא נמצאו נתונים ליום ${requestedDay}. אנא ודא שהתוכנית נטענה כראוי.`);
+    saveItinerary(updated, label);
+    logActivity('plan.edit', { target: label });
+}
+
+function handleItineraryEditorClick(target) {
+    if (target.id === 'add-itinerary-day-btn') {
+        editItinerary(addItineraryDay, 'הוספת יום');
+        return;
+    }
+
+    const { day, planKey } = target.dataset;
+    if (target.classList.contains('remove-itinerary-day-btn')) {
+        const dayData = findItineraryDay(currentData.itineraryData, day);
+        if (!dayData) return;
+        if (getDayItems(dayData).length && !confirm(`להסיר את ${dayData.dayName} עם כל הפעילויות שבו?`)) return;
+        removeDay(dayData);
+    } else if (target.classList.contains('add-itinerary-item-btn')) {
+        const input = target.parentElement.querySelector('.itinerary-free-text-input');
+        const description = input?.value.trim();
+        if (!description) return;
+        editItinerary(itinerary => addPlanItem(itinerary, day, planKey, { description }), `הוספת "${description}"`);
+    } else if (target.classList.contains('remove-itinerary-item-btn')) {
+        const item = itineraryItemOf(target);
+        editItinerary(itinerary => removePlanItem(itinerary, item.day, item.planKey, item.itemIndex), 'הסרת פריט');
+    } else if (target.classList.contains('move-itinerary-item-btn')) {
+        const item = itineraryItemOf(target);
+        // Moving down inserts before the item after the next one
+        const to = { ...item, itemIndex: item.itemIndex + (Number(target.dataset.direction) > 0 ? 2 : -1) };
+        editItinerary(itinerary => moveItineraryItem(itinerary, item, to), 'שינוי סדר');
+    }
+}
+
+function handleItineraryEditorChange(target) {
+    const item = itineraryItemOf(target);
+    if (target.classList.contains('itinerary-time-input')) {
+        editItinerary(itinerary => setPlanItemTime(itinerary, item.day, item.planKey, item.itemIndex, target.value), 'שעת התחלה');
+    } else if (target.classList.contains('itinerary-move-select') && target.value) {
+        const [day, planKey] = target.value.split('|');
+        editItinerary(itinerary => moveItineraryItem(itinerary, item, { day, planKey }), 'העברת פריט');
+    }
+}
+
+// Drag and drop between the editor's plans; the drop position follows the item under the pointer
+function handleItineraryDrag(e) {
+    if (e.type === 'dragstart') {
+        const item = e.target.closest?.('.itinerary-edit-item');
+        if (!item) return;
+        draggedItineraryItem = itineraryItemOf(item);
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', item.textContent.trim());
+        return;
+    }
+    if (e.type === 'dragend') {
+        draggedItineraryItem = null;
+        document.querySelectorAll('.itinerary-drop-zone.drag-over').forEach(zone => zone.classList.remove('drag-over'));
+        return;
+    }
+
+    const zone = e.target.closest?.('.itinerary-drop-zone');
+    if (!zone || !draggedItineraryItem) return;
+
+    if (e.type === 'dragover') {
+        e.preventDefault();
+        zone.classList.add('drag-over');
+    } else if (e.type === 'dragleave' && !zone.contains(e.relatedTarget)) {
+        zone.classList.remove('drag-over');
+    } else if (e.type === 'drop') {
+        e.preventDefault();
+        zone.classList.remove('drag-over');
+        const over = e.target.closest('.itinerary-edit-item');
+        let itemIndex;
+        if (over) {
+            const rect = over.getBoundingClientRect();
+            itemIndex = Number(over.dataset.itemIndex) + (e.clientY > rect.top + rect.height / 2 ? 1 : 0);
         }
+        const from = draggedItineraryItem;
+        draggedItineraryItem = null;
+        editItinerary(itinerary => moveItineraryItem(itinerary, from, { day: zone.dataset.day, planKey: zone.dataset.planKey, itemIndex }), 'העברת פריט');
+    }
+}
+
+// Plan choices are keyed by day number, so they are renumbered in the same write that removes the day
+function removeDay(dayData) {
+    if (!canEdit()) return;
+    const label = `הסרת ${dayData.dayName}`;
+    const base = {
+        itineraryData: currentData.itineraryData || [],
+        weatherPlanOverrides: currentData.weatherPlanOverrides || {}
+    };
+    const itineraryData = removeItineraryDay(base.itineraryData, dayData.day);
+    const weatherPlanOverrides = renumberDayEntries(base.weatherPlanOverrides, base.itineraryData, dayData.day);
+
+    Object.assign(currentData, { itineraryData, weatherPlanOverrides });
+    renderComponentsFor(['itineraryData', 'weatherPlanOverrides']);
+    dataStore.update(getTripDocPath(), { itineraryData, weatherPlanOverrides }, { base, label })
+        .catch(error => handleFlowError(error, 'שמירת התוכנית'));
+    logActivity('plan.edit', { target: label });
+}
+
+// Writes the whole itinerary with the one on screen as its base, so a change made meanwhile on
+// another device wins instead of being overwritten
+function saveItinerary(itineraryData, label) {
+    const base = currentData.itineraryData;
+    currentData.itineraryData = itineraryData;
+    renderComponentsFor(['itineraryData']);
+    return dataStore.update(getTripDocPath(), { itineraryData }, { base: { itineraryData: base }, label })
+        .catch(error => handleFlowError(error, 'שמירת התוכנית'));
+}
+
+// --- Family Routine ---
+
+// The routine as filled in on the form, children and all
+function readRoutineForm() {
+    const container = document.getElementById('routine-modal-content');
+    const value = (field, childIndex) => container.querySelector(`.routine-input[data-field="${field}"]${childIndex !== undefined ? `[data-child-index="${childIndex}"]` : ''}`);
+
+    const children = [...container.querySelectorAll('.routine-child')].map(fieldset => {
+        const index = fieldset.dataset.childIndex;
+        const napStart = value('napStart', index).value;
+        const napEnd = value('napEnd', index).value;
+        return {
+            name: value('name', index).value.trim(),
+            age: Number(value('age', index).value) || null,
+            naps: napStart && napEnd ? [{ start: napStart, end: napEnd }] : [],
+            strollerNaps: value('strollerNaps', index).checked,
+            meals: Object.fromEntries(['breakfast', 'lunch', 'dinner'].map(meal => [meal, value(`meals.${meal}`, index).value])),
+            bedtime: value('bedtime', index).value
+        };
+    });
+    return { dayStart: value('dayStart').value, children };
+}
+
+function handleRoutineChildChange(target) {
+    const routine = readRoutineForm();
+    if (target.id === 'add-routine-child-btn') {
+        // A new child starts with the routine of the youngest one
+        const youngest = [...routine.children].sort((a, b) => (a.age ?? 0) - (b.age ?? 0))[0];
+        routine.children.push({ ...youngest, name: '', age: null });
+    } else {
+        routine.children.splice(Number(target.dataset.childIndex), 1);
+    }
+    renderRoutineEditor(getFamilyRoutine({ familyRoutine: routine }));
+}
+
+async function handleSaveRoutine() {
+    if (!canEdit()) return;
+    const familyRoutine = readRoutineForm();
+    if (familyRoutine.children.some(child => !child.name)) {
+        familyToast.warning('חסר שם לאחד הילדים');
         return;
     }
-    
-    // Show modal with available activities to swap
-    openModal('swap-activity-modal');
-    
-    // Populate modal with activities from current day and alternatives
-    const modalContent = document.getElementById('swap-activity-modal-content');
-    if (modalContent && currentData.activitiesData) {
-        const availableActivities = currentData.activitiesData.filter(activity => {
-            // Filter activities that might be suitable for swapping
-            return activity.category === 'משחקייה' || activity.category === 'תרבות';
-        });
-        
-        console.log('🎯 Available activities for swapping:', availableActivities);
-        
-        if (availableActivities.length === 0) {
-            modalContent.innerHTML = `
-                <div class="text-center py-8">
-                    <div class="text-6xl mb-4">🎯</div>
-                    <h3 class="text-xl font-bold mb-4">אין פעילויות זמינות להחלפה</h3>
-                    <p class="text-gray-600 mb-4">כרגע אין פעילויות מתאימות להחלפה ליום זה.</p>
-                    <button onclick="document.getElementById('swap-activity-modal').classList.add('hidden')" 
-                            class="bg-blue-500 hover:bg-blue-600 text-white px-6 py-2 rounded-lg">
-                        סגור
-                    </button>
-                </div>
-            `;
+
+    const base = currentData.familyRoutine;
+    currentData.familyRoutine = familyRoutine;
+    renderComponentsFor(['familyRoutine']);
+    closeModal('routine-modal');
+    familyToast.success('שגרת הילדים נשמרה 🧸');
+    logActivity('routine.save', { target: describeChildren(getFamilyRoutine(currentData)) });
+    await dataStore.update(getTripDocPath(), { familyRoutine }, { base: { familyRoutine: base }, label: 'שגרת הילדים' })
+        .catch(error => handleFlowError(error, 'שמירת השגרה'));
+}
+
+// --- Budget ---
+
+async function handleSaveBudget() {
+    if (!canEdit()) return;
+    const container = document.getElementById('budget-modal-content');
+    const budget = { rates: {} };
+    container.querySelectorAll('.budget-input').forEach(input => {
+        const value = Number(input.value) > 0 ? Number(input.value) : null;
+        const [field, currency] = input.dataset.field.split('.');
+        if (currency) {
+            if (value !== null) budget.rates[currency] = value;
         } else {
-            modalContent.innerHTML = `
-                <h3 class="text-xl font-bold mb-4">החלף פעילות - ${dayData.dayName}</h3>
-                <p class="text-gray-600 mb-4">בחר פעילות חלופית מהרשימה:</p>
-                <div class="grid gap-4 max-h-96 overflow-y-auto">
-                    ${availableActivities.map(activity => `
-                        <div class="border rounded-lg p-4 hover:bg-blue-50 cursor-pointer activity-swap-option" 
-                             data-activity-id="${activity.id}" data-day-index="${dayIndex}">
-                            <h4 class="font-semibold">${activity.name}</h4>
-                            <p class="text-sm text-gray-600">${activity.description}</p>
-                            <div class="text-xs text-gray-500 mt-2">
-                                <span>⏱️ ${activity.time} דקות</span> | 
-                                <span>🚌 ${activity.transport}</span> |
-                                <span>💰 ${activity.cost}</span>
-                            </div>
-                        </div>
-                    `).join('')}
-                </div>
-            `;
+            budget[field] = value;
         }
-        
-        // Add click handlers for activity selection
-        modalContent.querySelectorAll('.activity-swap-option').forEach(option => {
-            option.addEventListener('click', () => {
-                const activityId = parseInt(option.dataset.activityId);
-                const dayIdx = parseInt(option.dataset.dayIndex);
-                confirmActivitySwap(activityId, dayIdx);
-            });
-        });
+    });
+
+    const base = currentData.budget;
+    currentData.budget = budget;
+    renderComponentsFor(['budget']);
+    familyToast.success('התקציב נשמר 💰');
+    logActivity('budget.save', { target: budget.tripBudget ? formatMoney(budget.tripBudget) : 'שערי המטבע' });
+    await dataStore.update(getTripDocPath(), { budget }, { base: { budget: base }, label: 'תקציב' })
+        .catch(error => handleFlowError(error, 'שמירת התקציב'));
+}
+
+// --- Shared expenses ---
+
+async function uploadReceipt(file) {
+    if (file.size > 10 * 1024 * 1024) {
+        throw new Error('התמונה גדולה מדי. אנא בחרו תמונה קטנה מ-10MB.');
+    }
+    if (!file.type.startsWith('image/')) {
+        throw new Error('אנא בחרו קובץ תמונה בלבד.');
     }
+    const timestamp = Date.now();
+    const fileName = `${timestamp}-${file.name.replace(/[^a-zA-Z0-9.-]/g, '_')}`;
+    const url = await dataStore.upload(`receipts/${appId}/${userId}/${fileName}`, file);
+    return { url, timestamp, uploadedBy: userId };
 }
 
-function confirmActivitySwap(activityId, dayIndex) {
-    const activity = currentData.activitiesData.find(a => a.id === activityId);
-    if (!activity) return;
-    
-    if (confirm(`האם אתה בטוח שברצונך להוסיף את "${activity.name}" לתכנית היום?`)) {
-        // Add the activity to the day's plan (you might want to implement this based on your data structure)
-        console.log(`Swapping activity ${activityId} for day ${dayIndex}`);
-        
-        // Close modal and show success message
-        document.getElementById('swap-activity-modal').classList.add('hidden');
-        alert(`הפעילות "${activity.name}" נוספה לתכנית!`);
-        
-        // You could re-render the itinerary here if needed
-        // renderItinerary();
+async function handleAddExpense(button) {
+    if (!canEdit()) return;
+    const form = document.getElementById('expense-form');
+    const amount = Number(form.querySelector('#expense-amount').value);
+    const payer = form.querySelector('#expense-payer').value.trim();
+    if (!(amount > 0)) {
+        familyToast.warning('הזינו את הסכום ששולם');
+        return;
+    }
+    if (!payer) {
+        familyToast.warning('מי שילם/ה?');
+        return;
+    }
+
+    const participants = [...new Set([
+        ...[...form.querySelectorAll('.expense-participant:checked')].map(input => input.value),
+        ...form.querySelector('#expense-other-participants').value.split(',').map(name => name.trim())
+    ].filter(Boolean))];
+    const dayNumber = form.querySelector('#expense-day').value;
+    const day = dayNumber ? findItineraryDay(currentData.itineraryData, dayNumber) : null;
+    const date = day ? getTripDayDate(day, getTripStartDate(currentData)) : null;
+    const expense = {
+        amount,
+        currency: form.querySelector('#expense-currency').value,
+        payer,
+        participants: participants.length ? participants : [payer],
+        category: form.querySelector('#expense-category').value,
+        description: form.querySelector('#expense-description').value.trim(),
+        day: day ? day.day : null,
+        date: date ? formatDateKey(date) : getZonedClock(new Date()).dateKey,
+        timestamp: Date.now(),
+        addedBy: userId
+    };
+
+    const file = form.querySelector('#expense-receipt').files[0];
+    if (file) {
+        button.disabled = true;
+        try {
+            expense.receipt = await uploadReceipt(file);
+        } catch (error) {
+            console.error('Receipt upload failed:', error);
+            familyToast.warning(`ההוצאה נשמרת בלי הקבלה: ${getFirebaseErrorMessage(error)}`);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    addTripItem('expenses', expense)
+        .catch(error => handleFlowError(error, 'שמירת ההוצאה'));
+    logActivity('expense.add', { target: `${expense.description || EXPENSE_CATEGORIES[expense.category]} (${formatMoney(amount, expense.currency)})` });
+    familyToast.success('ההוצאה נרשמה 💸');
+    import(`./ui.js?v=${VERSION}`).then(({ renderExpenses }) => renderExpenses({ resetForm: true }));
+}
+
+function handleExportExpensesCsv() {
+    const { rates } = getTripBudget(currentData);
+    const csv = expensesToCsv(currentData.expenses || [], { rates, itinerary: currentData.itineraryData || [] });
+    downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8' }), `${appId}-expenses.csv`);
+}
+
+function handlePlanDayByRoutine(button) {
+    const day = findItineraryDay(currentData.itineraryData, button.dataset.dayIndex);
+    const resultContainer = button.closest('.itinerary-day')?.querySelector('.gemini-plan-result');
+    if (!day || !resultContainer) return;
+
+    const plan = planDay(day, { activities: currentData.activitiesData || [], routine: getFamilyRoutine(currentData) });
+    renderDayRoutinePlan(resultContainer, day, plan);
+}
+
+// Writes the start times of the routine plan into the day's main plan
+function handleApplyRoutineTimes(button) {
+    const dayNumber = button.dataset.dayIndex;
+    const day = findItineraryDay(currentData.itineraryData, dayNumber);
+    if (!day) return;
+
+    const { itemTimes } = planDay(day, { activities: currentData.activitiesData || [], routine: getFamilyRoutine(currentData) });
+    editItinerary(itinerary => Object.entries(itemTimes).reduce((updated, [itemIndex, time]) =>
+        setPlanItemTime(updated, dayNumber, 'mainPlan', Number(itemIndex), time), itinerary), `שעות לפי השגרה ב${day.dayName}`);
+}
+
+// Downloads the whole trip, or one day, as an .ics file for the phone's calendar
+function handleExportCalendar(dayNumber) {
+    const { ics, eventCount } = buildTripCalendar(currentData, { tripId: appId, startDate: getTripStartDate(currentData), dayNumber });
+    if (eventCount === 0) {
+        familyToast.warning('אין מה להוסיף ליומן - חסרים תאריכים לימים או לטיסות');
+        return;
+    }
+    const fileName = dayNumber === null ? `${appId}-trip.ics` : `${appId}-day-${dayNumber}.ics`;
+    downloadBlob(new Blob([ics], { type: 'text/calendar;charset=utf-8' }), fileName);
+    familyToast.success(`${eventCount} אירועים מוכנים ליומן 📅`);
+}
+
+// A family member's choice of plan for a rainy (or any) day; an empty plan key goes back to the forecast
+async function handleWeatherPlanOverride(button) {
+    if (!canEdit()) return;
+    const { dayIndex, planKey } = button.dataset;
+    const day = findItineraryDay(currentData.itineraryData, dayIndex);
+    if (!day) return;
+
+    currentData.weatherPlanOverrides = { ...(currentData.weatherPlanOverrides || {}) };
+    if (planKey) currentData.weatherPlanOverrides[dayIndex] = planKey;
+    else delete currentData.weatherPlanOverrides[dayIndex];
+    renderComponentsFor(['weatherPlanOverrides']);
+
+    const label = planKey ? `${PLAN_TITLES[planKey]} ב${day.dayName}` : `תוכנית לפי התחזית ב${day.dayName}`;
+    logActivity('plan.weather', { target: label });
+    await dataStore.update(getTripDocPath(), { [`weatherPlanOverrides.${dayIndex}`]: planKey || fieldOps.deleteField() }, { label })
+        .catch(error => handleFlowError(error, 'בחירת התוכנית'));
+}
+
+// Map tiles that have not loaded by then are left blank rather than holding up the print
+const PRINT_IMAGE_TIMEOUT = 4000;
+
+// Prints one day's sheet, or with no day the whole trip booklet
+async function handlePrint(dayNumber) {
+    const view = document.getElementById('print-view');
+    if (!view) return;
+    const startDate = getTripStartDate(currentData);
+    if (dayNumber === null) {
+        view.innerHTML = renderTripBooklet(currentData, startDate);
+    } else {
+        const day = findItineraryDay(currentData.itineraryData, dayNumber);
+        if (!day) return;
+        view.innerHTML = renderDaySheet(day, currentData, startDate);
+    }
+
+    document.body.classList.add('printing');
+    window.addEventListener('afterprint', () => {
+        document.body.classList.remove('printing');
+        view.innerHTML = '';
+    }, { once: true });
+
+    const images = [...view.querySelectorAll('img')].filter(image => !image.complete);
+    await Promise.race([
+        Promise.all(images.map(image => new Promise(resolve => {
+            image.addEventListener('load', resolve, { once: true });
+            image.addEventListener('error', resolve, { once: true });
+        }))),
+        new Promise(resolve => setTimeout(resolve, PRINT_IMAGE_TIMEOUT))
+    ]);
+    window.print();
+}
+
+// The day and item the swap dialog is working on
+let swapSelection = null;
+
+export function handleSwapActivity(button) {
+    const dayNumber = button.dataset.dayIndex;
+    const day = findItineraryDay(currentData.itineraryData, dayNumber);
+    if (!day) {
+        familyToast.warning('לא נמצאה התוכנית של היום הזה');
+        return;
+    }
+    if (!canEdit()) return;
+
+    const dayItems = getDayItems(day, currentData.activitiesData);
+    if (dayItems.length === 0) {
+        familyToast.info('אין עדיין פעילויות ביום הזה');
+        return;
+    }
+
+    // A day with a single item goes straight to the alternatives
+    const only = dayItems.length === 1 ? dayItems[0] : null;
+    swapSelection = { dayNumber, planKey: only?.planKey ?? null, itemIndex: only?.itemIndex ?? null };
+    openModal('swap-activity-modal', () => renderSwapSelection());
+}
+
+function renderSwapSelection() {
+    const day = findItineraryDay(currentData.itineraryData, swapSelection.dayNumber);
+    if (!day) return;
+    const dayItems = getDayItems(day, currentData.activitiesData);
+    const selected = swapSelection.planKey ? swapSelection : null;
+    const candidates = selected ? rankSwapCandidates(day, selected.planKey, selected.itemIndex, currentData.activitiesData || []) : [];
+    renderSwapActivityModal(day, dayItems, selected, candidates);
+}
+
+function handleSwapTarget(target) {
+    if (!swapSelection) return;
+    const { planKey, itemIndex } = target.dataset;
+    swapSelection = { ...swapSelection, planKey: planKey || null, itemIndex: planKey ? Number(itemIndex) : null };
+    renderSwapSelection();
+}
+
+async function confirmActivitySwap(activityId) {
+    const activity = (currentData.activitiesData || []).find(existing => existing.id === activityId);
+    if (!activity || !swapSelection?.planKey || !canEdit()) return;
+
+    const { dayNumber, planKey, itemIndex } = swapSelection;
+    let swap;
+    try {
+        swap = swapPlanItem(currentData.itineraryData, dayNumber, planKey, itemIndex, activity);
+    } catch (error) {
+        // The itinerary changed under the open dialog
+        console.warn('⚠️ Swap target is gone:', error);
+        familyToast.warning('התוכנית השתנתה בינתיים - נסו שוב');
+        renderSwapSelection();
+        return;
     }
+
+    swapSelection = null;
+    closeModal('swap-activity-modal');
+    saveItinerary(swap.itinerary, `החלפה ל"${activity.name}"`);
+    logActivity('plan.swap', { target: activity.name });
+
+    familyToast.undo(`"${activity.name}" נכנס/ה לתוכנית`, () => {
+        // Only undo while the slot still holds the swapped-in activity
+        const slot = findItineraryDay(currentData.itineraryData, dayNumber)?.[planKey]?.items?.[itemIndex];
+        if (slot?.activityId !== activity.id) return;
+        saveItinerary(replacePlanItem(currentData.itineraryData, dayNumber, planKey, itemIndex, swap.previous), `ביטול ההחלפה ל"${activity.name}"`);
+    });
 }
 
 export function handleDailySpecialAI() {
@@ -2101,6 +2758,394 @@ function convertToBase64(file) {
     });
 }
 
+// --- TRIP MANAGEMENT ---
+
+let loadedTrips = [];
+let showArchivedTrips = false;
+
+async function loadTripSelector() {
+    const container = document.getElementById('trips-list');
+    if (container) container.innerHTML = '<div class="text-center"><div class="loader inline-block"></div></div>';
+    try {
+        // Firestore only lets users list the trips they belong to; the local store holds only theirs
+        loadedTrips = await listTrips(dataStore, new Date(), dataStore.kind === 'firestore' ? userId : null);
+        renderTripSelector(loadedTrips, { activeTripId: appId, showArchived: showArchivedTrips });
+    } catch (error) {
+        console.warn('Failed to load trips:', error);
+        if (container) container.innerHTML = '<p class="text-red-600 text-center">שגיאה בטעינת הטיולים</p>';
+    }
+}
+
+async function handleCreateTrip(button) {
+    const nameInput = document.getElementById('new-trip-name');
+    const startInput = document.getElementById('new-trip-start-date');
+    const copyActivities = document.getElementById('new-trip-copy-activities')?.checked;
+    const name = nameInput?.value.trim();
+
+    if (!name) {
+        familyToast.warning('תנו שם לטיול החדש');
+        return;
+    }
+    if (!canEdit('manageTrip')) return;
+    button.disabled = true;
+    try {
+        const tripId = await createTrip(dataStore, {
+            name,
+            startDate: startInput?.value || null,
+            activitiesData: copyActivities ? (currentData.activitiesData || []) : [],
+            createdBy: userId || null,
+            organizer: getCurrentMember()
+        });
+        familyToast.celebrate(`הטיול "${name}" נוצר! עוברים אליו...`);
+        // The new trip has to reach the server before the reload opens it
+        await dataStore.flush();
+        switchTrip(tripId);
+    } catch (error) {
+        console.warn('Failed to create trip:', error);
+        familyToast.error('לא הצלחנו ליצור את הטיול. נסו שוב.');
+        button.disabled = false;
+    }
+}
+
+async function handleArchiveTrip(tripId, archived) {
+    const trip = loadedTrips.find(t => t.id === tripId);
+    if (!trip || !canEdit('manageTrip')) return;
+
+    if (archived && tripId === appId && !confirm('זה הטיול הפעיל. להעביר אותו לארכיון בכל זאת?')) {
+        return;
+    }
+
+    try {
+        await setTripArchived(dataStore, trip, archived);
+        trip.archived = archived;
+        renderTripSelector(loadedTrips, { activeTripId: appId, showArchived: showArchivedTrips });
+        familyToast.success(archived ? 'הטיול הועבר לארכיון 🗄️' : 'הטיול שוחזר מהארכיון');
+    } catch (error) {
+        console.warn('Failed to update trip archive state:', error);
+        familyToast.error('לא הצלחנו לעדכן את הטיול');
+    }
+}
+
+async function handleExportTrip(button) {
+    button.disabled = true;
+    familyToast.info('מכינים את קובץ הגיבוי... 📦');
+    try {
+        const { blob, fileName, photoCount, missingFiles } = await exportTrip(dataStore, appId);
+        downloadBlob(blob, fileName);
+        if (missingFiles.length > 0) {
+            familyToast.warning(`הגיבוי מוכן, אבל ${missingFiles.length} תמונות לא נכללו בו - הקישורים אליהן נשמרו`);
+        } else {
+            familyToast.success(`הגיבוי מוכן! ${photoCount} תמונות נכללו 📦`);
+        }
+    } catch (error) {
+        console.warn('Failed to export trip:', error);
+        familyToast.error('לא הצלחנו לייצא את הטיול. נסו שוב.');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+const ARCHIVE_ERRORS = {
+    'invalid-archive': 'הקובץ הזה אינו גיבוי של טיול',
+    'newer-archive': 'הגיבוי נוצר בגרסה חדשה יותר של האפליקציה - רעננו ונסו שוב'
+};
+
+async function handleImportTrip(input) {
+    const file = input.files?.[0];
+    input.value = '';
+    if (!file || !canEdit('manageTrip')) return;
+
+    const intoActiveTrip = document.getElementById('import-trip-target')?.value === 'active';
+    if (intoActiveTrip && !confirm('השחזור יחליף בטיול הפעיל את הנתונים שיש בגיבוי. להמשיך?')) return;
+
+    familyLoader.show();
+    try {
+        const { tripId, itemCount, photoCount } = await importTrip(dataStore, file, {
+            tripId: intoActiveTrip ? appId : null,
+            userId,
+            organizer: getCurrentMember()
+        });
+        if (tripId === appId) logActivity('trip.import');
+        // The restored trip has to reach the server before the reload opens it
+        await dataStore.flush();
+        familyToast.celebrate(`הטיול שוחזר: ${itemCount} פריטים ו-${photoCount} תמונות 🎉`);
+        switchTrip(tripId);
+    } catch (error) {
+        console.warn('Failed to import trip:', error);
+        familyToast.error(ARCHIVE_ERRORS[error.code] || 'לא הצלחנו לשחזר את הטיול. נסו שוב.');
+    } finally {
+        familyLoader.hide();
+    }
+}
+
+// --- MEMBERS ---
+
+let loadedMembers = [];
+let loadedInvites = [];
+
+/**
+ * Checks the signed-in member's role before a change; viewers get a hint instead.
+ * The Firestore rules enforce the same roles on the server.
+ * @param {'edit'|'manageTrip'|'manageMembers'} [permission]
+ * @returns {boolean}
+ */
+function canEdit(permission = 'edit') {
+    if (hasPermission(permission)) return true;
+
+    if (!getCurrentMember().joined) {
+        familyToast.info('הצטרפו לטיול עם קישור הזמנה או התחברו כדי לערוך 🔑');
+    } else if (permission === 'edit') {
+        familyToast.info('יש לכם הרשאת צפייה בלבד - בקשו מהמארגן/ת הרשאת עריכה');
+    } else {
+        familyToast.info('רק המארגן/ת של הטיול יכול/ה לעשות את זה');
+    }
+    return false;
+}
+
+async function loadMembersPanel() {
+    renderMembersPanel(getCurrentMember(), loadedMembers, currentData.familyData || [], loadedInvites);
+    if (!hasPermission('manageMembers')) return;
+
+    try {
+        const [records, invites] = await Promise.all([dataStore.list(getMembersPath(appId)), listActiveInvites(dataStore, appId)]);
+        loadedMembers = records.map(({ id, ...record }) => ({ uid: id, ...record }));
+        loadedInvites = invites;
+        renderMembersPanel(getCurrentMember(), loadedMembers, currentData.familyData || [], loadedInvites);
+    } catch (error) {
+        console.warn('Failed to load members:', error);
+        familyToast.error('לא הצלחנו לטעון את רשימת בני המשפחה');
+    }
+}
+
+async function handleSendSignInLink(button) {
+    const email = normalizeEmail(document.getElementById('member-email-input')?.value);
+    if (!email) {
+        familyToast.warning('הזינו כתובת מייל');
+        return;
+    }
+    if (!auth) {
+        familyToast.warning('אין חיבור לשרת - נסו שוב כשתהיו מחוברים');
+        return;
+    }
+
+    button.disabled = true;
+    try {
+        await sendEmailSignInLink(auth, email);
+        familyToast.success(`שלחנו קישור התחברות ל-${email} 📧`);
+    } catch (error) {
+        console.warn('Failed to send sign-in link:', error);
+        familyToast.error('לא הצלחנו לשלוח את הקישור. בדקו את הכתובת ונסו שוב.');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+async function handlePasscodeSignIn(button) {
+    const email = normalizeEmail(document.getElementById('member-email-input')?.value);
+    const passcodeInput = document.getElementById('member-passcode-input');
+    const passcode = passcodeInput?.value || '';
+    if (!email || passcode.length < 6) {
+        familyToast.warning('הזינו כתובת מייל וקוד של 6 תווים לפחות');
+        return;
+    }
+    if (!auth) {
+        familyToast.warning('אין חיבור לשרת - נסו שוב כשתהיו מחוברים');
+        return;
+    }
+
+    button.disabled = true;
+    try {
+        // onAuthStateChanged in Main.js picks the new user up and resolves their role
+        const user = await signInWithPasscode(auth, email, passcode);
+        passcodeInput.value = '';
+        if (user.emailVerified) {
+            familyToast.success('התחברתם בהצלחה! 👋');
+        } else {
+            familyToast.info(`התחברתם! אשרו את הכתובת מהמייל שנשלח ל-${email} כדי להצטרף לרשימת המשפחה 📧`);
+        }
+        closeModal('members-modal');
+    } catch (error) {
+        console.warn('Passcode sign-in failed:', error);
+        familyToast.error(error.code === 'auth/invalid-credential' || error.code === 'auth/wrong-password'
+            ? 'הקוד לא נכון'
+            : 'ההתחברות נכשלה. נסו שוב.');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+async function handleSignOut() {
+    try {
+        await signOutMember(auth);
+        loadedMembers = [];
+        familyToast.info('התנתקתם. אפשר להמשיך לצפות בטיול.');
+        closeModal('members-modal');
+    } catch (error) {
+        console.warn('Sign-out failed:', error);
+    }
+}
+
+// Email and role of a roster entry that has not joined yet
+async function handleSaveRosterEntry(button) {
+    if (!canEdit('manageMembers')) return;
+
+    const index = Number(button.dataset.index);
+    const row = button.closest('.roster-entry');
+    const familyData = currentData.familyData || [];
+    if (!row || !familyData[index]) return;
+
+    const updatedRoster = familyData.map((entry, i) => (i === index ? {
+        ...entry,
+        email: normalizeEmail(row.querySelector('.roster-email-input').value) || null,
+        role: row.querySelector('.roster-role-select').value
+    } : entry));
+    currentData.familyData = updatedRoster;
+
+    try {
+        await dataStore.update(getTripDocPath(), { familyData: updatedRoster }, {
+            base: { familyData },
+            label: 'רשימת בני המשפחה'
+        });
+        await saveRosterAccess(dataStore, appId, familyData[index], updatedRoster[index], index);
+        logActivity('roster.save', { target: updatedRoster[index].name });
+        familyToast.success(`${updatedRoster[index].name || 'בן המשפחה'} יקבל/תקבל גישה כשיתחבר/תתחבר`);
+    } catch (error) {
+        console.warn('Failed to save roster entry:', error);
+        familyToast.error('לא הצלחנו לשמור');
+    }
+}
+
+async function handleMemberRoleChange(select) {
+    const member = loadedMembers.find(existing => existing.uid === select.dataset.uid);
+    if (!member) return;
+    if (!canEdit('manageMembers')) {
+        select.value = member.role;
+        return;
+    }
+
+    const organizers = loadedMembers.filter(existing => existing.role === 'organizer');
+    if (member.role === 'organizer' && select.value !== 'organizer' && organizers.length === 1) {
+        familyToast.warning('לטיול צריך להיות לפחות מארגן/ת אחד/ת');
+        select.value = member.role;
+        return;
+    }
+
+    try {
+        await setMemberRole(dataStore, appId, member, select.value, currentData.familyData || []);
+        member.role = select.value;
+        logActivity('member.role', { target: member.name });
+        familyToast.success(`ההרשאה של ${member.name} עודכנה`);
+    } catch (error) {
+        console.warn('Failed to change member role:', error);
+        familyToast.error('לא הצלחנו לעדכן את ההרשאה');
+        select.value = member.role;
+    }
+}
+
+const INVITE_ERRORS = {
+    'already-member': 'אתם כבר חברים בטיול הזה 😊',
+    'not-found': 'קוד ההזמנה לא נמצא - בדקו אותו ונסו שוב',
+    'revoked': 'ההזמנה בוטלה - בקשו מהמארגן/ת הזמנה חדשה',
+    'expired': 'פג תוקף ההזמנה - בקשו מהמארגן/ת הזמנה חדשה'
+};
+
+const ROLE_JOIN_MESSAGES = {
+    organizer: 'אתם מארגנים את הטיול 🧭',
+    member: 'אפשר להוסיף ולערוך 🎉',
+    viewer: 'אפשר לצפות בכל התוכניות 👀'
+};
+
+/**
+ * Joins the active trip with an invite code, asking the joiner for the name the family will see.
+ * Called for ?invite= links once auth settles, and from the code field in the members panel.
+ * @param {Object} user - Firebase user.
+ * @param {string} code
+ * @returns {Promise<boolean>} Whether the user joined.
+ */
+export async function joinTripWithInvite(user, code) {
+    const name = user.email ? null : window.prompt('איך קוראים לכם? (השם יוצג לשאר המשפחה)');
+    try {
+        const role = await redeemInvite(dataStore, appId, user, code, name?.trim());
+        clearPendingInvite();
+        // The member record may not have loaded yet, so name the joiner directly. Viewers cannot log.
+        if (ROLES[role]?.permissions.includes('edit')) {
+            logActivity('member.join', { actor: { uid: user.uid, name: name?.trim() || user.email || 'אורח' } });
+        }
+        familyToast.celebrate(`הצטרפתם לטיול! ${ROLE_JOIN_MESSAGES[role] || ''}`);
+        return true;
+    } catch (error) {
+        console.warn('Failed to redeem invite:', error);
+        // Invalid invites stay invalid; network errors are retried on the next load
+        if (INVITE_ERRORS[error.code]) clearPendingInvite();
+        familyToast.error(INVITE_ERRORS[error.code] || 'לא הצלחנו להצטרף לטיול. נסו שוב.');
+        return false;
+    }
+}
+
+async function handleRedeemInviteCode() {
+    const input = document.getElementById('invite-code-input');
+    const code = input?.value.trim();
+    if (!code) {
+        familyToast.warning('הזינו את קוד ההזמנה');
+        return;
+    }
+    if (!auth?.currentUser) {
+        familyToast.warning('אין חיבור לשרת - נסו שוב כשתהיו מחוברים');
+        return;
+    }
+
+    if (await joinTripWithInvite(auth.currentUser, code)) {
+        input.value = '';
+        closeModal('members-modal');
+    }
+}
+
+async function handleCreateInvite(button) {
+    if (!canEdit('manageMembers')) return;
+
+    const role = document.getElementById('invite-role-select')?.value || 'member';
+    button.disabled = true;
+    try {
+        const invite = await createInvite(dataStore, appId, { role, createdBy: userId });
+        logActivity('member.invite');
+        loadedInvites = [invite, ...loadedInvites];
+        renderMembersPanel(getCurrentMember(), loadedMembers, currentData.familyData || [], loadedInvites);
+        await renderInviteResult(invite, getInviteLink(appId, invite.code));
+    } catch (error) {
+        console.warn('Failed to create invite:', error);
+        familyToast.error('לא הצלחנו ליצור הזמנה');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+async function handleCopyInviteLink() {
+    const link = document.getElementById('invite-link-input')?.value;
+    if (!link) return;
+    try {
+        await navigator.clipboard.writeText(link);
+        familyToast.success('הקישור הועתק - שלחו אותו למשפחה 📋');
+    } catch (error) {
+        console.warn('Clipboard unavailable:', error);
+        document.getElementById('invite-link-input').select();
+    }
+}
+
+async function handleRevokeInvite(button) {
+    if (!canEdit('manageMembers')) return;
+
+    const { code } = button.dataset;
+    try {
+        await revokeInvite(dataStore, appId, code);
+        loadedInvites = loadedInvites.filter(invite => invite.code !== code);
+        renderMembersPanel(getCurrentMember(), loadedMembers, currentData.familyData || [], loadedInvites);
+        familyToast.info('ההזמנה בוטלה');
+    } catch (error) {
+        console.warn('Failed to revoke invite:', error);
+        familyToast.error('לא הצלחנו לבטל את ההזמנה');
+    }
+}
+
 // --- ENHANCED EVENT HANDLERS ---
 
 /**
@@ -0,0 +1,566 @@
+/**
+ * Itinerary
+ * Pure operations on currentData.itineraryData: finding days and their items, ranking activities
+ * that could take an item's place and building the updated itinerary. Handlers persist the result
+ * and keep the replaced item for undo.
+ */
+
+import { PLAN_KEYS, normalizeActivity } from './schema.js';
+import { calculateDistance } from './utils.js';
+import { getOpeningRangesOn, getPublicHoliday, parseTimeOfDay, formatTimeOfDay, formatOpeningRanges } from './opening-hours.js';
+
+export const PLAN_TITLES = {
+    mainPlan: 'תוכנית עיקרית',
+    alternativePlan: 'אפשרות חלופית',
+    alternativePlan2: 'אפשרות נוספת'
+};
+
+// Activities within this distance of the rest of the day count as "on the way"
+const NEARBY_KM = 2;
+const REACHABLE_KM = 5;
+const SHORT_TRAVEL_MINUTES = 20;
+
+/**
+ * @param {Array} itinerary - itineraryData.
+ * @param {number|string} dayNumber - The day's `day` (1-based, as rendered in data-day-index).
+ * @returns {Object|null}
+ */
+export function findItineraryDay(itinerary, dayNumber) {
+    return (itinerary || []).find(day => String(day.day) === String(dayNumber)) || null;
+}
+
+/**
+ * Lists every item of a day with where it sits, so a single item can be addressed later.
+ * @param {Object} day
+ * @param {Array} activities - activitiesData, to resolve activityIds.
+ * @returns {Array<{planKey: string, itemIndex: number, item: Object, activity: Object|null}>}
+ */
+export function getDayItems(day, activities = []) {
+    return PLAN_KEYS.flatMap(planKey => (day?.[planKey]?.items || []).map((item, itemIndex) => ({
+        planKey,
+        itemIndex,
+        item,
+        activity: activities.find(activity => activity.id === item.activityId) || null
+    })));
+}
+
+const hasCoordinates = (activity) => typeof activity?.lat === 'number' && typeof activity?.lon === 'number';
+const isFree = (activity) => /חינם|free/i.test(String(activity.cost || activity.price || ''));
+
+/**
+ * Ranks the activities that could replace one item of a day. Activities already on the day are
+ * left out. Same kind of activity, closeness to the rest of the day, short travel and free entry
+ * each add to the score; the reasons are returned for display.
+ * @param {Object} day
+ * @param {string} planKey
+ * @param {number} itemIndex
+ * @param {Array} activities - activitiesData.
+ * @returns {Array<{activity: Object, score: number, reasons: Array<string>, distanceKm: number|null}>}
+ */
+export function rankSwapCandidates(day, planKey, itemIndex, activities = []) {
+    const dayItems = getDayItems(day, activities);
+    const replaced = dayItems.find(entry => entry.planKey === planKey && entry.itemIndex === itemIndex);
+    const onDay = new Set(dayItems.map(entry => entry.item.activityId).filter(Boolean));
+    const neighbours = dayItems
+        .filter(entry => entry !== replaced && hasCoordinates(entry.activity))
+        .map(entry => entry.activity);
+
+    return activities
+        .filter(activity => !onDay.has(activity.id))
+        .map(activity => {
+            const reasons = [];
+            let score = 0;
+
+            if (replaced?.activity && activity.category === replaced.activity.category) {
+                score += 3;
+                reasons.push('אותו סוג פעילות');
+            }
+
+            let distanceKm = null;
+            if (hasCoordinates(activity) && neighbours.length > 0) {
+                distanceKm = Math.min(...neighbours.map(other => calculateDistance(activity.lat, activity.lon, other.lat, other.lon)));
+                if (distanceKm <= NEARBY_KM) {
+                    score += 3;
+                    reasons.push('קרוב לשאר היום');
+                } else if (distanceKm <= REACHABLE_KM) {
+                    score += 1.5;
+                    reasons.push('לא רחוק משאר היום');
+                }
+            }
+
+            if (typeof activity.time === 'number' && activity.time <= SHORT_TRAVEL_MINUTES) {
+                score += 1;
+                reasons.push('נסיעה קצרה');
+            }
+            if (isFree(activity)) {
+                score += 0.5;
+                reasons.push('חינם');
+            }
+
+            return { activity, score, reasons, distanceKm };
+        })
+        .sort((a, b) => b.score - a.score
+            || (a.activity.time ?? Infinity) - (b.activity.time ?? Infinity)
+            || a.activity.name.localeCompare(b.activity.name, 'he'));
+}
+
+/**
+ * Returns a copy of the itinerary with one plan item replaced.
+ * @param {Array} itinerary
+ * @param {number|string} dayNumber
+ * @param {string} planKey
+ * @param {number} itemIndex
+ * @param {Object} item - The new plan item.
+ * @returns {Array}
+ * @throws {Error} If the day or the item does not exist.
+ */
+export function replacePlanItem(itinerary, dayNumber, planKey, itemIndex, item) {
+    const day = findItineraryDay(itinerary, dayNumber);
+    if (!day?.[planKey]?.items?.[itemIndex]) throw new Error(`No item ${planKey}[${itemIndex}] on day ${dayNumber}`);
+
+    return itinerary.map(existing => existing !== day ? existing : {
+        ...existing,
+        [planKey]: {
+            ...existing[planKey],
+            items: existing[planKey].items.map((current, index) => index === itemIndex ? item : current)
+        }
+    });
+}
+
+/**
+ * Replaces one plan item with an activity. The item keeps its time slot; everything else comes
+ * from the new activity.
+ * @param {Array} itinerary
+ * @param {number|string} dayNumber
+ * @param {string} planKey
+ * @param {number} itemIndex
+ * @param {Object} activity
+ * @returns {{itinerary: Array, previous: Object, replacement: Object}} The previous item is kept for undo.
+ * @throws {Error} If the day or the item does not exist.
+ */
+export function swapPlanItem(itinerary, dayNumber, planKey, itemIndex, activity) {
+    const previous = findItineraryDay(itinerary, dayNumber)?.[planKey]?.items?.[itemIndex];
+    const replacement = { activityId: activity.id, description: activity.name };
+    if (previous?.time) replacement.time = previous.time;
+
+    return { itinerary: replacePlanItem(itinerary, dayNumber, planKey, itemIndex, replacement), previous, replacement };
+}
+
+// --- Editing ---
+
+const DEFAULT_DAY_NAME = /^יום \d+$/;
+
+function withPlanItems(day, planKey, updateItems) {
+    return { ...day, [planKey]: { ...(day[planKey] || {}), items: updateItems(day[planKey]?.items || []) } };
+}
+
+function updateDay(itinerary, dayNumber, updateDayData) {
+    const day = findItineraryDay(itinerary, dayNumber);
+    if (!day) throw new Error(`No day ${dayNumber}`);
+    return itinerary.map(existing => existing === day ? updateDayData(existing) : existing);
+}
+
+/**
+ * Moves a plan item to another position, plan or day.
+ * @param {Array} itinerary
+ * @param {{day: number|string, planKey: string, itemIndex: number}} from
+ * @param {{day: number|string, planKey: string, itemIndex?: number}} to - itemIndex is the position
+ *   to insert before, counted in the target list as it is now; without it the item goes last.
+ * @returns {Array}
+ * @throws {Error} If the source item or the target day does not exist.
+ */
+export function moveItineraryItem(itinerary, from, to) {
+    const item = findItineraryDay(itinerary, from.day)?.[from.planKey]?.items?.[from.itemIndex];
+    if (!item) throw new Error(`No item ${from.planKey}[${from.itemIndex}] on day ${from.day}`);
+    if (!findItineraryDay(itinerary, to.day)) throw new Error(`No day ${to.day}`);
+
+    const sameList = String(from.day) === String(to.day) && from.planKey === to.planKey;
+    let insertAt = to.itemIndex ?? Infinity;
+    if (sameList && from.itemIndex < insertAt) insertAt--;
+
+    const removed = updateDay(itinerary, from.day, day =>
+        withPlanItems(day, from.planKey, items => items.filter((_, index) => index !== from.itemIndex)));
+    return updateDay(removed, to.day, day => withPlanItems(day, to.planKey, items => {
+        const position = Math.max(0, Math.min(insertAt, items.length));
+        return [...items.slice(0, position), item, ...items.slice(position)];
+    }));
+}
+
+/**
+ * @param {Array} itinerary
+ * @param {number|string} dayNumber
+ * @param {string} planKey
+ * @param {Object} item - e.g. { description: 'גלידה בפארק' } for a free-text item.
+ * @returns {Array}
+ */
+export function addPlanItem(itinerary, dayNumber, planKey, item) {
+    return updateDay(itinerary, dayNumber, day => withPlanItems(day, planKey, items => [...items, item]));
+}
+
+/**
+ * @param {Array} itinerary
+ * @param {number|string} dayNumber
+ * @param {string} planKey
+ * @param {number} itemIndex
+ * @returns {Array}
+ */
+export function removePlanItem(itinerary, dayNumber, planKey, itemIndex) {
+    return updateDay(itinerary, dayNumber, day => withPlanItems(day, planKey, items => items.filter((_, index) => index !== itemIndex)));
+}
+
+/**
+ * Sets or clears (empty string) an item's start time.
+ * @param {Array} itinerary
+ * @param {number|string} dayNumber
+ * @param {string} planKey
+ * @param {number} itemIndex
+ * @param {string} time - 'HH:MM' or ''.
+ * @returns {Array}
+ */
+export function setPlanItemTime(itinerary, dayNumber, planKey, itemIndex, time) {
+    return updateDay(itinerary, dayNumber, day => withPlanItems(day, planKey, items => items.map((item, index) => {
+        if (index !== itemIndex) return item;
+        const { time: _previous, ...rest } = item;
+        return time ? { ...rest, time } : rest;
+    })));
+}
+
+/**
+ * Appends an empty day.
+ * @param {Array} itinerary
+ * @returns {Array}
+ */
+export function addItineraryDay(itinerary) {
+    const dayNumber = itinerary.length + 1;
+    return [...itinerary, { day: dayNumber, dayName: `יום ${dayNumber}`, date: '', title: '', mainPlan: { items: [] } }];
+}
+
+/**
+ * Removes a day and renumbers the ones after it. Days still named "יום N" are renamed to match.
+ * @param {Array} itinerary
+ * @param {number|string} dayNumber
+ * @returns {Array}
+ */
+export function removeItineraryDay(itinerary, dayNumber) {
+    return itinerary
+        .filter(day => String(day.day) !== String(dayNumber))
+        .map((day, index) => {
+            const renumbered = index + 1;
+            if (day.day === renumbered) return day;
+            return { ...day, day: renumbered, dayName: DEFAULT_DAY_NAME.test(day.dayName || '') ? `יום ${renumbered}` : day.dayName };
+        });
+}
+
+/**
+ * Moves entries keyed by day number, such as weatherPlanOverrides, along with removeItineraryDay():
+ * the removed day's entry is dropped and the ones after it follow their day's new number.
+ * @param {Object} byDay - Day number -> value.
+ * @param {Array} itinerary - The itinerary before the day is removed.
+ * @param {number|string} dayNumber
+ * @returns {Object}
+ */
+export function renumberDayEntries(byDay, itinerary, dayNumber) {
+    const newNumbers = new Map(itinerary
+        .filter(day => String(day.day) !== String(dayNumber))
+        .map((day, index) => [String(day.day), String(index + 1)]));
+    return Object.fromEntries(Object.entries(byDay || {})
+        .filter(([day]) => newNumbers.has(day))
+        .map(([day, value]) => [newNumbers.get(day), value]));
+}
+
+/**
+ * The day's main plan stops that have coordinates, in visiting order, for drawing its route.
+ * @param {Object} day
+ * @param {Array} activities
+ * @returns {Array<[number, number]>}
+ */
+export function getDayRoute(day, activities = []) {
+    return getDayItems(day, activities)
+        .filter(entry => entry.planKey === 'mainPlan' && hasCoordinates(entry.activity))
+        .map(({ activity }) => [activity.lat, activity.lon]);
+}
+
+// --- Conflict checks ---
+
+// Rough door-to-door speed by public transport with small children, plus waiting and walking
+const TRANSIT_KM_PER_HOUR = 20;
+const TRANSIT_OVERHEAD_MINUTES = 10;
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})/;
+
+function parseDate(text) {
+    const match = ISO_DATE_PATTERN.exec(String(text || ''));
+    return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+}
+
+/**
+ * @param {Object} data - Trip data (currentData).
+ * @returns {string|null} The trip's first day, 'YYYY-MM-DD'.
+ */
+export function getTripStartDate(data) {
+    return data?.tripStartDate || data?.tripTimeline?.[0]?.date || null;
+}
+
+/**
+ * The calendar date of a trip day: its own ISO `date`, or the trip start date plus the day number.
+ * @param {Object} day
+ * @param {string|null} startDate - 'YYYY-MM-DD'.
+ * @returns {Date|null}
+ */
+export function getTripDayDate(day, startDate) {
+    const own = parseDate(day?.date);
+    if (own) return own;
+    const start = parseDate(startDate);
+    if (!start || !day?.day) return null;
+    start.setDate(start.getDate() + Number(day.day) - 1);
+    return start;
+}
+
+/**
+ * Reads a visit length such as '2-3 שעות', '45 דקות' or 'שעה'. Ranges count their lower bound.
+ * @param {string|number} duration
+ * @returns {number|null} Minutes.
+ */
+export function parseDurationMinutes(duration) {
+    if (typeof duration === 'number') return duration;
+    const text = String(duration || '');
+    if (!text) return null;
+    const number = /(\d+(?:\.\d+)?)/.exec(text);
+    const hours = /שע|hour/i.test(text);
+    if (!number) return /חצי שעה/.test(text) ? 30 : hours ? 60 : null;
+    return Math.round(Number(number[1]) * (hours ? 60 : 1));
+}
+
+/**
+ * Minutes to get from one stop to the next: from the distance when both have coordinates,
+ * otherwise the next activity's travel time.
+ * @returns {number|null}
+ */
+export function estimateTravelMinutes(from, to) {
+    if (hasCoordinates(from) && hasCoordinates(to)) {
+        const km = calculateDistance(from.lat, from.lon, to.lat, to.lon);
+        return Math.round(km / TRANSIT_KM_PER_HOUR * 60) + TRANSIT_OVERHEAD_MINUTES;
+    }
+    return typeof to?.time === 'number' ? to.time : null;
+}
+
+/**
+ * Walks each plan of a day in order and flags what cannot work: venues closed that day (public
+ * holidays included) or at that hour, items that overlap, gaps too short for the travel between them, and plans that end
+ * (with the trip back) after bedtime. Plans are checked separately - they are alternatives.
+ * @param {Object} day
+ * @param {Object} options
+ * @param {Array} [options.activities] - activitiesData.
+ * @param {Date|null} [options.date] - The day's date; without it opening days are not checked.
+ * @param {string} [options.bedtime] - 'HH:MM'.
+ * @returns {Array<{type: string, planKey: string, itemIndex: number|null, message: string}>}
+ */
+export function checkItineraryDay(day, { activities = [], date = null, bedtime = null } = {}) {
+    const warnings = [];
+    const weekdayName = date ? date.toLocaleDateString('he-IL', { weekday: 'long' }) : '';
+    const holiday = date ? getPublicHoliday(date) : null;
+    const bedtimeMinutes = parseTimeOfDay(bedtime);
+
+    PLAN_KEYS.forEach(planKey => {
+        const entries = getDayItems(day, activities).filter(entry => entry.planKey === planKey);
+        const warn = (type, itemIndex, message) => warnings.push({ type, planKey, itemIndex, message });
+        let previous = null;
+
+        entries.forEach(({ item, itemIndex, activity }) => {
+            const name = activity?.name || item.description;
+            const start = parseTimeOfDay(item.time);
+            const duration = parseDurationMinutes(item.duration ?? activity?.duration);
+            const end = start !== null && duration !== null ? start + duration : null;
+
+            const ranges = date ? getOpeningRangesOn(activity?.openingHours, date) : null;
+            if (ranges?.length === 0) {
+                warn('closed', itemIndex, holiday ? `${name} סגור ב${holiday.label}` : `${name} סגור ב${weekdayName}`);
+            } else if (ranges && start !== null) {
+                const range = ranges.find(([open, close]) => start >= open && start < close);
+                const hours = formatOpeningRanges(ranges);
+                if (!range) warn('hours', itemIndex, `${name} פתוח ב${weekdayName} רק ${hours}`);
+                else if (end !== null && end > range[1]) warn('hours', itemIndex, `${name} נסגר ב-${formatTimeOfDay(range[1])}, לפני סוף הביקור`);
+            }
+
+            if (start !== null && previous) {
+                const travel = estimateTravelMinutes(previous.activity, activity);
+                const free = start - (previous.end ?? previous.start);
+                if (previous.end !== null && start < previous.end) {
+                    warn('overlap', itemIndex, `חופף ל"${previous.name}" שנגמר ב-${formatTimeOfDay(previous.end)}`);
+                } else if (travel !== null && free < travel) {
+                    warn('travel', itemIndex, `אין מספיק זמן להגיע מ"${previous.name}" - הנסיעה כ-${travel} דקות`);
+                }
+            }
+            if (start !== null) previous = { name, start, end, activity };
+        });
+
+        if (previous && bedtimeMinutes !== null) {
+            const homeBy = (previous.end ?? previous.start) + (typeof previous.activity?.time === 'number' ? previous.activity.time : 0);
+            if (homeBy > bedtimeMinutes) {
+                warn('bedtime', null, `חוזרים למלון בערך ב-${formatTimeOfDay(homeBy)}, אחרי שעת השינה (${bedtime})`);
+            }
+        }
+    });
+
+    return warnings;
+}
+
+/**
+ * Runs checkItineraryDay over the whole itinerary.
+ * @param {Array} itinerary
+ * @param {Object} options
+ * @param {Array} [options.activities]
+ * @param {string|null} [options.startDate] - Trip start date, 'YYYY-MM-DD'.
+ * @param {string} [options.bedtime]
+ * @returns {Object<string, Array>} Warnings by day number.
+ */
+export function checkItinerary(itinerary, { activities = [], startDate = null, bedtime = null } = {}) {
+    return Object.fromEntries((itinerary || []).map(day => [
+        day.day,
+        checkItineraryDay(day, { activities, date: getTripDayDate(day, startDate), bedtime })
+    ]));
+}
+
+// --- Rainy days ---
+
+// Open-Meteo weather codes: rain, freezing rain and snow (61-75), showers and storms (80 and up)
+const isWetWeatherCode = (code) => (code >= 61 && code <= 75) || code >= 80;
+const OUTDOOR_CATEGORIES = ['חוץ', 'פארקים', 'נוף', 'ספורט'];
+
+/**
+ * @param {Object} [activity]
+ * @returns {boolean} Whether rain would spoil it: its `indoor` flag, or else its category.
+ */
+export function isOutdoorActivity(activity) {
+    if (typeof activity?.indoor === 'boolean') return !activity.indoor;
+    return OUTDOOR_CATEGORIES.includes(activity?.category);
+}
+
+/**
+ * @param {Date} date
+ * @returns {string} 'YYYY-MM-DD' in local time.
+ */
+export function formatDateKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * The forecast weather code of a date, from the Open-Meteo daily forecast (currentData.weatherData).
+ * @param {Object} weather
+ * @param {Date|null} date
+ * @returns {number|null}
+ */
+export function getForecastCode(weather, date) {
+    if (!date || !Array.isArray(weather?.daily?.time)) return null;
+    const index = weather.daily.time.indexOf(formatDateKey(date));
+    return index === -1 ? null : weather.daily.weathercode?.[index] ?? null;
+}
+
+/**
+ * Which plan of a day to lead with. On a wet day the plan with the fewest outdoor items takes the
+ * main plan's place, if it has fewer than the main plan; a family member's choice for the day
+ * (override) wins either way.
+ * @param {Object} day
+ * @param {Object} options
+ * @param {Array} [options.activities]
+ * @param {number|null} [options.weatherCode] - From getForecastCode().
+ * @param {string} [options.override] - A plan key chosen for this day.
+ * @returns {{planKey: string, wet: boolean, rainPlanKey: string|null, overridden: boolean}}
+ *   rainPlanKey is the plan a wet day would switch to, whether or not it did.
+ */
+export function getWeatherPlan(day, { activities = [], weatherCode = null, override } = {}) {
+    const wet = weatherCode !== null && isWetWeatherCode(weatherCode);
+    const outdoorCount = (planKey) => getDayItems(day, activities)
+        .filter(entry => entry.planKey === planKey && isOutdoorActivity(entry.activity)).length;
+
+    const mainOutdoor = outdoorCount('mainPlan');
+    const rainPlanKey = mainOutdoor === 0 ? null : PLAN_KEYS
+        .filter(planKey => planKey !== 'mainPlan' && day?.[planKey]?.items?.length)
+        .map(planKey => ({ planKey, outdoor: outdoorCount(planKey) }))
+        .filter(plan => plan.outdoor < mainOutdoor)
+        .sort((a, b) => a.outdoor - b.outdoor)[0]?.planKey ?? null;
+
+    if (override && (override === 'mainPlan' || day?.[override]?.items?.length)) {
+        return { planKey: override, wet, rainPlanKey, overridden: true };
+    }
+    return { planKey: wet && rainPlanKey ? rainPlanKey : 'mainPlan', wet, rainPlanKey, overridden: false };
+}
+
+// --- AI day plans ---
+
+// What a generated activity may carry, so nothing else from the reply - an image URL, say - reaches it
+const AI_ACTIVITY_FIELDS = ['name', 'category', 'address', 'lat', 'lon', 'duration', 'time', 'transport', 'cost', 'description', 'whatToBring'];
+
+function pickAiActivity(raw) {
+    return Object.fromEntries(AI_ACTIVITY_FIELDS
+        .filter(field => raw[field] !== undefined)
+        .map(field => [field, typeof raw[field] === 'string' ? raw[field].trim() : raw[field]]));
+}
+
+/**
+ * Reads the day plan Gemini was asked to return as JSON:
+ * { title, items: [{ time, activityId } | { time, newActivity: {name, lat, lon, ...} } | { time, description }] }.
+ * Unknown activity ids fall back to the item's description, and a new activity that has the name
+ * of a known one uses the known one. Text is kept as written - it is escaped where it is rendered.
+ * @param {string} text - Gemini's reply; the JSON may be wrapped in prose or a code fence.
+ * @param {Array} activities - activitiesData.
+ * @param {Object} [options]
+ * @param {string} [options.idPrefix] - Ids of new activities are `${idPrefix}-${n}`.
+ * @returns {{title: string, items: Array<Object>, newActivities: Array<Object>}}
+ * @throws {Error} When the reply has no plan with items in it.
+ */
+export function parseAiDayPlan(text, activities = [], { idPrefix = `ai-${Date.now()}` } = {}) {
+    let raw;
+    try {
+        raw = JSON.parse(/\{[\s\S]*\}/.exec(String(text || ''))?.[0]);
+    } catch (error) {
+        raw = null;
+    }
+    if (!Array.isArray(raw?.items)) throw new Error('ה-AI לא החזיר תוכנית במבנה הצפוי');
+
+    const newActivities = [];
+    const byName = (name) => [...activities, ...newActivities]
+        .find(activity => activity.name?.trim().toLowerCase() === String(name).trim().toLowerCase());
+
+    const items = raw.items.map(entry => {
+        const start = parseTimeOfDay(entry?.time);
+        const time = start !== null ? { time: formatTimeOfDay(start) } : {};
+        const description = typeof entry?.description === 'string' ? entry.description.trim() : '';
+
+        if (entry?.activityId != null && activities.some(activity => String(activity.id) === String(entry.activityId))) {
+            return { activityId: String(entry.activityId), ...time };
+        }
+        if (entry?.newActivity && typeof entry.newActivity === 'object') {
+            const fields = pickAiActivity(entry.newActivity);
+            const known = byName(fields.name || '');
+            if (known) return { activityId: known.id, ...time };
+            const activity = normalizeActivity({ ...fields, id: `${idPrefix}-${newActivities.length + 1}`, generated: true }, 'newActivity');
+            if (activity) {
+                newActivities.push(activity);
+                return { activityId: activity.id, ...time };
+            }
+        }
+        return description ? { description, ...time } : null;
+    }).filter(Boolean);
+
+    if (items.length === 0) throw new Error('ה-AI לא החזיר תוכנית במבנה הצפוי');
+    return { title: typeof raw.title === 'string' ? raw.title.trim() : '', items, newActivities };
+}
+
+/**
+ * Puts an AI day plan into the itinerary: as a new last day, or as the main plan and title of an
+ * existing day (its name, date and alternatives stay).
+ * @param {Array} itinerary
+ * @param {{title: string, items: Array}} plan - From parseAiDayPlan().
+ * @param {number|string|null} [dayNumber] - The day to replace; null adds a day.
+ * @returns {Array}
+ */
+export function applyAiDayPlan(itinerary, plan, dayNumber = null) {
+    const mainPlan = { items: plan.items.map(item => ({ ...item })) };
+    if (dayNumber === null) {
+        const added = addItineraryDay(itinerary);
+        const day = added[added.length - 1];
+        return [...added.slice(0, -1), { ...day, title: plan.title, mainPlan }];
+    }
+    if (!findItineraryDay(itinerary, dayNumber)) throw new Error(`No day ${dayNumber}`);
+    return itinerary.map(day => String(day.day) === String(dayNumber) ? { ...day, title: plan.title || day.title, mainPlan } : day);
+}
@@ -0,0 +1,241 @@
+/**
+ * Local Data Store
+ * A DataStore (see data-store.js) that keeps everything in the browser: documents in
+ * localStorage, uploaded files as blobs in IndexedDB. Used in demo mode and for testing
+ * without Firebase or a network. Understands the same fieldOps markers as the sync queue.
+ */
+
+const DOC_PREFIX = 'geneva-guide-local:';
+const FILES_DB_NAME = 'geneva-guide-local-files';
+const FILES_STORE = 'files';
+
+// Uploaded files are served from IndexedDB by the service worker under this path
+export const LOCAL_FILE_PREFIX = '/local-files/';
+
+const DELETE = Symbol('delete');
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const clone = (value) => (value == null ? null : JSON.parse(JSON.stringify(value)));
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// --- Field operations ---
+
+// Resolves fieldOps markers ({ __op }) against the current value of the field
+function resolveValue(current, value) {
+    if (!isPlainObject(value)) return value;
+
+    switch (value.__op) {
+        case 'arrayUnion': {
+            const result = Array.isArray(current) ? [...current] : [];
+            value.values.forEach(item => {
+                if (!result.some(existing => sameValue(existing, item))) result.push(item);
+            });
+            return result;
+        }
+        case 'arrayRemove':
+            return (Array.isArray(current) ? current : []).filter(item => !value.values.some(removed => sameValue(removed, item)));
+        case 'serverTimestamp':
+            return Date.now();
+        case 'timestamp':
+            return value.millis;
+        case 'deleteField':
+            return DELETE;
+    }
+
+    const resolved = {};
+    Object.entries(value).forEach(([key, nested]) => {
+        const next = resolveValue(isPlainObject(current) ? current[key] : undefined, nested);
+        if (next !== DELETE) resolved[key] = next;
+    });
+    return resolved;
+}
+
+function setFieldPath(target, fieldPath, value) {
+    const keys = fieldPath.split('.');
+    const last = keys.pop();
+    let node = target;
+    keys.forEach(key => {
+        if (!isPlainObject(node[key])) node[key] = {};
+        node = node[key];
+    });
+
+    const next = resolveValue(node[last], value);
+    if (next === DELETE) delete node[last];
+    else node[last] = next;
+}
+
+function mergeDeep(target, source) {
+    Object.entries(source).forEach(([key, value]) => {
+        if (isPlainObject(value) && !value.__op && isPlainObject(target[key])) {
+            mergeDeep(target[key], value);
+        } else {
+            const next = resolveValue(target[key], value);
+            if (next === DELETE) delete target[key];
+            else target[key] = next;
+        }
+    });
+    return target;
+}
+
+/**
+ * Applies an update the way Firestore's updateDoc does: keys are dotted field paths.
+ * @param {Object} data - Current document data (not modified).
+ * @param {Object} fields - Field path -> value; values may be fieldOps markers.
+ * @returns {Object} The updated copy.
+ */
+export function applyFieldUpdates(data, fields) {
+    const updated = clone(data) || {};
+    Object.entries(fields).forEach(([fieldPath, value]) => setFieldPath(updated, fieldPath, value));
+    return updated;
+}
+
+// --- Files ---
+
+let filesDbPromise = null;
+
+function openFilesDB() {
+    if (!filesDbPromise) {
+        filesDbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(FILES_DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(FILES_STORE);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return filesDbPromise;
+}
+
+async function filesRequest(mode, action) {
+    const idb = await openFilesDB();
+    return new Promise((resolve, reject) => {
+        const transaction = idb.transaction(FILES_STORE, mode);
+        const request = action(transaction.objectStore(FILES_STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Reads a file stored by upload().
+ * @param {string} storagePath
+ * @returns {Promise<Blob|undefined>}
+ */
+export function readLocalFile(storagePath) {
+    return filesRequest('readonly', store => store.get(storagePath));
+}
+
+// --- Store ---
+
+/**
+ * Creates a DataStore backed by localStorage and IndexedDB. Changes made in other tabs
+ * reach subscribers through the `storage` event.
+ * @param {Object} [options]
+ * @param {string} [options.prefix] - localStorage key prefix, so tests can use a scratch space.
+ * @returns {DataStore}
+ */
+export function createLocalStore({ prefix = DOC_PREFIX } = {}) {
+    const docListeners = new Map();
+    const collectionListeners = new Map();
+
+    const readDoc = (path) => JSON.parse(localStorage.getItem(prefix + path) || 'null');
+
+    function listCollection(collectionPath) {
+        const itemPrefix = `${prefix}${collectionPath}/`;
+        const items = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (!key.startsWith(itemPrefix)) continue;
+            const id = key.slice(itemPrefix.length);
+            if (id.includes('/')) continue;
+            items.push({ id, ...JSON.parse(localStorage.getItem(key)) });
+        }
+        // Same order as the Firestore listeners: newest first
+        return items.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+    }
+
+    function notifyDoc(path) {
+        const data = readDoc(path);
+        (docListeners.get(path) || new Set()).forEach(listener => listener(clone(data), { fromCache: false }));
+    }
+
+    function notifyCollection(collectionPath) {
+        (collectionListeners.get(collectionPath) || new Set()).forEach(listener => listener());
+    }
+
+    function notify(path) {
+        notifyDoc(path);
+        notifyCollection(path.split('/').slice(0, -1).join('/'));
+    }
+
+    function writeDoc(path, data) {
+        if (data === null) localStorage.removeItem(prefix + path);
+        else localStorage.setItem(prefix + path, JSON.stringify(data));
+        notify(path);
+    }
+
+    function addListener(listeners, key, listener) {
+        if (!listeners.has(key)) listeners.set(key, new Set());
+        listeners.get(key).add(listener);
+        return () => listeners.get(key).delete(listener);
+    }
+
+    window.addEventListener('storage', (event) => {
+        if (event.key && event.key.startsWith(prefix)) notify(event.key.slice(prefix.length));
+    });
+
+    return {
+        kind: 'local',
+
+        async get(path) {
+            return clone(readDoc(path));
+        },
+
+        async list(collectionPath, { where } = {}) {
+            const items = listCollection(collectionPath);
+            if (!where) return clone(items);
+            const [field, op, value] = where;
+            return clone(items.filter(item => (op === 'array-contains'
+                ? Array.isArray(item[field]) && item[field].some(entry => sameValue(entry, value))
+                : sameValue(item[field], value))));
+        },
+
+        subscribe(path, onData) {
+            const unsubscribe = addListener(docListeners, path, onData);
+            setTimeout(() => onData(clone(readDoc(path)), { fromCache: false }), 0);
+            return unsubscribe;
+        },
+
+        subscribeCollection(collectionPath, { limit = Infinity } = {}, onItems) {
+            const emit = () => onItems(clone(listCollection(collectionPath).slice(0, limit)));
+            const unsubscribe = addListener(collectionListeners, collectionPath, emit);
+            setTimeout(emit, 0);
+            return unsubscribe;
+        },
+
+        async set(path, data, { merge = false } = {}) {
+            const existing = merge ? readDoc(path) || {} : {};
+            writeDoc(path, mergeDeep(clone(existing), data));
+        },
+
+        async update(path, fields) {
+            const existing = readDoc(path);
+            if (!existing) throw { code: 'not-found', message: `No document at ${path}` };
+            writeDoc(path, applyFieldUpdates(existing, fields));
+        },
+
+        async arrayAppend(path, field, value, options) {
+            return this.update(path, { [field]: { __op: 'arrayUnion', values: [value] } }, options);
+        },
+
+        async remove(path) {
+            writeDoc(path, null);
+        },
+
+        async upload(storagePath, file) {
+            await filesRequest('readwrite', store => store.put(file, storagePath));
+            return LOCAL_FILE_PREFIX + storagePath.split('/').map(encodeURIComponent).join('/');
+        },
+
+        async flush() {}
+    };
+}
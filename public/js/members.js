@@ -0,0 +1,508 @@
+/**
+ * Family Members
+ * Real identities (email link or passcode sign-in) mapped to the trip's family roster, invite
+ * codes for everyone else, and the role that decides what each member may change. Only members
+ * can open a trip - firestore.rules and storage.rules enforce the same model on the server.
+ */
+
+import {
+    sendSignInLinkToEmail,
+    isSignInWithEmailLink,
+    signInWithEmailLink,
+    signInWithEmailAndPassword,
+    createUserWithEmailAndPassword,
+    sendEmailVerification,
+    signOut
+} from "https://www.gstatic.com/firebasejs/10.12.2/firebase-auth.js";
+import { fieldOps } from './sync-queue.js';
+import { getTripDataPath, getTripRegistryPath } from './trips.js';
+
+export const ROLES = {
+    organizer: { label: 'מארגן/ת', permissions: ['edit', 'manageTrip', 'manageMembers'] },
+    member: { label: 'בן/בת משפחה', permissions: ['edit'] },
+    viewer: { label: 'צפייה בלבד', permissions: [] }
+};
+
+const SIGN_IN_EMAIL_KEY = 'member-sign-in-email';
+const MEMBER_CACHE_KEY = 'trip-member';
+const PENDING_INVITE_KEY = 'pending-trip-invite';
+// Query parameters Firebase adds to an email sign-in link
+const EMAIL_LINK_PARAMS = ['apiKey', 'oobCode', 'mode', 'lang', 'continueUrl'];
+
+// No 0/O or 1/I, so codes survive being read out over the phone
+const INVITE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 8;
+const INVITE_LIFETIME_DAYS = 7;
+
+const GUEST = { uid: null, name: 'אורח', email: null, role: 'viewer', rosterIndex: -1, joined: false };
+
+let currentMember = GUEST;
+let memberListeners = [];
+// `${tripId}/${uid}` of memberships already found in their trip's memberUids this session
+const registeredMemberships = new Set();
+
+// --- Current member ---
+
+/**
+ * @returns {{uid: string|null, name: string, email: string|null, role: string, rosterIndex: number, joined: boolean}}
+ */
+export function getCurrentMember() {
+    return currentMember;
+}
+
+/**
+ * @param {'edit'|'manageTrip'|'manageMembers'} permission
+ * @returns {boolean}
+ */
+export function hasPermission(permission) {
+    return (ROLES[currentMember.role] || ROLES.viewer).permissions.includes(permission);
+}
+
+/**
+ * Whether the signed-in user has a member record on the active trip, and so may read it.
+ * @returns {boolean}
+ */
+export function isTripMember() {
+    return Boolean(currentMember.uid && currentMember.joined);
+}
+
+/**
+ * Registers a callback for whenever the signed-in member or their role changes.
+ * @param {Function} listener - Called with the member.
+ */
+export function onMemberChange(listener) {
+    memberListeners.push(listener);
+}
+
+function setCurrentMember(member, cacheKey = null) {
+    currentMember = member;
+    if (cacheKey) {
+        try {
+            localStorage.setItem(`${MEMBER_CACHE_KEY}:${cacheKey}`, JSON.stringify(member));
+        } catch (error) {
+            console.warn('⚠️ Could not cache the signed-in member:', error);
+        }
+    }
+    console.log(`👤 Member: ${member.name} (${member.role})`);
+    memberListeners.forEach(listener => listener(member));
+}
+
+/**
+ * Restores the member last signed in to a trip on this device, so an offline start keeps
+ * its editing rights until auth settles. The server rules stay the real gate.
+ * @param {string} tripId
+ */
+export function restoreCachedMember(tripId) {
+    try {
+        const cached = JSON.parse(localStorage.getItem(`${MEMBER_CACHE_KEY}:${tripId}`) || 'null');
+        if (cached && ROLES[cached.role]) setCurrentMember(cached);
+    } catch (error) {
+        console.warn('⚠️ Could not read the cached member:', error);
+    }
+}
+
+/**
+ * Demo mode has a single local user who may do everything.
+ */
+export function useLocalMember() {
+    setCurrentMember({ uid: 'local-user', name: 'מצב הדגמה', email: null, role: 'organizer', rosterIndex: -1, joined: true });
+}
+
+// --- Roster mapping ---
+
+export function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+export function getMembersPath(tripId) {
+    return `${getTripDataPath(tripId)}/members`;
+}
+
+// Roster emails the organizer opened, one document per address, so the rules can check a join
+export function getAccessPath(tripId) {
+    return `${getTripDataPath(tripId)}/access`;
+}
+
+export function getInvitesPath(tripId) {
+    return `${getTripDataPath(tripId)}/invites`;
+}
+
+/**
+ * Works out who a user is on a trip they have no member record for yet.
+ * Users are matched to the roster access entry for their address once the address is proven:
+ * email-link users right away, passcode users after confirming it. The creator of a trip becomes
+ * its organizer. Anyone else needs an invite.
+ * @param {{uid: string, email: string|null, emailVerified: boolean, isAnonymous: boolean}} user
+ * @param {Object|null} accessEntry - The access document for the user's email ({ name, role, rosterIndex }).
+ * @param {Object|null} registryEntry - The trip's registry entry.
+ * @returns {Object|null} The member record to store, or null if the user cannot join on their own.
+ */
+export function resolveNewMember(user, accessEntry = null, registryEntry = null) {
+    if (!user || user.isAnonymous) return null;
+
+    const email = normalizeEmail(user.email);
+    // Anyone can create a passcode account for any address, so only a verified one takes a roster slot
+    if (email && accessEntry && user.emailVerified) {
+        return {
+            uid: user.uid,
+            name: accessEntry.name || email.split('@')[0],
+            email,
+            role: ROLES[accessEntry.role] ? accessEntry.role : 'member',
+            rosterIndex: Number.isInteger(accessEntry.rosterIndex) ? accessEntry.rosterIndex : -1
+        };
+    }
+
+    // Trips that predate the registry have no creator until an admin sets one
+    if (registryEntry?.createdBy && registryEntry.createdBy === user.uid) {
+        return {
+            uid: user.uid,
+            name: email ? email.split('@')[0] : 'מארגן/ת',
+            email: email || null,
+            role: 'organizer',
+            rosterIndex: -1
+        };
+    }
+
+    return null;
+}
+
+// The trip selector lists a user's trips by the memberUids of their registry entries (see listTrips).
+// Joiners and members from before memberUids existed add themselves once their record is in place.
+async function addToTripRegistry(store, tripId, uid) {
+    const key = `${tripId}/${uid}`;
+    if (registeredMemberships.has(key)) return;
+    try {
+        const registryEntry = await store.get(getTripRegistryPath(tripId));
+        // The default trip may have no registry entry at all
+        if (registryEntry && !registryEntry.memberUids?.includes(uid)) {
+            await store.arrayAppend(getTripRegistryPath(tripId), 'memberUids', uid, { label: 'הצטרפות לטיול' });
+        }
+        registeredMemberships.add(key);
+    } catch (error) {
+        console.warn('⚠️ Could not add the trip to the trip selector:', error);
+    }
+}
+
+/**
+ * Follows the signed-in user's member record of the active trip, creating it on first visit when
+ * the roster or the trip registry allows, so role changes made by the organizer apply right away.
+ * @param {DataStore} store
+ * @param {string} tripId
+ * @param {Object|null} user - Firebase user.
+ * @returns {Function} Unsubscribe.
+ */
+export function watchMember(store, tripId, user) {
+    if (!user) {
+        setCurrentMember(GUEST, tripId);
+        return () => {};
+    }
+
+    const memberPath = `${getMembersPath(tripId)}/${user.uid}`;
+    return store.subscribe(memberPath, async (record) => {
+        if (record) {
+            setCurrentMember({ ...GUEST, ...record, uid: user.uid, role: ROLES[record.role] ? record.role : 'viewer', joined: true }, tripId);
+            addToTripRegistry(store, tripId, user.uid);
+            return;
+        }
+
+        const email = normalizeEmail(user.email) || null;
+        setCurrentMember({ ...GUEST, uid: user.uid, name: email ? email.split('@')[0] : GUEST.name, email }, tripId);
+        if (user.isAnonymous) return;
+
+        try {
+            const [accessEntry, registryEntry] = await Promise.all([
+                email ? store.get(`${getAccessPath(tripId)}/${email}`) : null,
+                // Only members and the trip's creator may read its registry entry
+                store.get(getTripRegistryPath(tripId)).catch(() => null)
+            ]);
+            const member = resolveNewMember(user, accessEntry, registryEntry);
+            if (!member) return;
+
+            const { uid, ...fields } = member;
+            await store.set(memberPath, { ...fields, joinedAt: fieldOps.serverTimestamp() }, { label: 'הצטרפות לטיול' });
+        } catch (error) {
+            console.warn('⚠️ Could not join the trip:', error);
+        }
+    }, (error) => {
+        console.warn('🔥 Member listener error:', error.code, error.message);
+    });
+}
+
+/**
+ * Changes a member's role: on their member record, their roster entry and its access entry.
+ * @param {DataStore} store
+ * @param {string} tripId
+ * @param {Object} member - Member record with uid.
+ * @param {string} role
+ * @param {Array} familyData - Current roster.
+ */
+export async function setMemberRole(store, tripId, member, role, familyData = []) {
+    if (!ROLES[role]) throw new Error(`Unknown role ${role}`);
+
+    await store.update(`${getMembersPath(tripId)}/${member.uid}`, { role }, {
+        base: { role: member.role },
+        label: `הרשאות של ${member.name}`
+    });
+
+    if (member.rosterIndex >= 0 && familyData[member.rosterIndex]) {
+        const updatedRoster = familyData.map((entry, index) => (index === member.rosterIndex ? { ...entry, role } : entry));
+        await store.update(getTripDataPath(tripId), { familyData: updatedRoster }, {
+            base: { familyData },
+            label: `הרשאות של ${member.name}`
+        });
+        await saveRosterAccess(store, tripId, familyData[member.rosterIndex], updatedRoster[member.rosterIndex], member.rosterIndex);
+    }
+}
+
+/**
+ * Keeps the access entry of a roster entry in step with its email and role.
+ * @param {DataStore} store
+ * @param {string} tripId
+ * @param {Object} previous - The roster entry before the change.
+ * @param {Object} entry - The roster entry after the change.
+ * @param {number} rosterIndex
+ */
+export async function saveRosterAccess(store, tripId, previous, entry, rosterIndex) {
+    const previousEmail = normalizeEmail(previous?.email);
+    const email = normalizeEmail(entry.email);
+
+    if (previousEmail && previousEmail !== email) {
+        await store.remove(`${getAccessPath(tripId)}/${previousEmail}`, { label: 'רשימת בני המשפחה' });
+    }
+    if (email) {
+        await store.set(`${getAccessPath(tripId)}/${email}`, {
+            name: entry.name || email.split('@')[0],
+            role: ROLES[entry.role] ? entry.role : 'member',
+            rosterIndex
+        }, { label: 'רשימת בני המשפחה' });
+    }
+}
+
+// --- Invites ---
+
+export function normalizeInviteCode(code) {
+    return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * @param {number} [length]
+ * @returns {string} A random code from the unambiguous invite alphabet.
+ */
+export function generateInviteCode(length = INVITE_CODE_LENGTH) {
+    const bytes = crypto.getRandomValues(new Uint8Array(length));
+    return Array.from(bytes, byte => INVITE_ALPHABET[byte % INVITE_ALPHABET.length]).join('');
+}
+
+/**
+ * The link that opens a trip and redeems an invite in one step.
+ * @param {string} tripId
+ * @param {string} code
+ * @returns {string}
+ */
+export function getInviteLink(tripId, code) {
+    const url = new URL(window.location.origin + window.location.pathname);
+    url.searchParams.set('trip', tripId);
+    url.searchParams.set('invite', code);
+    return url.toString();
+}
+
+function toMillis(value) {
+    if (typeof value?.toMillis === 'function') return value.toMillis();
+    return Number(value) || 0;
+}
+
+/**
+ * Explains why an invite can no longer be redeemed.
+ * @param {Object|null} invite - The invite document.
+ * @param {number} [now]
+ * @returns {'not-found'|'revoked'|'expired'|null} null if the invite is valid.
+ */
+export function getInviteProblem(invite, now = Date.now()) {
+    if (!invite || !ROLES[invite.role]) return 'not-found';
+    if (invite.revoked) return 'revoked';
+    if (toMillis(invite.expiresAt) <= now) return 'expired';
+    return null;
+}
+
+/**
+ * Creates an invite to the trip. Whoever redeems it joins with its role until it expires or
+ * is revoked.
+ * @param {DataStore} store
+ * @param {string} tripId
+ * @param {Object} options
+ * @param {string} options.role
+ * @param {string} options.createdBy - uid of the organizer.
+ * @returns {Promise<{code: string, role: string, expiresAt: number}>}
+ */
+export async function createInvite(store, tripId, { role, createdBy }) {
+    if (!ROLES[role]) throw new Error(`Unknown role ${role}`);
+
+    const code = generateInviteCode();
+    const expiresAt = Date.now() + INVITE_LIFETIME_DAYS * 24 * 60 * 60 * 1000;
+    await store.set(`${getInvitesPath(tripId)}/${code}`, {
+        role,
+        createdBy,
+        createdAt: fieldOps.serverTimestamp(),
+        expiresAt: fieldOps.timestamp(expiresAt),
+        revoked: false
+    }, { label: 'הזמנה לטיול' });
+
+    return { code, role, expiresAt };
+}
+
+/**
+ * Lists the trip's invites that can still be redeemed, newest first. Organizers only.
+ * @param {DataStore} store
+ * @param {string} tripId
+ * @returns {Promise<Array>}
+ */
+export async function listActiveInvites(store, tripId) {
+    const invites = await store.list(getInvitesPath(tripId));
+    return invites
+        .filter(invite => !getInviteProblem(invite))
+        .map(invite => ({ ...invite, code: invite.id, expiresAt: toMillis(invite.expiresAt) }))
+        .sort((a, b) => b.expiresAt - a.expiresAt);
+}
+
+export function revokeInvite(store, tripId, code) {
+    return store.update(`${getInvitesPath(tripId)}/${code}`, { revoked: true }, { label: 'ביטול הזמנה' });
+}
+
+/**
+ * Joins the trip with an invite code. Works for anonymous users too - the member record is tied
+ * to this device's account.
+ * @param {DataStore} store
+ * @param {string} tripId
+ * @param {Object} user - Firebase user.
+ * @param {string} code
+ * @param {string} name - How the joiner is shown to the family.
+ * @returns {Promise<string>} The role joined with.
+ * @throws {Error} With code 'already-member', 'not-found', 'revoked' or 'expired'.
+ */
+export async function redeemInvite(store, tripId, user, code, name) {
+    const memberPath = `${getMembersPath(tripId)}/${user.uid}`;
+    const inviteCode = normalizeInviteCode(code);
+
+    const existing = await store.get(memberPath);
+    if (existing) throw Object.assign(new Error('Already a member of this trip'), { code: 'already-member' });
+
+    const invite = inviteCode ? await store.get(`${getInvitesPath(tripId)}/${inviteCode}`) : null;
+    const problem = getInviteProblem(invite);
+    if (problem) throw Object.assign(new Error(`Invite ${inviteCode} is ${problem}`), { code: problem });
+
+    const email = normalizeEmail(user.email) || null;
+    await store.set(memberPath, {
+        name: name || (email ? email.split('@')[0] : GUEST.name),
+        email,
+        role: invite.role,
+        rosterIndex: -1,
+        inviteCode,
+        joinedAt: fieldOps.serverTimestamp()
+    }, { label: 'הצטרפות לטיול' });
+
+    return invite.role;
+}
+
+/**
+ * Takes an invite code from the ?invite= URL parameter and keeps it for this session, so it
+ * survives a sign-in redirect. The parameter is removed from the address bar.
+ * @returns {string|null} The pending invite code.
+ */
+export function takePendingInvite() {
+    const url = new URL(window.location.href);
+    const fromUrl = normalizeInviteCode(url.searchParams.get('invite'));
+    if (fromUrl) {
+        sessionStorage.setItem(PENDING_INVITE_KEY, fromUrl);
+        url.searchParams.delete('invite');
+        window.history.replaceState(null, '', url.toString());
+    }
+    return sessionStorage.getItem(PENDING_INVITE_KEY);
+}
+
+export function clearPendingInvite() {
+    sessionStorage.removeItem(PENDING_INVITE_KEY);
+}
+
+// --- Sign-in ---
+
+/**
+ * Emails a one-time sign-in link that returns to the current page.
+ * @param {Auth} auth
+ * @param {string} email
+ */
+export async function sendEmailSignInLink(auth, email) {
+    const url = new URL(window.location.href);
+    url.hash = '';
+    await sendSignInLinkToEmail(auth, email, { url: url.toString(), handleCodeInApp: true });
+    localStorage.setItem(SIGN_IN_EMAIL_KEY, normalizeEmail(email));
+}
+
+/**
+ * Completes a sign-in when the page was opened from an email link.
+ * @param {Auth} auth
+ * @returns {Promise<Object|null>} The user, or null if this is not a sign-in link.
+ */
+export async function completeEmailLinkSignIn(auth) {
+    if (!isSignInWithEmailLink(auth, window.location.href)) return null;
+
+    // Opened on another device than the one that asked for the link
+    const email = localStorage.getItem(SIGN_IN_EMAIL_KEY) || window.prompt('לאיזו כתובת נשלח קישור ההתחברות?');
+    if (!email) return null;
+
+    const result = await signInWithEmailLink(auth, email, window.location.href);
+    localStorage.removeItem(SIGN_IN_EMAIL_KEY);
+
+    const url = new URL(window.location.href);
+    EMAIL_LINK_PARAMS.forEach(param => url.searchParams.delete(param));
+    window.history.replaceState(null, '', url.toString());
+    return result.user;
+}
+
+/**
+ * Signs in with an email and passcode. The first sign-in creates the account and emails a link to
+ * confirm the address - until then the account is not linked to the roster.
+ * @param {Auth} auth
+ * @param {string} email
+ * @param {string} passcode - At least 6 characters (Firebase password rules).
+ * @returns {Promise<Object>} The user.
+ */
+export async function signInWithPasscode(auth, email, passcode) {
+    try {
+        return (await signInWithEmailAndPassword(auth, email, passcode)).user;
+    } catch (error) {
+        if (error.code !== 'auth/user-not-found' && error.code !== 'auth/invalid-credential') throw error;
+        let user;
+        try {
+            user = (await createUserWithEmailAndPassword(auth, email, passcode)).user;
+        } catch (createError) {
+            // The account exists - the passcode was wrong
+            throw createError.code === 'auth/email-already-in-use' ? error : createError;
+        }
+
+        const url = new URL(window.location.href);
+        url.hash = '';
+        await sendEmailVerification(user, { url: url.toString() });
+        return user;
+    }
+}
+
+/**
+ * Picks up an address confirmed since the user last signed in. The rules read email_verified from
+ * the ID token, so the token is refreshed as well.
+ * @param {Object} user - Firebase user.
+ * @returns {Promise<Object>} The same user.
+ */
+export async function refreshEmailVerification(user) {
+    if (user.isAnonymous || user.emailVerified) return user;
+    try {
+        await user.reload();
+        if (user.emailVerified) await user.getIdToken(true);
+    } catch (error) {
+        console.warn('⚠️ Could not check whether the address was confirmed:', error);
+    }
+    return user;
+}
+
+export function signOutMember(auth) {
+    return signOut(auth);
+}
@@ -0,0 +1,76 @@
+/**
+ * Now & Next
+ * The trip day as it happens: on Geneva time, which itinerary item the family is at, what comes
+ * next and when to leave for it. Today's day is found from the trip dates.
+ */
+
+import { formatDateKey, getDayItems, getTripDayDate, parseDurationMinutes, estimateTravelMinutes } from './itinerary.js';
+import { planDay } from './routine.js';
+import { parseTimeOfDay } from './opening-hours.js';
+
+const DEFAULT_VISIT_MINUTES = 60;
+
+/**
+ * The itinerary day that falls on a date.
+ * @param {Array} itinerary - itineraryData.
+ * @param {string|null} startDate - From getTripStartDate().
+ * @param {string} dateKey - 'YYYY-MM-DD', e.g. from getZonedClock().
+ * @returns {Object|null}
+ */
+export function findTripDay(itinerary, startDate, dateKey) {
+    return (itinerary || []).find(day => {
+        const date = getTripDayDate(day, startDate);
+        return date && formatDateKey(date) === dateKey;
+    }) || null;
+}
+
+// The items of one plan with start and end minutes: their own time, or else the routine planner's
+function getPlanSchedule(day, { activities, routine, planKey }) {
+    const plan = day?.[planKey];
+    // planDay() schedules a day's main plan, so the plan being followed stands in for it
+    const { itemTimes } = planDay({ ...day, mainPlan: plan }, { activities, routine });
+    let previous = null;
+    return getDayItems({ mainPlan: plan }, activities).map(({ item, itemIndex, activity }) => {
+        const start = parseTimeOfDay(item.time) ?? parseTimeOfDay(itemTimes[itemIndex]);
+        const duration = parseDurationMinutes(item.duration ?? activity?.duration) ?? DEFAULT_VISIT_MINUTES;
+        const travel = (previous ? estimateTravelMinutes(previous, activity) : activity?.time) || 0;
+        previous = activity;
+        return { itemIndex, item, activity, name: activity?.name || item.description, start, end: start + duration, travel };
+    }).filter(entry => entry.start !== null).sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Where the family is in a day's plan at a time of day.
+ * @param {Object} day
+ * @param {Object} options
+ * @param {Array} [options.activities]
+ * @param {Object} options.routine - From getFamilyRoutine().
+ * @param {string} [options.planKey] - The plan the day is following (see getWeatherPlan()).
+ * @param {number} options.minutes - Minutes since midnight, Geneva time.
+ * @returns {{current: Object|null, next: Object|null, startsIn: number|null, leaveBy: number|null}}
+ *   current and next are { itemIndex, item, activity, name, start, end, travel }; leaveBy is the
+ *   next item's start less the travel to it.
+ */
+export function getNowAndNext(day, { activities = [], routine, planKey = 'mainPlan', minutes }) {
+    const schedule = getPlanSchedule(day, { activities, routine, planKey });
+    const current = schedule.find(entry => entry.start <= minutes && minutes < entry.end) || null;
+    const next = schedule.find(entry => entry.start > minutes) || null;
+    return {
+        current,
+        next,
+        startsIn: next ? next.start - minutes : null,
+        leaveBy: next ? next.start - next.travel : null
+    };
+}
+
+/**
+ * @param {number} minutes
+ * @returns {string} e.g. "45 דק'", 'שעה', '1:20 שעות'.
+ */
+export function formatCountdown(minutes) {
+    if (minutes < 60) return `${minutes} דק'`;
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    if (rest) return `${hours}:${String(rest).padStart(2, '0')} שעות`;
+    return hours === 1 ? 'שעה' : `${hours} שעות`;
+}
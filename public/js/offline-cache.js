@@ -0,0 +1,113 @@
+/**
+ * Offline Cache
+ * Registers the service worker and keeps a copy of the last trip snapshot and the most recent
+ * album photos in Cache Storage - the app renders them on boot and the service worker serves
+ * them when there is no connection.
+ */
+
+import { CONFIG } from './config.js';
+
+const DATA_CACHE = 'geneva-guide-data';
+const PHOTO_CACHE = 'geneva-guide-photos';
+const SNAPSHOT_DELAY = 2000;
+const MAX_CACHED_PHOTOS = 30;
+
+let snapshotTimer = null;
+
+function getSnapshotUrl(tripId) {
+    return `/offline/${CONFIG.CACHE.DATA_KEY}/${tripId}.json`;
+}
+
+// Firestore Timestamps become ISO strings so the snapshot renders like live data
+function snapshotReplacer(key, value) {
+    const original = this[key];
+    if (original && typeof original.toDate === 'function') return original.toDate().toISOString();
+    return value;
+}
+
+/**
+ * Registers /sw.js, versioned by cache-manifest.json so a new deploy installs a fresh app shell.
+ */
+export async function registerServiceWorker() {
+    if (!CONFIG.FEATURES.ENABLE_PWA || !('serviceWorker' in navigator)) return;
+
+    try {
+        const response = await fetch('/cache-manifest.json', { cache: 'no-store' });
+        const manifest = response.ok ? await response.json() : {};
+        const version = manifest.version || CONFIG.APP_VERSION;
+
+        const registration = await navigator.serviceWorker.register(`/sw.js?v=${version}`);
+        console.log('📦 Service worker registered, shell version:', version, registration.scope);
+    } catch (error) {
+        console.warn('⚠️ Service worker registration failed:', error);
+    }
+}
+
+/**
+ * Stores the trip data for offline use. Snapshots arrive in bursts while listeners load,
+ * so only the last one within a short delay is written.
+ * @param {string} tripId
+ * @param {Object} data - The current trip data.
+ */
+export function saveTripSnapshot(tripId, data) {
+    if (!CONFIG.FEATURES.ENABLE_OFFLINE_MODE || typeof caches === 'undefined') return;
+
+    clearTimeout(snapshotTimer);
+    snapshotTimer = setTimeout(async () => {
+        try {
+            const body = JSON.stringify({ savedAt: new Date().toISOString(), data }, snapshotReplacer);
+            const cache = await caches.open(DATA_CACHE);
+            await cache.put(getSnapshotUrl(tripId), new Response(body, {
+                headers: { 'Content-Type': 'application/json' }
+            }));
+            await cacheRecentPhotos(data.photoAlbum);
+        } catch (error) {
+            console.warn('⚠️ Could not store the offline trip snapshot:', error);
+        }
+    }, SNAPSHOT_DELAY);
+}
+
+// Keeps the newest album photos available offline; the list of cached URLs lives under PHOTOS_KEY
+async function cacheRecentPhotos(photos) {
+    if (!Array.isArray(photos)) return;
+
+    const wanted = photos.map(photo => photo.url).filter(Boolean).slice(0, MAX_CACHED_PHOTOS);
+    const previous = JSON.parse(localStorage.getItem(CONFIG.CACHE.PHOTOS_KEY) || '[]');
+    const cache = await caches.open(PHOTO_CACHE);
+
+    await Promise.all(previous.filter(url => !wanted.includes(url)).map(url => cache.delete(url)));
+
+    const cached = previous.filter(url => wanted.includes(url));
+    await Promise.all(wanted.filter(url => !previous.includes(url)).map(async (url) => {
+        try {
+            // Storage URLs are cross-origin images - an opaque copy is enough for <img>
+            const response = await fetch(url, { mode: 'no-cors' });
+            await cache.put(url, response);
+            cached.push(url);
+        } catch (error) {
+            console.warn('⚠️ Could not cache photo for offline use:', url);
+        }
+    }));
+
+    localStorage.setItem(CONFIG.CACHE.PHOTOS_KEY, JSON.stringify(cached));
+}
+
+/**
+ * Loads the last stored snapshot of a trip.
+ * @param {string} tripId
+ * @returns {Promise<{savedAt: string, data: Object}|null>} null when nothing was stored yet.
+ */
+export async function loadTripSnapshot(tripId) {
+    if (typeof caches === 'undefined') return null;
+
+    try {
+        // Read the cache directly - the service worker may not control this page yet
+        const cached = await caches.match(getSnapshotUrl(tripId), { cacheName: DATA_CACHE });
+        if (!cached) return null;
+        const snapshot = await cached.json();
+        return snapshot && snapshot.data ? snapshot : null;
+    } catch (error) {
+        console.warn('⚠️ Could not read the offline trip snapshot:', error);
+        return null;
+    }
+}
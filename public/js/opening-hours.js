@@ -0,0 +1,500 @@
+/**
+ * Opening Hours
+ * Reads an activity's openingHours ({ 'Monday-Friday': '09:00-18:00', Everyday: ... }, see
+ * schema.js) into minute ranges per date. Days and months may be named in English, Hebrew or
+ * French, a value may hold several intervals or its own days ('Mon-Fri 9-18; Sat 10-16'), and
+ * notes in brackets ('(July-August: 9-20)', '(closed on public holidays)') are applied when they
+ * can be read. Geneva's public holidays are known, so "open now" and the itinerary checks see a
+ * place closed on the Jeûne genevois.
+ */
+
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})$/;
+const CLOCK_PATTERN = /^(\d{1,2})(?:[:.h](\d{2}))?$/;
+const INTERVAL_PATTERN = /(\d{1,2}(?:[:.h]\d{2})?)\s*(h|am|pm)?\s*-\s*(\d{1,2}(?:[:.h]\d{2})?)\s*(h|am|pm)?/g;
+const CLOSED_PATTERN = /סגור|closed|ferme/;
+const ALL_DAY_PATTERN = /24\s*\/\s*7|24\s*h\s*\/\s*24|24\s*(?:hours|שעות|heures)/g;
+
+const DAY_MINUTES = 24 * 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How far ahead getNextOpening() looks, enough to get past holidays and weekly closing days
+const NEXT_OPENING_DAYS = 14;
+
+// Names by weekday, Sunday first. English and French names also match by their first three letters.
+const DAY_NAMES = [
+    ['sunday', 'dimanche', 'ראשון', "א'"],
+    ['monday', 'lundi', 'שני', "ב'"],
+    ['tuesday', 'mardi', 'שלישי', "ג'"],
+    ['wednesday', 'mercredi', 'רביעי', "ד'"],
+    ['thursday', 'jeudi', 'חמישי', "ה'"],
+    ['friday', 'vendredi', 'שישי', "ו'"],
+    ['saturday', 'samedi', 'שבת', "ש'"]
+];
+const MONTH_NAMES = [
+    ['january', 'janvier', 'ינואר'],
+    ['february', 'fevrier', 'פברואר'],
+    ['march', 'mars', 'מרץ', 'מרס'],
+    ['april', 'avril', 'אפריל'],
+    ['may', 'mai', 'מאי'],
+    ['june', 'juin', 'יוני'],
+    ['july', 'juillet', 'יולי'],
+    ['august', 'aout', 'אוגוסט'],
+    ['september', 'septembre', 'ספטמבר'],
+    ['october', 'octobre', 'אוקטובר'],
+    ['november', 'novembre', 'נובמבר'],
+    ['december', 'decembre', 'דצמבר']
+];
+const SEASONS = [
+    [['spring', 'printemps', 'אביב'], [3, 4, 5]],
+    [['summer', 'ete', 'קיץ'], [6, 7, 8]],
+    [['autumn', 'fall', 'automne', 'סתיו'], [9, 10, 11]],
+    [['winter', 'hiver', 'חורף'], [12, 1, 2]]
+];
+// Phrases read as one word before a label is split into words
+const PHRASES = [
+    // 'Daily except Monday', 'sauf le lundi', 'חוץ מיום שני': what follows is taken off the label
+    [/\s(?:except(?: for)?|sauf|חוץ מ-?|למעט|מלבד)/g, ' except '],
+    [/every ?day|daily|tous les jours|7 ?j? ?\/ ?7|כל יום|כל הימים|כל ימות השבוע|כל השבוע/g, ' everyday '],
+    [/(?:public |bank )?holidays?|jours? feries?|feries|חגים|חג/g, ' holiday '],
+    [/week-?ends?|סופ"ש|סופי שבוע|סוף שבוע/g, ' saturday-sunday '],
+    [/weekdays|en semaine|ימי חול/g, ' monday-friday '],
+    [/\s(?:to|au|a|עד|until)\s/g, '-']
+];
+// Words that name nothing, as in 'יום שני' or 'on holidays'
+const FILLER_WORDS = new Set(['יום', 'ימי', 'ימים', 'on', 'and', 'le', 'les', 'et', 'days', 'jours', 'open', 'פתוח']);
+// Hebrew prefixes of a word: 'בשבת', 'ושני', 'בחגים'
+const HEBREW_PREFIXES = 'ובהל';
+
+/**
+ * @param {string} text - 'HH:MM' ('24:00' is the end of the day).
+ * @returns {number|null} Minutes since midnight.
+ */
+export function parseTimeOfDay(text) {
+    const match = TIME_PATTERN.exec(String(text || '').trim());
+    if (!match) return null;
+    const minutes = Number(match[1]) * 60 + Number(match[2]);
+    return Number(match[2]) < 60 && minutes <= 24 * 60 ? minutes : null;
+}
+
+/**
+ * @param {number} minutes - Minutes since midnight.
+ * @returns {string} 'HH:MM'.
+ */
+export function formatTimeOfDay(minutes) {
+    const hours = Math.floor(minutes / 60) % 24;
+    return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * @param {Array<[number, number]>} ranges
+ * @returns {string} e.g. '09:00-12:00, 14:00-18:00'.
+ */
+export function formatOpeningRanges(ranges) {
+    return ranges.map(([start, end]) => `${formatTimeOfDay(start)}-${formatTimeOfDay(end)}`).join(', ');
+}
+
+// --- Reading the hours ---
+
+function normalizeText(text) {
+    return String(text || '')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[\u05f3`\u2019]/g, "'")
+        .replace(/[\u2013\u2014]/g, '-');
+}
+
+// '9', '9:30', '09.30', '9h30' and '6' with 'pm' as minutes since midnight
+function clockMinutes(text, meridiem = null) {
+    const match = CLOCK_PATTERN.exec(text);
+    if (!match) return null;
+    let hours = Number(match[1]);
+    if (meridiem === 'am' || meridiem === 'pm') {
+        if (hours < 1 || hours > 12) return null;
+        hours = (hours % 12) + (meridiem === 'pm' ? 12 : 0);
+    }
+    const minutes = hours * 60 + Number(match[2] || 0);
+    return Number(match[2] || 0) < 60 && minutes <= DAY_MINUTES ? minutes : null;
+}
+
+// An interval's start without am/pm takes its end's, unless that puts it after the end: '1-5pm', '10-6pm'
+function startMeridiem(start, end, endMeridiem) {
+    if (endMeridiem !== 'am' && endMeridiem !== 'pm') return null;
+    const sameHalf = clockMinutes(start, endMeridiem);
+    return sameHalf !== null && sameHalf < clockMinutes(end, endMeridiem) ? endMeridiem : 'am';
+}
+
+// All intervals in a text; one that ends by or before it starts runs past midnight
+function parseIntervals(text) {
+    const matches = [...text.matchAll(INTERVAL_PATTERN)];
+    if (!matches.length) return null;
+    const ranges = matches.map(([, start, fromMeridiem, end, toMeridiem]) => [
+        clockMinutes(start, fromMeridiem || startMeridiem(start, end, toMeridiem)),
+        clockMinutes(end, toMeridiem)
+    ]);
+    if (ranges.some(([start, end]) => start === null || end === null)) return null;
+    return ranges.map(([start, end]) => [start, end <= start ? end + DAY_MINUTES : end]);
+}
+
+function nameIndex(word, names, { prefixes = true } = {}) {
+    const index = names.findIndex(list => list.some(name => name === word
+        || (prefixes && word.length >= 3 && /^[a-z]/.test(word) && name.startsWith(word))));
+    return index;
+}
+
+// A word as a weekday, month list or flag, also after Hebrew prefixes are taken off it
+function readWord(word) {
+    const candidates = [word];
+    for (let i = 0; i < 2 && HEBREW_PREFIXES.includes(candidates[candidates.length - 1][0]) && candidates[candidates.length - 1].length > 2; i++) {
+        candidates.push(candidates[candidates.length - 1].slice(1));
+    }
+    // 'Mondays', 'lundis'
+    if (/^[a-z]{4,}s$/.test(word)) candidates.push(word.slice(0, -1));
+    for (const candidate of candidates) {
+        if (candidate === 'everyday') return { everyday: true };
+        if (candidate === 'holiday') return { holiday: true };
+        if (FILLER_WORDS.has(candidate)) return { filler: true };
+        const day = nameIndex(candidate, DAY_NAMES);
+        if (day !== -1) return { day };
+        const month = nameIndex(candidate, MONTH_NAMES);
+        if (month !== -1) return { months: [month + 1] };
+        const season = SEASONS.find(([names]) => names.includes(candidate));
+        if (season) return { months: season[1] };
+    }
+    return null;
+}
+
+// Inclusive range of indexes that may wrap around, e.g. Friday-Monday or November-February
+function indexRange(from, to, size) {
+    const indexes = [];
+    for (let index = from; ; index = (index + 1) % size) {
+        indexes.push(index);
+        if (index === to) return indexes;
+    }
+}
+
+/**
+ * Reads a label such as 'Monday - Friday', 'Sat, Sun', 'ראשון עד חמישי', 'lun.-ven.',
+ * 'July-August', 'Mondays', 'holidays' or 'Daily except Monday'. A label that leaves out
+ * anything but days and months is not recognized.
+ * @returns {{days: Set<number>|null, months: Set<number>|null, holiday: boolean, recognized: boolean}}
+ */
+function parseLabel(text) {
+    let normalized = ` ${normalizeText(text).replace(/[.():]/g, ' ')} `;
+    PHRASES.forEach(([pattern, replacement]) => { normalized = normalized.replace(pattern, replacement); });
+    // 'Monday - Friday' and 'lun.-ven.' are one range, not two days
+    normalized = normalized.replace(/\s*-\s*/g, '-');
+
+    const label = { days: null, months: null, holiday: false, recognized: false };
+    const excluded = { days: null, months: null, holiday: false, recognized: false };
+    let target = label;
+    const addDays = days => { target.days = new Set([...(target.days || []), ...days]); };
+    const addMonths = months => { target.months = new Set([...(target.months || []), ...months]); };
+
+    normalized.split(/[\s,/&+;]+/).map(word => word.replace(/^-+|-+$/g, '')).filter(Boolean).forEach(word => {
+        if (word === 'except') {
+            target = excluded;
+            return;
+        }
+        const [fromWord, toWord, ...rest] = word.split('-');
+        if (toWord !== undefined && !rest.length) {
+            const from = readWord(fromWord);
+            const to = readWord(toWord);
+            // 'mar' is both Tuesday (mardi) and March; as a range it is whatever its other end is
+            if (from?.day !== undefined && to?.day !== undefined) {
+                addDays(indexRange(from.day, to.day, 7));
+                label.recognized = true;
+                return;
+            }
+            const fromMonth = nameIndex(fromWord, MONTH_NAMES);
+            const toMonth = nameIndex(toWord, MONTH_NAMES);
+            if (fromMonth !== -1 && toMonth !== -1) {
+                addMonths(indexRange(fromMonth, toMonth, 12).map(index => index + 1));
+                target.recognized = true;
+            }
+            return;
+        }
+        const read = readWord(word);
+        if (!read || read.filler) return;
+        target.recognized = true;
+        if (read.holiday) target.holiday = true;
+        if (read.day !== undefined) addDays([read.day]);
+        if (read.months) addMonths(read.months);
+    });
+
+    if (target === label) return label;
+    // A rule cannot leave holidays out, and an exception that names nothing is not understood
+    if (!excluded.recognized || excluded.holiday || (!excluded.days && !excluded.months)) return { ...label, recognized: false };
+    const remove = (included, removed, all) => (removed
+        ? new Set((included ? [...included] : all).filter(value => !removed.has(value)))
+        : included);
+    return {
+        ...label,
+        days: remove(label.days, excluded.days, [0, 1, 2, 3, 4, 5, 6]),
+        months: remove(label.months, excluded.months, [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]),
+        recognized: true
+    };
+}
+
+/**
+ * Splits an hours value into labelled parts: 'Sat, Sun 10:00-16:00' is one part for two days and
+ * '09:00-12:00, 14:00-18:00' one part with two intervals.
+ * @returns {Array<{label: string, ranges: Array|null}>} ranges are [] when closed, null when unread.
+ */
+function parseSegments(text) {
+    const segments = [];
+    let pendingLabel = '';
+    let current = null;
+
+    text.replace(ALL_DAY_PATTERN, '00:00-24:00')
+        .split(/[;\n]|,|&|\s(?:and|et)\s|\sו-?(?=\d)/)
+        .forEach(piece => {
+            const part = piece.trim();
+            if (!part) return;
+            const closed = CLOSED_PATTERN.test(part);
+            const firstDigit = part.search(/\d/);
+            if (!closed && firstDigit === -1) {
+                pendingLabel += ` ${part}`;
+                return;
+            }
+            const label = `${pendingLabel} ${closed ? part.replace(CLOSED_PATTERN, ' ') : part.slice(0, firstDigit)}`.trim();
+            const ranges = closed ? [] : parseIntervals(part.slice(firstDigit));
+            pendingLabel = '';
+            if (!label && !closed && current?.ranges?.length && ranges) {
+                current.ranges.push(...ranges);
+                return;
+            }
+            current = { label, ranges };
+            segments.push(current);
+        });
+
+    // Words without hours, such as 'לפי עונה'
+    if (pendingLabel.trim()) segments.push({ label: pendingLabel.trim(), ranges: null });
+    return segments;
+}
+
+/**
+ * Reads openingHours into rules: the days, months and holidays each applies to, and its ranges.
+ * Keys that name no day, month or holiday are left out.
+ * @param {Object|string|null} openingHours
+ * @returns {Array<{days: Set<number>|null, months: Set<number>|null, holiday: boolean, ranges: Array<[number, number]>|null, note: string}>}
+ *   days are 0 (Sunday) to 6 and months 1 to 12, null for all; ranges are [] when closed and
+ *   null when the hours could not be read.
+ */
+export function parseOpeningHours(openingHours) {
+    const entries = typeof openingHours === 'string'
+        ? [['everyday', openingHours]]
+        : Object.entries(openingHours && typeof openingHours === 'object' ? openingHours : {});
+    const rules = [];
+
+    entries.forEach(([key, value]) => {
+        if (typeof value !== 'string') return;
+        const keyLabel = parseLabel(key);
+        const notes = [];
+        const addRule = (segment, fromNote) => {
+            const own = parseLabel(segment.label);
+            if (fromNote && (!own.recognized || segment.ranges === null)) return false;
+            const label = own.recognized ? own : { days: null, months: null, holiday: false, recognized: false };
+            if (!keyLabel.recognized && !own.recognized) return false;
+            rules.push({
+                days: label.days ?? keyLabel.days,
+                months: label.months ?? keyLabel.months,
+                holiday: label.holiday || keyLabel.holiday,
+                ranges: segment.ranges,
+                note: ''
+            });
+            return true;
+        };
+
+        // Notes in brackets become rules of their own when they can be read
+        const main = normalizeText(value).replace(/\(([^)]*)\)/g, (match, note) => {
+            const segments = parseSegments(note);
+            if (!segments.length || !segments.every(segment => addRule(segment, true))) notes.push(note.trim());
+            return ' ';
+        });
+        const first = rules.length;
+        parseSegments(main).forEach(segment => addRule(segment, false));
+        rules.slice(first).forEach(rule => { rule.note = notes.join('; '); });
+    });
+    return rules;
+}
+
+// Which rule wins on a day: holidays over seasons over weekdays over every day
+function specificity(rule) {
+    return (rule.holiday ? 4 : 0) + (rule.months ? 2 : 0) + (rule.days ? 1 : 0);
+}
+
+function resolveRanges(openingHours, { weekday, month = null, holiday = false }) {
+    const rules = parseOpeningHours(openingHours);
+    const applies = rule => (!rule.days || rule.days.has(weekday))
+        && (!rule.months || (month !== null && rule.months.has(month)))
+        && (!rule.holiday || holiday);
+
+    const best = rules.filter(applies).sort((a, b) => specificity(b) - specificity(a))[0];
+    if (best) return best.ranges;
+    // Hours are listed for other days or seasons only
+    const limited = rules.some(rule => !rule.holiday && (rule.days || (rule.months && month !== null)));
+    return limited ? [] : null;
+}
+
+/**
+ * Opening ranges of an activity on a weekday, whatever the date. A key naming the day beats
+ * 'Everyday'; seasonal and holiday hours are left out - see getOpeningRangesOn().
+ * @param {Object|null} openingHours
+ * @param {number} weekday - 0 (Sunday) to 6.
+ * @returns {Array<[number, number]>|null} Minute ranges, [] when closed, null when unknown.
+ */
+export function getOpeningRanges(openingHours, weekday) {
+    if (!openingHours || typeof openingHours !== 'object') return null;
+    return resolveRanges(openingHours, { weekday });
+}
+
+// --- Dates and holidays ---
+
+function pad(number) {
+    return String(number).padStart(2, '0');
+}
+
+function utcDateKey(time) {
+    const date = new Date(time);
+    return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+}
+
+// A Date (its local calendar day) or 'YYYY-MM-DD'
+function getDateParts(date) {
+    const dateKey = typeof date === 'string'
+        ? date
+        : `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return { dateKey, year, month, weekday: new Date(Date.UTC(year, month - 1, day)).getUTCDay() };
+}
+
+function shiftDateKey(dateKey, days) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return utcDateKey(Date.UTC(year, month - 1, day + days));
+}
+
+// Gregorian Easter Sunday (the anonymous algorithm), as UTC milliseconds
+function easterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return Date.UTC(year, month - 1, day);
+}
+
+const holidayCache = new Map();
+
+/**
+ * The public holidays of the canton of Geneva in a year.
+ * @param {number} year
+ * @returns {Array<{dateKey: string, name: string, label: string}>} name in French, label in Hebrew.
+ */
+export function getGenevaHolidays(year) {
+    if (holidayCache.has(year)) return holidayCache.get(year);
+
+    const easter = easterSunday(year);
+    const fixed = (month, day) => Date.UTC(year, month - 1, day);
+    // The Thursday after the first Sunday of September
+    const firstSeptemberSunday = fixed(9, 1) + ((7 - new Date(fixed(9, 1)).getUTCDay()) % 7) * DAY_MS;
+    const holidays = [
+        [fixed(1, 1), 'Nouvel An', 'ראש השנה האזרחית'],
+        [easter - 2 * DAY_MS, 'Vendredi saint', 'יום שישי הטוב'],
+        [easter + DAY_MS, 'Lundi de Pâques', 'שני של פסחא'],
+        [easter + 39 * DAY_MS, 'Ascension', 'חג העלייה'],
+        [easter + 50 * DAY_MS, 'Lundi de Pentecôte', 'שני של חג השבועות'],
+        [fixed(8, 1), 'Fête nationale', 'יום הלאום השווייצרי'],
+        [firstSeptemberSunday + 4 * DAY_MS, 'Jeûne genevois', 'צום ז\'נבה'],
+        [fixed(12, 25), 'Noël', 'חג המולד'],
+        [fixed(12, 31), 'Restauration de la République', 'יום חידוש הרפובליקה']
+    ].map(([time, name, label]) => ({ dateKey: utcDateKey(time), name, label }));
+
+    holidayCache.set(year, holidays);
+    return holidays;
+}
+
+/**
+ * @param {Date|string} date - A Date (its calendar day) or 'YYYY-MM-DD'.
+ * @returns {{dateKey: string, name: string, label: string}|null} The Geneva public holiday on it.
+ */
+export function getPublicHoliday(date) {
+    const { dateKey, year } = getDateParts(date);
+    return getGenevaHolidays(year).find(holiday => holiday.dateKey === dateKey) || null;
+}
+
+/**
+ * Opening ranges on a date, with the hours of its season and of public holidays.
+ * @param {Object|string|null} openingHours
+ * @param {Date|string} date - A Date (its calendar day) or 'YYYY-MM-DD'.
+ * @returns {Array<[number, number]>|null} Minute ranges, [] when closed, null when unknown. A range
+ *   past midnight ends after 24:00.
+ */
+export function getOpeningRangesOn(openingHours, date) {
+    if (!openingHours) return null;
+    const { weekday, month } = getDateParts(date);
+    return resolveRanges(openingHours, { weekday, month, holiday: Boolean(getPublicHoliday(date)) });
+}
+
+// The range open at a time, including one from the day before that runs past midnight
+function findOpenRange(openingHours, { dateKey, minutes }) {
+    const yesterday = getOpeningRangesOn(openingHours, shiftDateKey(dateKey, -1)) || [];
+    const overnight = yesterday.find(([, end]) => end > DAY_MINUTES && minutes < end - DAY_MINUTES);
+    if (overnight) return { range: [0, overnight[1] - DAY_MINUTES], known: true };
+
+    const today = getOpeningRangesOn(openingHours, dateKey);
+    if (today === null) return { range: null, known: false };
+    return { range: today.find(([start, end]) => minutes >= start && minutes < end) || null, known: true };
+}
+
+/**
+ * Whether a place is open at a time.
+ * @param {Object|string|null} openingHours
+ * @param {{dateKey: string, minutes: number}} clock - Geneva time, from getZonedClock().
+ * @returns {boolean|null} Null when its hours that day are unknown.
+ */
+export function isOpenAt(openingHours, clock) {
+    const { range, known } = findOpenRange(openingHours, clock);
+    return known ? Boolean(range) : null;
+}
+
+/**
+ * When a place next opens after a time, looking up to two weeks ahead.
+ * @param {Object|string|null} openingHours
+ * @param {{dateKey: string, minutes: number}} clock
+ * @returns {{dateKey: string, minutes: number}|null}
+ */
+export function getNextOpening(openingHours, clock) {
+    for (let offset = 0; offset <= NEXT_OPENING_DAYS; offset++) {
+        const dateKey = offset ? shiftDateKey(clock.dateKey, offset) : clock.dateKey;
+        const starts = (getOpeningRangesOn(openingHours, dateKey) || [])
+            .map(([start]) => start)
+            .filter(start => offset > 0 || start > clock.minutes);
+        if (starts.length) return { dateKey, minutes: Math.min(...starts) };
+    }
+    return null;
+}
+
+/**
+ * Everything an "open now" badge shows.
+ * @param {Object|string|null} openingHours
+ * @param {{dateKey: string, minutes: number}} clock
+ * @returns {{open: boolean|null, closesAt: number|null, opensAt: {dateKey: string, minutes: number}|null, holiday: Object|null}}
+ *   closesAt is in minutes of the day and past 24:00 for places open through midnight.
+ */
+export function getOpenStatus(openingHours, clock) {
+    const holiday = getPublicHoliday(clock.dateKey);
+    const { range, known } = findOpenRange(openingHours, clock);
+    if (!known) return { open: null, closesAt: null, opensAt: null, holiday };
+    if (range) return { open: true, closesAt: range[1], opensAt: null, holiday };
+    return { open: false, closesAt: null, opensAt: getNextOpening(openingHours, clock), holiday };
+}
@@ -0,0 +1,245 @@
+/**
+ * Print Sheets
+ * Paper copies of the plan for when the phone is dead or offline: one sheet per itinerary day
+ * (times, addresses, transport, opening hours, what to bring, a map snippet, the hotel and
+ * emergency numbers), and a booklet of the whole trip that adds the flights and the hotel booking.
+ */
+
+import { CONFIG } from './config.js';
+import { sanitizeHTML } from './utils.js';
+import { PLAN_TITLES, getDayItems, getTripDayDate } from './itinerary.js';
+import { getFamilyRoutine, planDay } from './routine.js';
+import { getOpeningRangesOn, parseTimeOfDay, formatOpeningRanges } from './opening-hours.js';
+
+const TILE_SIZE = 256;
+const TILE_URL = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+const MAP_ZOOMS = { min: 10, max: 16, single: 15 };
+const MAP_PADDING = 30;
+
+const text = value => sanitizeHTML(value == null ? '' : String(value));
+
+// --- Map snippet ---
+
+// Web Mercator pixel position of a point at a zoom level
+function worldPixel(lat, lon, zoom) {
+    const scale = TILE_SIZE * 2 ** zoom;
+    const latRad = lat * Math.PI / 180;
+    return {
+        x: (lon + 180) / 360 * scale,
+        y: (1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * scale
+    };
+}
+
+/**
+ * Lays out a static map of a few points from OpenStreetMap tiles: the closest zoom that fits
+ * them all, the tiles covering the box and where each point falls in it.
+ * @param {Array<[number, number]>} points - [lat, lon] in visiting order.
+ * @param {{width: number, height: number}} size - In pixels.
+ * @returns {{zoom: number, tiles: Array<{url: string, left: number, top: number}>, markers: Array<{left: number, top: number, label: string}>}|null}
+ */
+export function getMapSnippet(points, { width, height }) {
+    if (!points.length) return null;
+
+    const fits = zoom => {
+        const pixels = points.map(([lat, lon]) => worldPixel(lat, lon, zoom));
+        const xs = pixels.map(pixel => pixel.x);
+        const ys = pixels.map(pixel => pixel.y);
+        return Math.max(...xs) - Math.min(...xs) <= width - 2 * MAP_PADDING && Math.max(...ys) - Math.min(...ys) <= height - 2 * MAP_PADDING;
+    };
+    let zoom = points.length === 1 ? MAP_ZOOMS.single : MAP_ZOOMS.max;
+    while (zoom > MAP_ZOOMS.min && !fits(zoom)) zoom--;
+
+    const pixels = points.map(([lat, lon]) => worldPixel(lat, lon, zoom));
+    const xs = pixels.map(pixel => pixel.x);
+    const ys = pixels.map(pixel => pixel.y);
+    const originX = (Math.min(...xs) + Math.max(...xs)) / 2 - width / 2;
+    const originY = (Math.min(...ys) + Math.max(...ys)) / 2 - height / 2;
+
+    const tiles = [];
+    for (let tileX = Math.floor(originX / TILE_SIZE); tileX * TILE_SIZE < originX + width; tileX++) {
+        for (let tileY = Math.floor(originY / TILE_SIZE); tileY * TILE_SIZE < originY + height; tileY++) {
+            tiles.push({
+                url: TILE_URL.replace('{z}', zoom).replace('{x}', tileX).replace('{y}', tileY),
+                left: Math.round(tileX * TILE_SIZE - originX),
+                top: Math.round(tileY * TILE_SIZE - originY)
+            });
+        }
+    }
+    const markers = pixels.map((pixel, index) => ({
+        left: Math.round(pixel.x - originX),
+        top: Math.round(pixel.y - originY),
+        label: String(index + 1)
+    }));
+    return { zoom, tiles, markers };
+}
+
+function renderMapSnippet(points, size = { width: 480, height: 260 }) {
+    const snippet = getMapSnippet(points, size);
+    if (!snippet) return '';
+    return `
+        <div class="print-map" style="width: ${size.width}px; height: ${size.height}px;">
+            ${snippet.tiles.map(tile => `<img src="${tile.url}" alt="" style="left: ${tile.left}px; top: ${tile.top}px;">`).join('')}
+            ${snippet.markers.map(marker => `<span class="print-map-marker" style="left: ${marker.left}px; top: ${marker.top}px;">${marker.label}</span>`).join('')}
+            <span class="print-map-attribution">© OpenStreetMap</span>
+        </div>
+    `;
+}
+
+// --- Sheets ---
+
+function openingHoursOn(activity, date) {
+    if (!activity?.openingHours) return '';
+    if (!date) {
+        if (typeof activity.openingHours === 'string') return activity.openingHours;
+        return Object.entries(activity.openingHours).map(([days, hours]) => `${days}: ${hours}`).join(', ');
+    }
+    const ranges = getOpeningRangesOn(activity.openingHours, date);
+    if (ranges === null) return '';
+    return ranges.length ? formatOpeningRanges(ranges) : 'סגור ביום זה';
+}
+
+function renderContacts(data) {
+    const hotel = data.hotelData || {};
+    return `
+        <footer class="print-contacts">
+            <div>
+                <strong>🏨 ${text(hotel.name || CONFIG.DEMO_DATA.HOTEL.name)}</strong>
+                ${hotel.address ? `<div>${text(hotel.address)}</div>` : ''}
+                ${hotel.phone ? `<div dir="ltr">${text(hotel.phone)}</div>` : ''}
+            </div>
+            <div>
+                <strong>🚨 מספרי חירום</strong>
+                ${CONFIG.EMERGENCY_NUMBERS.map(({ label, number }) => `<div>${text(label)}: <span dir="ltr">${text(number)}</span></div>`).join('')}
+            </div>
+        </footer>
+    `;
+}
+
+/**
+ * One itinerary day on one page. Items without a start time get the one planned around the
+ * children's routine.
+ * @param {Object} day - Itinerary day.
+ * @param {Object} data - Trip data (currentData).
+ * @param {string|null} startDate - The trip's first day (getTripStartDate()).
+ * @returns {string} HTML.
+ */
+export function renderDaySheet(day, data, startDate) {
+    const activities = data.activitiesData || [];
+    const date = getTripDayDate(day, startDate);
+    const { itemTimes } = planDay(day, { activities, routine: getFamilyRoutine(data) });
+    const dayItems = getDayItems(day, activities);
+    const mainItems = dayItems.filter(entry => entry.planKey === 'mainPlan');
+    const alternatives = dayItems.filter(entry => entry.planKey !== 'mainPlan');
+    // Items on the map are numbered in visiting order, in the table and on the snippet
+    const located = mainItems.filter(({ activity }) => Number.isFinite(activity?.lat) && Number.isFinite(activity?.lon));
+    const markers = new Map(located.map((entry, index) => [entry.itemIndex, index + 1]));
+    const points = located.map(({ activity }) => [activity.lat, activity.lon]);
+
+    return `
+        <section class="print-sheet">
+            <header>
+                <h2>${text(day.dayName)}${day.date ? ` - ${text(day.date)}` : ''}</h2>
+                ${day.title ? `<p>${text(day.title)}</p>` : ''}
+            </header>
+            <table class="print-plan">
+                <thead><tr><th>שעה</th><th>מה</th><th>איך מגיעים</th><th>שעות פתיחה</th><th>מה לקחת</th></tr></thead>
+                <tbody>
+                    ${mainItems.map(({ itemIndex, item, activity }) => {
+                        const time = parseTimeOfDay(item.time) !== null ? item.time : itemTimes[itemIndex];
+                        return `
+                            <tr>
+                                <td>${text(time || '')}</td>
+                                <td>
+                                    <strong>${markers.has(itemIndex) ? `(${markers.get(itemIndex)}) ` : ''}${text(activity?.name || item.description)}</strong>
+                                    ${activity?.address ? `<div>${text(activity.address)}</div>` : ''}
+                                </td>
+                                <td>${text([activity?.transport, activity?.time != null ? `${activity.time} דק'` : ''].filter(Boolean).join(' · '))}</td>
+                                <td>${text(openingHoursOn(activity, date))}</td>
+                                <td>${text((activity?.whatToBring || []).join(', '))}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+            ${alternatives.length ? `
+                <p class="print-alternatives"><strong>חלופות:</strong> ${alternatives.map(({ planKey, item, activity }) => `${text(activity?.name || item.description)} (${PLAN_TITLES[planKey]})`).join(', ')}</p>
+            ` : ''}
+            ${renderMapSnippet(points)}
+            ${day.soloTip ? `<p><strong>💡</strong> ${text(day.soloTip)}</p>` : ''}
+            ${renderContacts(data)}
+        </section>
+    `;
+}
+
+function renderFlightsSheet(flightData) {
+    const flights = ['outbound', 'inbound'].flatMap(direction => (flightData?.[direction] || []).map(flight => ({ direction, ...flight })));
+    if (!flights.length) return '';
+    return `
+        <section class="print-sheet">
+            <header><h2>✈️ טיסות</h2>${flightData.bookingRef ? `<p>מספר הזמנה: ${text(flightData.bookingRef)}</p>` : ''}</header>
+            <table class="print-plan">
+                <thead><tr><th></th><th>מסלול</th><th>תאריך ושעה</th><th>טיסה</th><th>קוד הזמנה</th></tr></thead>
+                <tbody>
+                    ${flights.map(flight => `
+                        <tr>
+                            <td>${flight.direction === 'outbound' ? 'הלוך' : 'חזור'}</td>
+                            <td>${text(flight.from)} → ${text(flight.to)}</td>
+                            <td>${text(flight.date)} ${text(flight.time)}</td>
+                            <td>${text([flight.airline, flight.flightNum].filter(Boolean).join(' '))}</td>
+                            <td>${text(flight.airlineRef)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${(flightData.passengers || []).length ? `
+                <table class="print-plan">
+                    <thead><tr><th>נוסע/ת</th><th>כרטיס</th><th>מטען</th></tr></thead>
+                    <tbody>
+                        ${flightData.passengers.map(passenger => `<tr><td>${text(passenger.name)}</td><td>${text(passenger.ticket)}</td><td>${text(passenger.baggage)}</td></tr>`).join('')}
+                    </tbody>
+                </table>
+            ` : ''}
+        </section>
+    `;
+}
+
+function renderHotelSheet(hotelData) {
+    if (!hotelData) return '';
+    const rows = [
+        ['מספר הזמנה', hotelData.bookingRef],
+        ['כתובת', hotelData.address],
+        ['טלפון', hotelData.phone],
+        ['אימייל', hotelData.email],
+        ['צ\'ק-אין', [hotelData.checkinDate, hotelData.checkinTime].filter(Boolean).join(' ')],
+        ['צ\'ק-אאוט', [hotelData.checkoutDate, hotelData.checkoutTime].filter(Boolean).join(' ')],
+        ['חדר', hotelData.roomType],
+        ['ארוחת בוקר', hotelData.breakfast]
+    ].filter(([, value]) => value);
+    return `
+        <section class="print-sheet">
+            <header><h2>🏨 ${text(hotelData.name || CONFIG.DEMO_DATA.HOTEL.name)}</h2></header>
+            <table class="print-plan">
+                <tbody>${rows.map(([label, value]) => `<tr><th>${label}</th><td>${text(value)}</td></tr>`).join('')}</tbody>
+            </table>
+        </section>
+    `;
+}
+
+/**
+ * The whole trip: a cover, the flights and hotel booking, then every day's sheet.
+ * @param {Object} data - Trip data (currentData).
+ * @param {string|null} startDate
+ * @returns {string} HTML.
+ */
+export function renderTripBooklet(data, startDate) {
+    return `
+        <section class="print-sheet print-cover">
+            <h1>${text(data.tripName || 'הטיול שלנו לז\'נבה')}</h1>
+            ${startDate ? `<p>${text(startDate)}</p>` : ''}
+            <p>${(data.itineraryData || []).length} ימים</p>
+        </section>
+        ${renderFlightsSheet(data.flightData)}
+        ${renderHotelSheet(data.hotelData)}
+        ${(data.itineraryData || []).map(day => renderDaySheet(day, data, startDate)).join('')}
+    `;
+}
@@ -0,0 +1,200 @@
+/**
+ * Family Routine
+ * The children's day - nap windows, meal times and bedtime, per child - kept in the trip document
+ * as `familyRoutine`. The day planner fits a day's itinerary around it, and the AI prompts
+ * describe it instead of assuming the children's ages.
+ */
+
+import { CONFIG } from './config.js';
+import { getDayItems, parseDurationMinutes, estimateTravelMinutes } from './itinerary.js';
+import { parseTimeOfDay, formatTimeOfDay } from './opening-hours.js';
+
+export const MEALS = {
+    breakfast: 'ארוחת בוקר',
+    lunch: 'ארוחת צהריים',
+    dinner: 'ארוחת ערב'
+};
+
+const DEFAULT_CHILD = {
+    age: 2,
+    naps: [{ start: '13:00', end: '15:00' }],
+    strollerNaps: true,
+    meals: { breakfast: '08:00', lunch: '12:00', dinner: '18:00' },
+    bedtime: CONFIG.FAMILY.BEDTIME
+};
+
+const DEFAULT_DAY_START = '09:00';
+const DEFAULT_VISIT_MINUTES = 60;
+const MEAL_MINUTES = 45;
+// A meal may move this much earlier so it does not leave the family waiting for it
+const MEAL_FLEX_MINUTES = 30;
+
+/**
+ * The trip's routine, with defaults for anything missing: one entry per child in
+ * CONFIG.FAMILY.KIDS until the family describes its own.
+ * @param {Object} data - Trip data (currentData).
+ * @returns {{dayStart: string, children: Array<{name: string, age: number, naps: Array<{start: string, end: string}>, strollerNaps: boolean, meals: Object, bedtime: string}>}}
+ */
+export function getFamilyRoutine(data) {
+    const routine = data?.familyRoutine || {};
+    const children = Array.isArray(routine.children) && routine.children.length
+        ? routine.children
+        : CONFIG.FAMILY.KIDS.map((name, index) => ({ name, age: DEFAULT_CHILD.age + index }));
+
+    return {
+        dayStart: parseTimeOfDay(routine.dayStart) !== null ? routine.dayStart : DEFAULT_DAY_START,
+        children: children.map(child => ({
+            name: child.name || 'ילד/ה',
+            age: Number(child.age) || null,
+            naps: (Array.isArray(child.naps) ? child.naps : DEFAULT_CHILD.naps)
+                .filter(nap => parseTimeOfDay(nap?.start) !== null && parseTimeOfDay(nap?.end) !== null),
+            strollerNaps: child.strollerNaps ?? DEFAULT_CHILD.strollerNaps,
+            meals: { ...DEFAULT_CHILD.meals, ...(child.meals || {}) },
+            bedtime: parseTimeOfDay(child.bedtime) !== null ? child.bedtime : DEFAULT_CHILD.bedtime
+        }))
+    };
+}
+
+/**
+ * The family's bedtime: the earliest of the children's.
+ * @param {Object} routine - From getFamilyRoutine().
+ * @returns {string} 'HH:MM'.
+ */
+export function getFamilyBedtime(routine) {
+    const earliest = Math.min(...routine.children.map(child => parseTimeOfDay(child.bedtime)));
+    return Number.isFinite(earliest) ? formatTimeOfDay(earliest) : CONFIG.FAMILY.BEDTIME;
+}
+
+/**
+ * The windows the family plans around, sorted by start: naps (children napping at overlapping
+ * times share one window) and meals (the earliest time of each meal across the children).
+ * @param {Object} routine
+ * @returns {Array<{kind: 'nap'|'meal', start: number, end: number, label: string, children?: Array<string>, stroller?: boolean}>}
+ */
+export function getRoutineWindows(routine) {
+    const naps = [];
+    routine.children.forEach(child => child.naps.forEach(nap => {
+        const start = parseTimeOfDay(nap.start);
+        const end = parseTimeOfDay(nap.end);
+        const shared = naps.find(window => start < window.end && end > window.start);
+        if (shared) {
+            shared.start = Math.min(shared.start, start);
+            shared.end = Math.max(shared.end, end);
+            shared.children.push(child.name);
+            shared.stroller = shared.stroller && child.strollerNaps;
+        } else {
+            naps.push({ kind: 'nap', start, end, children: [child.name], stroller: child.strollerNaps });
+        }
+    }));
+    naps.forEach(nap => { nap.label = `שנ"צ של ${nap.children.join(' ו')}`; });
+
+    const meals = Object.entries(MEALS).map(([meal, label]) => {
+        const times = routine.children.map(child => parseTimeOfDay(child.meals[meal])).filter(time => time !== null);
+        if (times.length === 0) return null;
+        const start = Math.min(...times);
+        return { kind: 'meal', start, end: start + MEAL_MINUTES, label };
+    }).filter(Boolean);
+
+    return [...naps, ...meals].sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Schedules the main plan of a day around the routine. Items keep their order. Before each one the
+ * planner adds the meals and naps it would run into: a meal is served where it falls (up to half
+ * an hour early). Children who sleep in the stroller nap on the move - the family sets off so the
+ * nap starts on the way, and travel legs inside a nap are marked napFriendly. Otherwise the family
+ * goes back to the hotel for the nap.
+ * @param {Object} day
+ * @param {Object} options
+ * @param {Array} [options.activities]
+ * @param {Object} options.routine - From getFamilyRoutine().
+ * @returns {{blocks: Array<{kind: string, start: number, end: number, label: string, itemIndex?: number, napFriendly?: boolean}>, itemTimes: Object<number, string>, homeBy: number, pastBedtime: boolean}}
+ */
+export function planDay(day, { activities = [], routine }) {
+    const windows = getRoutineWindows(routine);
+    const pending = [...windows];
+    const blocks = [];
+    const itemTimes = {};
+    let cursor = parseTimeOfDay(routine.dayStart);
+    let previous = null;
+
+    const napDuring = (start, end) => windows.find(window => window.kind === 'nap' && start < window.end && end > window.start);
+
+    const addTravel = (minutes, label) => {
+        if (!minutes) return;
+        const nap = napDuring(cursor, cursor + minutes);
+        blocks.push({ kind: 'travel', start: cursor, end: cursor + minutes, label, napFriendly: Boolean(nap?.stroller) });
+        cursor += minutes;
+    };
+
+    getDayItems(day, activities)
+        .filter(entry => entry.planKey === 'mainPlan')
+        .forEach(({ item, itemIndex, activity }) => {
+            const name = activity?.name || item.description;
+            const travel = (previous ? estimateTravelMinutes(previous, activity) : activity?.time) || 0;
+            const duration = parseDurationMinutes(item.duration ?? activity?.duration) ?? DEFAULT_VISIT_MINUTES;
+
+            // Routine windows the visit (with the way there) would run into
+            let window;
+            while ((window = pending.find(next => next.start < cursor + travel + duration && next.end > cursor))) {
+                pending.splice(pending.indexOf(window), 1);
+                if (window.kind === 'meal') {
+                    const start = Math.max(cursor, window.start - MEAL_FLEX_MINUTES);
+                    blocks.push({ kind: 'meal', start, end: start + MEAL_MINUTES, label: window.label });
+                    cursor = start + MEAL_MINUTES;
+                } else if (window.stroller) {
+                    // Leave so the nap starts halfway along the way there
+                    cursor = Math.max(cursor, window.start - Math.ceil(travel / 2));
+                } else {
+                    if (previous) addTravel(previous.time || 0, 'חזרה למלון');
+                    const start = Math.max(cursor, window.start);
+                    blocks.push({ kind: 'nap', start, end: window.end, label: `${window.label} במלון` });
+                    cursor = Math.max(cursor, window.end);
+                    // Back from the hotel, so the next leg starts there
+                    previous = null;
+                }
+            }
+
+            const legMinutes = (previous ? estimateTravelMinutes(previous, activity) : activity?.time) || 0;
+            addTravel(legMinutes, `נסיעה ל${name}`);
+            blocks.push({ kind: 'activity', start: cursor, end: cursor + duration, label: name, itemIndex });
+            itemTimes[itemIndex] = formatTimeOfDay(cursor);
+            cursor += duration;
+            previous = activity;
+        });
+
+    addTravel(previous?.time || 0, 'חזרה למלון');
+
+    // Meals still ahead today, such as dinner, happen after the last stop
+    pending.filter(window => window.kind === 'meal' && window.start >= cursor - MEAL_FLEX_MINUTES).forEach(window => {
+        const start = Math.max(cursor, window.start);
+        blocks.push({ kind: 'meal', start, end: start + MEAL_MINUTES, label: window.label });
+    });
+
+    const homeBy = cursor;
+    return { blocks, itemTimes, homeBy, pastBedtime: homeBy > parseTimeOfDay(getFamilyBedtime(routine)) };
+}
+
+/**
+ * The children in a few words for prompts, e.g. 'בר (גיל 2) ורן (גיל 3)'.
+ * @param {Object} routine
+ * @returns {string}
+ */
+export function describeChildren(routine) {
+    const names = routine.children.map(child => child.age ? `${child.name} (גיל ${child.age})` : child.name);
+    return names.length > 1 ? `${names.slice(0, -1).join(', ')} ו${names[names.length - 1]}` : names[0] || 'ילדים קטנים';
+}
+
+/**
+ * The routine as text for Gemini prompts.
+ * @param {Object} routine
+ * @returns {string}
+ */
+export function describeRoutine(routine) {
+    const lines = routine.children.map(child => {
+        const naps = child.naps.map(nap => `${nap.start}-${nap.end}`).join(', ');
+        const meals = Object.entries(MEALS).map(([meal, label]) => `${label} ${child.meals[meal]}`).join(', ');
+        return `- ${child.name}${child.age ? ` (גיל ${child.age})` : ''}: ${naps ? `שנ"צ ${naps}${child.strollerNaps ? ' (נרדם/ת בעגלה)' : ' (רק במיטה)'}` : 'בלי שנ"צ'}; ${meals}; שינה בלילה ${child.bedtime}`;
+    });
+    return `שגרת הילדים:\n${lines.join('\n')}\nתכננו את היום סביב השגרה הזו: בלי פעילויות בזמן השנ"צ (אלא נסיעה או טיול רגוע בעגלה למי שנרדם בה), ארוחות בזמן וחזרה למלון לפני שעת השינה.`;
+}
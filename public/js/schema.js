@@ -0,0 +1,352 @@
+/**
+ * Trip Data Schema
+ * Every trip document passes through here before it reaches currentData: older shapes are
+ * migrated to the current schema version, fields are normalized to the one shape the renderers
+ * expect, and records that cannot be fixed are listed in a developer report instead of
+ * silently rendering as gaps.
+ */
+
+import { parseOpeningHours } from './opening-hours.js';
+
+export const SCHEMA_VERSION = 2;
+
+export const PLAN_KEYS = ['mainPlan', 'alternativePlan', 'alternativePlan2'];
+
+let lastReport = null;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// --- Migrations ---
+
+/**
+ * Each migration upgrades a document from version N to N + 1. Documents written before the
+ * schema existed have no schemaVersion and are treated as version 1.
+ */
+const MIGRATIONS = {
+    // v1 -> v2: itinerary days list `activities` instead of `mainPlan.items`,
+    // travel time was stored as `travelTime`, opening hours as a single string
+    1: (data) => {
+        const migrated = { ...data };
+
+        if (Array.isArray(data.itineraryData)) {
+            migrated.itineraryData = data.itineraryData.map(day => {
+                if (!isObject(day) || day.mainPlan || !Array.isArray(day.activities)) return day;
+                const { activities, ...rest } = day;
+                return {
+                    ...rest,
+                    mainPlan: {
+                        items: activities.map(activity => ({
+                            activityId: activity.activityId || activity.id,
+                            time: activity.time,
+                            description: activity.name
+                        }))
+                    }
+                };
+            });
+        }
+
+        if (Array.isArray(data.activitiesData)) {
+            migrated.activitiesData = data.activitiesData.map(activity => {
+                if (!isObject(activity)) return activity;
+                const { travelTime, ...rest } = activity;
+                return {
+                    ...rest,
+                    time: rest.time != null && rest.time !== '' ? rest.time : travelTime,
+                    openingHours: typeof rest.openingHours === 'string'
+                        ? openingHoursFromString(rest.openingHours)
+                        : rest.openingHours
+                };
+            });
+        }
+
+        return migrated;
+    }
+};
+
+function openingHoursFromString(text) {
+    const value = text.trim();
+    if (!value) return null;
+    if (value === '24/7') return { Everyday: '00:00-24:00' };
+    return { Everyday: value };
+}
+
+/**
+ * Brings a trip document up to SCHEMA_VERSION.
+ * @param {Object} data - Raw trip document data.
+ * @returns {{data: Object, fromVersion: number}}
+ */
+export function migrateTripData(data) {
+    const fromVersion = Number(data.schemaVersion) || 1;
+    let migrated = data;
+
+    for (let version = fromVersion; version < SCHEMA_VERSION; version++) {
+        migrated = MIGRATIONS[version](migrated);
+    }
+
+    return { data: { ...migrated, schemaVersion: SCHEMA_VERSION }, fromVersion };
+}
+
+// --- Normalizers ---
+
+/**
+ * Normalizers fix what they can and record here what they had to drop or guess.
+ * @returns {{issues: Array, warn: Function, invalid: Function}}
+ */
+export function createIssueLog() {
+    const issues = [];
+    return {
+        issues,
+        warn: (path, message, record) => issues.push({ severity: 'warning', path, message, record }),
+        invalid: (path, message, record) => issues.push({ severity: 'error', path, message, record })
+    };
+}
+
+function normalizeTravelTime(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string' && /^\d+$/.test(value.trim())) return Number(value.trim());
+    return value == null || value === '' ? null : value;
+}
+
+function normalizeCoordinate(value) {
+    if (value == null || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Normalizes one activity. Returns null for records that cannot be shown.
+ * @param {Object} activity
+ * @param {string} path - Location in the document, for the report.
+ * @param {Object} log
+ * @returns {Object|null}
+ */
+export function normalizeActivity(activity, path, log = createIssueLog()) {
+    if (!isObject(activity) || typeof activity.name !== 'string' || !activity.name.trim()) {
+        log.invalid(path, 'Activity has no name', activity);
+        return null;
+    }
+
+    const normalized = {
+        ...activity,
+        id: activity.id != null && activity.id !== '' ? String(activity.id) : activity.name,
+        category: activity.category || 'משפחתי',
+        time: normalizeTravelTime(activity.time),
+        lat: normalizeCoordinate(activity.lat),
+        lon: normalizeCoordinate(activity.lon)
+    };
+
+    if (activity.id == null || activity.id === '') log.warn(`${path}.id`, 'Missing id, using the activity name', activity);
+    if ((activity.lat != null || activity.lon != null) && (normalized.lat === null || normalized.lon === null)) {
+        log.warn(`${path}.lat`, 'Invalid coordinates', activity);
+    }
+
+    if (typeof normalized.openingHours === 'string') {
+        normalized.openingHours = openingHoursFromString(normalized.openingHours);
+    }
+    if (normalized.openingHours != null && !isObject(normalized.openingHours)) {
+        log.warn(`${path}.openingHours`, 'Unknown opening hours format', activity);
+        normalized.openingHours = null;
+    }
+    if (isObject(normalized.openingHours)) {
+        Object.entries(normalized.openingHours).forEach(([days, hours]) => {
+            const rules = parseOpeningHours({ [days]: hours });
+            if (!rules.length || rules.some(rule => rule.ranges === null)) {
+                log.warn(`${path}.openingHours.${days}`, `Unparseable hours: ${hours}`, activity);
+            }
+        });
+    }
+
+    if (typeof normalized.whatToBring === 'string') {
+        normalized.whatToBring = normalized.whatToBring.split(',').map(item => item.trim()).filter(Boolean);
+    }
+
+    return normalized;
+}
+
+function normalizePlanItem(item, path, activityIds, log) {
+    if (typeof item === 'string') return { description: item };
+    if (!isObject(item)) {
+        log.invalid(path, 'Unknown plan item format', item);
+        return null;
+    }
+
+    const normalized = { ...item };
+    if (!normalized.activityId && normalized.id) normalized.activityId = normalized.id;
+    if (normalized.activityId != null) normalized.activityId = String(normalized.activityId);
+
+    if (normalized.activityId && !activityIds.has(normalized.activityId)) {
+        log.warn(`${path}.activityId`, `Activity ${normalized.activityId} is not in activitiesData`, item);
+        // The renderer falls back to the description, so the day never shows an empty slot
+        if (!normalized.description) normalized.description = normalized.activityId;
+    }
+    if (!normalized.activityId && !normalized.description) {
+        log.invalid(path, 'Plan item has neither activityId nor description', item);
+        return null;
+    }
+    return normalized;
+}
+
+function normalizePlan(plan, path, activityIds, log) {
+    if (plan == null) return null;
+    // Plans saved as a bare list of items
+    const source = Array.isArray(plan) ? { items: plan } : plan;
+    if (!isObject(source) || !Array.isArray(source.items)) {
+        log.invalid(path, 'Plan has no items list', plan);
+        return null;
+    }
+    return {
+        ...source,
+        items: source.items
+            .map((item, index) => normalizePlanItem(item, `${path}.items[${index}]`, activityIds, log))
+            .filter(Boolean)
+    };
+}
+
+/**
+ * Normalizes one itinerary day so every plan has an `items` array.
+ * @param {Object} day
+ * @param {number} index - Position in itineraryData.
+ * @param {Set<string>} activityIds - Ids of known activities.
+ * @param {Object} log
+ * @returns {Object|null}
+ */
+export function normalizeItineraryDay(day, index, activityIds = new Set(), log = createIssueLog()) {
+    const path = `itineraryData[${index}]`;
+    if (!isObject(day)) {
+        log.invalid(path, 'Unknown itinerary day format', day);
+        return null;
+    }
+
+    const dayNumber = Number(day.day) || index + 1;
+    const normalized = {
+        ...day,
+        day: dayNumber,
+        dayName: day.dayName || `יום ${dayNumber}`,
+        date: day.date || '',
+        title: day.title || ''
+    };
+
+    PLAN_KEYS.forEach(key => {
+        const plan = normalizePlan(day[key], `${path}.${key}`, activityIds, log);
+        if (plan) normalized[key] = plan;
+        else delete normalized[key];
+    });
+
+    return normalized;
+}
+
+function normalizeList(items, key, log, normalizeItem) {
+    if (items == null) return undefined;
+    if (!Array.isArray(items)) {
+        log.invalid(key, 'Expected an array', items);
+        return [];
+    }
+    return items.map((item, index) => normalizeItem(item, `${key}[${index}]`, index)).filter(Boolean);
+}
+
+function normalizePackingList(packingListData, log) {
+    if (packingListData == null) return undefined;
+    if (!isObject(packingListData)) {
+        log.invalid('packingListData', 'Unknown packing list format', packingListData);
+        return {};
+    }
+
+    const normalized = {};
+    Object.entries(packingListData).forEach(([category, items]) => {
+        normalized[category] = normalizeList(items, `packingListData.${category}`, log, (item, path) => {
+            if (typeof item === 'string') return { name: item, checked: false };
+            if (!isObject(item) || !item.name) {
+                log.invalid(path, 'Packing item has no name', item);
+                return null;
+            }
+            return { ...item, checked: Boolean(item.checked) };
+        });
+    });
+    return normalized;
+}
+
+// Required text fields of items in the trip collections (see trip-collections.js)
+const COLLECTION_REQUIRED_FIELDS = {
+    photoAlbum: ['url'],
+    bulletinBoard: ['content'],
+    familyMemories: ['title', 'content'],
+    chatMessages: [],
+    geminiChatMessages: [],
+    activityLog: ['action'],
+    expenses: ['amount', 'payer']
+};
+
+/**
+ * Drops collection items missing the fields their renderer needs.
+ * @param {string} key - currentData key of the collection.
+ * @param {Array} items
+ * @param {Object} [log]
+ * @returns {Array}
+ */
+export function normalizeCollectionItems(key, items, log = createIssueLog()) {
+    const required = COLLECTION_REQUIRED_FIELDS[key] || [];
+    return normalizeList(items, key, log, (item, path) => {
+        const missing = required.filter(field => !isObject(item) || item[field] == null || item[field] === '');
+        if (missing.length > 0) {
+            log.invalid(path, `Missing fields: ${missing.join(', ')}`, item);
+            return null;
+        }
+        return item;
+    }) || [];
+}
+
+// --- Entry point ---
+
+/**
+ * Migrates, normalizes and validates trip data. Runs on every snapshot and on cached or demo data.
+ * @param {Object} rawData - Trip document data (collection keys may be included).
+ * @returns {{data: Object, report: {schemaVersion: number, fromVersion: number, issues: Array}}}
+ */
+export function prepareTripData(rawData) {
+    const log = createIssueLog();
+    const { data: migrated, fromVersion } = migrateTripData(rawData || {});
+    const data = { ...migrated };
+
+    const activities = normalizeList(migrated.activitiesData, 'activitiesData', log,
+        (activity, path) => normalizeActivity(activity, path, log));
+    if (activities) data.activitiesData = activities;
+
+    const activityIds = new Set((activities || []).map(activity => activity.id));
+    const itinerary = normalizeList(migrated.itineraryData, 'itineraryData', log,
+        (day, path, index) => normalizeItineraryDay(day, index, activityIds, log));
+    if (itinerary) data.itineraryData = itinerary;
+
+    const packingList = normalizePackingList(migrated.packingListData, log);
+    if (packingList) data.packingListData = packingList;
+
+    Object.keys(COLLECTION_REQUIRED_FIELDS).forEach(key => {
+        if (migrated[key] != null) data[key] = normalizeCollectionItems(key, migrated[key], log);
+    });
+
+    const report = { schemaVersion: SCHEMA_VERSION, fromVersion, issues: log.issues };
+    return { data, report };
+}
+
+/**
+ * Logs the issues found in a report, grouped, so broken records show up in the console
+ * rather than as missing cards. The last report stays available as window.tripDataReport.
+ * @param {Object} report - From prepareTripData().
+ * @param {string} [source] - Where the data came from (server, snapshot, demo...).
+ */
+export function logSchemaReport(report, source = 'server') {
+    lastReport = { ...report, source, checkedAt: new Date().toISOString() };
+    if (typeof window !== 'undefined') window.tripDataReport = lastReport;
+    if (report.issues.length === 0) return;
+
+    const errors = report.issues.filter(issue => issue.severity === 'error').length;
+    console.groupCollapsed(`🩺 Trip data (${source}, schema v${report.fromVersion}→v${report.schemaVersion}): ${errors} invalid, ${report.issues.length - errors} fixed`);
+    console.table(report.issues.map(({ severity, path, message }) => ({ severity, path, message })));
+    console.groupEnd();
+}
+
+/**
+ * @returns {Object|null} The last report logged by logSchemaReport().
+ */
+export function getSchemaReport() {
+    return lastReport;
+}
@@ -1,6 +1,7 @@
 import { currentData } from './Main.js';
-import { getWeatherInfo } from './utils.js';
+import { getWeatherInfo, sanitizeHTML, escapeAttribute } from './utils.js';
 import { VERSION } from './version.js';
+import { CONFIG } from './config.js';
 
 // Import new modules for enhanced functionality
 import { AnimationManager } from './animations.js';
@@ -10,30 +11,59 @@ import { LoadingManager } from './loading.js';
 // --- WEATHER SERVICE ---
 
 // Caching variables to prevent excessive API calls.
+// The last forecast is also kept under CONFIG.CACHE.WEATHER_KEY so it shows right away on the next launch.
 let weatherCache = null;
 let lastWeatherFetch = 0;
 
+function loadStoredWeather() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(CONFIG.CACHE.WEATHER_KEY));
+        if (stored && stored.data) {
+            weatherCache = stored.data;
+            lastWeatherFetch = stored.fetchedAt || 0;
+        }
+    } catch (error) {
+        console.warn('⚠️ Could not read stored weather:', error);
+    }
+}
+
+function storeWeather(data, fetchedAt) {
+    try {
+        localStorage.setItem(CONFIG.CACHE.WEATHER_KEY, JSON.stringify({ data, fetchedAt }));
+    } catch (error) {
+        console.warn('⚠️ Could not store weather:', error);
+    }
+}
+
 /**
  * Fetches weather data from the Open-Meteo API and renders it.
  * Implements a 1-hour cache to avoid redundant API calls.
  */
 export async function fetchAndRenderWeather() {
     const now = Date.now();
+    if (!weatherCache) loadStoredWeather();
     // Use cached data if it's less than 1 hour old.
-    if (weatherCache && (now - lastWeatherFetch < 3600000)) {
+    if (weatherCache && (now - lastWeatherFetch < CONFIG.APIS.WEATHER.CACHE_DURATION)) {
+        currentData.weather = weatherCache;
+        currentData.weatherData = weatherCache;
         renderWeather(weatherCache);
         return;
     }
+    
+    // An older forecast is still better than a spinner while the new one loads
+    if (weatherCache) renderWeather(weatherCache);
 
     const forecastContainer = document.getElementById('weather-forecast');
     if (!forecastContainer) return;
     
-    // Show loading state with enhanced UI
-    if (window.loadingManager) {
-        const loadingId = window.loadingManager.show(forecastContainer, 'טוען תחזית מזג אוויר...', 'small');
-        window.currentWeatherLoadingId = loadingId;
-    } else {
-        forecastContainer.innerHTML = '<p class="text-center w-full col-span-full text-gray-500">טוען תחזית עדכנית...</p>';
+    // Show loading state with enhanced UI (unless the older forecast is already on screen)
+    if (!weatherCache) {
+        if (window.loadingManager) {
+            const loadingId = window.loadingManager.show(forecastContainer, 'טוען תחזית מזג אוויר...', 'small');
+            window.currentWeatherLoadingId = loadingId;
+        } else {
+            forecastContainer.innerHTML = '<p class="text-center w-full col-span-full text-gray-500">טוען תחזית עדכנית...</p>';
+        }
     }
 
     // Get flight dates to baseline the weather forecast
@@ -60,9 +90,12 @@ export async function fetchAndRenderWeather() {
         currentData.weather = data;
         currentData.weatherData = data;
         
-        // Update the cache.
+        // Update the cache - a stored forecast served offline keeps its original age
         weatherCache = data;
-        lastWeatherFetch = now;
+        if (!response.headers.get('X-Offline-Cache')) {
+            lastWeatherFetch = now;
+            storeWeather(data, now);
+        }
 
         // Hide loading state
         if (window.currentWeatherLoadingId && window.loadingManager) {
@@ -72,9 +105,13 @@ export async function fetchAndRenderWeather() {
         
         renderWeather(data);
         
-        // Show success toast
+        // Show success toast - or say so when the service worker answered with a stored forecast
         if (window.toastManager) {
-            window.toastManager.success('תחזית מזג האוויר עודכנה בהצלחה!');
+            if (response.headers.get('X-Offline-Cache')) {
+                window.toastManager.info('אין חיבור - מוצגת התחזית האחרונה שנשמרה');
+            } else {
+                window.toastManager.success('תחזית מזג האוויר עודכנה בהצלחה!');
+            }
         }
         
         // Update quick status after weather is loaded
@@ -100,7 +137,7 @@ export async function fetchAndRenderWeather() {
                     handler: () => fetchAndRenderWeather()
                 }]
             });
-        } else {
+        } else if (!weatherCache) {
             forecastContainer.innerHTML = '<p class="text-center w-full col-span-full text-red-500">לא ניתן היה לטעון את תחזית מזג האוויר.</p>';
             
             // Show retry button
@@ -151,6 +188,12 @@ function renderWeather(data) {
         }, 100);
     }
 
+    // Trip days with rain in the forecast lead with their rain plan
+    import('./ui.js').then(({ renderComponentsFor, notifyWeatherPlanChanges }) => {
+        renderComponentsFor(['weatherData']);
+        notifyWeatherPlanChanges();
+    }).catch(console.warn);
+
     // Show the "What to wear?" button now that the weather data is available.
     if (whatToWearBtn) {
         whatToWearBtn.classList.remove('hidden');
@@ -244,13 +287,13 @@ function createEnhancedActivityCard(activity) {
         <div class="border-t pt-4 mt-4">
             <h4 class="font-semibold mb-2">🎒 מה להביא?</h4>
             <ul class="list-disc pr-5 space-y-1 text-sm text-gray-600">
-                ${activity.whatToBring.map(item => `<li>${item}</li>`).join('')}
+                ${activity.whatToBring.map(item => `<li>${sanitizeHTML(item)}</li>`).join('')}
             </ul>
         </div>` : '';
 
     card.innerHTML = `
         <div class="image-container">
-            <img src="${activity.image}" alt="${activity.name}" class="w-full h-48 object-cover" onerror="this.closest('.card').classList.add('no-image');">
+            <img src="${escapeAttribute(activity.image)}" alt="${escapeAttribute(activity.name)}" class="w-full h-48 object-cover" onerror="this.closest('.card').classList.add('no-image');">
         </div>
         <div class="image-fallback">
             <svg xmlns="http://www.w3.org/2000/svg" class="h-16 w-16 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -259,22 +302,22 @@ function createEnhancedActivityCard(activity) {
         </div>
         <div class="p-6 flex flex-col flex-grow">
             <div class="flex-grow">
-                <h3 class="text-xl font-bold mb-2">${activity.name}</h3>
-                <span class="text-sm font-semibold text-accent py-1 px-2 rounded-full bg-teal-50 mb-3 inline-block">${activity.category}</span>
-                <p class="text-gray-600 mb-4 text-sm">${activity.description}</p>
+                <h3 class="text-xl font-bold mb-2">${sanitizeHTML(activity.name)}</h3>
+                <span class="text-sm font-semibold text-accent py-1 px-2 rounded-full bg-teal-50 mb-3 inline-block">${sanitizeHTML(activity.category)}</span>
+                <p class="text-gray-600 mb-4 text-sm">${sanitizeHTML(activity.description)}</p>
                 
                 <div class="border-t pt-4 mt-4 space-y-3 text-sm">
                     <div class="flex items-start">
                         <span class="w-6 text-center mt-1">🕒</span>
-                        <p><strong>זמן הגעה:</strong> כ-${activity.time || 'לא ידוע'} דקות</p>
+                        <p><strong>זמן הגעה:</strong> כ-${sanitizeHTML(String(activity.time || 'לא ידוע'))} דקות</p>
                     </div>
                     <div class="flex items-start">
                         <span class="w-6 text-center mt-1">💰</span>
-                        <p><strong>עלות:</strong> ${activity.cost}</p>
+                        <p><strong>עלות:</strong> ${sanitizeHTML(String(activity.cost ?? ''))}</p>
                     </div>
                     <div class="flex items-start">
                         <span class="w-6 text-center mt-1">📍</span>
-                        <p><strong>כתובת:</strong> ${activity.address}</p>
+                        <p><strong>כתובת:</strong> ${sanitizeHTML(activity.address)}</p>
                     </div>
                 </div>
 
@@ -282,8 +325,8 @@ function createEnhancedActivityCard(activity) {
             </div>
 
             <div class="flex space-x-2 space-x-reverse mt-4">
-                <a href="${activity.link || '#'}" target="_blank" class="flex-1 text-center btn-primary px-4 py-2 rounded-lg text-sm">לאתר הרשמי</a>
-                <a href="https://www.google.com/maps/dir/?api=1&destination=${activity.address}" target="_blank" class="flex-1 text-center bg-gray-200 hover:bg-gray-300 text-gray-800 px-4 py-2 rounded-lg text-sm">ניווט ב-Maps</a>
+                <a href="${escapeAttribute(activity.link || '#')}" target="_blank" class="flex-1 text-center btn-primary px-4 py-2 rounded-lg text-sm">לאתר הרשמי</a>
+                <a href="https://www.google.com/maps/dir/?api=1&destination=${escapeAttribute(encodeURIComponent(activity.address || ''))}" target="_blank" class="flex-1 text-center bg-gray-200 hover:bg-gray-300 text-gray-800 px-4 py-2 rounded-lg text-sm">ניווט ב-Maps</a>
             </div>
         </div>
     `;
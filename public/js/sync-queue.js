@@ -0,0 +1,341 @@
+/**
+ * Offline Sync Queue
+ * Every Firestore mutation is recorded in IndexedDB before it is sent, and replayed in order
+ * once the connection is back - so nothing typed in a tram tunnel is lost, even across reloads.
+ */
+
+import { doc, setDoc, updateDoc, deleteDoc, getDocFromServer, arrayUnion, arrayRemove, serverTimestamp, deleteField, Timestamp } from "https://www.gstatic.com/firebasejs/10.12.2/firebase-firestore.js";
+
+const DB_NAME = 'geneva-guide-sync';
+const DB_VERSION = 1;
+const STORE_NAME = 'mutations';
+
+// A write that is not acknowledged within this time pauses the replay; it stays queued, and the
+// SDK keeps sending it meanwhile
+const WRITE_TIMEOUT = 10000;
+const RETRY_INTERVAL = 30000;
+
+// Errors that mean "try again later" rather than "this write can never succeed"
+const TRANSIENT_ERRORS = ['unavailable', 'deadline-exceeded', 'resource-exhausted', 'timeout', 'aborted', 'internal'];
+
+let writer = null;
+let databaseName = DB_NAME;
+let callbacks = {};
+let flushing = false;
+let flushRequested = false;
+let retryTimer = null;
+let pendingCount = 0;
+
+// Writes handed to the SDK and not acknowledged yet, by seq. The SDK retries them on its own
+// while the page is open, so a replay waits for the same write instead of sending it again.
+const inFlight = new Map();
+
+/**
+ * Field operations that survive being stored in IndexedDB. Firestore's own sentinels are class
+ * instances that do not structured-clone, so they are recreated when the mutation is sent.
+ */
+export const fieldOps = {
+    arrayUnion: (...values) => ({ __op: 'arrayUnion', values }),
+    arrayRemove: (...values) => ({ __op: 'arrayRemove', values }),
+    serverTimestamp: () => ({ __op: 'serverTimestamp' }),
+    deleteField: () => ({ __op: 'deleteField' }),
+    // A fixed point in time, e.g. the original createdAt of a restored item
+    timestamp: (millis) => ({ __op: 'timestamp', millis })
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function decodeValue(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value) || value instanceof Date) return value;
+
+    switch (value.__op) {
+        case 'arrayUnion': return arrayUnion(...value.values);
+        case 'arrayRemove': return arrayRemove(...value.values);
+        case 'serverTimestamp': return serverTimestamp();
+        case 'deleteField': return deleteField();
+        case 'timestamp': return Timestamp.fromMillis(value.millis);
+    }
+
+    const decoded = {};
+    Object.entries(value).forEach(([key, nested]) => { decoded[key] = decodeValue(nested); });
+    return decoded;
+}
+
+// Sends mutations with the Firestore SDK and reads the server copy of a document
+function createFirestoreWriter(db) {
+    return {
+        apply(record) {
+            const ref = doc(db, record.path);
+            const data = record.data ? decodeValue(record.data) : null;
+
+            switch (record.op) {
+                case 'set': return setDoc(ref, data, record.merge ? { merge: true } : {});
+                case 'update': return updateDoc(ref, data);
+                case 'delete': return deleteDoc(ref);
+                default: return Promise.reject({ code: 'invalid-argument', message: `Unknown op ${record.op}` });
+            }
+        },
+
+        async read(path) {
+            const snapshot = await getDocFromServer(doc(db, path));
+            return snapshot.exists() ? snapshot.data() : null;
+        }
+    };
+}
+
+// --- IndexedDB ---
+
+let dbPromise = null;
+
+function openQueueDB() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(databaseName, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME, { keyPath: 'seq', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+}
+
+async function withStore(mode, action) {
+    const idb = await openQueueDB();
+    return new Promise((resolve, reject) => {
+        const transaction = idb.transaction(STORE_NAME, mode);
+        const request = action(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+const readAll = () => withStore('readonly', store => store.getAll());
+const removeRecord = (seq) => withStore('readwrite', store => store.delete(seq));
+const saveRecord = (record) => withStore('readwrite', store => store.put(record));
+
+async function refreshPendingCount() {
+    try {
+        pendingCount = await withStore('readonly', store => store.count());
+    } catch (error) {
+        console.warn('⚠️ Could not count pending writes:', error);
+    }
+    if (callbacks.onCountChange) callbacks.onCountChange(pendingCount);
+    return pendingCount;
+}
+
+// --- Public API ---
+
+/**
+ * Connects the queue to Firestore and replays anything left over from earlier sessions.
+ * @param {Firestore} db
+ * @param {Object} [options]
+ * @param {Function} [options.onCountChange] - Called with the number of pending writes.
+ * @param {Function} [options.onConflict] - Called with (mutation, fieldPaths) when the server copy changed meanwhile.
+ * @param {Function} [options.onFailed] - Called with (mutation, error) when a write is rejected for good.
+ * @param {{apply: Function, read: Function}} [options.writer] - Sends a mutation and reads a
+ *     document from the server in place of the Firestore SDK; tests pass a fake.
+ * @param {string} [options.databaseName] - IndexedDB database of the queue, for tests.
+ */
+export function initSyncQueue(db, options = {}) {
+    writer = options.writer || createFirestoreWriter(db);
+    callbacks = options;
+    if (options.databaseName) {
+        databaseName = options.databaseName;
+        dbPromise = null;
+    }
+
+    if (!retryTimer) {
+        retryTimer = setInterval(() => {
+            if (pendingCount > 0) flushQueue();
+        }, RETRY_INTERVAL);
+    }
+
+    refreshPendingCount().then(() => flushQueue());
+}
+
+/**
+ * Records a mutation and tries to send it right away. Mutations recorded before Firebase is
+ * initialized are sent once initSyncQueue() runs.
+ * @param {Object} mutation
+ * @param {'set'|'update'|'delete'} mutation.op
+ * @param {string} mutation.path - Full Firestore document path.
+ * @param {Object} [mutation.data] - Fields; may contain fieldOps values.
+ * @param {boolean} [mutation.merge] - For 'set': merge into an existing document.
+ * @param {Object} [mutation.base] - Field path -> value this change was based on, used to detect conflicts.
+ * @param {string} [mutation.label] - Short Hebrew description shown when something goes wrong.
+ */
+export async function enqueueMutation({ op, path, data = null, merge = false, base = null, label = '' }) {
+    const record = {
+        op,
+        path,
+        data,
+        merge,
+        base,
+        label,
+        createdAt: Date.now(),
+        deferred: !navigator.onLine
+    };
+
+    try {
+        await saveRecord(record);
+    } catch (error) {
+        // Private browsing can block IndexedDB - still send the write, just without durability
+        console.warn('⚠️ Could not persist mutation, sending directly:', error);
+        if (writer) await writer.apply(record);
+        return;
+    }
+
+    await refreshPendingCount();
+    flushQueue();
+}
+
+/**
+ * @returns {number} Number of writes waiting to reach the server.
+ */
+export function getPendingCount() {
+    return pendingCount;
+}
+
+// --- Replay ---
+
+function withTimeout(promise) {
+    return Promise.race([
+        promise,
+        new Promise((_, reject) => setTimeout(() => reject({ code: 'timeout', message: 'Write not acknowledged in time' }), WRITE_TIMEOUT))
+    ]);
+}
+
+function readFieldPath(data, fieldPath) {
+    return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+// Deep equality that ignores key order - the server does not keep the order fields were written in
+function sameValue(a, b) {
+    if (Array.isArray(a) || Array.isArray(b)) {
+        return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, index) => sameValue(item, b[index]));
+    }
+    if (a && b && typeof a === 'object' && typeof b === 'object') {
+        const keys = Object.keys(a).filter(key => a[key] !== undefined);
+        return keys.length === Object.keys(b).filter(key => b[key] !== undefined).length
+            && keys.every(key => sameValue(a[key], b[key]));
+    }
+    return a === b;
+}
+
+const mergeArray = (base, values) => {
+    const result = Array.isArray(base) ? [...base] : [];
+    values.forEach(value => { if (!result.some(existing => sameValue(existing, value))) result.push(value); });
+    return result;
+};
+
+// Whether the server already holds what this write sets a field to. fieldOps markers are resolved
+// against the value the write was based on; a server timestamp matches whatever time the server set.
+function isApplied(serverValue, baseValue, value) {
+    if (!isPlainObject(value)) return sameValue(serverValue, value);
+
+    switch (value.__op) {
+        case 'arrayUnion': return sameValue(serverValue, mergeArray(baseValue, value.values));
+        case 'arrayRemove': return sameValue(serverValue, (Array.isArray(baseValue) ? baseValue : []).filter(item => !value.values.some(removed => sameValue(removed, item))));
+        case 'serverTimestamp': return serverValue != null;
+        case 'timestamp': return typeof serverValue?.toMillis === 'function' && serverValue.toMillis() === value.millis;
+        case 'deleteField': return serverValue === undefined;
+    }
+
+    if (!isPlainObject(serverValue)) return false;
+    const keys = Object.keys(value).filter(key => value[key]?.__op !== 'deleteField');
+    return Object.keys(serverValue).length === keys.length
+        && Object.keys(value).every(key => isApplied(serverValue[key], baseValue?.[key], value[key]));
+}
+
+// Fields whose server value moved away from the value this change was based on
+async function findConflicts(record) {
+    const serverData = (await writer.read(record.path)) || {};
+
+    return Object.keys(record.base).filter(fieldPath => {
+        const serverValue = readFieldPath(serverData, fieldPath);
+        // Already applied before the page was closed - not a conflict
+        if (record.data && fieldPath in record.data && isApplied(serverValue, record.base[fieldPath], record.data[fieldPath])) return false;
+        return !sameValue(serverValue, record.base[fieldPath]);
+    });
+}
+
+// Hands a queued write to the SDK once; later replays get the same pending write. One delivered
+// after the replay stopped waiting for it is taken off the queue then.
+function send(record) {
+    if (!inFlight.has(record.seq)) {
+        const sending = writer.apply(record);
+        inFlight.set(record.seq, sending);
+        sending
+            .then(() => removeRecord(record.seq).then(() => { if (!flushing) refreshPendingCount(); }),
+                () => inFlight.delete(record.seq))
+            .catch(error => console.warn('⚠️ Could not remove a delivered write from the queue:', error));
+    }
+    return inFlight.get(record.seq);
+}
+
+/**
+ * Sends queued mutations in order. Stops at the first write that cannot reach the server,
+ * so later writes never overtake earlier ones. Called on the `online` event, on startup and on a timer.
+ */
+export async function flushQueue() {
+    if (!writer || !navigator.onLine) return;
+    if (flushing) {
+        // Writes queued during a replay are picked up right after it
+        flushRequested = true;
+        return;
+    }
+    flushing = true;
+    flushRequested = false;
+    let paused = false;
+
+    try {
+        const records = await readAll();
+        for (const record of records) {
+            try {
+                if (inFlight.has(record.seq)) {
+                    // Sent earlier in this session - the SDK is still delivering it
+                    await withTimeout(inFlight.get(record.seq));
+                } else {
+                    // Writes replayed after being offline are checked against what others changed meanwhile
+                    if (record.deferred && record.base) {
+                        const conflicts = await withTimeout(findConflicts(record));
+                        if (conflicts.length > 0) {
+                            console.warn('⚠️ Sync conflict, keeping server version:', record.path, conflicts);
+                            conflicts.forEach(fieldPath => { delete record.data[fieldPath]; });
+                            if (callbacks.onConflict) callbacks.onConflict(record, conflicts);
+                        }
+                    }
+
+                    if (record.op !== 'update' || Object.keys(record.data || {}).length > 0) {
+                        await withTimeout(send(record));
+                    }
+                }
+                await removeRecord(record.seq);
+                inFlight.delete(record.seq);
+            } catch (error) {
+                if (TRANSIENT_ERRORS.includes(error.code)) {
+                    console.log(`📴 Sync paused (${error.code}), will retry`);
+                    if (!record.deferred) {
+                        record.deferred = true;
+                        await saveRecord(record);
+                    }
+                    paused = true;
+                    break;
+                }
+
+                console.error('🚫 Dropping write the server rejected:', record.path, error);
+                await removeRecord(record.seq);
+                if (callbacks.onFailed) callbacks.onFailed(record, error);
+            }
+        }
+    } catch (error) {
+        console.warn('⚠️ Sync queue replay failed:', error);
+    } finally {
+        flushing = false;
+        await refreshPendingCount();
+    }
+
+    if (flushRequested && !paused) flushQueue();
+}
@@ -0,0 +1,258 @@
+/**
+ * Trip Archive
+ * Exports a trip - its data document, its collections and its photos - as one zip file, and
+ * restores such an archive into a new trip or over an existing one. Used for backups before a
+ * trip, for moving between Firebase projects and for keeping a trip after it is over.
+ *
+ * Archive layout:
+ *   manifest.json        format, versions, trip name, the data document and every collection
+ *   photos/<id>.<ext>    photo album files
+ *   packing-photos/...   packing photo files
+ *   receipts/<id>.<ext>  expense receipt photos
+ */
+
+import { getTripDataPath, getTripRegistryPath, createTrip } from './trips.js';
+import { TRIP_COLLECTIONS } from './trip-collections.js';
+import { fieldOps } from './sync-queue.js';
+import { SCHEMA_VERSION } from './schema.js';
+
+const JSZIP_URL = 'https://cdn.jsdelivr.net/npm/jszip@3.10.1/+esm';
+
+export const ARCHIVE_FORMAT = 'geneva-guide-trip';
+export const ARCHIVE_VERSION = 1;
+const MANIFEST_FILE = 'manifest.json';
+const IMPORT_LABEL = 'ייבוא טיול';
+
+const IMAGE_EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/gif': 'gif', 'image/webp': 'webp', 'image/heic': 'heic' };
+
+async function loadJSZip() {
+    const { default: JSZip } = await import(JSZIP_URL);
+    return JSZip;
+}
+
+// --- Encoding ---
+
+/**
+ * Makes trip data JSON-safe: Firestore Timestamps become { __timestamp: millis }.
+ * @param {*} value
+ * @returns {*}
+ */
+export function encodeArchiveValue(value) {
+    if (Array.isArray(value)) return value.map(encodeArchiveValue);
+    if (!value || typeof value !== 'object') return value;
+    if (typeof value.toMillis === 'function') return { __timestamp: value.toMillis() };
+
+    return Object.fromEntries(Object.entries(value).map(([key, nested]) => [key, encodeArchiveValue(nested)]));
+}
+
+/**
+ * Turns archived timestamps back into stored times. Fields become fieldOps.timestamp markers so
+ * Firestore gets real Timestamps; inside arrays, where field operations do not apply, they stay millis.
+ * @param {*} value
+ * @param {boolean} [inArray]
+ * @returns {*}
+ */
+export function decodeArchiveValue(value, inArray = false) {
+    if (Array.isArray(value)) return value.map(item => decodeArchiveValue(item, true));
+    if (!value || typeof value !== 'object') return value;
+    if (typeof value.__timestamp === 'number') return inArray ? value.__timestamp : fieldOps.timestamp(value.__timestamp);
+
+    return Object.fromEntries(Object.entries(value).map(([key, nested]) => [key, decodeArchiveValue(nested, inArray)]));
+}
+
+/**
+ * Checks that a parsed manifest is a trip archive this version can restore.
+ * @param {Object} manifest
+ * @returns {Object} The manifest.
+ * @throws {Error} With code 'invalid-archive' or 'newer-archive'.
+ */
+export function readManifest(manifest) {
+    if (!manifest || manifest.format !== ARCHIVE_FORMAT || typeof manifest.data !== 'object' || manifest.data === null) {
+        throw Object.assign(new Error('Not a trip archive'), { code: 'invalid-archive' });
+    }
+    if (!(manifest.version <= ARCHIVE_VERSION)) {
+        throw Object.assign(new Error(`Archive version ${manifest.version} is newer than ${ARCHIVE_VERSION}`), { code: 'newer-archive' });
+    }
+    return {
+        ...manifest,
+        trip: { name: manifest.trip?.name || manifest.data.tripName || 'טיול משוחזר', startDate: manifest.trip?.startDate || null },
+        collections: manifest.collections || {}
+    };
+}
+
+function fileExtension(type) {
+    return IMAGE_EXTENSIONS[type] || 'bin';
+}
+
+function fileType(fileName) {
+    const extension = fileName.split('.').pop();
+    return Object.keys(IMAGE_EXTENSIONS).find(type => IMAGE_EXTENSIONS[type] === extension) || 'application/octet-stream';
+}
+
+// --- Export ---
+
+/**
+ * Builds the archive of a trip. Photos that cannot be downloaded keep their original URL and
+ * are reported in missingFiles.
+ * @param {DataStore} store
+ * @param {string} tripId
+ * @returns {Promise<{blob: Blob, fileName: string, photoCount: number, missingFiles: Array<string>}>}
+ * @throws {Error} With code 'not-found' if the trip has no data document.
+ */
+export async function exportTrip(store, tripId) {
+    const JSZip = await loadJSZip();
+    const zip = new JSZip();
+    const tripPath = getTripDataPath(tripId);
+
+    const [registryEntry, data] = await Promise.all([store.get(getTripRegistryPath(tripId)), store.get(tripPath)]);
+    if (!data) throw Object.assign(new Error(`Trip ${tripId} has no data`), { code: 'not-found' });
+
+    const collections = {};
+    for (const [key, { name }] of Object.entries(TRIP_COLLECTIONS)) {
+        collections[key] = await store.list(`${tripPath}/${name}`);
+    }
+
+    const missingFiles = [];
+    let photoCount = 0;
+    // One at a time - photos can be large and phones have little memory
+    const addPhoto = async (item, folder, baseName) => {
+        if (!item?.url) return item;
+        try {
+            const response = await fetch(item.url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const blob = await response.blob();
+            const archiveFile = `${folder}/${baseName}.${fileExtension(blob.type)}`;
+            zip.file(archiveFile, blob);
+            photoCount++;
+            return { ...item, archiveFile };
+        } catch (error) {
+            console.warn('⚠️ Could not add photo to the archive:', item.url, error);
+            missingFiles.push(item.url);
+            return item;
+        }
+    };
+
+    const photos = [];
+    for (const item of collections.photoAlbum) photos.push(await addPhoto(item, 'photos', item.id));
+    collections.photoAlbum = photos;
+
+    const expenses = [];
+    for (const item of collections.expenses) {
+        expenses.push(item.receipt ? { ...item, receipt: await addPhoto(item.receipt, 'receipts', item.id) } : item);
+    }
+    collections.expenses = expenses;
+
+    const tripData = { ...data };
+    if (Array.isArray(data.packingPhotos?.photos)) {
+        const packingPhotos = [];
+        for (const [index, photo] of data.packingPhotos.photos.entries()) {
+            packingPhotos.push(await addPhoto(photo, 'packing-photos', `${index}-${photo.id || 'photo'}`));
+        }
+        tripData.packingPhotos = { ...data.packingPhotos, photos: packingPhotos };
+    }
+
+    const manifest = {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        schemaVersion: SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        tripId,
+        trip: {
+            name: registryEntry?.name || data.tripName || tripId,
+            startDate: registryEntry?.startDate || data.tripStartDate || null
+        },
+        data: encodeArchiveValue(tripData),
+        collections: encodeArchiveValue(collections)
+    };
+    zip.file(MANIFEST_FILE, JSON.stringify(manifest, null, 2));
+
+    const blob = await zip.generateAsync({ type: 'blob' });
+    const date = new Date().toISOString().slice(0, 10);
+    console.log(`📦 Trip ${tripId} exported: ${photoCount} photos, ${missingFiles.length} missing`);
+    return { blob, fileName: `${tripId}-${date}.zip`, photoCount, missingFiles };
+}
+
+// --- Import ---
+
+/**
+ * Restores an archive. Without a tripId it creates a new trip; with one, the archived fields are
+ * merged into the trip's data document and the archived items are written next to the ones it
+ * already has. Fields the archive lacks are kept.
+ * Photos are uploaded again, under the importing user.
+ * @param {DataStore} store
+ * @param {Blob} file - The zip archive.
+ * @param {Object} options
+ * @param {string|null} [options.tripId] - Existing trip to restore into.
+ * @param {string} options.userId - uid of the importing user.
+ * @param {Object} [options.organizer] - The importing member; organizer of a new trip.
+ * @returns {Promise<{tripId: string, itemCount: number, photoCount: number}>}
+ * @throws {Error} With code 'invalid-archive' or 'newer-archive'.
+ */
+export async function importTrip(store, file, { tripId = null, userId, organizer = null }) {
+    const JSZip = await loadJSZip();
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(file);
+    } catch (error) {
+        throw Object.assign(new Error(`Not a zip file: ${error.message}`), { code: 'invalid-archive' });
+    }
+
+    const manifestFile = zip.file(MANIFEST_FILE);
+    if (!manifestFile) throw Object.assign(new Error('Archive has no manifest'), { code: 'invalid-archive' });
+    const manifest = readManifest(JSON.parse(await manifestFile.async('string')));
+
+    let targetId = tripId;
+    if (!targetId) {
+        targetId = await createTrip(store, {
+            name: manifest.trip.name,
+            startDate: manifest.trip.startDate,
+            createdBy: userId,
+            organizer
+        });
+        // storage.rules check uploads against the organizer's member record, so it has to be on the server first
+        await store.flush();
+    }
+    const tripPath = getTripDataPath(targetId);
+
+    let photoCount = 0;
+    const restorePhoto = async (item, folder) => {
+        if (!item?.archiveFile) return item;
+        const { archiveFile, ...photo } = item;
+        const entry = zip.file(archiveFile);
+        if (!entry) return photo;
+
+        const fileName = archiveFile.split('/').pop();
+        const blob = new Blob([await entry.async('arraybuffer')], { type: fileType(fileName) });
+        photo.url = await store.upload(`${folder}/${targetId}/${userId}/${fileName}`, blob);
+        photoCount++;
+        return photo;
+    };
+
+    const data = decodeArchiveValue(manifest.data);
+    if (Array.isArray(data.packingPhotos?.photos)) {
+        const packingPhotos = [];
+        for (const photo of data.packingPhotos.photos) packingPhotos.push(await restorePhoto(photo, 'packing-photos'));
+        data.packingPhotos = { ...data.packingPhotos, photos: packingPhotos };
+    }
+    await store.set(tripPath, { ...data, tripName: data.tripName || manifest.trip.name }, { merge: true, label: IMPORT_LABEL });
+
+    let itemCount = 0;
+    for (const [key, items] of Object.entries(manifest.collections)) {
+        const collection = TRIP_COLLECTIONS[key];
+        // The activity log names its original authors, which only they may write (see firestore.rules)
+        if (!collection || key === 'activityLog' || !Array.isArray(items)) continue;
+
+        for (const archived of items) {
+            let restored = archived;
+            if (key === 'photoAlbum') restored = await restorePhoto(archived, 'trip-photos');
+            if (key === 'expenses' && archived.receipt) restored = { ...archived, receipt: await restorePhoto(archived.receipt, 'receipts') };
+            const { id, ...item } = decodeArchiveValue(restored);
+            if (!id) continue;
+            await store.set(`${tripPath}/${collection.name}/${id}`, item, { label: IMPORT_LABEL });
+            itemCount++;
+        }
+    }
+
+    console.log(`📦 Archive restored into ${targetId}: ${itemCount} items, ${photoCount} photos`);
+    return { tripId: targetId, itemCount, photoCount };
+}
@@ -0,0 +1,296 @@
+/**
+ * Trip Collections
+ * Append-only trip data (photos, notes, memories, chat) lives in subcollections of the
+ * trip document instead of ever-growing arrays, each with its own ordered, paginated listener.
+ */
+
+import { collection, doc, updateDoc, writeBatch, deleteField, Timestamp } from "https://www.gstatic.com/firebasejs/10.12.2/firebase-firestore.js";
+import { db, currentData, dataStore, getTripDocRef, getTripDocPath } from './Main.js';
+import { fieldOps } from './sync-queue.js';
+import { createIssueLog, normalizeCollectionItems } from './schema.js';
+
+// currentData key -> subcollection settings. Chat transcripts are listed oldest first;
+// arrangeable items can be pinned and moved by hand (see arrangeTripItems). Expenses come in one
+// page, since settling up needs all of them.
+export const TRIP_COLLECTIONS = {
+    photoAlbum: { name: 'photos', label: 'תמונה', pageSize: 24, newestFirst: true },
+    bulletinBoard: { name: 'notes', label: 'פתק', pageSize: 30, newestFirst: true, arrangeable: true },
+    familyMemories: { name: 'memories', label: 'זיכרון', pageSize: 20, newestFirst: true, arrangeable: true },
+    chatMessages: { name: 'chat', label: 'הודעת צ\'אט', pageSize: 50, newestFirst: false },
+    geminiChatMessages: { name: 'geminiChat', label: 'הודעת צ\'אט', pageSize: 50, newestFirst: false },
+    activityLog: { name: 'activity', label: 'יומן פעילות', pageSize: 50, newestFirst: true },
+    expenses: { name: 'expenses', label: 'הוצאה', pageSize: 500, newestFirst: true }
+};
+
+// Firestore allows 500 writes per batch; leave headroom for the cleanup update
+const MIGRATION_BATCH_SIZE = 400;
+
+const listeners = {};
+let onItemsChanged = null;
+let migrationStarted = false;
+
+function getCollectionPath(key) {
+    return `${getTripDocPath()}/${TRIP_COLLECTIONS[key].name}`;
+}
+
+function getItemPath(key, itemId) {
+    return `${getCollectionPath(key)}/${itemId}`;
+}
+
+// Firestore-style random id, generated locally so items created offline keep their id once synced
+function createItemId() {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    return Array.from(crypto.getRandomValues(new Uint8Array(20)), byte => chars[byte % chars.length]).join('');
+}
+
+function toMillis(value) {
+    if (!value) return null;
+    if (typeof value === 'number') return value;
+    if (typeof value.toMillis === 'function') return value.toMillis();
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+// An explicit position once the item was moved, its creation time until then
+function getItemPosition(item) {
+    if (typeof item.position === 'number') return item.position;
+    return toMillis(item.createdAt) || toMillis(item.timestamp) || 0;
+}
+
+/**
+ * Display order of notes and memories: pinned items first, then by position, highest first.
+ * @param {Array} items
+ * @returns {Array} A sorted copy.
+ */
+export function arrangeTripItems(items) {
+    return [...items].sort((a, b) => (Number(Boolean(b.pinned)) - Number(Boolean(a.pinned))) || (getItemPosition(b) - getItemPosition(a)));
+}
+
+function setLocalItems(key, items) {
+    currentData[key] = TRIP_COLLECTIONS[key].arrangeable ? arrangeTripItems(items) : items;
+}
+
+/**
+ * Returns a copy of the trip document data without the keys that now live in subcollections,
+ * so leftovers in the document never overwrite what the collection listeners loaded.
+ * @param {Object} docData
+ * @returns {Object}
+ */
+export function withoutTripCollections(docData) {
+    const data = { ...docData };
+    Object.keys(TRIP_COLLECTIONS).forEach(key => delete data[key]);
+    return data;
+}
+
+// --- Listeners ---
+
+function subscribeCollection(key) {
+    const settings = TRIP_COLLECTIONS[key];
+    const state = listeners[key];
+    const pageLimit = settings.pageSize * state.pages;
+
+    if (state.unsubscribe) state.unsubscribe();
+
+    state.unsubscribe = dataStore.subscribeCollection(getCollectionPath(key), { limit: pageLimit },
+        (items) => {
+            state.hasMore = items.length >= pageLimit;
+            const log = createIssueLog();
+            setLocalItems(key, normalizeCollectionItems(key, settings.newestFirst ? items : items.reverse(), log));
+            if (log.issues.length > 0) console.warn(`🩺 ${settings.name}: skipped ${log.issues.length} invalid items`, log.issues);
+            console.log(`✅ ${settings.name} updated: ${items.length} items`);
+            if (onItemsChanged) onItemsChanged(key);
+        },
+        (error) => {
+            console.warn(`🔥 ${settings.name} listener error:`, error.code, error.message);
+        }
+    );
+}
+
+/**
+ * Starts one listener per trip collection.
+ * @param {Function} onChange - Called with the currentData key whenever that collection changes.
+ * @returns {Function} Unsubscribes every collection listener.
+ */
+export function subscribeTripCollections(onChange) {
+    onItemsChanged = onChange;
+    Object.keys(TRIP_COLLECTIONS).forEach(key => {
+        if (!listeners[key]) listeners[key] = { unsubscribe: null, pages: 1, hasMore: false };
+        subscribeCollection(key);
+    });
+    return unsubscribeTripCollections;
+}
+
+export function unsubscribeTripCollections() {
+    Object.values(listeners).forEach(state => {
+        if (state.unsubscribe) state.unsubscribe();
+        state.unsubscribe = null;
+    });
+}
+
+/**
+ * @param {string} key - currentData key of the collection.
+ * @returns {boolean} Whether older items exist beyond the loaded pages.
+ */
+export function hasMoreTripItems(key) {
+    return Boolean(listeners[key] && listeners[key].hasMore);
+}
+
+/**
+ * Extends a collection listener by one page of older items.
+ * @param {string} key - currentData key of the collection.
+ */
+export function loadMoreTripItems(key) {
+    const state = listeners[key];
+    if (!state || !state.hasMore) return;
+    state.pages++;
+    subscribeCollection(key);
+}
+
+// --- Writes ---
+
+/**
+ * Adds an item to a trip collection. The item shows up locally right away and is written
+ * through the data store; the collection listener later replaces it with the stored copy.
+ * @param {string} key - currentData key of the collection.
+ * @param {Object} data - Item fields.
+ * @returns {Promise<Object>} The item including its id.
+ */
+export async function addTripItem(key, data) {
+    const settings = TRIP_COLLECTIONS[key];
+    const item = { id: createItemId(), ...data };
+    const items = currentData[key] || [];
+    setLocalItems(key, settings.newestFirst ? [item, ...items] : [...items, item]);
+
+    await dataStore.set(getItemPath(key, item.id), { ...data, createdAt: fieldOps.serverTimestamp() }, { label: settings.label });
+    return item;
+}
+
+/**
+ * Changes fields of an item, locally right away. The previous values go along as the
+ * write's base, so an edit made offline does not silently overwrite someone else's.
+ * @param {string} key - currentData key of the collection.
+ * @param {string} itemId
+ * @param {Object} fields - Top-level item fields.
+ * @param {Object} [options]
+ * @param {string} [options.label] - Shown if the write fails.
+ */
+export async function updateTripItem(key, itemId, fields, { label = `עריכת ${TRIP_COLLECTIONS[key].label}` } = {}) {
+    const items = currentData[key] || [];
+    const item = items.find(existing => existing.id === itemId);
+    if (!item) return;
+
+    const base = {};
+    Object.keys(fields).forEach(field => { base[field] = item[field] ?? null; });
+    setLocalItems(key, items.map(existing => (existing.id === itemId ? { ...existing, ...fields } : existing)));
+
+    await dataStore.update(getItemPath(key, itemId), fields, { base, label });
+}
+
+/**
+ * Moves an item one place up (-1) or down (1) among the loaded items by swapping positions
+ * with its neighbour. Pinned and unpinned items never swap.
+ * @param {string} key - currentData key of an arrangeable collection.
+ * @param {string} itemId
+ * @param {number} direction - -1 for up, 1 for down.
+ * @returns {Promise<boolean>} Whether the item could move.
+ */
+export async function moveTripItem(key, itemId, direction) {
+    const items = currentData[key] || [];
+    const index = items.findIndex(item => item.id === itemId);
+    const item = items[index];
+    const neighbour = items[index + direction];
+    if (!item || !neighbour || Boolean(item.pinned) !== Boolean(neighbour.pinned)) return false;
+
+    const itemPosition = getItemPosition(item);
+    const neighbourPosition = getItemPosition(neighbour);
+    // Items created in the same millisecond share a position - step past the neighbour instead
+    const newItemPosition = itemPosition === neighbourPosition ? neighbourPosition - direction : neighbourPosition;
+    const label = `סידור ${TRIP_COLLECTIONS[key].label}`;
+
+    await Promise.all([
+        updateTripItem(key, itemId, { position: newItemPosition }, { label }),
+        updateTripItem(key, neighbour.id, { position: itemPosition }, { label })
+    ]);
+    return true;
+}
+
+/**
+ * Deletes an item from a trip collection, removing it locally right away.
+ * @param {string} key - currentData key of the collection.
+ * @param {string} itemId
+ */
+export async function deleteTripItem(key, itemId) {
+    currentData[key] = (currentData[key] || []).filter(item => item.id !== itemId);
+
+    await dataStore.remove(getItemPath(key, itemId), { label: `מחיקת ${TRIP_COLLECTIONS[key].label}` });
+}
+
+/**
+ * Writes a deleted item back under its old id with its original creation time, so it returns
+ * exactly as it was - pinned state and position included.
+ * @param {string} key - currentData key of the collection.
+ * @param {Object} item - The item as it was in currentData.
+ */
+export async function restoreTripItem(key, item) {
+    const { id, createdAt, ...data } = item;
+    setLocalItems(key, [...(currentData[key] || []).filter(existing => existing.id !== id), item]);
+
+    await dataStore.set(getItemPath(key, id), {
+        ...data,
+        createdAt: fieldOps.timestamp(toMillis(createdAt) || Date.now())
+    }, { label: `שחזור ${TRIP_COLLECTIONS[key].label}` });
+}
+
+// --- Migration of legacy array fields ---
+
+// Deterministic ids make the migration idempotent when two devices run it at the same time
+function legacyItemId(item, index) {
+    const text = JSON.stringify(item);
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+    }
+    return `legacy-${index}-${hash.toString(36)}`;
+}
+
+/**
+ * Moves items still stored as arrays in the trip document into their subcollections,
+ * then removes the arrays from the document. Runs once per page load.
+ * @param {Object} docData - Raw trip document data.
+ */
+export async function migrateLegacyArrays(docData) {
+    const legacyKeys = Object.keys(TRIP_COLLECTIONS)
+        .filter(key => Array.isArray(docData[key]) && docData[key].length > 0);
+    if (legacyKeys.length === 0 || migrationStarted || !db) return;
+
+    migrationStarted = true;
+    console.log('📦 Migrating legacy arrays to subcollections:', legacyKeys);
+
+    try {
+        const writes = legacyKeys.flatMap(key => docData[key].map((item, index, items) => {
+            // Items without a usable time keep their original order, one second apart
+            const createdAt = toMillis(item.timestamp) || toMillis(item.uploadedAt) || Date.now() - (items.length - index) * 1000;
+            return { key, item, index, createdAt };
+        }));
+
+        for (let i = 0; i < writes.length; i += MIGRATION_BATCH_SIZE) {
+            const batch = writeBatch(db);
+            writes.slice(i, i + MIGRATION_BATCH_SIZE).forEach(({ key, item, index, createdAt }) => {
+                batch.set(doc(collection(getTripDocRef(), TRIP_COLLECTIONS[key].name), legacyItemId(item, index)), {
+                    ...item,
+                    createdAt: Timestamp.fromMillis(createdAt)
+                });
+            });
+            await batch.commit();
+        }
+
+        const cleanup = {};
+        legacyKeys.forEach(key => { cleanup[key] = deleteField(); });
+        await updateDoc(getTripDocRef(), cleanup);
+
+        console.log(`✅ Migrated ${writes.length} legacy items`);
+    } catch (error) {
+        console.warn('⚠️ Legacy array migration failed, will retry on the next snapshot:', error);
+        migrationStarted = false;
+    }
+}
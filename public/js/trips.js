@@ -0,0 +1,185 @@
+/**
+ * Trip Manager
+ * Multi-trip support: the trip registry, the active trip selection and trip-scoped Firestore paths
+ */
+
+import { CONFIG } from './config.js';
+import { fieldOps } from './sync-queue.js';
+import { getMembersPath } from './members.js';
+
+// The original hard-coded trip keeps its id so existing data stays reachable
+export const DEFAULT_TRIP_ID = 'lipetztrip-guide';
+
+const ACTIVE_TRIP_KEY = 'active-trip-id';
+const TRIPS_COLLECTION = 'trips';
+const TRIP_ID_PATTERN = /^[a-z0-9][a-z0-9-]{2,63}$/;
+
+/**
+ * Checks that a trip id is safe to use as a Firestore path segment.
+ * @param {string} tripId
+ * @returns {boolean}
+ */
+export function isValidTripId(tripId) {
+    return typeof tripId === 'string' && TRIP_ID_PATTERN.test(tripId);
+}
+
+/**
+ * Resolves the active trip: the ?trip= URL parameter first, then the last trip
+ * opened on this device, then the default trip.
+ * @returns {string} The active trip id.
+ */
+export function resolveActiveTripId() {
+    try {
+        const fromUrl = new URLSearchParams(window.location.search).get('trip');
+        if (isValidTripId(fromUrl)) {
+            localStorage.setItem(ACTIVE_TRIP_KEY, fromUrl);
+            return fromUrl;
+        }
+        const stored = localStorage.getItem(ACTIVE_TRIP_KEY);
+        if (isValidTripId(stored)) return stored;
+    } catch (error) {
+        console.warn('⚠️ Could not read the active trip, using default:', error);
+    }
+    return DEFAULT_TRIP_ID;
+}
+
+/**
+ * Returns the Firestore path of a trip's data document.
+ * @param {string} tripId
+ * @returns {string}
+ */
+export function getTripDataPath(tripId) {
+    return `artifacts/${tripId}/public/genevaGuide`;
+}
+
+/**
+ * Returns the Firestore path of a trip's registry entry. Its createdBy is who may claim the
+ * organizer role (see members.js and firestore.rules).
+ * @param {string} tripId
+ * @returns {string}
+ */
+export function getTripRegistryPath(tripId) {
+    return `${TRIPS_COLLECTION}/${tripId}`;
+}
+
+/**
+ * Builds a new, unique trip id from a display name. Hebrew names have no latin
+ * characters, so they fall back to a plain "trip" prefix - digits alone ("2026") make no slug.
+ * @param {string} name
+ * @returns {string}
+ */
+export function createTripId(name) {
+    const slug = String(name || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 40);
+    return `${/[a-z]/.test(slug) ? slug : 'trip'}-${Date.now().toString(36)}`;
+}
+
+/**
+ * Loads the trip registry. The default trip predates the registry, so it is
+ * listed even when it has no registry entry yet.
+ * @param {DataStore} store
+ * @param {Date} [today] - Splits upcoming trips from past ones.
+ * @param {string|null} [memberUid] - Lists only the trips with this uid in their memberUids, which
+ *     is all the security rules let a signed-in user list.
+ * @returns {Promise<Array<{id: string, name: string, startDate: string|null, archived: boolean}>>}
+ */
+export async function listTrips(store, today = new Date(), memberUid = null) {
+    const entries = await store.list(TRIPS_COLLECTION, memberUid ? { where: ['memberUids', 'array-contains', memberUid] } : {});
+    const trips = entries.map(entry => ({
+        name: entry.id === DEFAULT_TRIP_ID ? CONFIG.APP_NAME : entry.id,
+        startDate: null,
+        archived: false,
+        ...entry
+    }));
+
+    if (!trips.some(trip => trip.id === DEFAULT_TRIP_ID)) {
+        trips.push({ id: DEFAULT_TRIP_ID, name: CONFIG.APP_NAME, startDate: null, archived: false });
+    }
+
+    // Upcoming trips soonest first, then past trips latest first, then undated trips
+    const todayKey = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+    const group = trip => (!trip.startDate ? 2 : trip.startDate >= todayKey ? 0 : 1);
+    return trips.sort((a, b) => group(a) - group(b)
+        || (group(a) === 0 ? a.startDate.localeCompare(b.startDate) : (b.startDate || '').localeCompare(a.startDate || '')));
+}
+
+/**
+ * Creates a trip: its registry entry, its organizer and an empty data document.
+ * @param {DataStore} store
+ * @param {Object} options
+ * @param {string} options.name - Display name of the trip.
+ * @param {string} [options.startDate] - First day of the trip (YYYY-MM-DD).
+ * @param {Array} [options.activitiesData] - Activities to seed the trip with.
+ * @param {string} [options.createdBy] - uid of the creating user.
+ * @param {Object} [options.organizer] - The creating member ({ name, email }); becomes the trip's organizer.
+ * @returns {Promise<string>} The new trip id.
+ */
+export async function createTrip(store, { name, startDate = null, activitiesData = [], createdBy = null, organizer = null }) {
+    const tripId = createTripId(name);
+
+    // Registry entry, then organizer, then data: the security rules check each against the one before
+    await store.set(getTripRegistryPath(tripId), {
+        name,
+        startDate,
+        archived: false,
+        createdBy,
+        memberUids: createdBy ? [createdBy] : [],
+        createdAt: fieldOps.serverTimestamp()
+    }, { label: 'טיול חדש' });
+
+    if (createdBy) {
+        await store.set(`${getMembersPath(tripId)}/${createdBy}`, {
+            name: organizer?.name || 'מארגן/ת',
+            email: organizer?.email || null,
+            role: 'organizer',
+            rosterIndex: -1,
+            joinedAt: fieldOps.serverTimestamp()
+        }, { label: 'טיול חדש' });
+    }
+
+    await store.set(getTripDataPath(tripId), {
+        tripName: name,
+        tripStartDate: startDate,
+        activitiesData,
+        itineraryData: [],
+        packingListData: {}
+    }, { label: 'טיול חדש' });
+
+    console.log('🧳 Trip created:', tripId);
+    return tripId;
+}
+
+/**
+ * Archives or restores a trip. Archived trips keep their data and are only hidden from the selector.
+ * @param {DataStore} store
+ * @param {Object} trip - Registry entry ({ id, name }).
+ * @param {boolean} archived
+ */
+export async function setTripArchived(store, trip, archived) {
+    await store.set(getTripRegistryPath(trip.id), {
+        name: trip.name,
+        archived,
+        archivedAt: archived ? fieldOps.serverTimestamp() : null
+    }, { merge: true, label: 'ארכיון טיולים' });
+}
+
+/**
+ * Makes a trip the active one and reloads the app so every listener and path is rebuilt for it.
+ * @param {string} tripId
+ */
+export function switchTrip(tripId) {
+    if (!isValidTripId(tripId)) {
+        console.warn('⚠️ Ignoring invalid trip id:', tripId);
+        return;
+    }
+    localStorage.setItem(ACTIVE_TRIP_KEY, tripId);
+
+    const url = new URL(window.location.href);
+    url.searchParams.set('trip', tripId);
+    url.hash = '';
+    window.location.assign(url.toString());
+}
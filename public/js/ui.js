@@ -1,7 +1,19 @@
-import { currentData, currentCategoryFilter, currentTimeFilter, newlyAddedItems, clearNewlyAddedItems } from './Main.js';
+import { currentData, activitySearch, activityFilter, newlyAddedItems, clearNewlyAddedItems, appId, dataStore, userId, getTripDocPath, editingItemId, itineraryEditing } from './Main.js';
 import { fetchAndRenderWeather } from './services.js';
-import { getFormattedOpeningHours, getStatusClass, getWeatherInfo } from './utils.js';
+import { getFormattedOpeningHours, getStatusClass, getWeatherInfo, sanitizeHTML, escapeAttribute, isSafeLink } from './utils.js';
 import { initMap } from './Map.js';
+import { hasMoreTripItems } from './trip-collections.js';
+import { PLAN_TITLES, findItineraryDay, getDayItems, checkItinerary, checkItineraryDay, getTripStartDate, getTripDayDate, getForecastCode, getWeatherPlan } from './itinerary.js';
+import { PLAN_KEYS } from './schema.js';
+import { MEALS, getFamilyRoutine, getFamilyBedtime } from './routine.js';
+import { formatTimeOfDay, getOpenStatus } from './opening-hours.js';
+import { getZonedClock } from './calendar.js';
+import { CURRENCY_SYMBOLS, getTripBudget, computeTripCosts, convertAmount, formatMoney } from './budget.js';
+import { findTripDay, getNowAndNext, formatCountdown } from './now-next.js';
+import { SEARCH_FACETS, SORT_OPTIONS, searchActivities, isActivitySearchActive } from './activity-search.js';
+import { EXPENSE_CATEGORIES, getExpensePeople, getExpenseAmount, computeBalances, settleBalances } from './expenses.js';
+import { ROLES, hasPermission } from './members.js';
+import { ACTIVITY_CATEGORIES, ACTIVITY_TYPES, groupActivity, filterActivity, describeActivity, logActivity } from './activity-log.js';
 import { showFlowLoading, hideFlowLoading, showFlowProgress, showFlowFeedback, showFlowSuccess, handleFlowError } from './handlers.js';
 
 // Import new modules for enhanced UI
@@ -418,7 +430,13 @@ export class FamilyToast {
         }
     }
     
-    show(message, type = 'info', duration = 5000) {
+    /**
+     * @param {string} message
+     * @param {string} [type]
+     * @param {number} [duration]
+     * @param {{label: string, onClick: Function}} [action] - Optional button, e.g. undo.
+     */
+    show(message, type = 'info', duration = 5000, action = null) {
         this.init();
         
         const toast = document.createElement('div');
@@ -439,6 +457,7 @@ export class FamilyToast {
                 <div class="flex-1">
                     <p class="text-gray-800 font-medium">${message}</p>
                 </div>
+                ${action ? `<button class="toast-action-btn text-sm font-bold px-3 py-1 rounded-lg bg-white border border-gray-300 hover:bg-gray-100">${action.label}</button>` : ''}
                 <button class="text-gray-400 hover:text-gray-600 text-xl" onclick="familyToast.hide('${toastId}')">
                     ×
                 </button>
@@ -470,6 +489,9 @@ export class FamilyToast {
         
         // Click to dismiss
         toast.addEventListener('click', () => this.hide(toastId));
+        if (action) {
+            toast.querySelector('.toast-action-btn').addEventListener('click', () => action.onClick());
+        }
         
         return toastId;
     }
@@ -540,6 +562,10 @@ export class FamilyToast {
     celebrate(message, duration) {
         return this.show(message, 'star', duration);
     }
+    
+    undo(message, onUndo, duration = 8000) {
+        return this.show(message, 'info', duration, { label: 'ביטול', onClick: onUndo });
+    }
 }
 
 // Create global instance
@@ -568,6 +594,7 @@ export function renderAllComponents() {
         if (currentData) {
             console.log('✅ Rendering Firebase-dependent components');
             renderBookingInfo();
+            renderActiveTripName();
     renderPhotoAlbum();
     renderBulletinBoard();
     renderFamilyMemories();
@@ -619,6 +646,52 @@ export function renderAllComponents() {
     }
 }
 
+// Which renderers depend on which currentData keys - used for partial re-renders
+const COMPONENT_RENDERERS = {
+    photoAlbum: [renderPhotoAlbum],
+    bulletinBoard: [renderBulletinBoard],
+    familyMemories: [renderFamilyMemories],
+    interactivePacking: [renderInteractivePackingList],
+    packingPhotos: [renderPackingPhotosGallery],
+    itineraryData: [renderItinerary, initMap, renderNowNext, renderBudgetPanel],
+    familyRoutine: [renderItinerary, renderNowNext],
+    weatherPlanOverrides: [renderItinerary, renderNowNext],
+    weatherData: [renderItinerary, renderNowNext],
+    activitiesData: [renderItinerary, renderActivities, initMap, renderNowNext, renderBudgetPanel],
+    budget: [renderItinerary, renderBudgetPanel, renderExpenses],
+    expenses: [renderExpenses],
+    flightData: [renderBookingInfo],
+    hotelData: [renderBookingInfo],
+    tripName: [renderActiveTripName],
+    activityLog: [renderActivityFeed]
+};
+
+/**
+ * Re-renders only the components that depend on the given currentData keys.
+ * Keys without a renderer (chat transcripts, custom plans...) render nothing.
+ * @param {string[]} keys - currentData keys that changed.
+ */
+export function renderComponentsFor(keys) {
+    const renderers = new Set(keys.flatMap(key => COMPONENT_RENDERERS[key] || []));
+    renderers.forEach(render => {
+        try {
+            render();
+        } catch (error) {
+            console.error(`❌ Error re-rendering ${render.name}:`, error);
+        }
+    });
+}
+
+// "Load older" button for paginated trip collections
+function renderLoadMoreItemsButton(key) {
+    if (!hasMoreTripItems(key)) return '';
+    return `
+        <div class="col-span-full text-center mt-2">
+            <button class="load-more-items-btn text-sm px-4 py-2 rounded-lg border border-gray-300 hover:bg-gray-100" data-collection="${key}">טענו עוד</button>
+        </div>
+    `;
+}
+
 // Render fallback content when Firebase data isn't available
 function renderFallbackContent() {
     // Render basic itinerary
@@ -690,6 +763,283 @@ function renderBookingInfo() {
     }
 }
 
+// --- Sync Status ---
+
+/**
+ * Shows how many changes are still waiting to reach the server (hidden when everything is synced).
+ * @param {number} pendingCount
+ */
+export function renderSyncStatus(pendingCount) {
+    ['sync-status', 'mobile-sync-status'].forEach(id => {
+        const badge = document.getElementById(id);
+        if (!badge) return;
+        badge.textContent = `⏳ ${pendingCount} ${pendingCount === 1 ? 'שינוי ממתין' : 'שינויים ממתינים'} לסנכרון`;
+        badge.classList.toggle('hidden', pendingCount === 0);
+    });
+}
+
+/**
+ * Marks the data on screen as possibly out of date while it comes from the local snapshot
+ * or the connection is lost.
+ * @param {string|null} syncedAt - ISO time the data was last confirmed by the server; null hides the label.
+ */
+export function renderLastSynced(syncedAt) {
+    const date = syncedAt ? new Date(syncedAt) : null;
+    const isToday = date && date.toDateString() === new Date().toDateString();
+    const time = date ? date.toLocaleTimeString('he-IL', { hour: '2-digit', minute: '2-digit' }) : '';
+    const label = isToday ? time : date ? `${date.toLocaleDateString('he-IL', { day: 'numeric', month: 'numeric' })} ${time}` : '';
+
+    ['last-synced', 'mobile-last-synced'].forEach(id => {
+        const badge = document.getElementById(id);
+        if (!badge) return;
+        badge.textContent = date ? `🕓 סונכרן לאחרונה ב-${label}` : '';
+        badge.classList.toggle('hidden', !date);
+    });
+}
+
+// --- Trip Selector ---
+
+// Shows the active trip's name next to the logo (new trips store it in tripName)
+function renderActiveTripName() {
+    const label = document.getElementById('active-trip-name');
+    if (!label) return;
+
+    if (currentData.tripName) {
+        label.textContent = currentData.tripName;
+        label.classList.remove('hidden');
+    } else {
+        label.classList.add('hidden');
+    }
+}
+
+/**
+ * Renders the trip list inside the trips modal.
+ * @param {Array} trips - Registry entries from listTrips().
+ * @param {Object} options
+ * @param {string} options.activeTripId - The trip currently loaded.
+ * @param {boolean} options.showArchived - Whether archived trips are listed.
+ */
+export function renderTripSelector(trips, { activeTripId, showArchived = false } = {}) {
+    const container = document.getElementById('trips-list');
+    if (!container) return;
+
+    const toggleBtn = document.getElementById('toggle-archived-trips-btn');
+    if (toggleBtn) {
+        const archivedCount = trips.filter(trip => trip.archived).length;
+        toggleBtn.textContent = showArchived ? 'הסתר טיולים בארכיון' : `הצג טיולים בארכיון (${archivedCount})`;
+        toggleBtn.classList.toggle('hidden', archivedCount === 0);
+    }
+
+    const visibleTrips = trips.filter(trip => showArchived || !trip.archived || trip.id === activeTripId);
+    if (visibleTrips.length === 0) {
+        container.innerHTML = '<p class="text-gray-600 text-center">עדיין אין טיולים</p>';
+        return;
+    }
+
+    container.innerHTML = visibleTrips.map(trip => {
+        const isActive = trip.id === activeTripId;
+        const startDate = trip.startDate ? new Date(trip.startDate).toLocaleDateString('he-IL') : '';
+        return `
+            <div class="flex items-center justify-between gap-3 p-4 rounded-xl border ${isActive ? 'border-accent bg-sage-50' : 'border-gray-200'} ${trip.archived ? 'opacity-70' : ''}">
+                <div class="min-w-0">
+                    <p class="font-bold truncate" style="color: var(--color-text-primary);">${sanitizeHTML(trip.name)}</p>
+                    <p class="text-xs text-gray-500">
+                        ${startDate ? `📅 ${startDate}` : ''}
+                        ${isActive ? '<span class="mr-2">✅ הטיול הפעיל</span>' : ''}
+                        ${trip.archived ? '<span class="mr-2">🗄️ בארכיון</span>' : ''}
+                    </p>
+                </div>
+                <div class="flex gap-2 flex-shrink-0">
+                    ${isActive ? '' : `<button class="switch-trip-btn btn-primary text-sm px-3 py-1 rounded-lg" data-trip-id="${trip.id}">פתחו</button>`}
+                    ${trip.archived
+                        ? `<button class="restore-trip-btn text-sm px-3 py-1 rounded-lg border border-gray-300" data-trip-id="${trip.id}">שחזרו</button>`
+                        : `<button class="archive-trip-btn text-sm px-3 py-1 rounded-lg border border-gray-300" data-trip-id="${trip.id}">לארכיון</button>`}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// --- Members ---
+
+/**
+ * Shows who is signed in on the nav button that opens the members panel.
+ * @param {Object} member - From members.js.
+ */
+export function renderMemberBadge(member) {
+    const label = member.joined
+        ? `👤 ${member.name} · ${ROLES[member.role].label}`
+        : '🔑 התחברות';
+    document.querySelectorAll('.member-badge-label').forEach(badge => { badge.textContent = label; });
+    document.body.dataset.memberRole = member.role;
+}
+
+const roleOptions = (selected) => Object.entries(ROLES)
+    .map(([role, { label }]) => `<option value="${role}" ${role === selected ? 'selected' : ''}>${label}</option>`)
+    .join('');
+
+/**
+ * Renders the members panel: the signed-in identity, the sign-in and invite-code forms, and for
+ * organizers the joined members, the roster invitations and the open invite links.
+ * @param {Object} member - The signed-in member.
+ * @param {Array} members - Member records ({ uid, name, email, role, rosterIndex }), organizers only.
+ * @param {Array} familyData - The trip roster.
+ * @param {Array} invites - Open invites ({ code, role, expiresAt }), organizers only.
+ */
+export function renderMembersPanel(member, members = [], familyData = [], invites = []) {
+    const status = document.getElementById('member-status');
+    const signIn = document.getElementById('member-sign-in');
+    const join = document.getElementById('member-join');
+    const manage = document.getElementById('members-manage');
+    if (!status || !signIn || !manage) return;
+
+    const signedIn = Boolean(member.email);
+    status.innerHTML = member.joined || signedIn ? `
+        <div class="flex items-center justify-between gap-3">
+            <div>
+                <p class="font-bold" style="color: var(--color-text-primary);">${sanitizeHTML(member.name)}</p>
+                <p class="text-xs text-gray-500">${sanitizeHTML(member.email || 'הצטרפות עם הזמנה')} · ${member.joined ? ROLES[member.role].label : 'עדיין לא חבר/ה בטיול'}</p>
+            </div>
+            ${signedIn ? '<button id="member-sign-out-btn" class="text-sm px-3 py-1 rounded-lg border border-gray-300">התנתקו</button>' : ''}
+        </div>
+    ` : `<p class="text-gray-600">הטיול פתוח רק לבני המשפחה. הצטרפו עם קוד הזמנה מהמארגן/ת או התחברו.</p>`;
+    signIn.classList.toggle('hidden', signedIn);
+    if (join) join.classList.toggle('hidden', member.joined);
+
+    manage.classList.toggle('hidden', !hasPermission('manageMembers'));
+    if (!hasPermission('manageMembers')) return;
+
+    const membersList = document.getElementById('members-list');
+    if (membersList) {
+        membersList.innerHTML = members.length === 0 ? '<p class="text-sm text-gray-500">עדיין אף אחד לא הצטרף</p>' : members.map(joined => `
+            <div class="flex items-center justify-between gap-3 p-3 rounded-xl border border-gray-200">
+                <div class="min-w-0">
+                    <p class="font-bold truncate">${sanitizeHTML(joined.name)}${joined.uid === member.uid ? ' (את/ה)' : ''}</p>
+                    <p class="text-xs text-gray-500 truncate">${sanitizeHTML(joined.email || '')}</p>
+                </div>
+                <select class="member-role-select border border-gray-300 rounded-lg px-2 py-1 text-sm" data-uid="${joined.uid}" aria-label="הרשאה">
+                    ${roleOptions(joined.role)}
+                </select>
+            </div>
+        `).join('');
+    }
+
+    const roster = document.getElementById('members-roster');
+    if (roster) {
+        roster.innerHTML = familyData.map((entry, index) => {
+            const joined = members.find(existing => existing.rosterIndex === index);
+            return `
+                <div class="roster-entry p-3 rounded-xl border border-gray-200 space-y-2">
+                    <p class="font-bold">${sanitizeHTML(entry.name || 'ללא שם')}</p>
+                    ${joined ? `<p class="text-xs text-gray-500">✅ הצטרף/ה כ-${sanitizeHTML(joined.email || '')}</p>` : `
+                        <div class="flex flex-wrap items-center gap-2">
+                            <input type="email" class="roster-email-input flex-1 border border-gray-300 rounded-lg px-3 py-1 text-sm" placeholder="כתובת מייל" value="${escapeAttribute(entry.email || '')}" aria-label="כתובת מייל">
+                            <select class="roster-role-select border border-gray-300 rounded-lg px-2 py-1 text-sm" aria-label="הרשאה">${roleOptions(entry.role || 'member')}</select>
+                            <button class="save-roster-entry-btn text-sm px-3 py-1 rounded-lg btn-primary" data-index="${index}">שמירה</button>
+                        </div>
+                    `}
+                </div>
+            `;
+        }).join('');
+    }
+
+    const invitesList = document.getElementById('invites-list');
+    if (invitesList) {
+        invitesList.innerHTML = invites.length === 0 ? '<p class="text-sm text-gray-500">אין הזמנות פתוחות</p>' : invites.map(invite => `
+            <div class="flex items-center justify-between gap-3 p-3 rounded-xl border border-gray-200">
+                <div class="min-w-0">
+                    <p class="font-bold font-mono tracking-widest" dir="ltr">${sanitizeHTML(invite.code)}</p>
+                    <p class="text-xs text-gray-500">${ROLES[invite.role].label} · בתוקף עד ${new Date(invite.expiresAt).toLocaleDateString('he-IL')}</p>
+                </div>
+                <button class="revoke-invite-btn text-sm px-3 py-1 rounded-lg border border-gray-300" data-code="${escapeAttribute(invite.code)}">ביטול</button>
+            </div>
+        `).join('');
+    }
+}
+
+// QR codes are drawn in the browser, so invite links are never sent to a third-party service
+const QR_LIBRARY_URL = 'https://cdn.jsdelivr.net/npm/qrcode-generator@1.4.4/+esm';
+
+/**
+ * Shows a freshly created invite: its code, its link and a QR code of the link.
+ * @param {{code: string, role: string}} invite
+ * @param {string} link
+ */
+export async function renderInviteResult(invite, link) {
+    const container = document.getElementById('invite-result');
+    if (!container) return;
+
+    container.classList.remove('hidden');
+    container.innerHTML = `
+        <p class="text-sm text-gray-600">הזמנה ל${ROLES[invite.role].label} - קוד <span class="font-bold font-mono tracking-widest" dir="ltr">${sanitizeHTML(invite.code)}</span></p>
+        <div id="invite-qr" class="flex justify-center"></div>
+        <div class="flex gap-2">
+            <input id="invite-link-input" type="text" readonly dir="ltr" value="${escapeAttribute(link)}" class="flex-1 border border-gray-300 rounded-lg px-3 py-1 text-sm" aria-label="קישור הזמנה">
+            <button id="copy-invite-link-btn" class="text-sm px-3 py-1 rounded-lg btn-primary">העתקה</button>
+        </div>
+    `;
+
+    try {
+        const { default: qrcode } = await import(QR_LIBRARY_URL);
+        const qr = qrcode(0, 'M');
+        qr.addData(link);
+        qr.make();
+        document.getElementById('invite-qr').innerHTML = qr.createSvgTag({ cellSize: 4, margin: 2 });
+    } catch (error) {
+        // Offline: the code and the link still work
+        console.warn('⚠️ Could not draw the invite QR code:', error);
+    }
+}
+
+// Activity times read "14:05" today and "12.3 14:05" on earlier days
+function formatActivityTime(time) {
+    if (!time) return '';
+    const date = new Date(time);
+    const clock = date.toLocaleTimeString('he-IL', { hour: '2-digit', minute: '2-digit' });
+    return date.toDateString() === new Date().toDateString() ? clock : `${date.toLocaleDateString('he-IL', { day: 'numeric', month: 'numeric' })} ${clock}`;
+}
+
+/**
+ * Renders the "מה חדש" feed from currentData.activityLog: the category filters, the list of
+ * people who made changes and the grouped entries that match both filters.
+ */
+export function renderActivityFeed() {
+    const feed = document.getElementById('activity-feed');
+    if (!feed) return;
+    const entries = currentData.activityLog || [];
+
+    const categories = document.getElementById('activity-category-filters');
+    if (categories) {
+        categories.innerHTML = Object.entries({ all: 'הכל', ...ACTIVITY_CATEGORIES }).map(([category, label]) => `
+            <button class="activity-filter-btn text-sm px-3 py-1 rounded-full border ${category === activityFilter.category ? 'btn-primary' : 'border-gray-300'}" data-category="${category}">${label}</button>
+        `).join('');
+    }
+
+    const actorSelect = document.getElementById('activity-actor-filter');
+    if (actorSelect) {
+        const actors = new Map(entries.map(entry => [entry.actorUid, entry.actorName]));
+        actorSelect.innerHTML = `<option value="all">כל המשפחה</option>` + [...actors].map(([uid, name]) =>
+            `<option value="${escapeAttribute(uid)}" ${uid === activityFilter.actor ? 'selected' : ''}>${sanitizeHTML(name || 'מישהו')}</option>`
+        ).join('');
+    }
+
+    const groups = groupActivity(filterActivity(entries, activityFilter));
+    if (groups.length === 0) {
+        feed.innerHTML = `<p class="text-center text-gray-500 py-8">${entries.length === 0 ? 'עדיין לא היו שינויים בטיול' : 'אין שינויים שמתאימים לסינון'}</p>`;
+    } else {
+        feed.innerHTML = groups.map(group => `
+            <div class="activity-entry flex items-start gap-3 p-3 rounded-xl border border-gray-200">
+                <span class="text-xl" aria-hidden="true">${ACTIVITY_TYPES[group.action]?.icon || '📝'}</span>
+                <div class="min-w-0 flex-1">
+                    <p class="text-sm">${sanitizeHTML(describeActivity(group))}</p>
+                    ${group.targets.length > 1 ? `<p class="text-xs text-gray-500 truncate">${sanitizeHTML(group.targets.join(', '))}</p>` : ''}
+                </div>
+                <span class="text-xs text-gray-400 whitespace-nowrap">${formatActivityTime(group.time)}</span>
+            </div>
+        `).join('') + renderLoadMoreItemsButton('activityLog');
+    }
+}
+
 function renderItinerary() {
     const container = document.getElementById('itinerary-container');
     if (!container) return;
@@ -702,6 +1052,14 @@ function renderItinerary() {
         container.innerHTML = '<div class="text-center py-8 text-gray-600">טוען תכנית יומית...</div>';
         return;
     }
+
+    const warnings = getItineraryWarnings();
+    const editorToggle = document.getElementById('toggle-itinerary-editor-btn');
+    if (editorToggle) editorToggle.textContent = itineraryEditing ? '✅ סיום עריכה' : '✏️ עריכת התוכנית';
+    if (itineraryEditing) {
+        renderItineraryEditor(container, warnings);
+        return;
+    }
     
     // Helper function to render activity details
     const renderActivityDetails = (item) => {
@@ -714,13 +1072,13 @@ function renderItinerary() {
                 
             return `
                     <div class="activity-detail-card bg-sage-50 border border-sage-200 p-4 rounded-lg mb-2">
-                        <h5 class="font-bold text-sage-800">${activity.name}</h5>
+                        <h5 class="font-bold text-sage-800">${item.time ? `<span class="text-accent">${sanitizeHTML(String(item.time))}</span> · ` : ''}${sanitizeHTML(activity.name)}</h5>
                         <div class="text-sm text-gray-700 mt-2 space-y-1">
-                            <div><strong>⏱️ זמן נסיעה:</strong> ${activity.time || 'לא ידוע'} דקות</div>
-                            ${activity.transport ? `<div><strong>🚌 תחבורה:</strong> ${activity.transport}</div>` : ''}
-                            ${activity.address ? `<div><strong>📍 כתובת:</strong> ${activity.address}</div>` : ''}
-                            ${activity.cost ? `<div><strong>💰 עלות:</strong> ${activity.cost}</div>` : ''}
-                            ${activity.description ? `<div class="mt-2"><strong>תיאור:</strong> ${activity.description}</div>` : ''}
+                            <div><strong>⏱️ זמן נסיעה:</strong> ${activity.time ? sanitizeHTML(String(activity.time)) : 'לא ידוע'} דקות</div>
+                            ${activity.transport ? `<div><strong>🚌 תחבורה:</strong> ${sanitizeHTML(String(activity.transport))}</div>` : ''}
+                            ${activity.address ? `<div><strong>📍 כתובת:</strong> ${sanitizeHTML(String(activity.address))}</div>` : ''}
+                            ${activity.cost ? `<div><strong>💰 עלות:</strong> ${sanitizeHTML(String(activity.cost))}</div>` : ''}
+                            ${activity.description ? `<div class="mt-2"><strong>תיאור:</strong> ${sanitizeHTML(String(activity.description))}</div>` : ''}
                             ${googleMapsUrl ? `<div class="mt-2"><a href="${googleMapsUrl}" target="_blank" class="text-sage-600 underline text-sm">🗺️ נווט באפליקציה</a></div>` : ''}
                         </div>
                     </div>
@@ -729,38 +1087,32 @@ function renderItinerary() {
         }
         
         // Fallback to simple description
-        return `<li>${item.description || item}</li>`;
+        return `<li>${item.time ? `<strong>${sanitizeHTML(String(item.time))}</strong> · ` : ''}${sanitizeHTML(item.description || String(item))}</li>`;
     };
     
+    const weatherPlans = getWeatherPlans();
+    const dayCosts = getDayCosts(weatherPlans);
+    // The plan the day leads with (the rain plan on a wet day) comes first and is highlighted
+    const renderPlans = (day, leadPlanKey) => [leadPlanKey, ...PLAN_KEYS.filter(planKey => planKey !== leadPlanKey)]
+        .filter(planKey => day[planKey]?.items?.length)
+        .map((planKey, position) => `
+            <div class="${position > 0 ? 'border-t pt-4' : ''}" data-plan-key="${planKey}">
+                <h4 class="font-semibold text-lg ${position === 0 ? 'text-accent' : 'text-gray-600'}">${sanitizeHTML(day[planKey].title || `${PLAN_TITLES[planKey]}:`)}</h4>
+                <div class="mt-2 space-y-2">
+                    ${day[planKey].items.map((item, index) => renderActivityDetails(item) + renderItineraryWarnings(warnings[day.day], planKey, index)).join('')}
+                </div>
+            </div>
+        `).join('');
+    
     container.innerHTML = currentData.itineraryData.map(day => `
-        <div class="bg-sage-50 p-6 rounded-xl shadow-lg border-r-4 border-accent" data-day-index="${day.dayIndex || day.day}">
+        <div class="itinerary-day bg-sage-50 p-6 rounded-xl shadow-lg border-r-4 border-accent" data-day-index="${day.dayIndex || day.day}">
             <h3 class="font-bold text-2xl mb-4 text-gray-800">${day.dayName} - ${day.date}</h3>
-            <h4 class="text-lg font-semibold text-gray-700 mb-4">${day.title}</h4>
+            <h4 class="text-lg font-semibold text-gray-700 mb-4">${sanitizeHTML(day.title || '')}</h4>
+            ${renderWeatherPlanBadge(day, weatherPlans[day.day])}
+            ${renderDayCost(dayCosts.get(day.day))}
+            ${renderItineraryWarnings(warnings[day.day], null, null)}
             <div class="space-y-4">
-                ${day.mainPlan && day.mainPlan.items ? `
-            <div>
-                        <h4 class="font-semibold text-lg text-accent">${day.mainPlan.title || 'תוכנית עיקרית:'}</h4>
-                        <div class="mt-2 space-y-2">
-                            ${day.mainPlan.items.map(item => renderActivityDetails(item)).join('')}
-                        </div>
-                    </div>
-                ` : ''}
-                ${day.alternativePlan && day.alternativePlan.items ? `
-                    <div class="border-t pt-4">
-                        <h4 class="font-semibold text-lg text-gray-600">${day.alternativePlan.title || 'אפשרות חלופית:'}</h4>
-                        <div class="mt-2 space-y-2">
-                            ${day.alternativePlan.items.map(item => renderActivityDetails(item)).join('')}
-                        </div>
-                    </div>
-                ` : ''}
-                ${day.alternativePlan2 && day.alternativePlan2.items ? `
-                    <div class="border-t pt-4">
-                        <h4 class="font-semibold text-lg text-gray-600">${day.alternativePlan2.title || 'אפשרות נוספת:'}</h4>
-                        <div class="mt-2 space-y-2">
-                            ${day.alternativePlan2.items.map(item => renderActivityDetails(item)).join('')}
-                        </div>
-                    </div>
-                ` : ''}
+                ${renderPlans(day, weatherPlans[day.day].planKey)}
                                 <div class="border-t pt-6 mt-6">
                             <h5 class="text-sm font-semibold text-gray-600 mb-4 text-center">פעולות חכמות ליום זה</h5>
                             <div class="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-2 md:gap-3">
@@ -782,12 +1134,30 @@ function renderItinerary() {
                                         <span class="whitespace-nowrap">סיפור לילדים</span>
                                     </span>
                                 </button>
-                                <button class="btn-warning-standard swap-activity-btn text-sm md:text-base" data-day-index="${day.dayIndex || day.day}">
+                                <button class="btn-warning-standard swap-activity-btn text-sm md:text-base" data-day-index="${day.day}">
                                     <span class="flex items-center justify-center gap-1 md:gap-2">
                                         <span class="text-base md:text-lg">🔄</span>
                                         <span class="whitespace-nowrap">החלף פעילות</span>
                                     </span>
                                 </button>
+                                <button class="btn-secondary-standard plan-day-routine-btn text-sm md:text-base" data-day-index="${day.day}">
+                                    <span class="flex items-center justify-center gap-1 md:gap-2">
+                                        <span class="text-base md:text-lg">🧸</span>
+                                        <span class="whitespace-nowrap">תכנון לפי שגרה</span>
+                                    </span>
+                                </button>
+                                <button class="btn-secondary-standard export-day-calendar-btn text-sm md:text-base" data-day-index="${day.day}">
+                                    <span class="flex items-center justify-center gap-1 md:gap-2">
+                                        <span class="text-base md:text-lg">📅</span>
+                                        <span class="whitespace-nowrap">הוספה ליומן</span>
+                                    </span>
+                                </button>
+                                <button class="btn-secondary-standard print-day-btn text-sm md:text-base" data-day-index="${day.day}">
+                                    <span class="flex items-center justify-center gap-1 md:gap-2">
+                                        <span class="text-base md:text-lg">🖨️</span>
+                                        <span class="whitespace-nowrap">דף להדפסה</span>
+                                    </span>
+                                </button>
                 </div>
             </div>
                 <div class="gemini-plan-result hidden mt-6 p-4 bg-gradient-to-r from-sage-50 to-mint-50 border border-sage-200 rounded-lg">
@@ -808,6 +1178,554 @@ function renderItinerary() {
     `).join('');
 }
 
+// The plan each day leads with given the forecast and the family's choices, by day number
+export function getWeatherPlans() {
+    const startDate = getTripStartDate(currentData);
+    return Object.fromEntries((currentData.itineraryData || []).map(day => [day.day, getWeatherPlan(day, {
+        activities: currentData.activitiesData || [],
+        weatherCode: getForecastCode(currentData.weatherData, getTripDayDate(day, startDate)),
+        override: currentData.weatherPlanOverrides?.[day.day]
+    })]));
+}
+
+// Why a day leads with the plan it does, with a button to choose the other way
+function renderWeatherPlanBadge(day, weatherPlan) {
+    const { planKey, wet, rainPlanKey, overridden } = weatherPlan;
+    if (!wet && !overridden) return '';
+
+    const weather = wet ? getWeatherInfo(getForecastCode(currentData.weatherData, getTripDayDate(day, getTripStartDate(currentData)))) : null;
+    const forecast = weather ? `${weather.icon} ${weather.description} בתחזית` : '';
+    let choice = '';
+    if (planKey !== 'mainPlan') choice = `${overridden ? 'בחרתם' : 'עברנו'} ל${PLAN_TITLES[planKey]}`;
+    else if (overridden) choice = 'בחרתם להישאר עם התוכנית העיקרית';
+    const reason = [forecast, choice].filter(Boolean).join(' - ');
+    const button = (targetPlanKey, label) => `<button class="weather-plan-override-btn underline text-sm" data-day-index="${day.day}" data-plan-key="${targetPlanKey}">${label}</button>`;
+
+    return `
+        <div class="weather-plan-badge flex flex-wrap items-center gap-3 text-sm text-sky-900 bg-sky-50 border border-sky-200 rounded-lg px-3 py-2 mb-4" data-plan-key="${planKey}">
+            <span>${reason}</span>
+            ${planKey !== 'mainPlan' ? button('mainPlan', '↩️ להישאר עם התוכנית העיקרית') : ''}
+            ${planKey === 'mainPlan' && rainPlanKey ? button(rainPlanKey, `☔ לעבור ל${PLAN_TITLES[rainPlanKey]}`) : ''}
+            ${overridden ? button('', '🔄 לפי התחזית') : ''}
+        </div>
+    `;
+}
+
+/**
+ * Tells the family, once per day and plan, when the forecast switched a trip day to its rain plan.
+ * Called after the forecast is fetched.
+ */
+export function notifyWeatherPlanChanges() {
+    const storageKey = `weather-plan-notices-${appId}`;
+    let notified = {};
+    try {
+        notified = JSON.parse(localStorage.getItem(storageKey)) || {};
+    } catch (error) {
+        console.warn('⚠️ Could not read weather plan notices:', error);
+    }
+
+    const weatherPlans = getWeatherPlans();
+    const switched = (currentData.itineraryData || []).filter(day => {
+        const { planKey, overridden } = weatherPlans[day.day];
+        return planKey !== 'mainPlan' && !overridden && notified[day.day] !== planKey;
+    });
+    if (switched.length === 0) return;
+
+    switched.forEach(day => { notified[day.day] = weatherPlans[day.day].planKey; });
+    localStorage.setItem(storageKey, JSON.stringify(notified));
+    familyToast.info(`☔ צפוי גשם - ${switched.map(day => day.dayName).join(', ')} ${switched.length > 1 ? 'עברו' : 'עבר'} לתוכנית מקורה`);
+}
+
+// --- Budget ---
+
+// What each day's plan will cost (the rain plan on a wet day), by day number
+function getDayCosts(weatherPlans = getWeatherPlans()) {
+    const planKeys = Object.fromEntries(Object.entries(weatherPlans).map(([day, { planKey }]) => [day, planKey]));
+    return new Map(computeTripCosts(currentData, { planKeys }).days.map(dayCost => [dayCost.day, dayCost]));
+}
+
+// The day's cost in CHF and shekels, over the daily budget in red
+function renderDayCost(dayCost) {
+    if (!dayCost || (dayCost.items.length === 0 && dayCost.unpriced.length === 0)) return '';
+    const { dailyBudget, rates } = getTripBudget(currentData);
+    const over = dailyBudget !== null && dayCost.total > dailyBudget;
+    return `
+        <p class="day-cost text-sm mb-4 ${over ? 'text-red-700 font-semibold' : 'text-gray-600'}">
+            💰 עלות משוערת: ${formatMoney(dayCost.total)} (${formatMoney(convertAmount(dayCost.total, 'CHF', 'ILS', rates), 'ILS')})
+            ${over ? ` - מעל התקציב היומי (${formatMoney(dailyBudget)})` : ''}
+            ${dayCost.unpriced.length ? `<span class="text-gray-500">· בלי מחיר: ${dayCost.unpriced.map(name => sanitizeHTML(name)).join(', ')}</span>` : ''}
+        </p>
+    `;
+}
+
+/**
+ * The budget panel: the trip and daily budgets and the exchange rates (editable), and what each
+ * day's plan will cost against them, in CHF, shekels and euros.
+ */
+export function renderBudgetPanel() {
+    const container = document.getElementById('budget-modal-content');
+    if (!container) return;
+
+    const { tripBudget, dailyBudget, rates } = getTripBudget(currentData);
+    const { days, total, family } = computeTripCosts(currentData, {
+        planKeys: Object.fromEntries(Object.entries(getWeatherPlans()).map(([day, { planKey }]) => [day, planKey]))
+    });
+    const foreign = Object.keys(rates).filter(currency => currency !== 'CHF');
+    const amounts = amount => [formatMoney(amount), ...foreign.map(currency => formatMoney(convertAmount(amount, 'CHF', currency, rates), currency))]
+        .map(text => `<td class="px-2 py-1 whitespace-nowrap">${text}</td>`).join('');
+    const status = (amount, budget) => {
+        if (budget === null) return '<td class="px-2 py-1"></td>';
+        return amount > budget
+            ? `<td class="budget-status px-2 py-1 text-red-700 font-semibold" data-over="true">+${formatMoney(amount - budget)}</td>`
+            : `<td class="budget-status px-2 py-1 text-green-700">✅ נשארו ${formatMoney(budget - amount)}</td>`;
+    };
+    const numberInput = (field, value, label, step = '1') => `
+        <label class="flex flex-col text-xs text-gray-600">${label}
+            <input type="number" min="0" step="${step}" class="budget-input border border-gray-300 rounded px-2 py-1 text-sm w-28" data-field="${field}" value="${value ?? ''}">
+        </label>
+    `;
+    const unpriced = days.flatMap(day => day.unpriced.map(name => `${name} (${day.dayName})`));
+
+    container.innerHTML = `
+        <div class="flex flex-wrap items-end gap-3 mb-4">
+            ${numberInput('tripBudget', tripBudget, 'תקציב לכל הטיול (CHF)')}
+            ${numberInput('dailyBudget', dailyBudget, 'תקציב ליום (CHF)')}
+            ${foreign.map(currency => numberInput(`rates.${currency}`, rates[currency], `1 CHF = ? ${CURRENCY_SYMBOLS[currency] || currency}`, '0.01')).join('')}
+            <button id="save-budget-btn" class="btn-primary px-4 py-2 rounded-lg">💾 שמירה</button>
+        </div>
+        <table class="budget-table w-full text-sm">
+            <thead>
+                <tr class="text-right text-gray-600">
+                    <th class="px-2 py-1">יום</th>
+                    <th class="px-2 py-1">CHF</th>
+                    ${foreign.map(currency => `<th class="px-2 py-1">${CURRENCY_SYMBOLS[currency] || currency}</th>`).join('')}
+                    <th class="px-2 py-1">מול התקציב</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${days.map(day => `
+                    <tr class="border-t" data-day="${day.day}">
+                        <td class="px-2 py-1">${sanitizeHTML(day.dayName || `יום ${day.day}`)}</td>
+                        ${amounts(day.total)}
+                        ${status(day.total, dailyBudget)}
+                    </tr>
+                `).join('')}
+                <tr class="border-t-2 font-bold" data-day="total">
+                    <td class="px-2 py-1">סה"כ</td>
+                    ${amounts(total)}
+                    ${status(total, tripBudget)}
+                </tr>
+            </tbody>
+        </table>
+        ${unpriced.length ? `<p class="text-sm text-gray-500 mt-3">⚠️ בלי מחיר ידוע (לא נספרו): ${unpriced.map(name => sanitizeHTML(name)).join(', ')}</p>` : ''}
+        <p class="text-xs text-gray-400 mt-2">המחירים נקראים מהמחירון של כל פעילות, ל-${family.adults} מבוגרים ו-${family.children} ילדים. השערים לא מתעדכנים לבד.</p>
+    `;
+}
+
+/**
+ * The shared expenses modal: the add-expense form (drawn once, so a half-filled form survives
+ * other members' changes - handlers redraw it after an add), each person's totals, who owes whom
+ * and the expense list.
+ * @param {Object} [options]
+ * @param {boolean} [options.resetForm] - Redraw the form, e.g. to offer a newly named person.
+ */
+export function renderExpenses({ resetForm = false } = {}) {
+    const form = document.getElementById('expense-form');
+    const container = document.getElementById('expenses-summary');
+    if (!form || !container) return;
+
+    const expenses = currentData.expenses || [];
+    const { rates } = getTripBudget(currentData);
+    const people = getExpensePeople(currentData);
+    if (resetForm || !form.innerHTML.trim()) renderExpenseForm(form, people, rates);
+
+    if (expenses.length === 0) {
+        container.innerHTML = `
+            <div class="text-center py-8">
+                <div class="text-4xl mb-4">🧾</div>
+                <p class="text-gray-600">עדיין לא נרשמו הוצאות</p>
+                <p class="text-sm text-gray-500 mt-2">רשמו כל תשלום ומי השתתף בו, ונחשב מי חייב למי</p>
+            </div>
+        `;
+        return;
+    }
+
+    const balances = computeBalances(expenses, rates);
+    const transfers = settleBalances(balances);
+    const total = expenses.reduce((sum, expense) => sum + getExpenseAmount(expense, rates), 0);
+    const dayName = day => (currentData.itineraryData || []).find(entry => String(entry.day) === String(day))?.dayName;
+
+    container.innerHTML = `
+        <div class="flex justify-between items-center mb-3">
+            <h4 class="font-bold text-gray-800">סה"כ הוצאות: ${formatMoney(total)}</h4>
+            <button id="export-expenses-csv-btn" class="text-sm px-3 py-1 rounded-lg border border-gray-300 hover:bg-gray-100">⬇️ CSV</button>
+        </div>
+        <table class="expense-balances w-full text-sm mb-4">
+            <thead>
+                <tr class="text-right text-gray-600">
+                    <th class="px-2 py-1">מי</th>
+                    <th class="px-2 py-1">שילם/ה</th>
+                    <th class="px-2 py-1">חלק בהוצאות</th>
+                    <th class="px-2 py-1">מאזן</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${balances.map(person => `
+                    <tr class="border-t" data-person="${escapeAttribute(person.name)}">
+                        <td class="px-2 py-1">${sanitizeHTML(person.name)}</td>
+                        <td class="px-2 py-1 whitespace-nowrap">${formatMoney(person.paid)}</td>
+                        <td class="px-2 py-1 whitespace-nowrap">${formatMoney(person.share)}</td>
+                        <td class="px-2 py-1 whitespace-nowrap ${person.balance < 0 ? 'text-red-700' : 'text-green-700'}">${person.balance > 0 ? '+' : ''}${formatMoney(person.balance)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        <div class="expense-settlement bg-amber-50 rounded-lg p-3 mb-4">
+            <h4 class="font-semibold text-gray-800 mb-1">🤝 מי חייב למי</h4>
+            ${transfers.length ? transfers.map(transfer => `
+                <p class="text-sm">${sanitizeHTML(transfer.from)} מעביר/ה ל-${sanitizeHTML(transfer.to)}: <strong>${formatMoney(transfer.amount)}</strong></p>
+            `).join('') : '<p class="text-sm text-gray-600">✅ כולם מאוזנים</p>'}
+        </div>
+        <ul class="space-y-2">
+            ${expenses.map(expense => `
+                <li class="expense-item flex justify-between items-start border border-gray-200 rounded-lg p-3" data-item-id="${escapeAttribute(expense.id)}">
+                    <div class="text-sm">
+                        <p class="font-semibold">${sanitizeHTML(expense.description || 'הוצאה')} · ${formatMoney(Number(expense.amount) || 0, expense.currency)}</p>
+                        <p class="text-gray-500">${EXPENSE_CATEGORIES[expense.category] || ''} · ${sanitizeHTML(expense.payer)} שילם/ה עבור ${sanitizeHTML((expense.participants?.length ? expense.participants : [expense.payer]).join(', '))}${expense.day ? ` · ${sanitizeHTML(dayName(expense.day) || `יום ${expense.day}`)}` : ''}</p>
+                    </div>
+                    <div class="flex items-center gap-2">
+                        ${isSafeLink(expense.receipt?.url) ? `<a href="${escapeAttribute(expense.receipt.url)}" target="_blank" rel="noopener" class="text-sm text-blue-600 hover:underline">🧾 קבלה</a>` : ''}
+                        <button class="delete-expense text-red-500 opacity-70 hover:opacity-100" data-item-id="${escapeAttribute(expense.id)}" aria-label="מחיקה">🗑️</button>
+                    </div>
+                </li>
+            `).join('')}
+        </ul>
+        <p class="text-xs text-gray-400 mt-2">הסכומים ב-CHF לפי השערים שבתקציב הטיול.</p>
+    `;
+}
+
+function renderExpenseForm(form, people, rates) {
+    const options = (entries, selected) => entries.map(([value, label]) => `<option value="${escapeAttribute(value)}"${String(value) === String(selected) ? ' selected' : ''}>${sanitizeHTML(label)}</option>`).join('');
+    const days = (currentData.itineraryData || []).map(day => [day.day, day.dayName || `יום ${day.day}`]);
+    const todayDay = findTripDay(currentData.itineraryData, getTripStartDate(currentData), getZonedClock(new Date()).dateKey)?.day ?? '';
+
+    form.innerHTML = `
+        <div class="grid grid-cols-2 gap-3 text-sm">
+            <label class="flex flex-col text-xs text-gray-600">סכום
+                <input type="number" id="expense-amount" min="0" step="0.01" class="border border-gray-300 rounded px-2 py-1 text-sm">
+            </label>
+            <label class="flex flex-col text-xs text-gray-600">מטבע
+                <select id="expense-currency" class="border border-gray-300 rounded px-2 py-1 text-sm">${options(Object.keys(rates).map(currency => [currency, CURRENCY_SYMBOLS[currency] || currency]), 'CHF')}</select>
+            </label>
+            <label class="flex flex-col text-xs text-gray-600 col-span-2">על מה
+                <input type="text" id="expense-description" class="border border-gray-300 rounded px-2 py-1 text-sm" placeholder="למשל: צהריים באגם">
+            </label>
+            <label class="flex flex-col text-xs text-gray-600">קטגוריה
+                <select id="expense-category" class="border border-gray-300 rounded px-2 py-1 text-sm">${options(Object.entries(EXPENSE_CATEGORIES), 'food')}</select>
+            </label>
+            <label class="flex flex-col text-xs text-gray-600">יום בטיול
+                <select id="expense-day" class="border border-gray-300 rounded px-2 py-1 text-sm">${options([['', '—'], ...days], todayDay)}</select>
+            </label>
+            <label class="flex flex-col text-xs text-gray-600">מי שילם/ה
+                <input type="text" id="expense-payer" list="expense-people" class="border border-gray-300 rounded px-2 py-1 text-sm" value="${escapeAttribute(people[0])}">
+                <datalist id="expense-people">${people.map(name => `<option value="${escapeAttribute(name)}"></option>`).join('')}</datalist>
+            </label>
+            <label class="flex flex-col text-xs text-gray-600">📷 קבלה (לא חובה)
+                <input type="file" id="expense-receipt" accept="image/*" capture="environment" class="text-xs">
+            </label>
+            <fieldset class="col-span-2">
+                <legend class="text-xs text-gray-600 mb-1">מי השתתף/ה</legend>
+                <div class="flex flex-wrap gap-3">
+                    ${people.map(name => `
+                        <label class="flex items-center gap-1"><input type="checkbox" class="expense-participant" value="${escapeAttribute(name)}" checked> ${sanitizeHTML(name)}</label>
+                    `).join('')}
+                </div>
+                <input type="text" id="expense-other-participants" class="border border-gray-300 rounded px-2 py-1 text-sm w-full mt-2" placeholder="עוד משתתפים, מופרדים בפסיקים (למשל: סבתא)">
+            </fieldset>
+        </div>
+        <button id="add-expense-btn" class="btn-primary px-4 py-2 rounded-lg mt-3">➕ הוספת הוצאה</button>
+    `;
+}
+
+// Conflicts of the itinerary as it is now, by day number (see checkItinerary)
+function getItineraryWarnings() {
+    return checkItinerary(currentData.itineraryData, {
+        activities: currentData.activitiesData || [],
+        startDate: getTripStartDate(currentData),
+        bedtime: getFamilyBedtime(getFamilyRoutine(currentData))
+    });
+}
+
+/**
+ * Inline warnings of one plan item, or with planKey null the day-wide ones (bedtime).
+ * @param {Array} [dayWarnings]
+ * @param {string|null} planKey
+ * @param {number|null} itemIndex
+ * @returns {string}
+ */
+function renderItineraryWarnings(dayWarnings = [], planKey, itemIndex) {
+    const matching = dayWarnings.filter(warning => planKey === null
+        ? warning.itemIndex === null
+        : warning.planKey === planKey && warning.itemIndex === itemIndex);
+    return matching.map(warning => `
+        <p class="itinerary-warning text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-lg px-3 py-1 mb-2" data-warning="${warning.type}">
+            ⚠️ ${warning.planKey !== 'mainPlan' && planKey === null ? `${PLAN_TITLES[warning.planKey]}: ` : ''}${sanitizeHTML(warning.message)}
+        </p>
+    `).join('');
+}
+
+// Start times are edited with <input type="time">, which only takes HH:MM
+const TIME_INPUT_PATTERN = /^\d{2}:\d{2}$/;
+
+/**
+ * Renders the itinerary editor: items can be dragged within and between plans and days, moved
+ * with buttons or the "move to" list, given a start time or removed, and days added or removed.
+ * @param {HTMLElement} container
+ */
+function renderItineraryEditor(container, warnings = {}) {
+    const days = currentData.itineraryData;
+    const moveTargets = days.flatMap(day => PLAN_KEYS.map(planKey => ({ value: `${day.day}|${planKey}`, label: `${day.dayName} - ${PLAN_TITLES[planKey]}` })));
+
+    const renderItem = (day, { planKey, itemIndex, item, activity }, count) => `
+        <div class="itinerary-edit-item flex flex-wrap items-center gap-2 p-3 bg-white rounded-lg border border-gray-200 cursor-move" draggable="true"
+             data-day="${day.day}" data-plan-key="${planKey}" data-item-index="${itemIndex}">
+            <span class="text-gray-400" aria-hidden="true">⠿</span>
+            <input type="time" class="itinerary-time-input border border-gray-300 rounded px-2 py-1 text-sm" value="${TIME_INPUT_PATTERN.test(item.time || '') ? item.time : ''}"
+                   data-day="${day.day}" data-plan-key="${planKey}" data-item-index="${itemIndex}" aria-label="שעת התחלה">
+            <span class="flex-1 min-w-0 truncate font-semibold">${sanitizeHTML(activity?.name || item.description || '')}</span>
+            ${itemIndex > 0 ? `<button class="move-itinerary-item-btn px-2" data-day="${day.day}" data-plan-key="${planKey}" data-item-index="${itemIndex}" data-direction="-1" title="הזזה למעלה">⬆️</button>` : ''}
+            ${itemIndex < count - 1 ? `<button class="move-itinerary-item-btn px-2" data-day="${day.day}" data-plan-key="${planKey}" data-item-index="${itemIndex}" data-direction="1" title="הזזה למטה">⬇️</button>` : ''}
+            <select class="itinerary-move-select border border-gray-300 rounded px-1 py-1 text-xs" data-day="${day.day}" data-plan-key="${planKey}" data-item-index="${itemIndex}" aria-label="העברה ל">
+                <option value="">העברה ל...</option>
+                ${moveTargets.filter(target => target.value !== `${day.day}|${planKey}`).map(target => `<option value="${target.value}">${sanitizeHTML(target.label)}</option>`).join('')}
+            </select>
+            <button class="remove-itinerary-item-btn px-2 text-red-500" data-day="${day.day}" data-plan-key="${planKey}" data-item-index="${itemIndex}" title="הסרה">✕</button>
+        </div>
+    `;
+
+    container.innerHTML = days.map(day => {
+        const dayItems = getDayItems(day, currentData.activitiesData);
+        // The second alternative only shows once it has items, so a day is not three empty boxes
+        const planKeys = PLAN_KEYS.filter(planKey => planKey !== 'alternativePlan2' || day.alternativePlan2?.items?.length);
+        return `
+            <div class="itinerary-editor-day bg-sage-50 p-6 rounded-xl shadow-lg border-r-4 border-accent space-y-4" data-day="${day.day}">
+                <div class="flex items-center justify-between gap-3">
+                    <h3 class="font-bold text-2xl text-gray-800">${sanitizeHTML(day.dayName)}${day.date ? ` - ${sanitizeHTML(day.date)}` : ''}</h3>
+                    <button class="remove-itinerary-day-btn text-sm px-3 py-1 rounded-lg border border-gray-300" data-day="${day.day}">🗑️ הסרת היום</button>
+                </div>
+                ${renderItineraryWarnings(warnings[day.day], null, null)}
+                ${planKeys.map(planKey => {
+                    const items = dayItems.filter(entry => entry.planKey === planKey);
+                    return `
+                        <div class="itinerary-drop-zone space-y-2 p-3 rounded-lg border-2 border-dashed border-gray-200" data-day="${day.day}" data-plan-key="${planKey}">
+                            <h4 class="font-semibold text-accent">${day[planKey]?.title || PLAN_TITLES[planKey]}</h4>
+                            ${items.length ? items.map(entry => renderItem(day, entry, items.length) + renderItineraryWarnings(warnings[day.day], planKey, entry.itemIndex)).join('') : '<p class="text-sm text-gray-400">גררו לכאן פעילות</p>'}
+                            <div class="flex gap-2">
+                                <input type="text" class="itinerary-free-text-input flex-1 border border-gray-300 rounded-lg px-3 py-1 text-sm" placeholder="הוספת פריט חופשי, למשל: גלידה בפארק" aria-label="פריט חופשי">
+                                <button class="add-itinerary-item-btn text-sm px-3 py-1 rounded-lg btn-primary" data-day="${day.day}" data-plan-key="${planKey}">➕</button>
+                            </div>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }).join('') + `
+        <div class="text-center">
+            <button id="add-itinerary-day-btn" class="btn-primary px-6 py-2 rounded-lg">➕ הוספת יום</button>
+        </div>
+    `;
+}
+
+const ROUTINE_BLOCK_ICONS = { travel: '🚌', meal: '🍽️', nap: '😴', activity: '📍' };
+
+/**
+ * Shows an AI day plan (see parseAiDayPlan) before it goes into the itinerary, with the conflicts
+ * it would have on the day it would take, and where to put it.
+ * @param {HTMLElement} container - #custom-plan-result.
+ * @param {Object} plan
+ * @param {number|string|null} [targetDay] - The day it would replace; null for a new day.
+ */
+export function renderCustomPlanPreview(container, plan, targetDay = null) {
+    const itinerary = currentData.itineraryData || [];
+    const activities = [...(currentData.activitiesData || []), ...plan.newActivities];
+    const target = targetDay === null ? null : findItineraryDay(itinerary, targetDay);
+    const day = { day: target?.day ?? itinerary.length + 1, date: target?.date ?? '', title: plan.title, mainPlan: { items: plan.items } };
+    const warnings = checkItineraryDay(day, {
+        activities,
+        date: getTripDayDate(day, getTripStartDate(currentData)),
+        bedtime: getFamilyBedtime(getFamilyRoutine(currentData))
+    });
+    const newIds = new Set(plan.newActivities.map(activity => activity.id));
+
+    container.innerHTML = `
+        <div class="custom-plan-preview bg-white p-6 rounded-xl shadow-lg border border-accent mt-4">
+            <h3 class="text-lg font-bold mb-4 text-accent">${sanitizeHTML(plan.title || 'התוכנית המותאמת שלכם')} 🎯</h3>
+            ${renderItineraryWarnings(warnings, null, null)}
+            <ol class="space-y-2 mb-4">
+                ${getDayItems(day, activities).map(({ itemIndex, item, activity }) => `
+                    <li class="custom-plan-item">
+                        <div class="flex flex-wrap items-center gap-2">
+                            ${item.time ? `<span class="font-mono text-accent">${item.time}</span>` : ''}
+                            <span class="font-semibold">${sanitizeHTML(activity?.name || item.description)}</span>
+                            ${newIds.has(item.activityId) ? '<span class="text-xs bg-sage-100 text-sage-800 rounded-full px-2">✨ חדש במדריך</span>' : ''}
+                        </div>
+                        ${activity?.address ? `<div class="text-sm text-gray-600">📍 ${sanitizeHTML(activity.address)}</div>` : ''}
+                        ${renderItineraryWarnings(warnings, 'mainPlan', itemIndex)}
+                    </li>
+                `).join('')}
+            </ol>
+            <div class="flex flex-wrap items-center gap-2">
+                <select id="custom-plan-target" class="border border-gray-300 rounded-lg py-2 px-3 text-sm" aria-label="איפה לשים את התוכנית">
+                    <option value="">➕ כיום חדש בסוף הטיול</option>
+                    ${itinerary.map(existing => `
+                        <option value="${existing.day}" ${target?.day === existing.day ? 'selected' : ''}>במקום ${sanitizeHTML(existing.dayName || `יום ${existing.day}`)}${existing.title ? ` - ${sanitizeHTML(existing.title)}` : ''}</option>
+                    `).join('')}
+                </select>
+                <button id="apply-custom-plan-btn" class="btn-primary text-sm px-4 py-2 rounded-lg">🗓️ הוספה למסלול</button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Shows a day planned around the children's routine (see planDay) in the day card's result box,
+ * with a button that writes the planned start times into the itinerary.
+ * @param {HTMLElement} resultContainer - The day's .gemini-plan-result.
+ * @param {Object} day - Itinerary day.
+ * @param {Object} plan - From planDay().
+ */
+export function renderDayRoutinePlan(resultContainer, day, plan) {
+    resultContainer.querySelector('h6').textContent = '🧸 היום לפי השגרה של הילדים';
+    const hasItems = Object.keys(plan.itemTimes).length > 0;
+    resultContainer.querySelector('.result-content').innerHTML = `
+        ${plan.pastBedtime ? `<p class="itinerary-warning text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-lg px-3 py-1 mb-2">⚠️ חוזרים למלון ב-${formatTimeOfDay(plan.homeBy)}, אחרי שעת השינה - כדאי לקצר את היום</p>` : ''}
+        <ol class="routine-plan space-y-1">
+            ${plan.blocks.map(block => `
+                <li class="routine-block flex flex-wrap items-center gap-2 text-sm ${block.kind === 'activity' ? 'font-semibold' : 'text-gray-600'}" data-kind="${block.kind}">
+                    <span class="font-mono">${formatTimeOfDay(block.start)}-${formatTimeOfDay(block.end)}</span>
+                    <span aria-hidden="true">${ROUTINE_BLOCK_ICONS[block.kind]}</span>
+                    <span>${sanitizeHTML(block.label || '')}</span>
+                    ${block.napFriendly ? '<span class="nap-friendly-tag text-xs bg-sage-100 text-sage-800 rounded-full px-2">😴 אפשר לישון בעגלה</span>' : ''}
+                </li>
+            `).join('')}
+        </ol>
+        ${hasItems ? `<button class="apply-routine-times-btn btn-primary text-sm px-4 py-2 rounded-lg mt-3" data-day-index="${day.day}">🕒 עדכון שעות ההתחלה בתוכנית</button>` : '<p class="text-sm text-gray-500">אין פעילויות בתוכנית העיקרית של היום.</p>'}
+    `;
+    resultContainer.classList.remove('hidden');
+}
+
+/**
+ * Renders the family routine form: per child a name, age, nap window, whether they sleep in the
+ * stroller, meal times and bedtime.
+ * @param {Object} [routine] - A draft being edited; the saved routine by default.
+ */
+export function renderRoutineEditor(routine = getFamilyRoutine(currentData)) {
+    const container = document.getElementById('routine-modal-content');
+    if (!container) return;
+
+    const timeInput = (field, value, label, childIndex) => `
+        <label class="flex flex-col text-xs text-gray-600">${label}
+            <input type="time" class="routine-input border border-gray-300 rounded px-2 py-1 text-sm" data-field="${field}" ${childIndex !== undefined ? `data-child-index="${childIndex}"` : ''} value="${escapeAttribute(value)}">
+        </label>
+    `;
+
+    container.innerHTML = `
+        <div class="flex items-end gap-3 mb-4">
+            ${timeInput('dayStart', routine.dayStart, 'יוצאים מהמלון בדרך כלל ב-')}
+        </div>
+        <div class="space-y-4">
+            ${routine.children.map((child, index) => `
+                <fieldset class="routine-child border border-gray-200 rounded-xl p-4 space-y-3" data-child-index="${index}">
+                    <div class="flex flex-wrap items-end gap-3">
+                        <label class="flex flex-col text-xs text-gray-600 flex-1">שם
+                            <input type="text" class="routine-input border border-gray-300 rounded px-2 py-1 text-sm" data-field="name" data-child-index="${index}" value="${escapeAttribute(child.name)}">
+                        </label>
+                        <label class="flex flex-col text-xs text-gray-600 w-20">גיל
+                            <input type="number" min="0" max="18" class="routine-input border border-gray-300 rounded px-2 py-1 text-sm" data-field="age" data-child-index="${index}" value="${escapeAttribute(child.age)}">
+                        </label>
+                        ${routine.children.length > 1 ? `<button class="remove-routine-child-btn text-sm px-3 py-1 rounded-lg border border-gray-300" data-child-index="${index}">🗑️ הסרה</button>` : ''}
+                    </div>
+                    <div class="flex flex-wrap items-end gap-3">
+                        ${timeInput('napStart', child.naps[0]?.start, 'שנ"צ מ-', index)}
+                        ${timeInput('napEnd', child.naps[0]?.end, 'עד', index)}
+                        <label class="flex items-center gap-2 text-sm">
+                            <input type="checkbox" class="routine-input" data-field="strollerNaps" data-child-index="${index}" ${child.strollerNaps ? 'checked' : ''}>
+                            נרדם/ת בעגלה
+                        </label>
+                    </div>
+                    <div class="flex flex-wrap items-end gap-3">
+                        ${Object.entries(MEALS).map(([meal, label]) => timeInput(`meals.${meal}`, child.meals[meal], label, index)).join('')}
+                        ${timeInput('bedtime', child.bedtime, 'שינה בלילה', index)}
+                    </div>
+                </fieldset>
+            `).join('')}
+        </div>
+        <div class="flex justify-between gap-3 mt-4">
+            <button id="add-routine-child-btn" class="text-sm px-4 py-2 rounded-lg border border-gray-300">➕ הוספת ילד/ה</button>
+            <button id="save-routine-btn" class="btn-primary px-6 py-2 rounded-lg">💾 שמירה</button>
+        </div>
+    `;
+}
+
+/**
+ * Renders the swap dialog of one day: first the day's items to choose which one to replace,
+ * then the activities that could take its place, best fit first.
+ * @param {Object} day - Itinerary day.
+ * @param {Array} dayItems - From getDayItems().
+ * @param {{planKey: string, itemIndex: number}|null} selected - The item being replaced.
+ * @param {Array} candidates - From rankSwapCandidates(), empty until an item is selected.
+ */
+export function renderSwapActivityModal(day, dayItems, selected, candidates = []) {
+    const container = document.getElementById('swap-activity-modal-content');
+    if (!container) return;
+
+    const itemName = ({ item, activity }) => sanitizeHTML(activity?.name || item.description || '');
+
+    if (!selected) {
+        container.innerHTML = `
+            <h3 class="text-xl font-bold mb-4">${sanitizeHTML(day.dayName)} - מה להחליף?</h3>
+            <div class="grid gap-3">
+                ${dayItems.map(entry => `
+                    <button class="swap-target-option text-right border rounded-lg p-4 hover:bg-blue-50" data-plan-key="${entry.planKey}" data-item-index="${entry.itemIndex}">
+                        <span class="text-xs text-gray-500 block">${PLAN_TITLES[entry.planKey]}${entry.item.time ? ` · ${sanitizeHTML(String(entry.item.time))}` : ''}</span>
+                        <span class="font-semibold">${itemName(entry)}</span>
+                    </button>
+                `).join('')}
+            </div>
+        `;
+        return;
+    }
+
+    const replaced = dayItems.find(entry => entry.planKey === selected.planKey && entry.itemIndex === selected.itemIndex);
+    container.innerHTML = `
+        <div class="flex items-center justify-between gap-3 mb-4">
+            <h3 class="text-xl font-bold">במקום "${replaced ? itemName(replaced) : ''}"</h3>
+            ${dayItems.length > 1 ? '<button class="swap-change-target-btn text-sm text-gray-600 underline">פעילות אחרת</button>' : ''}
+        </div>
+        ${candidates.length === 0 ? `
+            <div class="text-center py-8">
+                <div class="text-6xl mb-4">🎯</div>
+                <p class="text-gray-600">כל הפעילויות כבר נמצאות בתוכנית של היום.</p>
+            </div>
+        ` : `
+            <div class="grid gap-3">
+                ${candidates.map(({ activity, reasons, distanceKm }) => `
+                    <button class="activity-swap-option text-right border rounded-lg p-4 hover:bg-blue-50" data-activity-id="${escapeAttribute(activity.id)}">
+                        <span class="font-semibold block">${sanitizeHTML(activity.name)}</span>
+                        ${activity.description ? `<span class="text-sm text-gray-600 block">${sanitizeHTML(activity.description)}</span>` : ''}
+                        <span class="text-xs text-gray-500 block mt-2">
+                            ${activity.time != null ? `⏱️ ${sanitizeHTML(String(activity.time))} דקות` : ''}
+                            ${distanceKm != null ? ` · 📍 ${distanceKm.toFixed(1)} ק"מ משאר היום` : ''}
+                            ${activity.cost ? ` · 💰 ${sanitizeHTML(activity.cost)}` : ''}
+                        </span>
+                        ${reasons.length ? `<span class="flex flex-wrap gap-1 mt-2">${reasons.map(reason => `<span class="text-xs px-2 py-0.5 rounded-full bg-sage-100 text-sage-800">${reason}</span>`).join('')}</span>` : ''}
+                    </button>
+                `).join('')}
+            </div>
+        `}
+    `;
+}
+
 // Helper function to get real images for known places, fallback to category-based images
 function getActivityImage(category, name) {
     // Real images for known places in Geneva
@@ -854,6 +1772,73 @@ function getActivityImage(category, name) {
     return categoryImages[category] || categoryImages['משפחתי'];
 }
 
+/**
+ * The search controls above the activities: facet chips (categories from the activities
+ * themselves), the sort and how many activities match. The search box is only filled in while
+ * the user is not typing in it.
+ * @param {number} matchCount
+ */
+function renderActivitySearch(matchCount) {
+    const facets = document.getElementById('activity-facets');
+    if (!facets) return;
+
+    const chip = (facet, value, label, active) => `
+        <button class="btn-filter ${active ? 'active' : ''} rounded-full px-4 py-2 text-sm font-medium focus:ring-2 focus:ring-blue-500 focus:outline-none" data-facet="${facet}" data-value="${escapeAttribute(value)}" aria-pressed="${active}">${sanitizeHTML(label)}</button>
+    `;
+    const categories = [...new Set([...(currentData.activitiesData || []).map(activity => activity.category), ...activitySearch.categories].filter(Boolean))];
+    const options = key => SEARCH_FACETS[key].options || Object.fromEntries(categories.map(category => [category, category]));
+
+    facets.innerHTML = Object.keys(SEARCH_FACETS).map(key => `
+        <div class="flex flex-wrap items-center gap-2">
+            <span class="text-sm font-semibold text-gray-600 ml-2">${SEARCH_FACETS[key].label}:</span>
+            ${Object.entries(options(key)).map(([value, label]) => chip(key, value, label, activitySearch[key].includes(value))).join('')}
+        </div>
+    `).join('') + `
+        <div class="flex flex-wrap items-center gap-2">
+            ${chip('openNow', '1', '🕒 פתוח עכשיו', activitySearch.openNow)}
+        </div>
+    `;
+
+    const sortSelect = document.getElementById('activity-sort-select');
+    if (sortSelect) {
+        sortSelect.innerHTML = Object.entries(SORT_OPTIONS).map(([value, label]) => `<option value="${value}"${value === activitySearch.sort ? ' selected' : ''}>↕️ ${label}</option>`).join('');
+    }
+    const input = document.getElementById('activity-search-input');
+    if (input && document.activeElement !== input) input.value = activitySearch.query;
+
+    const count = document.getElementById('activity-results-count');
+    if (count) {
+        const total = (currentData.activitiesData || []).length;
+        count.textContent = isActivitySearchActive(activitySearch) ? `${matchCount} מתוך ${total} פעילויות` : `${total} פעילויות`;
+    }
+    document.getElementById('clear-activity-search-btn')?.classList.toggle('hidden', !isActivitySearchActive(activitySearch));
+}
+
+/**
+ * "Open now" badge of an activity card, in Geneva time: until when it is open, or when it opens
+ * next. Nothing when its hours are unknown.
+ * @param {Object} activity
+ * @param {{dateKey: string, minutes: number}} clock - From getZonedClock().
+ * @returns {string} HTML.
+ */
+function renderOpenNowBadge(activity, clock) {
+    const { open, closesAt, opensAt, holiday } = getOpenStatus(activity.openingHours, clock);
+    if (open === null) return '';
+    const holidayNote = holiday ? ` · ${sanitizeHTML(holiday.label)}` : '';
+    if (open) {
+        return `<span class="inline-block bg-green-100 text-green-800 px-2 py-1 text-xs rounded-full">🟢 פתוח עכשיו · עד ${formatTimeOfDay(closesAt)}${holidayNote}</span>`;
+    }
+
+    let opens = '';
+    if (opensAt) {
+        const tomorrow = new Date(Date.parse(`${clock.dateKey}T12:00:00Z`) + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        const weekday = new Date(`${opensAt.dateKey}T12:00:00Z`).toLocaleDateString('he-IL', { weekday: 'long', timeZone: 'UTC' });
+        const when = { [clock.dateKey]: '', [tomorrow]: 'מחר ' }[opensAt.dateKey] ?? `ב${weekday} `;
+        opens = ` · נפתח ${when}ב-${formatTimeOfDay(opensAt.minutes)}`;
+    }
+    return `<span class="inline-block bg-red-100 text-red-800 px-2 py-1 text-xs rounded-full">🔴 סגור עכשיו${opens}${holidayNote}</span>`;
+}
+
 export function renderActivities() {
     const activitiesGrid = document.getElementById('activities-grid');
     if (!activitiesGrid) return;
@@ -866,30 +1851,8 @@ export function renderActivities() {
         return;
     }
     
-    let filteredActivities = currentData.activitiesData;
-    
-    // Apply category filter
-    if (currentCategoryFilter && currentCategoryFilter !== 'all') {
-        filteredActivities = filteredActivities.filter(activity => 
-            activity.category === currentCategoryFilter);
-    }
-    
-    // Apply time filter
-    if (currentTimeFilter && currentTimeFilter !== 'all') {
-        filteredActivities = filteredActivities.filter(activity => {
-            const travelTime = parseInt(activity.time || activity.travelTime) || 0;
-            switch (currentTimeFilter) {
-                case '20':
-                    return travelTime <= 20;
-                case '40':
-                    return travelTime > 20 && travelTime <= 40;
-                case '60':
-                    return travelTime > 40;
-                default:
-                    return true;
-            }
-        });
-    }
+    const filteredActivities = searchActivities(currentData.activitiesData, activitySearch, { rates: getTripBudget(currentData).rates });
+    renderActivitySearch(filteredActivities.length);
     
     const showNewItemsHighlight = (newlyAddedItems && typeof newlyAddedItems.size === 'number') ? newlyAddedItems.size > 0 : false;
     
@@ -898,6 +1861,7 @@ export function renderActivities() {
     const activitiesToShow = filteredActivities.slice(0, displayedActivities);
     const hasMoreCached = displayedActivities < filteredActivities.length;
     const canGenerateMore = true; // Always allow AI generation of more activities
+    const clock = getZonedClock(new Date());
     
     activitiesGrid.innerHTML = activitiesToShow.map(activity => {
         const isNewItem = showNewItemsHighlight && newlyAddedItems.has(activity.name);
@@ -911,17 +1875,17 @@ export function renderActivities() {
         
     return `
             <div class="activity-card bg-sage-50 rounded-xl shadow-lg hover:shadow-xl transition-all duration-300 overflow-hidden ${isNewItem ? 'new-item-highlight' : ''}" 
-                 data-category="${activity.category}" data-travel-time="${activity.time || '0'}" data-activity-id="${activity.id || activity.name}">
+                 data-category="${escapeAttribute(activity.category)}" data-travel-time="${escapeAttribute(activity.time || '0')}" data-activity-id="${escapeAttribute(activity.id || activity.name)}">
                 
                 ${activityImage ? `
                     <div class="relative h-48 overflow-hidden">
-                        <img src="${activityImage}" 
-                             alt="${activity.name}" 
+                        <img src="${escapeAttribute(activityImage)}" 
+                             alt="${escapeAttribute(activity.name)}" 
                              class="w-full h-full object-cover transition-transform duration-300 hover:scale-105"
-                             onerror="this.onerror=null; this.src='https://placehold.co/400x300/F3EFEA/4A4A4A?text=${encodeURIComponent(activity.name)}'; this.alt='${activity.name} - תמונה לא זמינה';"
+                             onerror="this.onerror=null; this.src='https://placehold.co/400x300/F3EFEA/4A4A4A?text=${escapeAttribute(encodeURIComponent(activity.name))}'; this.alt += ' - תמונה לא זמינה';"
                              loading="lazy">
                         <div class="absolute top-2 right-2">
-                            <span class="category-badge ${activity.category} px-2 py-1 text-xs rounded-full">${activity.category}</span>
+                            <span class="category-badge ${escapeAttribute(activity.category)} px-2 py-1 text-xs rounded-full">${sanitizeHTML(activity.category)}</span>
                         </div>
                         ${activity.generated ? '<div class="absolute top-2 left-2 bg-sage-500 text-white px-2 py-1 text-xs rounded-full">🤖 AI</div>' : ''}
                     </div>
@@ -929,30 +1893,31 @@ export function renderActivities() {
                 
                 <div class="p-6">
                     <div class="flex justify-between items-start mb-4">
-                        <h3 class="font-bold text-lg text-gray-800 leading-tight">${activity.name}</h3>
-                        ${!activityImage ? `<span class="category-badge ${activity.category}">${activity.category}</span>` : ''}
+                        <h3 class="font-bold text-lg text-gray-800 leading-tight">${sanitizeHTML(activity.name)}</h3>
+                        ${!activityImage ? `<span class="category-badge ${escapeAttribute(activity.category)}">${sanitizeHTML(activity.category)}</span>` : ''}
                     </div>
                     
                     <div class="space-y-2 mb-4">
-                        <p class="text-sm text-gray-600"><strong>⏱️ זמן נסיעה:</strong> ${travelTime} דקות</p>
+                        <p class="text-sm text-gray-600"><strong>⏱️ זמן נסיעה:</strong> ${sanitizeHTML(String(travelTime))} דקות</p>
                         <p class="text-sm"><strong>🕒 שעות:</strong> ${formattedHours.today}</p>
-                        ${activity.cost ? `<p class="text-sm"><strong>💰 עלות:</strong> ${activity.cost}</p>` : ''}
-                        ${activity.transport ? `<p class="text-sm"><strong>🚌 תחבורה:</strong> ${activity.transport}</p>` : ''}
-                        ${activity.address ? `<p class="text-sm text-gray-500"><strong>📍 כתובת:</strong> ${activity.address}</p>` : ''}
+                        ${renderOpenNowBadge(activity, clock)}
+                        ${activity.cost ? `<p class="text-sm"><strong>💰 עלות:</strong> ${sanitizeHTML(String(activity.cost))}</p>` : ''}
+                        ${activity.transport ? `<p class="text-sm"><strong>🚌 תחבורה:</strong> ${sanitizeHTML(String(activity.transport))}</p>` : ''}
+                        ${activity.address ? `<p class="text-sm text-gray-500"><strong>📍 כתובת:</strong> ${sanitizeHTML(String(activity.address))}</p>` : ''}
                     </div>
                     
-                    ${activity.description ? `<p class="text-gray-700 text-sm mb-4 line-clamp-3">${activity.description}</p>` : ''}
+                    ${activity.description ? `<p class="text-gray-700 text-sm mb-4 line-clamp-3">${sanitizeHTML(String(activity.description))}</p>` : ''}
                     
                     ${activity.whatToBring && activity.whatToBring.length > 0 ? `
                         <div class="text-xs text-gray-600 mb-4 bg-sage-50 p-3 rounded-lg">
-                            <strong>💡 מה לקחת:</strong> ${activity.whatToBring.join(', ')}
+                            <strong>💡 מה לקחת:</strong> ${sanitizeHTML(activity.whatToBring.join(', '))}
                         </div>
                     ` : ''}
                     
                     <div class="flex flex-wrap gap-2 justify-between md:justify-stretch">
-                        ${activity.link ? `<a href="${activity.link}" target="_blank" class="btn-primary text-xs px-3 py-2 rounded-lg hover:shadow-md transition-shadow flex-1 md:flex-none md:flex-grow text-center">לאתר הרשמי</a>` : ''}
+                        ${activity.link ? `<a href="${escapeAttribute(activity.link)}" target="_blank" class="btn-primary text-xs px-3 py-2 rounded-lg hover:shadow-md transition-shadow flex-1 md:flex-none md:flex-grow text-center">לאתר הרשמי</a>` : ''}
                         ${googleMapsUrl ? `<a href="${googleMapsUrl}" target="_blank" class="bg-sage-500 hover:bg-sage-600 text-white text-xs px-3 py-2 rounded-lg transition-colors flex-1 md:flex-none md:flex-grow text-center">🗺️ נווט</a>` : ''}
-                        <button class="activity-details-btn bg-gray-100 hover:bg-gray-200 text-gray-700 text-xs px-3 py-2 rounded-lg transition-colors flex-1 md:flex-none md:flex-grow text-center" data-activity-id="${activity.id || activity.name}">
+                        <button class="activity-details-btn bg-gray-100 hover:bg-gray-200 text-gray-700 text-xs px-3 py-2 rounded-lg transition-colors flex-1 md:flex-none md:flex-grow text-center" data-activity-id="${escapeAttribute(activity.id || activity.name)}">
                             👁️ פרטים
                         </button>
                     </div>
@@ -961,6 +1926,16 @@ export function renderActivities() {
     `;
     }).join('');
     
+    if (filteredActivities.length === 0) {
+        activitiesGrid.innerHTML = `
+            <div class="col-span-full text-center py-8">
+                <div class="text-4xl mb-4">🔍</div>
+                <p class="text-gray-600">אין פעילויות שמתאימות לחיפוש</p>
+                <p class="text-sm text-gray-500 mt-2">נסו להסיר חלק מהמסננים</p>
+            </div>
+        `;
+    }
+    
     // Show/hide load more button
     const loadMoreContainer = document.getElementById('load-more-container');
     if (loadMoreContainer) {
@@ -1504,6 +2479,11 @@ function setupPackingInteractiveElements() {
 async function handlePackingPhotoUpload(event) {
     const files = Array.from(event.target.files);
     if (!files.length) return;
+    if (!hasPermission('edit')) {
+        familyToast.info('יש לכם הרשאת צפייה בלבד בטיול הזה');
+        event.target.value = '';
+        return;
+    }
     
     // Enhanced user feedback
     const loaderId = showFlowLoading('photo-upload', `מעלה ${files.length} תמונות...`);
@@ -1514,10 +2494,6 @@ async function handlePackingPhotoUpload(event) {
     
     if (progressContainer) progressContainer.classList.remove('hidden');
     
-        // Import Firebase functions dynamically
-        const { ref, uploadBytes, getDownloadURL } = await import("https://www.gstatic.com/firebasejs/10.12.2/firebase-storage.js");
-        const { doc, updateDoc, arrayUnion } = await import("https://www.gstatic.com/firebasejs/10.12.2/firebase-firestore.js");
-        
         let successCount = 0;
         let errorCount = 0;
         
@@ -1540,11 +2516,9 @@ async function handlePackingPhotoUpload(event) {
                     throw new Error(`הקובץ ${file.name} אינו תמונה תקינה`);
                 }
                 
-                // Upload to Firebase Storage
+                // Upload through the data store (Firebase Storage, or IndexedDB in demo mode)
                 const timestamp = Date.now();
-                const storageRef = ref(storage, `packing-photos/${userId}/${timestamp}-${file.name}`);
-                await uploadBytes(storageRef, file);
-                const url = await getDownloadURL(storageRef);
+                const url = await dataStore.upload(`packing-photos/${appId}/${userId}/${timestamp}-${file.name}`, file);
                 
             const photoData = {
                     id: timestamp + index,
@@ -1560,11 +2534,9 @@ async function handlePackingPhotoUpload(event) {
             if (!currentData.packingPhotos) currentData.packingPhotos = { photos: [] };
             currentData.packingPhotos.photos.push(photoData);
             
-                // Save to Firebase for persistence
-                const publicDataRef = doc(db, `artifacts/${appId}/public/genevaGuide`);
-                await updateDoc(publicDataRef, { 
-                    packingPhotos: arrayUnion(photoData)
-                });
+                // Save for persistence - the gallery reads packingPhotos.photos
+                await dataStore.arrayAppend(getTripDocPath(), 'packingPhotos.photos', photoData, { label: 'תמונת אריזה' });
+                logActivity('packingPhoto.add');
                 
                 successCount++;
             
@@ -2187,8 +3159,8 @@ export function populateNearbyLocations() {
             content.innerHTML = nearbyActivities.length > 0 
                 ? nearbyActivities.map(activity => `
                     <div class="border rounded-lg p-4 mb-3">
-                        <h4 class="font-bold text-accent">${activity.name}</h4>
-                        <p class="text-sm text-gray-600">${activity.category}</p>
+                        <h4 class="font-bold text-accent">${sanitizeHTML(activity.name)}</h4>
+                        <p class="text-sm text-gray-600">${sanitizeHTML(activity.category)}</p>
                         <p class="text-sm">🕐 ${activity.travelTime} דקות מהמלון</p>
                     </div>
                 `).join('')
@@ -2239,7 +3211,66 @@ export function renderPhotoAlbum() {
                 ${photo.caption ? `<p class="text-xs md:text-sm text-gray-700 text-center font-medium truncate">${photo.caption}</p>` : '<p class="text-xs md:text-sm text-gray-500 text-center">תמונה משפחתית</p>'}
             </div>
         </div>
-    `).join('');
+    `).join('') + renderLoadMoreItemsButton('photoAlbum');
+}
+
+// Pin and move buttons of a note or memory; moving stops at the edge of the pinned group
+function renderTripItemControls(key, items, index) {
+    const item = items[index];
+    const canSwapWith = (neighbour) => neighbour && Boolean(neighbour.pinned) === Boolean(item.pinned);
+    const button = (className, icon, title, extra = '') => `
+        <button class="${className} w-7 h-7 rounded-full hover:bg-white/80 text-sm" data-collection="${key}" data-item-id="${item.id}" ${extra} title="${title}" aria-label="${title}">${icon}</button>`;
+
+    return [
+        button('pin-trip-item', item.pinned ? '📍' : '📌', item.pinned ? 'ביטול הצמדה' : 'הצמדה למעלה'),
+        canSwapWith(items[index - 1]) ? button('move-trip-item', '⬆️', 'הזזה למעלה', 'data-direction="-1"') : '',
+        canSwapWith(items[index + 1]) ? button('move-trip-item', '⬇️', 'הזזה למטה', 'data-direction="1"') : '',
+        button('edit-trip-item', '✏️', 'עריכה')
+    ].join('');
+}
+
+function renderTripItemEditor(key, item) {
+    return `
+        <div class="trip-item-editor bg-white border-2 border-mint-300 rounded-lg p-4 space-y-2" data-item-id="${item.id}">
+            ${key === 'familyMemories' ? '<input type="text" class="trip-item-edit-title w-full border border-gray-300 rounded-lg py-2 px-3 font-bold" aria-label="כותרת">' : ''}
+            <textarea class="trip-item-edit-content w-full border border-gray-300 rounded-lg py-2 px-3" rows="3" aria-label="תוכן"></textarea>
+            <div class="flex gap-2 justify-end">
+                <button class="cancel-trip-item-edit text-sm px-4 py-2 rounded-lg border border-gray-300 hover:bg-gray-100" data-collection="${key}" data-item-id="${item.id}">ביטול</button>
+                <button class="save-trip-item-edit btn-secondary-standard text-sm" data-collection="${key}" data-item-id="${item.id}">שמירה</button>
+            </div>
+        </div>
+    `;
+}
+
+// Text typed in an open editor, so a re-render triggered by a snapshot does not wipe it
+function readTripItemDraft(container) {
+    const editor = container.querySelector('.trip-item-editor');
+    if (!editor) return null;
+    const title = editor.querySelector('.trip-item-edit-title');
+    return {
+        id: editor.dataset.itemId,
+        title: title ? title.value : undefined,
+        content: editor.querySelector('.trip-item-edit-content').value
+    };
+}
+
+function fillTripItemEditor(container, items, draft) {
+    const editor = container.querySelector('.trip-item-editor');
+    if (!editor) return;
+    const item = items.find(existing => existing.id === editor.dataset.itemId);
+    const source = draft && draft.id === item.id ? draft : item;
+
+    const title = editor.querySelector('.trip-item-edit-title');
+    if (title) title.value = source.title || '';
+    const content = editor.querySelector('.trip-item-edit-content');
+    content.value = source.content || '';
+    if (source === item) content.focus();
+}
+
+function formatItemTime(item) {
+    const date = new Date(item.timestamp);
+    const time = `${date.toLocaleDateString('he-IL')} ${date.toLocaleTimeString('he-IL', {hour: '2-digit', minute: '2-digit'})}`;
+    return item.editedAt ? `${time} · נערך` : time;
 }
 
 export function renderBulletinBoard() {
@@ -2259,17 +3290,22 @@ export function renderBulletinBoard() {
         return;
     }
     
-    container.innerHTML = notes.map((note, index) => `
-        <div class="bulletin-note bg-yellow-100 border border-yellow-300 rounded-lg p-4 relative group">
-            <button class="delete-note absolute top-2 right-2 text-red-500 opacity-0 group-hover:opacity-100 transition-opacity" data-note-index="${index}">
+    const draft = readTripItemDraft(container);
+    container.innerHTML = notes.map((note, index) => note.id === editingItemId ? renderTripItemEditor('bulletinBoard', note) : `
+        <div class="bulletin-note ${note.pinned ? 'bg-yellow-200 border-yellow-400' : 'bg-yellow-100 border-yellow-300'} border rounded-lg p-4 relative group" data-item-id="${note.id}">
+            <button class="delete-note absolute top-2 right-2 text-red-500 opacity-0 group-hover:opacity-100 transition-opacity" data-item-id="${note.id}" aria-label="מחיקה">
                 <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                     <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12" />
                 </svg>
             </button>
-            <p class="text-gray-800 pr-6">${note.content}</p>
-            <p class="text-xs text-gray-500 mt-2">${new Date(note.timestamp).toLocaleDateString('he-IL')} ${new Date(note.timestamp).toLocaleTimeString('he-IL', {hour: '2-digit', minute: '2-digit'})}</p>
+            <div class="absolute top-1 left-2 flex gap-1 opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition-opacity">
+                ${renderTripItemControls('bulletinBoard', notes, index)}
+            </div>
+            <p class="text-gray-800 pr-6 pl-28">${note.pinned ? '📌 ' : ''}${sanitizeHTML(note.content)}</p>
+            <p class="text-xs text-gray-500 mt-2">${formatItemTime(note)}</p>
         </div>
-    `).join('');
+    `).join('') + renderLoadMoreItemsButton('bulletinBoard');
+    fillTripItemEditor(container, notes, draft);
 }
 
 export function renderFamilyMemories() {
@@ -2289,20 +3325,25 @@ export function renderFamilyMemories() {
         return;
     }
     
-    container.innerHTML = memories.map((memory, index) => `
-        <div class="memory-card bg-white border border-gray-200 rounded-xl p-6 shadow-sm">
+    const draft = readTripItemDraft(container);
+    container.innerHTML = memories.map((memory, index) => memory.id === editingItemId ? renderTripItemEditor('familyMemories', memory) : `
+        <div class="memory-card bg-white border ${memory.pinned ? 'border-amber-400' : 'border-gray-200'} rounded-xl p-6 shadow-sm" data-item-id="${memory.id}">
             <div class="flex justify-between items-start mb-3">
-                <h4 class="text-lg font-bold text-gray-800">${memory.title}</h4>
-                <button class="delete-memory text-red-500 opacity-70 hover:opacity-100" data-memory-index="${index}">
-                    <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                    </svg>
-                </button>
+                <h4 class="text-lg font-bold text-gray-800">${memory.pinned ? '📌 ' : ''}${sanitizeHTML(memory.title)}</h4>
+                <div class="flex items-center gap-1">
+                    ${renderTripItemControls('familyMemories', memories, index)}
+                    <button class="delete-memory text-red-500 opacity-70 hover:opacity-100" data-item-id="${memory.id}" aria-label="מחיקה">
+                        <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                        </svg>
+                    </button>
+                </div>
             </div>
-            <p class="text-gray-700 leading-relaxed mb-3">${memory.content}</p>
-            <p class="text-xs text-gray-500">${new Date(memory.timestamp).toLocaleDateString('he-IL')} ${new Date(memory.timestamp).toLocaleTimeString('he-IL', {hour: '2-digit', minute: '2-digit'})}</p>
+            <p class="text-gray-700 leading-relaxed mb-3">${sanitizeHTML(memory.content)}</p>
+            <p class="text-xs text-gray-500">${formatItemTime(memory)}</p>
         </div>
-    `).join('');
+    `).join('') + renderLoadMoreItemsButton('familyMemories');
+    fillTripItemEditor(container, memories, draft);
 }
 
 export function renderInteractivePackingList() {
@@ -2376,6 +3417,8 @@ export function renderQuickStatus() {
         if (mobileTimeElement) {
             mobileTimeElement.textContent = genevaTime;
         }
+
+        renderNowNext();
     };
     
     // Initial update
@@ -2442,6 +3485,75 @@ export function renderQuickStatus() {
     }
 }
 
+// Where a trip day's directions link leads: the activity's coordinates, else its address
+function getDirectionsUrl(activity) {
+    if (typeof activity?.lat === 'number' && typeof activity?.lon === 'number') {
+        return `https://www.google.com/maps/dir/?api=1&destination=${activity.lat},${activity.lon}`;
+    }
+    return activity?.address ? `https://www.google.com/maps/dir/?api=1&destination=${encodeURIComponent(activity.address)}` : null;
+}
+
+/**
+ * The "Now & Next" card on trip days: the item the family is at, the next one with a countdown,
+ * when to leave for it, directions and what to bring. Hidden when today is not a trip day.
+ * Refreshed with the nav clock every minute.
+ */
+export function renderNowNext() {
+    const section = document.getElementById('now-next');
+    if (!section) return;
+
+    const { dateKey, minutes } = getZonedClock(new Date());
+    const day = currentData ? findTripDay(currentData.itineraryData, getTripStartDate(currentData), dateKey) : null;
+    if (!day) {
+        section.classList.add('hidden');
+        return;
+    }
+
+    const { planKey } = getWeatherPlans()[day.day];
+    const { current, next, startsIn, leaveBy } = getNowAndNext(day, {
+        activities: currentData.activitiesData || [],
+        routine: getFamilyRoutine(currentData),
+        planKey,
+        minutes
+    });
+
+    let now = '🌙 היום נגמר - לילה טוב!';
+    if (current) now = `${sanitizeHTML(current.name)} <span class="text-sm text-gray-500">עד ${formatTimeOfDay(current.end)}</span>`;
+    else if (next) now = 'זמן חופשי';
+
+    let nextBlock = '';
+    if (next) {
+        const directionsUrl = getDirectionsUrl(next.activity);
+        const whatToBring = next.activity?.whatToBring || [];
+        const timeToLeave = leaveBy <= minutes;
+        nextBlock = `
+            <div class="border-t border-gray-200 pt-4">
+                <div class="text-sm text-gray-500">אחר כך · בעוד ${formatCountdown(startsIn)}</div>
+                <div class="text-lg font-bold">${formatTimeOfDay(next.start)} · ${sanitizeHTML(next.name)}</div>
+                ${next.travel ? `
+                    <div class="now-next-leave-by ${timeToLeave ? 'text-red-600 font-bold' : 'text-gray-700'}">
+                        ${timeToLeave ? '⏰ הגיע הזמן לצאת!' : `🚶 לצאת עד ${formatTimeOfDay(leaveBy)}`} (${next.travel} דק' נסיעה${next.activity?.transport ? `, ${sanitizeHTML(next.activity.transport)}` : ''})
+                    </div>
+                ` : ''}
+                ${whatToBring.length ? `<div class="text-sm mt-2"><strong>🎒 לקחת:</strong> ${whatToBring.map(sanitizeHTML).join(', ')}</div>` : ''}
+                ${directionsUrl ? `<a href="${directionsUrl}" target="_blank" rel="noopener" class="inline-block mt-3 text-sm px-4 py-2 rounded-lg bg-accent text-white">🧭 ניווט</a>` : ''}
+            </div>
+        `;
+    }
+
+    section.innerHTML = `
+        <div class="bg-white rounded-2xl shadow-lg border-r-4 border-accent p-6 space-y-4">
+            <h2 class="text-xl font-bold">📍 ${next ? 'עכשיו ואחר כך' : 'עכשיו'} · ${sanitizeHTML(day.dayName)}${day.title ? ` - ${sanitizeHTML(day.title)}` : ''}</h2>
+            <div>
+                <div class="text-sm text-gray-500">עכשיו · ${formatTimeOfDay(minutes)}</div>
+                <div class="text-lg font-bold">${now}</div>
+            </div>
+            ${nextBlock}
+        </div>
+    `;
+    section.classList.remove('hidden');
+}
+
 export function renderLuggagePlanner() {
     const plannerContainer = document.getElementById('luggage-planner');
     if (!plannerContainer) return;
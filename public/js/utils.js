@@ -1,4 +1,5 @@
 import { currentData as globalData } from './Main.js';
+import { getOpeningRangesOn, getPublicHoliday, formatOpeningRanges } from './opening-hours.js';
 
 // Family-Friendly Loading Experience
 export class FamilyLoader {
@@ -593,10 +594,20 @@ export function getWeatherInfo(code) {
         61: { description: "גשם קל", icon: "🌧️" },
         63: { description: "גשם", icon: "🌧️" },
         65: { description: "גשם חזק", icon: "🌧️" },
+        66: { description: "גשם קופא", icon: "🌧️" },
+        67: { description: "גשם קופא חזק", icon: "🌧️" },
+        71: { description: "שלג קל", icon: "🌨️" },
+        73: { description: "שלג", icon: "🌨️" },
+        75: { description: "שלג כבד", icon: "❄️" },
+        77: { description: "גרגרי שלג", icon: "🌨️" },
         80: { description: "ממטרים קלים", icon: "🌦️" },
         81: { description: "ממטרים", icon: "🌦️" },
         82: { description: "ממטרים עזים", icon: "⛈️" },
-        95: { description: "סופת רעמים", icon: "⛈️" }
+        85: { description: "ממטרי שלג", icon: "🌨️" },
+        86: { description: "ממטרי שלג כבדים", icon: "❄️" },
+        95: { description: "סופת רעמים", icon: "⛈️" },
+        96: { description: "סופת רעמים עם ברד", icon: "⛈️" },
+        99: { description: "סופת רעמים עם ברד כבד", icon: "⛈️" }
     };
     return codes[code] || { description: "לא ידוע", icon: "🤷" };
 }
@@ -620,19 +631,19 @@ export function getStatusClass(status) {
  * Intelligently gets the opening hours for an activity.
  * If called with a dayIndex (from the itinerary), it shows hours for that specific trip day.
  * If called without a dayIndex (from the general activities list), it shows hours for the current real-world day.
+ * Public holidays in Geneva are taken into account (see opening-hours.js).
  * @param {object} activity The activity object from Firestore.
  * @param {number|null} dayIndex The zero-based index of the day in the trip, or null.
  * @returns {{today: string, week: string}} An object containing the formatted string for today's/trip day's hours and the full weekly schedule.
  */
 export function getFormattedOpeningHours(activity, dayIndex = null) {
-    if (!activity || typeof activity.openingHours !== 'object' || activity.openingHours === null) {
+    const openingHours = typeof activity?.openingHours === 'string' ? { Everyday: activity.openingHours } : activity?.openingHours;
+    if (!openingHours || typeof openingHours !== 'object') {
         return { today: 'שעות פתיחה לא זמינות', week: 'מידע לא זמין' };
     }
 
-    const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-    
     // Format the full weekly schedule for the details dropdown.
-    const weeklyHours = Object.entries(activity.openingHours)
+    const weeklyHours = Object.entries(openingHours)
         .map(([days, hours]) => `<div class="flex justify-between"><span class="font-semibold">${days}:</span><span>${hours}</span></div>`)
         .join('');
 
@@ -647,31 +658,15 @@ export function getFormattedOpeningHours(activity, dayIndex = null) {
         // Default to the current real-world date.
         targetDate = new Date();
     }
-    
-    const targetDayIndex = targetDate.getDay();
-    const targetDayName = dayNames[targetDayIndex];
-    let dailyHours = 'סגור ביום זה';
 
-    // Find the matching opening hours for the target day.
-    for (const key in activity.openingHours) {
-        const lowerKey = key.toLowerCase();
-        if (lowerKey === 'everyday' || lowerKey.includes(targetDayName.toLowerCase())) {
-            dailyHours = `פתוח: ${activity.openingHours[key]}`;
-            break;
-        }
-        const days = key.split('-').map(d => d.trim());
-        if (days.length === 2) {
-            const startDay = dayNames.findIndex(d => d.toLowerCase() === days[0].toLowerCase());
-            const endDay = dayNames.findIndex(d => d.toLowerCase() === days[1].toLowerCase());
-            if (startDay !== -1 && endDay !== -1 && targetDayIndex >= startDay && targetDayIndex <= endDay) {
-                dailyHours = `פתוח: ${activity.openingHours[key]}`;
-                break;
-            }
-        }
-    }
-    
+    const ranges = getOpeningRangesOn(openingHours, targetDate);
+    const holiday = getPublicHoliday(targetDate);
+    let dailyHours = 'שעות פתיחה לא ידועות';
+    if (ranges?.length === 0) dailyHours = holiday ? `סגור (${holiday.label})` : 'סגור ביום זה';
+    else if (ranges) dailyHours = `פתוח: ${formatOpeningRanges(ranges)}${holiday ? ` (${holiday.label})` : ''}`;
+
     const prefix = (dayIndex !== null) ? `${targetDate.toLocaleDateString('he-IL', { weekday: 'long' })}: ` : 'היום: ';
-    
+
     return { today: prefix + dailyHours, week: weeklyHours };
 }
 
@@ -689,6 +684,23 @@ export function toBase64(file) {
     });
 }
 
+/**
+ * Saves a generated file (archive, calendar, spreadsheet) through the browser's download
+ * @param {Blob} blob - The file contents
+ * @param {string} fileName - Suggested file name
+ */
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the download a moment to start before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 /**
  * Calculates the distance between two points using the Haversine formula
  * @param {number} lat1 - Latitude of first point
@@ -710,6 +722,36 @@ export function calculateDistance(lat1, lon1, lat2, lon2) {
     return distance;
 }
 
+/**
+ * Escapes text for use inside a quoted HTML attribute. sanitizeHTML() leaves quotes as they are,
+ * so its output must not go into an attribute.
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeAttribute(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Whether a stored URL may be used as a link: http(s) only, which covers Storage download URLs and
+ * the local store's same-origin file paths but not `javascript:` or `data:` URLs.
+ * @param {*} url
+ * @returns {boolean}
+ */
+export function isSafeLink(url) {
+    if (typeof url !== 'string' || !url.trim()) return false;
+    try {
+        return ['http:', 'https:'].includes(new URL(url, window.location.href).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
 /**
  * Sanitizes HTML content to prevent XSS attacks
  * @param {string} html - The HTML string to sanitize
@@ -0,0 +1,236 @@
+/**
+ * Geneva Guide Service Worker
+ * Keeps the app usable abroad without data: the app shell is precached, CDN libraries are
+ * cached on first use, and the last trip snapshot, weather forecast and album photos are
+ * served when offline.
+ *
+ * Registered as /sw.js?v=<cache-manifest version> - bumping the version in cache-manifest.json
+ * installs a fresh shell cache and removes the old one.
+ */
+
+const VERSION = new URL(self.location.href).searchParams.get('v') || 'dev';
+
+const SHELL_CACHE = `geneva-guide-shell-${VERSION}`;
+const RUNTIME_CACHE = `geneva-guide-runtime-${VERSION}`;
+// Trip snapshots, weather and photos outlive app updates, so these caches are not versioned
+const DATA_CACHE = 'geneva-guide-data';
+const PHOTO_CACHE = 'geneva-guide-photos';
+
+// Synthetic URLs written by js/offline-cache.js
+const OFFLINE_DATA_PREFIX = '/offline/';
+const WEATHER_SNAPSHOT_URL = '/offline/weather.json';
+
+// Files uploaded in demo mode are kept in IndexedDB by js/local-store.js
+const LOCAL_FILES_PREFIX = '/local-files/';
+const LOCAL_FILES_DB = 'geneva-guide-local-files';
+
+const APP_SHELL = [
+    '/',
+    '/index.html',
+    '/manifest.json',
+    '/cache-manifest.json',
+    '/favicon.svg',
+    '/CSS/consolidated.css',
+    '/js/Main.js',
+    '/js/config.js',
+    '/js/version.js',
+    '/js/handlers.js',
+    '/js/ui.js',
+    '/js/services.js',
+    '/js/utils.js',
+    '/js/Map.js',
+    '/js/Gemini.js',
+    '/js/animations.js',
+    '/js/loading.js',
+    '/js/toast.js',
+    '/js/trips.js',
+    '/js/trip-collections.js',
+    '/js/sync-queue.js',
+    '/js/offline-cache.js',
+    '/js/schema.js',
+    '/js/data-store.js',
+    '/js/firestore-store.js',
+    '/js/local-store.js',
+    '/js/members.js',
+    '/js/trip-archive.js',
+    '/js/activity-log.js',
+    '/js/itinerary.js',
+    '/js/opening-hours.js',
+    '/js/routine.js',
+    '/js/calendar.js',
+    '/js/print.js',
+    '/js/now-next.js',
+    '/js/budget.js',
+    '/js/expenses.js',
+    '/js/activity-search.js',
+    '/js/user-agent-adjuster.js'
+];
+
+// Libraries loaded from CDNs (Firebase, Tailwind, Leaflet, Chart.js, fonts)
+const CDN_HOSTS = [
+    'www.gstatic.com',
+    'cdn.tailwindcss.com',
+    'unpkg.com',
+    'cdn.jsdelivr.net',
+    'cdnjs.cloudflare.com',
+    'fonts.googleapis.com',
+    'fonts.gstatic.com'
+];
+
+const WEATHER_HOST = 'api.open-meteo.com';
+const PHOTO_HOST = 'firebasestorage.googleapis.com';
+
+// --- Lifecycle ---
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(APP_SHELL.map(url => new Request(url, { cache: 'reload' }))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => ![SHELL_CACHE, RUNTIME_CACHE, DATA_CACHE, PHOTO_CACHE].includes(key))
+                .filter(key => key.startsWith('geneva-guide-'))
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// --- Strategies ---
+
+// The page imports modules with ?v= cache busters; the shell is cached under the bare path
+function shellKey(url) {
+    return url.pathname === '/' ? '/index.html' : url.pathname;
+}
+
+// Serve the cached shell right away and refresh it in the background
+async function staleWhileRevalidate(request, url) {
+    const cache = await caches.open(SHELL_CACHE);
+    const key = shellKey(url);
+    const cached = await cache.match(key);
+
+    const refresh = fetch(request)
+        .then(response => {
+            if (response.ok) cache.put(key, response.clone());
+            return response;
+        })
+        .catch(() => null);
+
+    return cached || (await refresh) || Response.error();
+}
+
+// Pages always try the network first so a deploy shows up on the next visit
+async function networkFirstPage(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(SHELL_CACHE);
+            cache.put('/index.html', response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match('/index.html');
+        return cached || Response.error();
+    }
+}
+
+// CDN URLs are versioned, so a cached copy never needs revalidation
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        const cache = await caches.open(RUNTIME_CACHE);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+// Fresh forecast when online, the last one we saw when not
+async function weatherNetworkFirst(request) {
+    const cache = await caches.open(DATA_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+            cache.put(WEATHER_SNAPSHOT_URL, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = (await cache.match(request)) || (await cache.match(WEATHER_SNAPSHOT_URL));
+        if (!cached) throw error;
+
+        // Let the page know it is looking at a stored forecast
+        const headers = new Headers(cached.headers);
+        headers.set('X-Offline-Cache', 'true');
+        return new Response(cached.body, { status: 200, headers });
+    }
+}
+
+// Album photos cached by the page are served from the cache; the rest go to the network
+async function cachedPhoto(request) {
+    const cached = await caches.match(request.url, { cacheName: PHOTO_CACHE });
+    return cached || fetch(request);
+}
+
+function readLocalFile(storagePath) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(LOCAL_FILES_DB, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore('files');
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => {
+            const get = request.result.transaction('files', 'readonly').objectStore('files').get(storagePath);
+            get.onsuccess = () => resolve(get.result);
+            get.onerror = () => reject(get.error);
+        };
+    });
+}
+
+async function localFile(url) {
+    const storagePath = url.pathname.slice(LOCAL_FILES_PREFIX.length).split('/').map(decodeURIComponent).join('/');
+    const blob = await readLocalFile(storagePath).catch(() => null);
+    if (!blob) return new Response('', { status: 404 });
+    return new Response(blob, { headers: { 'Content-Type': blob.type || 'application/octet-stream' } });
+}
+
+async function offlineData(url) {
+    const cached = await caches.match(url.pathname, { cacheName: DATA_CACHE });
+    return cached || new Response('null', { status: 404, headers: { 'Content-Type': 'application/json' } });
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        // API calls (config, Gemini) are never cached
+        if (url.pathname.startsWith('/api/') || url.pathname.startsWith('/.netlify/')) return;
+
+        if (url.pathname.startsWith(OFFLINE_DATA_PREFIX)) {
+            event.respondWith(offlineData(url));
+        } else if (url.pathname.startsWith(LOCAL_FILES_PREFIX)) {
+            event.respondWith(localFile(url));
+        } else if (request.mode === 'navigate') {
+            event.respondWith(networkFirstPage(request));
+        } else if (APP_SHELL.includes(shellKey(url)) || url.pathname.startsWith('/images/')) {
+            event.respondWith(staleWhileRevalidate(request, url));
+        }
+        return;
+    }
+
+    if (url.hostname === WEATHER_HOST) {
+        event.respondWith(weatherNetworkFirst(request));
+    } else if (url.hostname === PHOTO_HOST && request.destination === 'image') {
+        event.respondWith(cachedPhoto(request));
+    } else if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request));
+    }
+});
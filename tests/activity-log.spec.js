@@ -0,0 +1,60 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+const MINUTE = 60 * 1000;
+const entry = (action, actorUid, minutesAgo, target = '') => ({
+  action, actorUid, actorName: actorUid === 'adi' ? 'עדי' : 'סבתא', target, count: 1, timestamp: Date.now() - minutesAgo * MINUTE
+});
+
+// Grouping, filtering and wording are pure - these tests run them on sample entries
+test.describe('Activity Log Tests', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+  });
+
+  test('should merge close runs of the same action by the same person', async ({ page }) => {
+    const entries = [
+      entry('packing.check', 'adi', 1, 'מגפיים'),
+      entry('packing.check', 'adi', 5, 'כובע'),
+      entry('packing.check', 'adi', 12, 'מעיל'),
+      entry('packing.check', 'adi', 40, 'צעיף'),
+      entry('note.add', 'savta', 41, 'לא לשכוח מטרייה'),
+      entry('packing.check', 'adi', 42, 'כפפות')
+    ];
+    const groups = await page.evaluate(async (entries) => {
+      const { groupActivity, describeActivity } = await import('/js/activity-log.js');
+      return groupActivity(entries).map(group => ({ count: group.count, targets: group.targets, text: describeActivity(group) }));
+    }, entries);
+
+    expect(groups).toEqual([
+      { count: 3, targets: ['מגפיים', 'כובע', 'מעיל'], text: 'עדי ארז/ה 3 פריטים' },
+      { count: 1, targets: ['צעיף'], text: 'עדי ארז/ה את "צעיף"' },
+      { count: 1, targets: ['לא לשכוח מטרייה'], text: 'סבתא הוסיף/ה פתק: "לא לשכוח מטרייה"' },
+      { count: 1, targets: ['כפפות'], text: 'עדי ארז/ה את "כפפות"' }
+    ]);
+  });
+
+  test('should filter entries by category and by person', async ({ page }) => {
+    const entries = [
+      entry('packing.add', 'adi', 1, 'מגפיים'),
+      entry('note.add', 'adi', 2, 'פתק'),
+      entry('photo.add', 'savta', 3),
+      entry('packingPhoto.add', 'savta', 4)
+    ];
+    const result = await page.evaluate(async (entries) => {
+      const { filterActivity } = await import('/js/activity-log.js');
+      const actions = (filter) => filterActivity(entries, filter).map(item => item.action);
+      return {
+        packing: actions({ category: 'packing' }),
+        savta: actions({ actor: 'savta' }),
+        both: actions({ category: 'packing', actor: 'adi' }),
+        all: actions({})
+      };
+    }, entries);
+
+    expect(result.packing).toEqual(['packing.add', 'packingPhoto.add']);
+    expect(result.savta).toEqual(['photo.add', 'packingPhoto.add']);
+    expect(result.both).toEqual(['packing.add']);
+    expect(result.all).toHaveLength(4);
+  });
+});
@@ -0,0 +1,79 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+test.describe('Activity Search Tests', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+  });
+
+  test('should combine text search, facets, open now and sorting', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { parseActivitySearch, searchActivities } = await import('/js/activity-search.js');
+      const activities = [
+        { id: 'park', name: 'Parc des Bastions', category: 'חוץ', cost: 'חינם', time: 15, lat: 46.201, lon: 6.146, openingHours: { Everyday: '00:00-24:00' }, rating: 4.5 },
+        { id: 'museum', name: "Musée d'histoire naturelle", category: 'תרבות', cost: 'חינם', time: 20, lat: 46.198, lon: 6.159, openingHours: { 'Tuesday-Sunday': '10:00-17:00' }, ageRange: 'מגיל 3', rating: 4.8 },
+        { id: 'zoo', name: 'גן חיות', category: 'חוץ', description: 'חיות מכל העולם', cost: '15 CHF', time: 25, ageRange: '0-6' },
+        { id: 'play', name: 'משחקייה', category: 'משחקייה', cost: 'מבוגר 12 CHF', time: 10, lat: 46.22, lon: 6.08, indoor: true, ageRange: 'עד 5' },
+        { id: 'lake', name: 'שייט באגם', category: 'חוץ', cost: '€60', description: 'Lac Léman' }
+      ];
+      // A Monday, 10:00 in Geneva
+      const now = new Date(Date.UTC(2026, 9, 19, 8, 0));
+      const ids = search => searchActivities(activities, parseActivitySearch(search), { rates: { CHF: 1, EUR: 1.25 }, now })
+        .map(activity => activity.id);
+      return {
+        freeOutdoorNearby: ids('?cost=free&setting=outdoor&time=20'),
+        text: [ids('?q=leman'), ids('?q=muse'), ids('?q=חיות העולם')],
+        babies: ids('?age=baby'),
+        openNow: ids('?open=1'),
+        eitherCategory: ids('?category=משחקייה,תרבות'),
+        byDistance: ids('?sort=distance'),
+        byRating: ids('?sort=rating')
+      };
+    });
+
+    expect(result.freeOutdoorNearby).toEqual(['park']);
+    expect(result.text).toEqual([['lake'], ['museum'], ['zoo']]);
+    // The museum is from age 3; activities without an age range suit everyone
+    expect(result.babies).toEqual(['park', 'zoo', 'play', 'lake']);
+    // The museum is closed on Mondays and the others have no hours
+    expect(result.openNow).toEqual(['park']);
+    expect(result.eitherCategory).toEqual(['museum', 'play']);
+    expect(result.byDistance).toEqual(['play', 'park', 'museum', 'zoo', 'lake']);
+    expect(result.byRating).toEqual(['museum', 'park', 'zoo', 'play', 'lake']);
+  });
+
+  test('should keep the search in the URL next to other parameters', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { parseActivitySearch, getActivitySearchUrl, DEFAULT_ACTIVITY_SEARCH } = await import('/js/activity-search.js');
+      const state = parseActivitySearch('?trip=abc&cost=free,bogus&setting=outdoor&time=20&sort=nope');
+      return {
+        state,
+        url: getActivitySearchUrl({ ...state, query: 'פארק', sort: 'distance' }, 'https://example.com/?trip=abc&q=old#activities'),
+        cleared: getActivitySearchUrl(DEFAULT_ACTIVITY_SEARCH, 'https://example.com/?trip=abc&q=old&cost=free')
+      };
+    });
+
+    expect(result.state).toEqual({ query: '', categories: [], costs: ['free'], ages: [], settings: ['outdoor'], times: ['20'], openNow: false, sort: 'default' });
+    const url = new URL(result.url);
+    expect(url.searchParams.get('trip')).toBe('abc');
+    expect(url.searchParams.get('q')).toBe('פארק');
+    expect(url.searchParams.get('cost')).toBe('free');
+    expect(url.searchParams.get('sort')).toBe('distance');
+    expect(url.hash).toBe('#activities');
+    expect(result.cleared).toBe('https://example.com/?trip=abc');
+  });
+
+  test('should keep a category from a shared link inside its chip', async ({ page }) => {
+    const chip = await page.evaluate(async () => {
+      const { setActivitySearch } = await import('/js/Main.js');
+      const { renderActivities } = await import('/js/ui.js');
+      const category = 'תרבות" autofocus onfocus="alert(1)';
+      setActivitySearch({ categories: [category] });
+      renderActivities();
+      const button = [...document.querySelectorAll('#activity-facets [data-facet="categories"]')].find(element => element.getAttribute('data-value') === category);
+      return { found: Boolean(button), onfocus: document.querySelectorAll('#activity-facets [onfocus]').length };
+    });
+
+    expect(chip).toEqual({ found: true, onfocus: 0 });
+  });
+});
@@ -0,0 +1,91 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+test.describe('Budget Tests', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+  });
+
+  test('should read free-text costs per adult, child and family', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { parseCost, getFamilyCost } = await import('/js/budget.js');
+      const costs = ['15 CHF', 'חינם', 'משתנה', 'מבוגר 20 CHF, ילד 10 CHF', '25 CHF למשפחה', '12 CHF (ילדים עד 6 חינם)', '10-15 CHF', '€8 לאדם', '₪50', 'Adults 15 CHF, children (6-16) 8 CHF'];
+      const family = { adults: 2, children: 2 };
+      return {
+        parsed: Object.fromEntries(costs.map(cost => [cost, parseCost(cost)])),
+        familyCosts: ['12 CHF (ילדים עד 6 חינם)', '15 CHF', 'Adults 18 CHF / Kids 9 CHF / Family 45 CHF'].map(cost => getFamilyCost(parseCost(cost), family))
+      };
+    });
+
+    expect(result.parsed['15 CHF']).toEqual({ currency: 'CHF', adult: 15, child: null, family: null });
+    expect(result.parsed['חינם']).toEqual({ currency: 'CHF', adult: 0, child: null, family: null });
+    expect(result.parsed['משתנה']).toBeNull();
+    expect(result.parsed['מבוגר 20 CHF, ילד 10 CHF']).toEqual({ currency: 'CHF', adult: 20, child: 10, family: null });
+    expect(result.parsed['25 CHF למשפחה']).toEqual({ currency: 'CHF', adult: null, child: null, family: 25 });
+    // The 6 is an age, not a price
+    expect(result.parsed['12 CHF (ילדים עד 6 חינם)']).toEqual({ currency: 'CHF', adult: 12, child: 0, family: null });
+    // So is an age range in brackets
+    expect(result.parsed['Adults 15 CHF, children (6-16) 8 CHF']).toEqual({ currency: 'CHF', adult: 15, child: 8, family: null });
+    expect(result.parsed['10-15 CHF'].adult).toBe(15);
+    expect(result.parsed['€8 לאדם']).toEqual({ currency: 'EUR', adult: 8, child: null, family: null });
+    expect(result.parsed['₪50'].currency).toBe('ILS');
+    expect(result.familyCosts).toEqual([24, 60, 45]);
+  });
+
+  test('should only take whole currency names as the currency, CHF first', async ({ page }) => {
+    const currencies = await page.evaluate(async () => {
+      const { parseCost } = await import('/js/budget.js');
+      const costs = ['15 CHF par heure', 'Adults 12 CHF (see details)', 'Tennis court 20 CHF', '15CHF', '8 EUR', '40 NIS', '10 CHF / 9 EUR'];
+      return Object.fromEntries(costs.map(cost => [cost, parseCost(cost).currency]));
+    });
+
+    // 'heure', 'details' and 'Tennis' hide EUR, ILS and NIS inside other words
+    expect(currencies).toEqual({
+      '15 CHF par heure': 'CHF',
+      'Adults 12 CHF (see details)': 'CHF',
+      'Tennis court 20 CHF': 'CHF',
+      '15CHF': 'CHF',
+      '8 EUR': 'EUR',
+      '40 NIS': 'ILS',
+      '10 CHF / 9 EUR': 'CHF'
+    });
+  });
+
+  test('should total each day in CHF with the trip rates and list what has no price', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { computeTripCosts, getTripBudget, convertAmount } = await import('/js/budget.js');
+      const data = {
+        familyRoutine: { children: [{ name: 'בר' }, { name: 'רן' }] },
+        activitiesData: [
+          { id: 'zoo', name: 'גן חיות', cost: '15 CHF' },
+          { id: 'museum', name: 'מוזיאון', cost: 'משתנה' },
+          { id: 'park', name: 'פארק', cost: 'חינם' },
+          { id: 'boat', name: 'שייט', cost: '€10' }
+        ],
+        itineraryData: [{
+          day: 1,
+          dayName: 'יום 1',
+          mainPlan: { items: [{ activityId: 'zoo' }, { activityId: 'museum' }, { activityId: 'park' }, { description: 'גלידה', cost: '5 CHF לאדם' }, { description: 'צהריים' }] },
+          alternativePlan: { items: [{ activityId: 'boat' }] }
+        }],
+        budget: { rates: { EUR: 1.25, ILS: '4' }, dailyBudget: '100' }
+      };
+      const main = computeTripCosts(data);
+      const { rates, dailyBudget } = getTripBudget(data);
+      return {
+        main: { total: main.total, items: main.days[0].items, unpriced: main.days[0].unpriced },
+        rainPlan: computeTripCosts(data, { planKeys: { 1: 'alternativePlan' } }).total,
+        dailyBudget,
+        inShekels: convertAmount(main.total, 'CHF', 'ILS', rates)
+      };
+    });
+
+    expect(result.main.items).toEqual([{ name: 'גן חיות', amount: 60 }, { name: 'פארק', amount: 0 }, { name: 'גלידה', amount: 20 }]);
+    expect(result.main.unpriced).toEqual(['מוזיאון']);
+    expect(result.main.total).toBe(80);
+    // 4 × €10 at 1.25 EUR to the franc
+    expect(result.rainPlan).toBe(32);
+    expect(result.dailyBudget).toBe(100);
+    expect(result.inShekels).toBe(320);
+  });
+});
@@ -0,0 +1,60 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+test.describe('Calendar Export Tests', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+  });
+
+  const trip = {
+    tripName: 'ז\'נבה, 2025',
+    flightData: {
+      outbound: [{ from: 'תל אביב (TLV)', to: 'ז\'נבה (GVA)', date: '2025-08-24', time: '06:00 - 09:30', airline: 'EasyJet', flightNum: 'U2 5272', checkin: 'https://example.com/checkin' }],
+      inbound: [{ from: 'GVA', to: 'TLV', date: '29/08/2025', time: '22:40 - 03:30' }]
+    },
+    hotelData: { name: 'Mercure', address: 'Rue De La Bergere, Meyrin', checkinDate: '24/08/2025', checkoutDate: '29/08/2025' },
+    activitiesData: [{ id: 'zoo', name: 'גן חיות', duration: '2 שעות', lat: 46.2, lon: 6.15, time: 20, address: 'Route de Lausanne' }],
+    itineraryData: [
+      { day: 1, mainPlan: { items: [{ activityId: 'zoo', time: '14:00' }] } },
+      { day: 2, mainPlan: { items: [{ description: 'פארק' }] } }
+    ]
+  };
+
+  test('should export flights in UTC and the plan in Europe/Zurich', async ({ page }) => {
+    const ics = await page.evaluate(async (data) => {
+      const { buildTripCalendar } = await import('/js/calendar.js');
+      return buildTripCalendar(data, { tripId: 'geneva', startDate: '2025-08-24' }).ics;
+    }, trip);
+
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\n')).toBe(true);
+    expect(ics).toContain('TZID:Europe/Zurich');
+    // Tel Aviv is UTC+3 in August, Geneva UTC+2
+    expect(ics).toContain('DTSTART:20250824T030000Z');
+    expect(ics).toContain('DTEND:20250824T073000Z');
+    // The night flight lands the next day
+    expect(ics).toContain('DTSTART:20250829T204000Z\r\nDTEND:20250830T003000Z');
+    expect(ics).toContain('DTSTART;TZID=Europe/Zurich:20250824T150000\r\nDTEND;TZID=Europe/Zurich:20250829T120000');
+    expect(ics).toContain('DTSTART;TZID=Europe/Zurich:20250824T140000\r\nDTEND;TZID=Europe/Zurich:20250824T160000');
+    expect(ics).toContain('GEO:46.2;6.15');
+    expect(ics).toContain('LOCATION:Route de Lausanne');
+    expect(ics).toContain('URL:https://example.com/checkin');
+    expect(ics).toContain('X-WR-CALNAME:ז\'נבה\\, 2025');
+    expect(ics.split('\r\n').every(line => new TextEncoder().encode(line).length <= 75)).toBe(true);
+  });
+
+  test('should export a single day with the flights of its date', async ({ page }) => {
+    const result = await page.evaluate(async (data) => {
+      const { buildTripCalendar } = await import('/js/calendar.js');
+      const summaries = dayNumber => buildTripCalendar(data, { tripId: 'geneva', startDate: '2025-08-24', dayNumber })
+        .ics.split('\r\n').filter(line => line.startsWith('SUMMARY:'));
+      return { first: summaries(1), second: summaries(2) };
+    }, trip);
+
+    expect(result.first).toEqual([
+      'SUMMARY:✈️ EasyJet U2 5272 תל אביב (TLV) → ז\'נבה (GVA)',
+      'SUMMARY:🏨 Mercure',
+      'SUMMARY:גן חיות'
+    ]);
+    expect(result.second).toEqual(['SUMMARY:פארק']);
+  });
+});
@@ -0,0 +1,80 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+test.describe('Expenses Tests', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+  });
+
+  test('should total each person in CHF and settle who owes whom', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { getExpensePeople, computeBalances, settleBalances } = await import('/js/expenses.js');
+      const { getTripBudget } = await import('/js/budget.js');
+      const data = {
+        budget: { rates: { EUR: 1.25 } },
+        familyData: [{ name: 'דור' }, { name: 'סבתא' }],
+        expenses: [
+          { amount: 90, currency: 'CHF', payer: 'דור', participants: ['דור', 'עדי', 'סבתא'] },
+          { amount: 25, currency: 'EUR', payer: 'סבתא', participants: ['עדי', 'סבתא'] },
+          { amount: 12, payer: 'עדי' }
+        ]
+      };
+      const balances = computeBalances(data.expenses, getTripBudget(data).rates);
+      return { people: getExpensePeople(data), balances, transfers: settleBalances(balances) };
+    });
+
+    expect(result.people).toEqual(['דור', 'עדי', 'סבתא']);
+    // €25 at 1.25 to the franc is 20 CHF; an expense without participants is the payer's own
+    expect(result.balances).toEqual([
+      { name: 'דור', paid: 90, share: 30, balance: 60 },
+      { name: 'עדי', paid: 12, share: 52, balance: -40 },
+      { name: 'סבתא', paid: 20, share: 40, balance: -20 }
+    ]);
+    expect(result.transfers).toEqual([
+      { from: 'עדי', to: 'דור', amount: 40 },
+      { from: 'סבתא', to: 'דור', amount: 20 }
+    ]);
+  });
+
+  test('should export expenses as CSV with day names and quoted fields', async ({ page }) => {
+    const csv = await page.evaluate(async () => {
+      const { expensesToCsv } = await import('/js/expenses.js');
+      const expenses = [{ amount: 20, currency: 'EUR', payer: 'דור', participants: ['דור', 'עדי'], category: 'food', description: 'פיצה, "גדולה"', day: 1, date: '2026-10-20' }];
+      return expensesToCsv(expenses, { rates: { CHF: 1, EUR: 1.25 }, itinerary: [{ day: 1, dayName: 'יום ראשון' }] });
+    });
+
+    const [header, row] = csv.split('\r\n');
+    expect(header.startsWith('\uFEFFתאריך,')).toBe(true);
+    expect(row).toBe('2026-10-20,יום ראשון,🍽️ אוכל,"פיצה, ""גדולה""",20,EUR,16.00,דור,"דור, עדי",');
+  });
+
+  test('should keep names inside their attributes and link only web receipts', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { currentData } = await import('/js/Main.js');
+      const { renderExpenses } = await import('/js/ui.js');
+      const name = 'דור" autofocus onfocus="alert(1)';
+      currentData.familyData = [{ name }];
+      currentData.expenses = [
+        { id: 'e1', amount: 10, currency: 'CHF', payer: name, receipt: { url: 'javascript:alert(1)' } },
+        { id: 'e2', amount: 5, currency: 'CHF', payer: name, receipt: { url: 'https://firebasestorage.googleapis.com/v0/b/x/o/r.jpg' } }
+      ];
+      renderExpenses({ resetForm: true });
+      const values = (selector) => [...document.querySelectorAll(selector)].map(element => element.getAttribute('value'));
+      return {
+        participant: values('.expense-participant').includes(name),
+        option: values('#expense-people option').includes(name),
+        person: [...document.querySelectorAll('.expense-balances tbody tr')].some(row => row.getAttribute('data-person') === name),
+        onfocus: document.querySelectorAll('#expense-form [onfocus], #expenses-summary [onfocus]').length,
+        receipts: [...document.querySelectorAll('#expenses-summary .expense-item')].map(item => item.querySelector('a')?.getAttribute('href') ?? null)
+      };
+    });
+
+    expect(result).toEqual({
+      participant: true,
+      option: true,
+      person: true,
+      onfocus: 0,
+      receipts: [null, 'https://firebasestorage.googleapis.com/v0/b/x/o/r.jpg']
+    });
+  });
+});
@@ -0,0 +1,244 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+const activities = [
+  { id: 'zoo', name: 'גן החיות', category: 'ילדים', time: 25, lat: 46.194, lon: 6.128, cost: '20 CHF' },
+  { id: 'park', name: 'פארק באסטיון', category: 'פארקים', time: 15, lat: 46.201, lon: 6.146, cost: 'חינם' },
+  { id: 'museum', name: 'מוזיאון הטבע', category: 'ילדים', time: 18, lat: 46.198, lon: 6.159, cost: 'חינם' },
+  { id: 'farm', name: 'חווה רחוקה', category: 'ילדים', time: 60, lat: 46.4, lon: 6.5, cost: '10 CHF' },
+  { id: 'cafe', name: 'בית קפה', category: 'קפה', time: 10, lat: 46.2, lon: 6.145, cost: '15 CHF' }
+];
+const itinerary = [
+  { day: 1, dayName: 'יום ראשון', mainPlan: { items: [{ activityId: 'zoo', time: '10:00' }, { activityId: 'park', time: '14:00' }] } },
+  { day: 2, dayName: 'יום שני', mainPlan: { items: [{ description: 'יום מנוחה' }] } }
+];
+
+// Ranking and swapping are pure - these tests run them on a sample itinerary
+test.describe('Itinerary Tests', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+  });
+
+  test('should rank activities not yet on the day by fit', async ({ page }) => {
+    const ranked = await page.evaluate(async ({ itinerary, activities }) => {
+      const { findItineraryDay, rankSwapCandidates } = await import('/js/itinerary.js');
+      const day = findItineraryDay(itinerary, '1');
+      return rankSwapCandidates(day, 'mainPlan', 0, activities).map(({ activity, reasons }) => ({ id: activity.id, reasons }));
+    }, { itinerary, activities });
+
+    expect(ranked.map(candidate => candidate.id)).toEqual(['museum', 'cafe', 'farm']);
+    expect(ranked[0].reasons).toEqual(['אותו סוג פעילות', 'קרוב לשאר היום', 'נסיעה קצרה', 'חינם']);
+    expect(ranked[2].reasons).toEqual(['אותו סוג פעילות']);
+  });
+
+  test('should swap one item, keep its time slot and allow restoring it', async ({ page }) => {
+    const result = await page.evaluate(async ({ itinerary, activities }) => {
+      const { swapPlanItem, replacePlanItem } = await import('/js/itinerary.js');
+      const swap = swapPlanItem(itinerary, 1, 'mainPlan', 0, activities[2]);
+      let missing = null;
+      try {
+        swapPlanItem(itinerary, 2, 'mainPlan', 5, activities[2]);
+      } catch (error) {
+        missing = error.message;
+      }
+      return {
+        swapped: swap.itinerary[0].mainPlan.items,
+        untouched: swap.itinerary[1] === itinerary[1],
+        original: itinerary[0].mainPlan.items[0],
+        restored: replacePlanItem(swap.itinerary, 1, 'mainPlan', 0, swap.previous)[0].mainPlan.items,
+        missing
+      };
+    }, { itinerary, activities });
+
+    expect(result.swapped).toEqual([
+      { activityId: 'museum', description: 'מוזיאון הטבע', time: '10:00' },
+      { activityId: 'park', time: '14:00' }
+    ]);
+    expect(result.untouched).toBe(true);
+    expect(result.original).toEqual({ activityId: 'zoo', time: '10:00' });
+    expect(result.restored).toEqual(itinerary[0].mainPlan.items);
+    expect(result.missing).toContain('No item');
+  });
+
+  test('should move items within a plan and between days and plans', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { moveItineraryItem } = await import('/js/itinerary.js');
+      const itinerary = [
+        { day: 1, mainPlan: { items: [{ description: 'a' }, { description: 'b' }, { description: 'c' }] } },
+        { day: 2, mainPlan: { items: [{ description: 'd' }] } }
+      ];
+      const plan = (day, planKey) => (day[planKey]?.items || []).map(item => item.description).join('');
+      const down = moveItineraryItem(itinerary, { day: 1, planKey: 'mainPlan', itemIndex: 0 }, { day: 1, planKey: 'mainPlan', itemIndex: 2 });
+      const across = moveItineraryItem(itinerary, { day: 1, planKey: 'mainPlan', itemIndex: 1 }, { day: '2', planKey: 'alternativePlan' });
+      return {
+        down: plan(down[0], 'mainPlan'),
+        across: [plan(across[0], 'mainPlan'), plan(across[1], 'mainPlan'), plan(across[1], 'alternativePlan')]
+      };
+    });
+
+    expect(result.down).toBe('bac');
+    expect(result.across).toEqual(['ac', 'd', 'b']);
+  });
+
+  test('should add and remove days and keep them numbered', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { addItineraryDay, removeItineraryDay, renumberDayEntries, setPlanItemTime } = await import('/js/itinerary.js');
+      const itinerary = addItineraryDay([
+        { day: 1, dayName: 'יום 1', mainPlan: { items: [] } },
+        { day: 2, dayName: 'יום שני', mainPlan: { items: [{ description: 'גלידה' }] } }
+      ]);
+      const timed = setPlanItemTime(itinerary, 2, 'mainPlan', 0, '16:00');
+      return {
+        added: itinerary[2],
+        removed: removeItineraryDay(timed, 1).map(day => [day.day, day.dayName]),
+        overrides: renumberDayEntries({ 1: 'alternativePlan2', 2: 'alternativePlan', 3: 'mainPlan' }, timed, 1),
+        time: timed[1].mainPlan.items[0],
+        cleared: setPlanItemTime(timed, 2, 'mainPlan', 0, '')[1].mainPlan.items[0]
+      };
+    });
+
+    expect(result.added).toEqual({ day: 3, dayName: 'יום 3', date: '', title: '', mainPlan: { items: [] } });
+    // Custom day names stay, numbered names follow the new numbers
+    expect(result.removed).toEqual([[1, 'יום שני'], [2, 'יום 2']]);
+    // The removed day's plan choice goes with it, the others follow their days
+    expect(result.overrides).toEqual({ 1: 'alternativePlan', 2: 'mainPlan' });
+    expect(result.time).toEqual({ description: 'גלידה', time: '16:00' });
+    expect(result.cleared).toEqual({ description: 'גלידה' });
+  });
+
+  test('should flag closed venues, overlaps, tight travel and late days', async ({ page }) => {
+    const warnings = await page.evaluate(async () => {
+      const { checkItineraryDay, getTripDayDate } = await import('/js/itinerary.js');
+      const activities = [
+        { id: 'museum', name: 'מוזיאון', time: 20, duration: '2 שעות', lat: 46.2, lon: 6.15, openingHours: { 'Tuesday-Sunday': '10:00-18:00' } },
+        { id: 'zoo', name: 'גן חיות', time: 30, duration: '1-2 שעות', lat: 46.3, lon: 6.3, openingHours: { Everyday: '09:00-17:00' } },
+        { id: 'park', name: 'פארק', time: 15, duration: 'שעה', lat: 46.201, lon: 6.151 }
+      ];
+      const day = { day: 1, mainPlan: { items: [
+        { activityId: 'museum', time: '10:00' },
+        { activityId: 'park', time: '11:30' },
+        { activityId: 'zoo', time: '13:00' },
+        { activityId: 'park', time: '19:00' }
+      ] } };
+      // 2026-10-19 is a Monday
+      const date = getTripDayDate({ day: 1, date: '' }, '2026-10-19');
+      return checkItineraryDay(day, { activities, date, bedtime: '19:30' }).map(({ type, itemIndex }) => [type, itemIndex]);
+    });
+
+    expect(warnings).toEqual([['closed', 0], ['overlap', 1], ['travel', 2], ['bedtime', null]]);
+  });
+
+  test('should lead a rainy day with its indoor plan unless the family chose otherwise', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { getWeatherPlan, getForecastCode } = await import('/js/itinerary.js');
+      const activities = [
+        { id: 'park', name: 'פארק', category: 'פארקים' },
+        { id: 'lake', name: 'שייט', category: 'חוץ', indoor: false },
+        { id: 'museum', name: 'מוזיאון', category: 'מוזיאונים' },
+        { id: 'pool', name: 'בריכה', category: 'ספורט', indoor: true }
+      ];
+      const day = {
+        day: 1,
+        mainPlan: { items: [{ activityId: 'park' }, { activityId: 'lake' }] },
+        alternativePlan: { items: [{ activityId: 'lake' }] },
+        alternativePlan2: { items: [{ activityId: 'museum' }, { activityId: 'pool' }] }
+      };
+      const weather = { daily: { time: ['2026-10-19', '2026-10-20'], weathercode: [2, 63] } };
+      const rainCode = getForecastCode(weather, new Date(2026, 9, 20));
+      return {
+        codes: [getForecastCode(weather, new Date(2026, 9, 19)), rainCode, getForecastCode(weather, new Date(2026, 9, 21))],
+        dry: getWeatherPlan(day, { activities, weatherCode: 2 }),
+        wet: getWeatherPlan(day, { activities, weatherCode: rainCode }),
+        overridden: getWeatherPlan(day, { activities, weatherCode: rainCode, override: 'mainPlan' }),
+        indoorDay: getWeatherPlan({ day: 2, mainPlan: { items: [{ activityId: 'museum' }] }, alternativePlan: { items: [{ activityId: 'park' }] } }, { activities, weatherCode: 80 })
+      };
+    });
+
+    expect(result.codes).toEqual([2, 63, null]);
+    expect(result.dry).toEqual({ planKey: 'mainPlan', wet: false, rainPlanKey: 'alternativePlan2', overridden: false });
+    expect(result.wet).toEqual({ planKey: 'alternativePlan2', wet: true, rainPlanKey: 'alternativePlan2', overridden: false });
+    expect(result.overridden).toEqual({ planKey: 'mainPlan', wet: true, rainPlanKey: 'alternativePlan2', overridden: true });
+    expect(result.indoorDay).toEqual({ planKey: 'mainPlan', wet: true, rainPlanKey: null, overridden: false });
+  });
+
+  test('should read an AI day plan and put it in as a new day or in place of one', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { parseAiDayPlan, applyAiDayPlan } = await import('/js/itinerary.js');
+      const activities = [{ id: 'zoo', name: 'גן חיות' }];
+      const reply = 'הנה התוכנית:\n```json\n' + JSON.stringify({
+        title: 'יום של חיות',
+        items: [
+          { time: '9:30', activityId: 'zoo' },
+          { time: '12:00', description: 'פיקניק' },
+          { time: '14:00', newActivity: { name: 'Bains des Pâquis', category: 'חוץ', lat: '46.21', lon: 6.155, time: '15' } },
+          { time: '16:00', newActivity: { name: 'גן חיות' } },
+          { activityId: 'missing', description: 'גלידה' },
+          { time: 'soon' }
+        ]
+      }) + '\n```';
+      const plan = parseAiDayPlan(reply, activities, { idPrefix: 'ai-1' });
+      const itinerary = [{ day: 1, dayName: 'יום 1', date: '2026-10-19', title: 'ישן', mainPlan: { items: [{ description: 'x' }] }, alternativePlan: { items: [{ description: 'y' }] } }];
+      let invalid = null;
+      try {
+        parseAiDayPlan('סליחה, לא הצלחתי', activities);
+      } catch (error) {
+        invalid = error.message;
+      }
+      return { plan, added: applyAiDayPlan(itinerary, plan)[1], replaced: applyAiDayPlan(itinerary, plan, '1')[0], invalid };
+    });
+
+    expect(result.plan.items).toEqual([
+      { activityId: 'zoo', time: '09:30' },
+      { description: 'פיקניק', time: '12:00' },
+      { activityId: 'ai-1-1', time: '14:00' },
+      // A "new" activity the guide already has is the known one
+      { activityId: 'zoo', time: '16:00' },
+      { description: 'גלידה' }
+    ]);
+    expect(result.plan.newActivities).toEqual([
+      { name: 'Bains des Pâquis', category: 'חוץ', lat: 46.21, lon: 6.155, time: 15, id: 'ai-1-1', generated: true }
+    ]);
+    expect(result.added).toMatchObject({ day: 2, dayName: 'יום 2', title: 'יום של חיות', mainPlan: { items: result.plan.items } });
+    expect(result.replaced).toMatchObject({ day: 1, date: '2026-10-19', title: 'יום של חיות', alternativePlan: { items: [{ description: 'y' }] } });
+    expect(result.replaced.mainPlan.items).toEqual(result.plan.items);
+    expect(result.invalid).toBeTruthy();
+  });
+
+  test('should keep AI day plan text as written and drop unknown activity fields', async ({ page }) => {
+    const plan = await page.evaluate(async () => {
+      const { parseAiDayPlan } = await import('/js/itinerary.js');
+      return parseAiDayPlan(JSON.stringify({
+        title: '<b>יום</b> בעיר',
+        items: [
+          { time: '10:00', description: 'קפה <script>alert(1)</script>' },
+          {
+            time: '12:00',
+            newActivity: {
+              name: '<img src=x onerror=alert(1)>Café "Bleu"',
+              address: "Rue d'Italie",
+              lat: 46.2,
+              lon: 6.15,
+              image: 'x" onerror="alert(1)',
+              whatToBring: ['<i>כובע</i>']
+            }
+          }
+        ]
+      }), [], { idPrefix: 'ai-2' });
+    });
+
+    expect(plan.title).toBe('<b>יום</b> בעיר');
+    expect(plan.items[0]).toEqual({ description: 'קפה <script>alert(1)</script>', time: '10:00' });
+    // Only the fields a generated activity has are kept; the text is escaped where it is rendered
+    expect(plan.newActivities).toEqual([{
+      name: '<img src=x onerror=alert(1)>Café "Bleu"',
+      address: "Rue d'Italie",
+      lat: 46.2,
+      lon: 6.15,
+      whatToBring: ['<i>כובע</i>'],
+      id: 'ai-2-1',
+      category: 'משפחתי',
+      time: null,
+      generated: true
+    }]);
+  });
+});
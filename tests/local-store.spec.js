@@ -0,0 +1,81 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+// Demo mode runs entirely on the local data store - these tests use a scratch key prefix
+test.describe('Local Data Store Tests', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+  });
+
+  test('should apply updates with dotted paths and field operations', async ({ page }) => {
+    const data = await page.evaluate(async () => {
+      const { createLocalStore } = await import('/js/local-store.js');
+      const store = createLocalStore({ prefix: `test-${Date.now()}:` });
+      await store.set('trips/a', { packingListData: { clothes: [{ name: 'כובע' }] }, interactivePacking: [] });
+      await store.update('trips/a', {
+        'packingListData.clothes': [{ name: 'כובע', checked: true }],
+        'packingListData.toys': { __op: 'arrayUnion', values: ['כדור'] }
+      });
+      await store.arrayAppend('trips/a', 'interactivePacking', { name: 'מטריה' });
+      await store.arrayAppend('trips/a', 'interactivePacking', { name: 'מטריה' });
+      return store.get('trips/a');
+    });
+
+    expect(data.packingListData.clothes).toEqual([{ name: 'כובע', checked: true }]);
+    expect(data.packingListData.toys).toEqual(['כדור']);
+    expect(data.interactivePacking).toEqual([{ name: 'מטריה' }]);
+  });
+
+  test('should restore items with their original creation time', async ({ page }) => {
+    const data = await page.evaluate(async () => {
+      const { createLocalStore } = await import('/js/local-store.js');
+      const store = createLocalStore({ prefix: `test-${Date.now()}:` });
+      await store.set('trips/a/notes/n1', { content: 'note', pinned: true, createdAt: { __op: 'timestamp', millis: 1700000000000 } });
+      return store.get('trips/a/notes/n1');
+    });
+
+    expect(data).toEqual({ content: 'note', pinned: true, createdAt: 1700000000000 });
+  });
+
+  test('should reject updates to a missing document', async ({ page }) => {
+    const code = await page.evaluate(async () => {
+      const { createLocalStore } = await import('/js/local-store.js');
+      const store = createLocalStore({ prefix: `test-${Date.now()}:` });
+      return store.update('trips/missing', { name: 'x' }).then(() => null, error => error.code);
+    });
+
+    expect(code).toBe('not-found');
+  });
+
+  test('should notify collection subscribers newest first', async ({ page }) => {
+    const snapshots = await page.evaluate(async () => {
+      const { createLocalStore } = await import('/js/local-store.js');
+      const store = createLocalStore({ prefix: `test-${Date.now()}:` });
+      const received = [];
+      store.subscribeCollection('trips/a/notes', { limit: 2 }, items => received.push(items.map(item => item.content)));
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      await store.set('trips/a/notes/n1', { content: 'first', createdAt: 1 });
+      await store.set('trips/a/notes/n2', { content: 'second', createdAt: 2 });
+      await store.set('trips/a/notes/n3', { content: 'third', createdAt: 3 });
+      await store.remove('trips/a/notes/n3');
+      return received;
+    });
+
+    expect(snapshots).toEqual([[], ['first'], ['second', 'first'], ['third', 'second'], ['second', 'first']]);
+  });
+
+  test('should keep uploaded files in IndexedDB', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createLocalStore, readLocalFile } = await import('/js/local-store.js');
+      const store = createLocalStore({ prefix: `test-${Date.now()}:` });
+      const url = await store.upload('trip-photos/test/photo 1.png', new Blob(['png-bytes'], { type: 'image/png' }));
+      const blob = await readLocalFile('trip-photos/test/photo 1.png');
+      return { url, type: blob.type, text: await blob.text() };
+    });
+
+    expect(result.url).toBe('/local-files/trip-photos/test/photo%201.png');
+    expect(result.type).toBe('image/png');
+    expect(result.text).toBe('png-bytes');
+  });
+});
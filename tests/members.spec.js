@@ -0,0 +1,95 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+const adiAccess = { name: 'עדי', role: 'member', rosterIndex: 1 };
+const savtaAccess = { name: 'סבתא', role: 'viewer', rosterIndex: 2 };
+const claimedTrip = { name: 'טיול', createdBy: 'organizer-uid' };
+
+// Role resolution and invite checks are pure - these tests run them directly on sample records
+test.describe('Family Member Tests', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+  });
+
+  test('should link email-link users to their roster access entry', async ({ page }) => {
+    const member = await page.evaluate(async ({ access, registry }) => {
+      const { resolveNewMember } = await import('/js/members.js');
+      return resolveNewMember({ uid: 'u1', email: 'Adi@Example.com', emailVerified: true, isAnonymous: false }, access, registry);
+    }, { access: adiAccess, registry: claimedTrip });
+
+    expect(member).toEqual({ uid: 'u1', name: 'עדי', email: 'adi@example.com', role: 'member', rosterIndex: 1 });
+  });
+
+  test('should only link passcode users once they confirmed their address', async ({ page }) => {
+    const members = await page.evaluate(async ({ savta, registry }) => {
+      const { resolveNewMember } = await import('/js/members.js');
+      return [
+        // Entries opened for passcodes before addresses had to be confirmed
+        resolveNewMember({ uid: 'u2', email: 'savta@example.com', emailVerified: false, isAnonymous: false }, { ...savta, passcode: true }, registry),
+        resolveNewMember({ uid: 'u3', email: 'savta@example.com', emailVerified: true, isAnonymous: false }, savta, registry)
+      ];
+    }, { savta: savtaAccess, registry: claimedTrip });
+
+    expect(members[0]).toBeNull();
+    expect(members[1]).toMatchObject({ name: 'סבתא', role: 'viewer', rosterIndex: 2 });
+  });
+
+  test('should make only the creator of a trip its organizer', async ({ page }) => {
+    const result = await page.evaluate(async (registry) => {
+      const { resolveNewMember } = await import('/js/members.js');
+      const user = (uid, isAnonymous = false) => ({ uid, email: isAnonymous ? null : `${uid}@example.com`, emailVerified: !isAnonymous, isAnonymous });
+      return {
+        unclaimed: resolveNewMember(user('u4'), null, null),
+        creator: resolveNewMember(user('organizer-uid'), null, registry),
+        stranger: resolveNewMember(user('u5'), null, registry),
+        anonymous: resolveNewMember(user('u6', true), null, null)
+      };
+    }, claimedTrip);
+
+    // Trips that predate the registry cannot be claimed by whoever comes first
+    expect(result.unclaimed).toBeNull();
+    expect(result.creator.role).toBe('organizer');
+    expect(result.stranger).toBeNull();
+    expect(result.anonymous).toBeNull();
+  });
+
+  test('should reject revoked, expired and unknown invites', async ({ page }) => {
+    const problems = await page.evaluate(async () => {
+      const { getInviteProblem } = await import('/js/members.js');
+      const now = Date.now();
+      return [
+        getInviteProblem({ role: 'member', revoked: false, expiresAt: now + 1000 }, now),
+        getInviteProblem({ role: 'member', revoked: true, expiresAt: now + 1000 }, now),
+        getInviteProblem({ role: 'member', revoked: false, expiresAt: { toMillis: () => now - 1 } }, now),
+        getInviteProblem({ role: 'admin', revoked: false, expiresAt: now + 1000 }, now),
+        getInviteProblem(null, now)
+      ];
+    });
+
+    expect(problems).toEqual([null, 'revoked', 'expired', 'not-found', 'not-found']);
+  });
+
+  test('should generate invite codes that survive being typed back', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { generateInviteCode, normalizeInviteCode } = await import('/js/members.js');
+      const code = generateInviteCode();
+      return { code, typed: normalizeInviteCode(` ${code.slice(0, 4).toLowerCase()}-${code.slice(4)} `) };
+    });
+
+    expect(result.code).toMatch(/^[A-HJ-NP-Z2-9]{8}$/);
+    expect(result.typed).toBe(result.code);
+  });
+
+  test('should keep a roster email inside its input', async ({ page }) => {
+    const field = await page.evaluate(async () => {
+      const { useLocalMember, getCurrentMember } = await import('/js/members.js');
+      const { renderMembersPanel } = await import('/js/ui.js');
+      useLocalMember();
+      renderMembersPanel(getCurrentMember(), [], [{ name: 'סבתא', email: 'savta@example.com" autofocus onfocus="alert(1)' }]);
+      const input = document.querySelector('#members-roster .roster-email-input');
+      return { value: input?.getAttribute('value'), onfocus: input?.hasAttribute('onfocus') };
+    });
+
+    expect(field).toEqual({ value: 'savta@example.com" autofocus onfocus="alert(1)', onfocus: false });
+  });
+});
@@ -0,0 +1,53 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+test.describe('Now & Next Tests', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+  });
+
+  test('should find today\'s trip day and the current and next items with the leave-by time', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { findTripDay, getNowAndNext, formatCountdown } = await import('/js/now-next.js');
+      const { getFamilyRoutine } = await import('/js/routine.js');
+      const activities = [
+        { id: 'museum', name: 'מוזיאון', time: 20, duration: '2 שעות', lat: 46.2, lon: 6.15 },
+        { id: 'zoo', name: 'גן חיות', time: 30, duration: 'שעה', lat: 46.25, lon: 6.2 }
+      ];
+      const itinerary = [
+        { day: 1, dayName: 'יום 1' },
+        { day: 2, dayName: 'יום 2', mainPlan: { items: [{ activityId: 'museum', time: '10:00' }, { activityId: 'zoo' }] } }
+      ];
+      const day = findTripDay(itinerary, '2026-10-19', '2026-10-20');
+      const at = minutes => {
+        const { current, next, startsIn, leaveBy } = getNowAndNext(day, { activities, routine: getFamilyRoutine({}), minutes });
+        return { current: current?.name ?? null, next: next?.name ?? null, startsIn, leaveBy };
+      };
+      return {
+        dayName: day?.dayName,
+        outsideTrip: findTripDay(itinerary, '2026-10-19', '2026-10-25'),
+        morning: at(9 * 60),
+        museum: at(11 * 60),
+        evening: at(16 * 60),
+        countdowns: [45, 60, 80].map(formatCountdown)
+      };
+    });
+
+    expect(result.dayName).toBe('יום 2');
+    expect(result.outsideTrip).toBeNull();
+    // The museum has its own time; the zoo gets the routine planner's 13:15, after lunch
+    expect(result.morning).toEqual({ current: null, next: 'מוזיאון', startsIn: 60, leaveBy: 9 * 60 + 40 });
+    expect(result.museum).toEqual({ current: 'מוזיאון', next: 'גן חיות', startsIn: 135, leaveBy: 12 * 60 + 45 });
+    expect(result.evening).toEqual({ current: null, next: null, startsIn: null, leaveBy: null });
+    expect(result.countdowns).toEqual(["45 דק'", 'שעה', '1:20 שעות']);
+  });
+
+  test('should read the time of day on Geneva time', async ({ page }) => {
+    const clocks = await page.evaluate(async () => {
+      const { getZonedClock } = await import('/js/calendar.js');
+      return [getZonedClock(new Date(Date.UTC(2026, 9, 19, 22, 30))), getZonedClock(new Date(Date.UTC(2026, 6, 1, 10, 5)))];
+    });
+
+    expect(clocks).toEqual([{ dateKey: '2026-10-20', minutes: 30 }, { dateKey: '2026-07-01', minutes: 12 * 60 + 5 }]);
+  });
+});
@@ -0,0 +1,131 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+// Opening hours are read without the clock - these tests pass the weekday, date or Geneva clock explicitly
+test.describe('Opening Hours Tests', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+  });
+
+  test('should resolve the hours of a weekday from day ranges and Everyday', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { getOpeningRanges } = await import('/js/opening-hours.js');
+      const museum = { 'Tuesday-Sunday': '10:00-18:00' };
+      const zoo = { Everyday: '09:00-17:00', Monday: 'סגור' };
+      const lunchBreak = { 'Fri-Mon': '09:00-12:00, 14:00-18:00' };
+      return {
+        museumMonday: getOpeningRanges(museum, 1),
+        museumSunday: getOpeningRanges(museum, 0),
+        zooMonday: getOpeningRanges(zoo, 1),
+        zooWednesday: getOpeningRanges(zoo, 3),
+        lunchBreakSunday: getOpeningRanges(lunchBreak, 0),
+        lunchBreakWednesday: getOpeningRanges(lunchBreak, 3),
+        unknown: getOpeningRanges({ Everyday: 'לפי עונה' }, 3),
+        missing: getOpeningRanges(null, 3)
+      };
+    });
+
+    expect(result.museumMonday).toEqual([]);
+    expect(result.museumSunday).toEqual([[600, 1080]]);
+    expect(result.zooMonday).toEqual([]);
+    expect(result.zooWednesday).toEqual([[540, 1020]]);
+    expect(result.lunchBreakSunday).toEqual([[540, 720], [840, 1080]]);
+    expect(result.lunchBreakWednesday).toEqual([]);
+    expect(result.unknown).toBeNull();
+    expect(result.missing).toBeNull();
+  });
+
+  test('should read Hebrew and French days, plain strings, 24/7, seasons and Geneva holidays', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { getOpeningRangesOn, getGenevaHolidays } = await import('/js/opening-hours.js');
+      const hebrew = { 'ראשון עד חמישי': '9:00-12:00, 14:00-18:00', "ו'": '9-13', 'שבת': 'סגור' };
+      const french = { 'lundi au vendredi': '9h-18h', 'samedi et dimanche': '10h30-17h', 'jours fériés': 'fermé' };
+      const seasonal = { Everyday: '10:00-18:00 (July-August: 9-20)' };
+      return {
+        // 2026-10-18 is a Sunday
+        hebrew: ['2026-10-18', '2026-10-23', '2026-10-24'].map(date => getOpeningRangesOn(hebrew, date)),
+        french: ['2026-10-19', '2026-10-18'].map(date => getOpeningRangesOn(french, date)),
+        plain: getOpeningRangesOn('9:00-18:00', '2026-10-19'),
+        allDay: getOpeningRangesOn({ Everyday: '24/7' }, '2026-10-19'),
+        seasonal: ['2026-07-15', '2026-10-19'].map(date => getOpeningRangesOn(seasonal, date)),
+        // The Jeûne genevois, a Thursday
+        fastDay: getOpeningRangesOn(french, '2026-09-10'),
+        holidays: getGenevaHolidays(2026).map(holiday => holiday.dateKey)
+      };
+    });
+
+    expect(result.hebrew).toEqual([[[540, 720], [840, 1080]], [[540, 780]], []]);
+    expect(result.french).toEqual([[[540, 1080]], [[630, 1020]]]);
+    expect(result.plain).toEqual([[540, 1080]]);
+    expect(result.allDay).toEqual([[0, 1440]]);
+    expect(result.seasonal).toEqual([[[540, 1200]], [[600, 1080]]]);
+    expect(result.fastDay).toEqual([]);
+    expect(result.holidays).toEqual([
+      '2026-01-01', '2026-04-03', '2026-04-06', '2026-05-14', '2026-05-25',
+      '2026-08-01', '2026-09-10', '2026-12-25', '2026-12-31'
+    ]);
+  });
+
+  test('should read spaced and dotted day ranges, am/pm times and plural day names', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { getOpeningRangesOn } = await import('/js/opening-hours.js');
+      const dotted = { 'lun.-ven.': '9h-18h' };
+      const spaced = { 'Monday - Friday': '10am-6pm' };
+      const dashed = { 'Mon \u2013 Fri': '9:30am-12pm, 1-5pm' };
+      const closedOnMondays = { Everyday: '10:00-18:00 (closed on Mondays)' };
+      return {
+        // 2026-10-21 is a Wednesday
+        dotted: ['2026-10-21', '2026-10-24'].map(date => getOpeningRangesOn(dotted, date)),
+        spaced: getOpeningRangesOn(spaced, '2026-10-21'),
+        dashed: getOpeningRangesOn(dashed, '2026-10-21'),
+        closedOnMondays: ['2026-10-19', '2026-10-21'].map(date => getOpeningRangesOn(closedOnMondays, date)),
+        lundis: getOpeningRangesOn({ Everyday: '10h-18h (fermé les lundis)' }, '2026-10-19')
+      };
+    });
+
+    expect(result.dotted).toEqual([[[540, 1080]], []]);
+    expect(result.spaced).toEqual([[600, 1080]]);
+    // '1-5pm' starts in the afternoon, like its end
+    expect(result.dashed).toEqual([[570, 720], [780, 1020]]);
+    expect(result.closedOnMondays).toEqual([[], [[600, 1080]]]);
+    expect(result.lundis).toEqual([]);
+  });
+
+  test('should leave out the days named after except, sauf and חוץ מ', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { getOpeningRangesOn } = await import('/js/opening-hours.js');
+      const labels = ['Daily except Monday 10-18', 'Tous les jours sauf le lundi 10h-18h', 'כל יום חוץ מיום שני 10:00-18:00'];
+      // 2026-10-19 is a Monday
+      return {
+        labels: labels.map(hours => ['2026-10-19', '2026-10-21'].map(date => getOpeningRangesOn(hours, date))),
+        weekdays: ['2026-10-20', '2026-10-21'].map(date => getOpeningRangesOn({ 'Mon-Fri except Wednesday': '9-17' }, date))
+      };
+    });
+
+    result.labels.forEach(ranges => expect(ranges).toEqual([[], [[600, 1080]]]));
+    expect(result.weekdays).toEqual([[[540, 1020]], []]);
+  });
+
+  test('should tell whether a place is open and when it next opens', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { isOpenAt, getNextOpening, getOpenStatus } = await import('/js/opening-hours.js');
+      const museum = { 'Tue-Sun': '10:00-17:00', holidays: 'closed' };
+      const bar = { Everyday: '18:00-02:00' };
+      return {
+        // Monday 2026-10-19, 10:00 and 01:00
+        museumMonday: isOpenAt(museum, { dateKey: '2026-10-19', minutes: 600 }),
+        barAfterMidnight: isOpenAt(bar, { dateKey: '2026-10-19', minutes: 60 }),
+        unknown: isOpenAt({ Everyday: 'לפי עונה' }, { dateKey: '2026-10-19', minutes: 600 }),
+        // Wednesday evening before the Jeûne genevois
+        afterFastDay: getNextOpening(museum, { dateKey: '2026-09-09', minutes: 1080 }),
+        barStatus: getOpenStatus(bar, { dateKey: '2026-10-19', minutes: 1200 })
+      };
+    });
+
+    expect(result.museumMonday).toBe(false);
+    expect(result.barAfterMidnight).toBe(true);
+    expect(result.unknown).toBeNull();
+    expect(result.afterFastDay).toEqual({ dateKey: '2026-09-11', minutes: 600 });
+    expect(result.barStatus).toEqual({ open: true, closesAt: 1560, opensAt: null, holiday: null });
+  });
+});
@@ -0,0 +1,58 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+test.describe('Print Sheets Tests', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+  });
+
+  test('should fit the day\'s stops on a map snippet', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { getMapSnippet } = await import('/js/print.js');
+      return {
+        pair: getMapSnippet([[46.2, 6.15], [46.25, 6.2]], { width: 480, height: 260 }),
+        single: getMapSnippet([[46.2, 6.15]], { width: 480, height: 260 }),
+        none: getMapSnippet([], { width: 480, height: 260 })
+      };
+    });
+
+    expect(result.pair.zoom).toBe(11);
+    expect(result.pair.markers.map(marker => marker.label)).toEqual(['1', '2']);
+    result.pair.markers.forEach(marker => {
+      expect(marker.left).toBeGreaterThan(0);
+      expect(marker.left).toBeLessThan(480);
+      expect(marker.top).toBeGreaterThan(0);
+      expect(marker.top).toBeLessThan(260);
+    });
+    expect(result.pair.tiles[0].url).toMatch(/^https:\/\/tile\.openstreetmap\.org\/11\/\d+\/\d+\.png$/);
+    expect(result.single.zoom).toBe(15);
+    expect(result.single.markers).toEqual([{ left: 240, top: 130, label: '1' }]);
+    expect(result.none).toBeNull();
+  });
+
+  test('should print a day sheet with hours of that weekday, what to bring and contacts', async ({ page }) => {
+    const html = await page.evaluate(async () => {
+      const { renderDaySheet } = await import('/js/print.js');
+      const data = {
+        activitiesData: [{
+          id: 'zoo', name: 'גן חיות', lat: 46.2, lon: 6.15, address: 'Route de Lausanne', transport: 'אוטובוס 1', time: 20,
+          whatToBring: ['כובע', 'מים'], openingHours: { Monday: 'סגור', Everyday: '09:00-18:00' }
+        }],
+        hotelData: { name: 'Mercure', phone: '+41 22 989 90 00' }
+      };
+      const day = { day: 2, dayName: 'יום 2', mainPlan: { items: [{ activityId: 'zoo', time: '10:00' }, { description: '<b>גלידה</b>' }] } };
+      // Day 2 of a trip starting on Sunday 24/08/2025 is a Monday
+      return renderDaySheet(day, data, '2025-08-24');
+    });
+
+    expect(html).toContain('(1) גן חיות');
+    expect(html).toContain('Route de Lausanne');
+    expect(html).toContain('אוטובוס 1 · 20 דק\'');
+    expect(html).toContain('סגור ביום זה');
+    expect(html).toContain('כובע, מים');
+    expect(html).toContain('&lt;b&gt;גלידה&lt;/b&gt;');
+    expect(html).toContain('+41 22 989 90 00');
+    expect(html).toContain('112');
+    expect(html).toContain('class="print-map"');
+  });
+});
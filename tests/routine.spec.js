@@ -0,0 +1,78 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+test.describe('Family Routine Tests', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+  });
+
+  test('should plan a day around lunch and a stroller nap, or go back to the hotel for it', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { getFamilyRoutine, planDay } = await import('/js/routine.js');
+      const { formatTimeOfDay } = await import('/js/opening-hours.js');
+      const activities = [
+        { id: 'museum', name: 'מוזיאון', time: 20, duration: '2 שעות', lat: 46.2, lon: 6.15 },
+        { id: 'zoo', name: 'גן חיות', time: 30, duration: 'שעה', lat: 46.25, lon: 6.2 }
+      ];
+      const day = { day: 1, mainPlan: { items: [{ activityId: 'museum' }, { activityId: 'zoo' }] } };
+      const summarize = plan => ({
+        blocks: plan.blocks.map(block => `${formatTimeOfDay(block.start)} ${block.kind}${block.napFriendly ? ' stroller' : ''}`),
+        itemTimes: plan.itemTimes
+      });
+      return {
+        stroller: summarize(planDay(day, { activities, routine: getFamilyRoutine({}) })),
+        hotel: summarize(planDay(day, {
+          activities,
+          routine: getFamilyRoutine({ familyRoutine: { children: [{ name: 'בר', age: 2, strollerNaps: false }] } })
+        }))
+      };
+    });
+
+    expect(result.stroller.blocks).toEqual([
+      '09:00 travel', '09:20 activity', '11:30 meal', '12:45 travel stroller', '13:15 activity', '14:15 travel stroller', '18:00 meal'
+    ]);
+    expect(result.stroller.itemTimes).toEqual({ 0: '09:20', 1: '13:15' });
+    expect(result.hotel.blocks).toEqual([
+      '09:00 travel', '09:20 activity', '11:30 meal', '12:15 travel', '13:00 nap', '15:00 travel', '15:30 activity', '16:30 travel', '18:00 meal'
+    ]);
+  });
+
+  test('should default the routine from the family and describe it for prompts', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { getFamilyRoutine, getFamilyBedtime, describeChildren, describeRoutine } = await import('/js/routine.js');
+      const { CONFIG } = await import('/js/config.js');
+      const defaults = getFamilyRoutine({});
+      const custom = getFamilyRoutine({
+        familyRoutine: { children: [{ name: 'נועה', age: 4, naps: [], bedtime: '20:00' }, { name: 'איתי', age: 1, bedtime: '19:00' }] }
+      });
+      return {
+        kids: CONFIG.FAMILY.KIDS,
+        defaultNames: defaults.children.map(child => child.name),
+        defaultBedtime: getFamilyBedtime(defaults),
+        customBedtime: getFamilyBedtime(custom),
+        children: describeChildren(custom),
+        routine: describeRoutine(custom)
+      };
+    });
+
+    expect(result.defaultNames).toEqual(result.kids);
+    expect(result.defaultBedtime).toBe('19:30');
+    expect(result.customBedtime).toBe('19:00');
+    expect(result.children).toBe('נועה (גיל 4) ואיתי (גיל 1)');
+    expect(result.routine).toContain('נועה (גיל 4): בלי שנ"צ');
+    expect(result.routine).toContain('איתי (גיל 1): שנ"צ 13:00-15:00 (נרדם/ת בעגלה)');
+  });
+
+  test('should keep a child name inside its input', async ({ page }) => {
+    const field = await page.evaluate(async () => {
+      const { renderRoutineEditor } = await import('/js/ui.js');
+      const { getFamilyRoutine } = await import('/js/routine.js');
+      const name = 'נועה" autofocus onfocus="alert(1)';
+      renderRoutineEditor(getFamilyRoutine({ familyRoutine: { children: [{ name, age: 4, bedtime: '20:00' }] } }));
+      const input = document.querySelector('#routine-modal-content .routine-input[data-field="name"]');
+      return { value: input?.getAttribute('value'), onfocus: input?.hasAttribute('onfocus') };
+    });
+
+    expect(field).toEqual({ value: 'נועה" autofocus onfocus="alert(1)', onfocus: false });
+  });
+});
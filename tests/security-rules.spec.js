@@ -0,0 +1,220 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+// Runs against the Firestore and Storage emulators loaded with firestore.rules and storage.rules:
+//   npm run test:rules
+// Each test works on its own trip id, so tests never see each other's documents.
+const FIRESTORE_HOST = process.env.FIRESTORE_EMULATOR_HOST;
+const STORAGE_HOST = process.env.FIREBASE_STORAGE_EMULATOR_HOST;
+const PROJECT_ID = 'demo-geneva-guide';
+const BUCKET = `${PROJECT_ID}.appspot.com`;
+const DOCUMENTS = `projects/${PROJECT_ID}/databases/(default)/documents`;
+const DAY = 24 * 60 * 60 * 1000;
+
+const newTripId = () => `rules-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+const tripPath = (tripId) => `artifacts/${tripId}/public/genevaGuide`;
+
+// The emulators accept unsigned ID tokens
+function idToken(uid, { email = null, emailVerified = false, provider = 'password' } = {}) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const now = Math.floor(Date.now() / 1000);
+  return `${encode({ alg: 'none', typ: 'JWT' })}.${encode({
+    iss: `https://securetoken.google.com/${PROJECT_ID}`,
+    aud: PROJECT_ID,
+    iat: now,
+    exp: now + 3600,
+    auth_time: now,
+    sub: uid,
+    user_id: uid,
+    ...(email ? { email, email_verified: emailVerified } : {}),
+    firebase: { sign_in_provider: provider, identities: {} }
+  })}.`;
+}
+
+function toValue(value) {
+  if (value === null) return { nullValue: null };
+  if (value instanceof Date) return { timestampValue: value.toISOString() };
+  if (typeof value === 'boolean') return { booleanValue: value };
+  if (Array.isArray(value)) return { arrayValue: { values: value.map(toValue) } };
+  if (Number.isInteger(value)) return { integerValue: String(value) };
+  if (typeof value === 'number') return { doubleValue: value };
+  if (typeof value === 'object') return { mapValue: { fields: toFields(value) } };
+  return { stringValue: String(value) };
+}
+
+function toFields(data) {
+  return Object.fromEntries(Object.entries(data).map(([key, value]) => [key, toValue(value)]));
+}
+
+/**
+ * Writes a document as `token` ('owner' bypasses the rules). Fields listed in serverTimestamps
+ * are set to the request time, like fieldOps.serverTimestamp() in the app.
+ * @returns {Promise<number>} HTTP status.
+ */
+async function write(request, token, path, data, serverTimestamps = []) {
+  const response = await request.post(`http://${FIRESTORE_HOST}/v1/${DOCUMENTS}:commit`, {
+    headers: { Authorization: `Bearer ${token}` },
+    data: {
+      writes: [{
+        update: { name: `${DOCUMENTS}/${path}`, fields: toFields(data) },
+        updateTransforms: serverTimestamps.map(fieldPath => ({ fieldPath, setToServerValue: 'REQUEST_TIME' }))
+      }]
+    }
+  });
+  return response.status();
+}
+
+// Lists the trip registry the way the trip selector does, or without a filter when uid is null
+async function listTrips(request, token, uid) {
+  const response = await request.post(`http://${FIRESTORE_HOST}/v1/${DOCUMENTS}:runQuery`, {
+    headers: { Authorization: `Bearer ${token}` },
+    data: {
+      structuredQuery: {
+        from: [{ collectionId: 'trips' }],
+        ...(uid ? { where: { fieldFilter: { field: { fieldPath: 'memberUids' }, op: 'ARRAY_CONTAINS', value: { stringValue: uid } } } } : {})
+      }
+    }
+  });
+  const results = response.ok() ? await response.json() : [];
+  return { status: response.status(), ids: results.filter(result => result.document).map(result => result.document.name.split('/').pop()) };
+}
+
+async function read(request, token, path) {
+  const response = await request.get(`http://${FIRESTORE_HOST}/v1/${DOCUMENTS}/${path}`, {
+    headers: { Authorization: `Bearer ${token}` }
+  });
+  return response.status();
+}
+
+// A trip with an organizer, a member and a viewer
+async function seedTrip(request) {
+  const tripId = newTripId();
+  await write(request, 'owner', `trips/${tripId}`, { name: 'טיול', createdBy: 'organizer', memberUids: ['organizer'] });
+  await write(request, 'owner', tripPath(tripId), { tripName: 'טיול', familyData: [] });
+  for (const role of ['organizer', 'member', 'viewer']) {
+    await write(request, 'owner', `${tripPath(tripId)}/members/${role}`, { name: role, email: null, role, rosterIndex: -1 });
+  }
+  return tripId;
+}
+
+test.describe('Security Rules Tests', () => {
+  test.skip(!FIRESTORE_HOST, 'Needs the Firestore emulator - run with npm run test:rules');
+
+  test('should keep trips private to their members', async ({ request }) => {
+    const tripId = await seedTrip(request);
+    const stranger = idToken('stranger', { email: 'stranger@example.com', emailVerified: true });
+
+    expect(await read(request, stranger, tripPath(tripId))).toBe(403);
+    expect(await read(request, stranger, `${tripPath(tripId)}/notes/n1`)).toBe(403);
+    expect(await read(request, idToken('viewer'), tripPath(tripId))).toBe(200);
+    expect(await write(request, idToken('viewer'), `${tripPath(tripId)}/notes/n1`, { content: 'x' })).toBe(403);
+    expect(await write(request, idToken('member'), `${tripPath(tripId)}/notes/n1`, { content: 'x' })).toBe(200);
+  });
+
+  test('should not let members change roles or invite', async ({ request }) => {
+    const tripId = await seedTrip(request);
+    const member = idToken('member');
+
+    expect(await write(request, member, `${tripPath(tripId)}/members/member`, { name: 'member', email: null, role: 'organizer', rosterIndex: -1 })).toBe(403);
+    expect(await write(request, member, `${tripPath(tripId)}/invites/ABCDEFGH`, {
+      role: 'organizer', createdBy: 'member', revoked: false, expiresAt: new Date(Date.now() + DAY)
+    })).toBe(403);
+    expect(await write(request, idToken('organizer'), `${tripPath(tripId)}/members/member`, { name: 'member', email: null, role: 'viewer', rosterIndex: -1 })).toBe(200);
+  });
+
+  test('should let anyone with a valid invite join with its role', async ({ request }) => {
+    const tripId = await seedTrip(request);
+    const invites = `${tripPath(tripId)}/invites`;
+    await write(request, idToken('organizer'), `${invites}/GOODCODE`, { role: 'member', createdBy: 'organizer', revoked: false, expiresAt: new Date(Date.now() + DAY) });
+    await write(request, 'owner', `${invites}/OLDCODE2`, { role: 'member', createdBy: 'organizer', revoked: false, expiresAt: new Date(Date.now() - DAY) });
+    await write(request, 'owner', `${invites}/REVOKED2`, { role: 'member', createdBy: 'organizer', revoked: true, expiresAt: new Date(Date.now() + DAY) });
+
+    const join = (uid, inviteCode, role = 'member') => write(request, idToken(uid, { provider: 'anonymous' }),
+      `${tripPath(tripId)}/members/${uid}`, { name: 'סבתא', email: null, role, rosterIndex: -1, inviteCode }, ['joinedAt']);
+
+    expect(await join('late', 'OLDCODE2')).toBe(403);
+    expect(await join('late', 'REVOKED2')).toBe(403);
+    expect(await join('greedy', 'GOODCODE', 'organizer')).toBe(403);
+    expect(await join('savta', 'GOODCODE')).toBe(200);
+    expect(await read(request, idToken('savta', { provider: 'anonymous' }), tripPath(tripId))).toBe(200);
+  });
+
+  test('should link roster emails only when the address is proven', async ({ request }) => {
+    const tripId = await seedTrip(request);
+    const access = `${tripPath(tripId)}/access`;
+    await write(request, idToken('organizer'), `${access}/adi@example.com`, { name: 'עדי', role: 'member', rosterIndex: 1 });
+    // Entries used to be opened to unverified passcode accounts with this flag
+    await write(request, 'owner', `${access}/savta@example.com`, { name: 'סבתא', role: 'viewer', passcode: true, rosterIndex: 2 });
+
+    const join = (uid, email, role, emailVerified) => write(request, idToken(uid, { email, emailVerified }),
+      `${tripPath(tripId)}/members/${uid}`, { name: uid, email, role, rosterIndex: 1 }, ['joinedAt']);
+
+    expect(await join('unverified', 'adi@example.com', 'member', false)).toBe(403);
+    expect(await join('not-savta', 'savta@example.com', 'viewer', false)).toBe(403);
+    expect(await join('adi', 'adi@example.com', 'member', true)).toBe(200);
+  });
+
+  test('should only register new trips and keep the registry from guests', async ({ request }) => {
+    const tripId = await seedTrip(request);
+    const newTrip = newTripId();
+    const register = (id, uid, provider = 'password') => write(request, idToken(uid, { email: `${uid}@example.com`, provider }), `trips/${id}`, { name: 'טיול', createdBy: uid, memberUids: [uid] });
+
+    // A trip whose data already exists, like one that predates the registry
+    await write(request, 'owner', tripPath(newTrip), { tripName: 'טיול ישן' });
+    expect(await register(newTrip, 'stranger')).toBe(403);
+    expect(await register(newTripId(), 'anon', 'anonymous')).toBe(403);
+    expect(await register(newTripId(), 'dor')).toBe(200);
+
+    // A registry entry without a creator cannot be claimed either
+    await write(request, 'owner', `trips/${newTrip}`, { name: 'טיול ישן' });
+    expect(await write(request, idToken('stranger'), `trips/${newTrip}`, { name: 'טיול ישן', createdBy: 'stranger' })).toBe(403);
+
+    expect(await read(request, idToken('stranger'), `trips/${tripId}`)).toBe(403);
+    expect(await read(request, idToken('viewer'), `trips/${tripId}`)).toBe(200);
+  });
+
+  test('should list only the trips a user belongs to', async ({ request }) => {
+    const tripId = await seedTrip(request);
+    const registry = { name: 'טיול', createdBy: 'organizer', memberUids: ['organizer'] };
+    const stranger = idToken('stranger', { email: 'stranger@example.com' });
+
+    // The whole registry, or someone else's trips, cannot be listed
+    expect((await listTrips(request, stranger, null)).status).toBe(403);
+    expect((await listTrips(request, stranger, 'organizer')).status).toBe(403);
+    expect((await listTrips(request, idToken('guest', { provider: 'anonymous' }), 'guest')).status).toBe(403);
+    expect(await listTrips(request, stranger, 'stranger')).toEqual({ status: 200, ids: [] });
+    expect((await listTrips(request, idToken('organizer'), 'organizer')).ids).toContain(tripId);
+
+    // Members add only themselves, and only to memberUids
+    expect(await write(request, idToken('stranger'), `trips/${tripId}`, { ...registry, memberUids: ['organizer', 'stranger'] })).toBe(403);
+    expect(await write(request, idToken('member'), `trips/${tripId}`, { ...registry, memberUids: ['organizer', 'viewer'] })).toBe(403);
+    expect(await write(request, idToken('member'), `trips/${tripId}`, { ...registry, name: 'שלנו', memberUids: ['organizer', 'member'] })).toBe(403);
+    expect(await write(request, idToken('member'), `trips/${tripId}`, { ...registry, memberUids: ['organizer', 'member'] })).toBe(200);
+    expect((await listTrips(request, idToken('member'), 'member')).ids).toContain(tripId);
+  });
+
+  test('should only let editors log activity under their own name', async ({ request }) => {
+    const tripId = await seedTrip(request);
+    const log = (token, actorUid) => write(request, token, `${tripPath(tripId)}/activity/${actorUid}-entry`, { action: 'note.add', actorUid, actorName: actorUid });
+
+    expect(await log(idToken('stranger'), 'stranger')).toBe(403);
+    expect(await log(idToken('member'), 'viewer')).toBe(403);
+    expect(await log(idToken('viewer'), 'viewer')).toBe(403);
+    expect(await log(idToken('member'), 'member')).toBe(200);
+    expect(await write(request, idToken('member'), `${tripPath(tripId)}/activity/member-entry`, { action: 'note.delete', actorUid: 'member' })).toBe(403);
+  });
+
+  test('should limit photo uploads to editors of the trip', async ({ request }) => {
+    test.skip(!STORAGE_HOST, 'Needs the Storage emulator');
+    const tripId = await seedTrip(request);
+
+    const upload = (uid) => request.post(`http://${STORAGE_HOST}/v0/b/${BUCKET}/o?name=${encodeURIComponent(`trip-photos/${tripId}/${uid}/photo.png`)}`, {
+      headers: { Authorization: `Firebase ${idToken(uid)}`, 'Content-Type': 'image/png' },
+      data: Buffer.from('png-bytes')
+    }).then(response => response.status());
+
+    expect(await upload('stranger')).toBe(403);
+    expect(await upload('viewer')).toBe(403);
+    expect(await upload('member')).toBe(200);
+  });
+});
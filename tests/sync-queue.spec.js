@@ -0,0 +1,150 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+// The queue runs against a fake writer in place of Firestore, in its own IndexedDB database and a
+// fresh copy of the module, so the app's own queue never sees these writes
+async function setUpQueue(page) {
+  await page.evaluate(async () => {
+    const queue = await import(`/js/sync-queue.js?spec=${Math.random()}`);
+    const spec = { queue, server: {}, sent: [], reads: 0, conflicts: [], failed: [], rejectedPaths: [], holdNextWrite: false, held: null, deliver: null };
+    const writer = {
+      apply(record) {
+        spec.sent.push([record.op, record.path, record.data]);
+        if (spec.rejectedPaths.includes(record.path)) {
+          return Promise.reject({ code: 'permission-denied', message: 'Missing or insufficient permissions' });
+        }
+        if (!spec.holdNextWrite) return Promise.resolve();
+        spec.holdNextWrite = false;
+        // Still on its way, as when the SDK keeps retrying a write on a slow connection
+        return new Promise(resolve => {
+          spec.deliver = resolve;
+          spec.held();
+        });
+      },
+      async read(path) {
+        spec.reads++;
+        return spec.server[path] || null;
+      }
+    };
+    queue.initSyncQueue(null, {
+      writer,
+      databaseName: `sync-queue-spec-${Math.random()}`,
+      onConflict: (record, fieldPaths) => spec.conflicts.push(fieldPaths),
+      onFailed: (record, error) => spec.failed.push([record.path, error.code])
+    });
+    await queue.flushQueue();
+    /** @type {any} */ (window).syncSpec = spec;
+  });
+}
+
+test.describe('Sync Queue Tests', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+  });
+
+  test('should replay offline writes in order and keep the server version of fields changed meanwhile', async ({ page, context }) => {
+    await setUpQueue(page);
+    await context.setOffline(true);
+    const pending = await page.evaluate(async () => {
+      const { queue, server } = /** @type {any} */ (window).syncSpec;
+      const { fieldOps } = queue;
+      server['trips/a'] = { packing: [{ name: 'כובע', checked: false }], notes: ['a'] };
+      await queue.enqueueMutation({
+        op: 'update', path: 'trips/a', label: 'אריזה',
+        data: { packing: [{ name: 'כובע', checked: true }] },
+        base: { packing: [{ name: 'כובע', checked: false }] }
+      });
+      await queue.enqueueMutation({
+        op: 'update', path: 'trips/a',
+        data: { notes: fieldOps.arrayUnion('x'), updatedAt: fieldOps.serverTimestamp() },
+        base: { notes: ['a'], updatedAt: null }
+      });
+      await queue.enqueueMutation({ op: 'set', path: 'trips/a/notes/n1', data: { content: 'מטריה' } });
+
+      // Meanwhile someone else repacked, and the second write reached the server before the page closed
+      server['trips/a'] = { packing: [{ checked: false, name: 'כובע' }, { name: 'מטריה', checked: true }], notes: ['a', 'x'], updatedAt: { seconds: 1 } };
+      return queue.getPendingCount();
+    });
+    await context.setOffline(false);
+
+    const result = await page.evaluate(async () => {
+      const { queue, sent, conflicts } = /** @type {any} */ (window).syncSpec;
+      await queue.flushQueue();
+      return { sent, conflicts, pending: queue.getPendingCount() };
+    });
+
+    expect(pending).toBe(3);
+    // Markers are compared by what they do, so the applied arrayUnion and server time are no conflict
+    expect(result.conflicts).toEqual([['packing']]);
+    expect(result.sent).toEqual([
+      ['update', 'trips/a', { notes: { __op: 'arrayUnion', values: ['x'] }, updatedAt: { __op: 'serverTimestamp' } }],
+      ['set', 'trips/a/notes/n1', { content: 'מטריה' }]
+    ]);
+    expect(result.pending).toBe(0);
+  });
+
+  test('should wait for a write the SDK is still sending instead of replaying it', async ({ page, context }) => {
+    await page.clock.install();
+    await page.goto('/');
+    await setUpQueue(page);
+    await context.setOffline(true);
+    await page.evaluate(async () => {
+      const { queue, server } = /** @type {any} */ (window).syncSpec;
+      server['trips/a'] = { notes: [] };
+      await queue.enqueueMutation({ op: 'update', path: 'trips/a', data: { notes: queue.fieldOps.arrayUnion('x') }, base: { notes: [] } });
+    });
+    await context.setOffline(false);
+
+    await page.evaluate(async () => {
+      const spec = /** @type {any} */ (window).syncSpec;
+      spec.holdNextWrite = true;
+      const held = new Promise(resolve => { spec.held = resolve; });
+      spec.firstReplay = spec.queue.flushQueue();
+      await held;
+    });
+
+    // Not acknowledged in time: the replay pauses and keeps the write queued
+    await page.clock.runFor(10000);
+    const paused = await page.evaluate(async () => {
+      const spec = /** @type {any} */ (window).syncSpec;
+      await spec.firstReplay;
+      return spec.queue.getPendingCount();
+    });
+
+    const result = await page.evaluate(async () => {
+      const spec = /** @type {any} */ (window).syncSpec;
+      const replay = spec.queue.flushQueue();
+      // The SDK gets the original write through
+      spec.server['trips/a'] = { notes: ['x'] };
+      spec.deliver();
+      await replay;
+      return { sent: spec.sent.length, reads: spec.reads, conflicts: spec.conflicts, pending: spec.queue.getPendingCount() };
+    });
+
+    expect(paused).toBe(1);
+    // Only the first replay compared against the server; the second one waited for the same write
+    expect(result).toEqual({ sent: 1, reads: 1, conflicts: [], pending: 0 });
+  });
+
+  test('should drop writes the server rejects and go on with the rest', async ({ page, context }) => {
+    await setUpQueue(page);
+    await context.setOffline(true);
+    await page.evaluate(async () => {
+      const { queue, rejectedPaths } = /** @type {any} */ (window).syncSpec;
+      rejectedPaths.push('trips/locked');
+      await queue.enqueueMutation({ op: 'set', path: 'trips/locked', data: { name: 'x' } });
+      await queue.enqueueMutation({ op: 'set', path: 'trips/open', data: { name: 'y' } });
+    });
+    await context.setOffline(false);
+
+    const result = await page.evaluate(async () => {
+      const { queue, sent, failed } = /** @type {any} */ (window).syncSpec;
+      await queue.flushQueue();
+      return { sent: sent.map(([, path]) => path), failed, pending: queue.getPendingCount() };
+    });
+
+    expect(result.sent).toEqual(['trips/locked', 'trips/open']);
+    expect(result.failed).toEqual([['trips/locked', 'permission-denied']]);
+    expect(result.pending).toBe(0);
+  });
+});
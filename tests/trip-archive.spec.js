@@ -0,0 +1,101 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+// The manifest encoding is pure and runs without building a zip; imports go through local data stores
+test.describe('Trip Archive Tests', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+  });
+
+  test('should round-trip timestamps through the manifest', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { encodeArchiveValue, decodeArchiveValue } = await import('/js/trip-archive.js');
+      const timestamp = (millis) => ({ toMillis: () => millis });
+      const encoded = encodeArchiveValue({
+        content: 'פתק',
+        createdAt: timestamp(1700000000000),
+        history: [{ at: timestamp(1700000001000) }]
+      });
+      return { encoded, decoded: decodeArchiveValue(JSON.parse(JSON.stringify(encoded))) };
+    });
+
+    expect(result.encoded).toEqual({
+      content: 'פתק',
+      createdAt: { __timestamp: 1700000000000 },
+      history: [{ at: { __timestamp: 1700000001000 } }]
+    });
+    // Fields get a stored-time marker; array entries, which field operations cannot reach, get millis
+    expect(result.decoded).toEqual({
+      content: 'פתק',
+      createdAt: { __op: 'timestamp', millis: 1700000000000 },
+      history: [{ at: 1700000001000 }]
+    });
+  });
+
+  test('should only accept trip archives it knows how to read', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { readManifest, ARCHIVE_FORMAT, ARCHIVE_VERSION } = await import('/js/trip-archive.js');
+      const codeOf = (manifest) => {
+        try {
+          readManifest(manifest);
+          return null;
+        } catch (error) {
+          return error.code;
+        }
+      };
+      return {
+        valid: readManifest({ format: ARCHIVE_FORMAT, version: ARCHIVE_VERSION, data: { tripName: 'ז׳נבה' } }),
+        other: codeOf({ format: 'something-else', version: 1, data: {} }),
+        newer: codeOf({ format: ARCHIVE_FORMAT, version: ARCHIVE_VERSION + 1, data: {} })
+      };
+    });
+
+    expect(result.valid.trip).toEqual({ name: 'ז׳נבה', startDate: null });
+    expect(result.valid.collections).toEqual({});
+    expect(result.other).toBe('invalid-archive');
+    expect(result.newer).toBe('newer-archive');
+  });
+
+  test('should create the trip before uploading photos and keep fields the archive lacks', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createLocalStore } = await import('/js/local-store.js');
+      const { exportTrip, importTrip } = await import('/js/trip-archive.js');
+      const { getTripDataPath } = await import('/js/trips.js');
+      const source = createLocalStore({ prefix: `test-${Date.now()}-source:` });
+      await source.set(getTripDataPath('geneva-2026'), {
+        tripName: 'ז׳נבה',
+        packingPhotos: { photos: [{ id: 'p1', url: 'data:image/png;base64,iVBORw0KGgo=' }] }
+      });
+      const { blob } = await exportTrip(source, 'geneva-2026');
+
+      const target = createLocalStore({ prefix: `test-${Date.now()}-target:` });
+      const calls = [];
+      const recordingStore = {
+        ...target,
+        set: (path, data, options) => {
+          calls.push(`set ${path.split('/')[0]}`);
+          return target.set(path, data, options);
+        },
+        flush: () => {
+          calls.push('flush');
+          return target.flush();
+        },
+        upload: (path, file) => {
+          calls.push('upload');
+          return target.upload(path, file);
+        }
+      };
+      await importTrip(recordingStore, blob, { userId: 'dor-uid' });
+
+      await target.set(getTripDataPath('existing-trip'), { tripName: 'ישן', familyData: [{ name: 'דור' }] });
+      await importTrip(target, blob, { tripId: 'existing-trip', userId: 'dor-uid' });
+      return { calls, existing: await target.get(getTripDataPath('existing-trip')) };
+    });
+
+    // Registry entry, organizer and data document reach the server before the storage rules look for them
+    expect(result.calls.slice(0, 5)).toEqual(['set trips', 'set artifacts', 'set artifacts', 'flush', 'upload']);
+    expect(result.existing.tripName).toBe('ז׳נבה');
+    expect(result.existing.familyData).toEqual([{ name: 'דור' }]);
+    expect(result.existing.packingPhotos.photos).toHaveLength(1);
+  });
+});
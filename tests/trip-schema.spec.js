@@ -0,0 +1,78 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+// The schema module has no Firebase imports, so it can be loaded straight into the page
+test.describe('Trip Data Schema Tests', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+  });
+
+  test('should migrate legacy itinerary days to mainPlan items', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { prepareTripData } = await import('/js/schema.js');
+      return prepareTripData({
+        activitiesData: [{ id: 'demo-1', name: 'גן החיות', time: '25' }],
+        itineraryData: [{ day: 1, activities: [{ id: 'demo-1', time: '10:00', name: 'גן החיות' }] }]
+      });
+    });
+
+    const day = result.data.itineraryData[0];
+    expect(result.report.fromVersion).toBe(1);
+    expect(result.data.schemaVersion).toBe(result.report.schemaVersion);
+    expect(day.activities).toBeUndefined();
+    expect(day.mainPlan.items).toEqual([{ activityId: 'demo-1', time: '10:00', description: 'גן החיות' }]);
+    expect(day.dayName).toBe('יום 1');
+  });
+
+  test('should normalize travel time and opening hours on activities', async ({ page }) => {
+    const activities = await page.evaluate(async () => {
+      const { prepareTripData } = await import('/js/schema.js');
+      return prepareTripData({
+        activitiesData: [
+          { id: 'a', name: 'Zoo', travelTime: '25', openingHours: '9:00-18:00' },
+          { id: 'b', name: 'Park', time: 15, openingHours: '24/7' }
+        ]
+      }).data.activitiesData;
+    });
+
+    expect(activities[0].time).toBe(25);
+    expect(activities[0].travelTime).toBeUndefined();
+    expect(activities[0].openingHours).toEqual({ Everyday: '9:00-18:00' });
+    expect(activities[1].openingHours).toEqual({ Everyday: '00:00-24:00' });
+  });
+
+  test('should drop and report records that cannot be rendered', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { prepareTripData } = await import('/js/schema.js');
+      return prepareTripData({
+        schemaVersion: 2,
+        activitiesData: [{ id: 'a', name: 'Zoo' }, { id: 'b' }],
+        itineraryData: [{ day: 1, mainPlan: { items: [{ activityId: 'missing' }] } }, 'not a day'],
+        bulletinBoard: [{ content: 'hello' }, { timestamp: 1 }]
+      });
+    });
+
+    expect(result.data.activitiesData).toHaveLength(1);
+    expect(result.data.itineraryData).toHaveLength(1);
+    expect(result.data.itineraryData[0].mainPlan.items[0].description).toBe('missing');
+    expect(result.data.bulletinBoard).toHaveLength(1);
+
+    const invalidPaths = result.report.issues.filter(issue => issue.severity === 'error').map(issue => issue.path);
+    expect(invalidPaths).toEqual(['activitiesData[1]', 'itineraryData[1]', 'bulletinBoard[1]']);
+  });
+
+  test('should leave already normalized data unchanged', async ({ page }) => {
+    const unchanged = await page.evaluate(async () => {
+      const { prepareTripData } = await import('/js/schema.js');
+      const first = prepareTripData({
+        activitiesData: [{ id: 'a', name: 'Zoo', travelTime: '25', openingHours: '9:00-18:00' }],
+        itineraryData: [{ day: 1, activities: [{ id: 'a', name: 'Zoo' }] }],
+        packingListData: { clothes: ['כובע'] }
+      }).data;
+      const second = prepareTripData(first);
+      return JSON.stringify(first) === JSON.stringify(second.data) && second.report.issues.length === 0;
+    });
+
+    expect(unchanged).toBe(true);
+  });
+});
@@ -0,0 +1,75 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+// The trip registry on the local data store, in a scratch key prefix
+test.describe('Trip Manager Tests', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+  });
+
+  test('should list upcoming trips soonest first, then past trips, then undated ones', async ({ page }) => {
+    const trips = await page.evaluate(async () => {
+      const { createLocalStore } = await import('/js/local-store.js');
+      const { listTrips, getTripRegistryPath } = await import('/js/trips.js');
+      const store = createLocalStore({ prefix: `test-${Date.now()}:` });
+      const entries = {
+        'spring-2025': '2025-04-10',
+        'ski-2027': '2027-01-15',
+        'geneva-2026': '2026-10-20',
+        'summer-2026': '2026-07-01',
+        'someday-trip': null
+      };
+      for (const [id, startDate] of Object.entries(entries)) {
+        await store.set(getTripRegistryPath(id), { name: id, startDate, archived: false });
+      }
+      return (await listTrips(store, new Date(2026, 9, 19))).map(trip => trip.id);
+    });
+
+    // The default trip predates the registry and is listed without a start date
+    expect(trips).toEqual(['geneva-2026', 'ski-2027', 'summer-2026', 'spring-2025', 'someday-trip', 'lipetztrip-guide']);
+  });
+
+  test('should create a trip with its registry entry, organizer and data document', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createLocalStore } = await import('/js/local-store.js');
+      const { createTrip, listTrips, isValidTripId, getTripRegistryPath, getTripDataPath } = await import('/js/trips.js');
+      const { getMembersPath } = await import('/js/members.js');
+      const store = createLocalStore({ prefix: `test-${Date.now()}:` });
+      const tripId = await createTrip(store, {
+        name: 'ז\'נבה 2026',
+        startDate: '2026-10-20',
+        activitiesData: [{ id: 'zoo', name: 'גן חיות' }],
+        createdBy: 'dor-uid',
+        organizer: { name: 'דור', email: 'dor@example.com' }
+      });
+      return {
+        tripId,
+        valid: isValidTripId(tripId),
+        registry: await store.get(getTripRegistryPath(tripId)),
+        organizer: await store.get(`${getMembersPath(tripId)}/dor-uid`),
+        data: await store.get(getTripDataPath(tripId)),
+        listed: (await listTrips(store, new Date(2026, 9, 19))).map(trip => trip.id),
+        listedForCreator: (await listTrips(store, new Date(2026, 9, 19), 'dor-uid')).map(trip => trip.id),
+        listedForOthers: (await listTrips(store, new Date(2026, 9, 19), 'stranger-uid')).map(trip => trip.id)
+      };
+    });
+
+    // Hebrew names have no latin characters to build the id from
+    expect(result.tripId).toMatch(/^trip-[a-z0-9]+$/);
+    expect(result.valid).toBe(true);
+    expect(result.registry).toMatchObject({ name: 'ז\'נבה 2026', startDate: '2026-10-20', archived: false, createdBy: 'dor-uid', memberUids: ['dor-uid'] });
+    expect(typeof result.registry.createdAt).toBe('number');
+    expect(result.organizer).toMatchObject({ name: 'דור', email: 'dor@example.com', role: 'organizer', rosterIndex: -1 });
+    expect(result.data).toEqual({
+      tripName: 'ז\'נבה 2026',
+      tripStartDate: '2026-10-20',
+      activitiesData: [{ id: 'zoo', name: 'גן חיות' }],
+      itineraryData: [],
+      packingListData: {}
+    });
+    expect(result.listed).toEqual([result.tripId, 'lipetztrip-guide']);
+    // Listing for a user keeps only the trips they are a member of
+    expect(result.listedForCreator).toEqual([result.tripId, 'lipetztrip-guide']);
+    expect(result.listedForOthers).toEqual(['lipetztrip-guide']);
+  });
+});